@@ -1,27 +1,7 @@
 #!/bin/bash
 # Check if files are available for editing
+#
+# Exits 1 if any file overlaps another session's declaration.
 
-FILES_TO_CHECK="$@"
-COORD_DIR=".file-coordination/active-edits"
-BLOCKED_FILES=""
-
-for file in $FILES_TO_CHECK; do
-    # Check if file is being edited
-    if [ -n "$(ls -A "$COORD_DIR" 2>/dev/null)" ]; then
-        if grep -l "\"$file\"" "$COORD_DIR"/*.json 2>/dev/null | head -1; then
-            BLOCKED_BY=$(grep -l "\"$file\"" "$COORD_DIR"/*.json | xargs basename | cut -d. -f1)
-            echo "❌ BLOCKED: $file (being edited by $BLOCKED_BY)"
-            BLOCKED_FILES="$BLOCKED_FILES $file"
-        else
-            echo "✅ AVAILABLE: $file"
-        fi
-    else
-        echo "✅ AVAILABLE: $file"
-    fi
-done
-
-if [ -n "$BLOCKED_FILES" ]; then
-    exit 1
-else
-    exit 0
-fi
+SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
+exec node "$SCRIPT_DIR/../../src/file-coordinator.cjs" check "$@"
@@ -1,15 +1,12 @@
 #!/bin/bash
 # Release files after editing
+#
+# Releases every file declared by the session, or only the files listed
+# after the session id.
 
 AGENT="${1:-unknown}"
-SESSION="${2:-*}"
+SESSION="${2:?Usage: release-file-edits.sh <agent> <session> [files...]}"
+shift 2
 
-COORD_DIR=".file-coordination"
-DECLARATION_FILE="$COORD_DIR/active-edits/${AGENT}-${SESSION}.json"
-
-if ls $DECLARATION_FILE 1> /dev/null 2>&1; then
-    mv $DECLARATION_FILE "$COORD_DIR/completed-edits/" 2>/dev/null || true
-    echo "✅ Released files for $AGENT-$SESSION"
-else
-    echo "⚠️  No active declaration found for $AGENT-$SESSION"
-fi
+SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
+exec node "$SCRIPT_DIR/../../src/file-coordinator.cjs" release "$AGENT" "$SESSION" "$@"
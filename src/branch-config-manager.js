@@ -63,6 +63,9 @@ class BranchConfigManager {
         enableAutoRollover: true,
         rolloverTime: "00:00",
         timezone: "UTC",
+        skipWeekends: false,
+        weekendDays: ["saturday", "sunday"],
+        holidaysFile: null,
         preserveRunningAgent: true
       },
       cleanup: {
@@ -179,6 +182,8 @@ class BranchConfigManager {
     console.log(`  Auto rollover: ${settings.rolloverSettings.enableAutoRollover ? CONFIG.colors.green + 'Yes' : CONFIG.colors.yellow + 'No'}${CONFIG.colors.reset}`);
     console.log(`  Rollover time: ${CONFIG.colors.cyan}${settings.rolloverSettings.rolloverTime}${CONFIG.colors.reset}`);
     console.log(`  Timezone: ${CONFIG.colors.cyan}${settings.rolloverSettings.timezone}${CONFIG.colors.reset}`);
+    console.log(`  Skip weekends: ${settings.rolloverSettings.skipWeekends ? CONFIG.colors.green + 'Yes (' + settings.rolloverSettings.weekendDays.join(', ') + ')' : CONFIG.colors.yellow + 'No'}${CONFIG.colors.reset}`);
+    console.log(`  Holidays file: ${CONFIG.colors.cyan}${settings.rolloverSettings.holidaysFile || 'none'}${CONFIG.colors.reset}`);
     console.log(`  Preserve running agent: ${settings.rolloverSettings.preserveRunningAgent ? CONFIG.colors.green + 'Yes' : CONFIG.colors.yellow + 'No'}${CONFIG.colors.reset}`);
 
     // Cleanup Settings
@@ -278,6 +283,17 @@ class BranchConfigManager {
           'Timezone for rollover',
           settings.rolloverSettings.timezone
         );
+
+        settings.rolloverSettings.skipWeekends = await promptYesNo(
+          'Skip weekends (weekend work stays on the last weekday branch)',
+          settings.rolloverSettings.skipWeekends
+        );
+
+        const holidaysFile = await prompt(
+          'Holidays file (JSON or .ics, relative to repo root, "none" to disable)',
+          settings.rolloverSettings.holidaysFile || 'none'
+        );
+        settings.rolloverSettings.holidaysFile = holidaysFile === 'none' ? null : holidaysFile;
       }
 
       settings.rolloverSettings.preserveRunningAgent = await promptYesNo(
@@ -450,6 +466,26 @@ class BranchConfigManager {
       console.log(`${CONFIG.colors.green}✓ Rollover time format is valid${CONFIG.colors.reset}`);
     }
 
+    // Validate rollover timezone
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: settings.rolloverSettings.timezone });
+      console.log(`${CONFIG.colors.green}✓ Timezone '${settings.rolloverSettings.timezone}' is valid${CONFIG.colors.reset}`);
+    } catch {
+      issues.push(`Invalid timezone: ${settings.rolloverSettings.timezone}`);
+      console.log(`${CONFIG.colors.red}✗ Invalid timezone: ${settings.rolloverSettings.timezone}${CONFIG.colors.reset}`);
+    }
+
+    // Validate holidays file
+    if (settings.rolloverSettings.holidaysFile) {
+      const holidaysPath = path.resolve(this.repoRoot, settings.rolloverSettings.holidaysFile);
+      if (fs.existsSync(holidaysPath)) {
+        console.log(`${CONFIG.colors.green}✓ Holidays file '${settings.rolloverSettings.holidaysFile}' exists${CONFIG.colors.reset}`);
+      } else {
+        issues.push(`Holidays file not found: ${settings.rolloverSettings.holidaysFile}`);
+        console.log(`${CONFIG.colors.red}✗ Holidays file not found: ${settings.rolloverSettings.holidaysFile}${CONFIG.colors.reset}`);
+      }
+    }
+
     // Validate weekly cleanup day
     const validDays = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
     if (!validDays.includes(settings.cleanup.weeklyCleanupDay.toLowerCase())) {
@@ -0,0 +1,192 @@
+/**
+ * Branch Naming Templates
+ *
+ * Renders session branch and worktree names from templates, shared by the
+ * session coordinator and the worktree manager. Configured under
+ * `branchNaming` in local_deploy/project-settings.json:
+ *
+ *   "branchNaming": {
+ *     "branch": "feature/{ticket}-{slug}",
+ *     "worktree": "{initials}-{agent}-{session}-{slug}",
+ *     "daily": "{branch}_"
+ *   }
+ *
+ * `branch` names the branch a session starts on. `daily` is the prefix of the
+ * dated branches the worker commits and pushes to (the date is appended). It
+ * defaults to "{branch}_" when a custom `branch` template is set, and
+ * otherwise to each tool's own prefix (<initials>_<agent>_<session>_ for
+ * coordinator sessions).
+ *
+ * Placeholders:
+ *   {initials} - developer initials
+ *   {agent}    - agent type (claude, cursor, ...)
+ *   {session}  - session id
+ *   {task}     - task name with whitespace replaced by dashes
+ *   {slug}     - task name lowercased to [a-z0-9-], without the ticket id
+ *   {ticket}   - ticket id given explicitly or found in the task (ABC-123)
+ *   {date}     - YYYY-MM-DD
+ *   {branch}   - the rendered session branch (daily template only)
+ *
+ * A placeholder without a value is dropped together with one adjacent
+ * separator, so "{ticket}-{slug}" renders as just the slug when there is no
+ * ticket. Branch names are checked with `git check-ref-format --branch`.
+ */
+
+const { spawnSync } = require('child_process');
+
+const DEFAULT_BRANCH_NAMING_CONFIG = {
+  branch: '{initials}/{agent}/{session}/{task}',
+  worktree: '{initials}-{agent}-{session}-{task}',
+  daily: null,
+  ticketPattern: '[A-Z][A-Z0-9]+-\\d+',
+  slugMaxLength: 40
+};
+
+const PLACEHOLDERS = ['initials', 'agent', 'session', 'task', 'slug', 'ticket', 'date', 'branch'];
+const SEPARATORS = '-_/.';
+
+/**
+ * Merge the branchNaming section of the project settings over the defaults
+ */
+function loadBranchNamingConfig(settings = {}) {
+  const configured = settings.branchNaming || {};
+  const config = { ...DEFAULT_BRANCH_NAMING_CONFIG, ...configured };
+  // A custom branch convention carries over to the dated branches that get pushed
+  if (configured.branch && !configured.daily) {
+    config.daily = '{branch}_';
+  }
+  return config;
+}
+
+function slugify(text, maxLength = DEFAULT_BRANCH_NAMING_CONFIG.slugMaxLength) {
+  return String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .slice(0, maxLength)
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Placeholder values for a session
+ * @param {Object} fields - { initials, agent, session, task, ticket, date }
+ * @param {Object} [config] - Branch naming config
+ * @returns {Object} Value for every placeholder ('' when unknown)
+ */
+function namingValues(fields, config = DEFAULT_BRANCH_NAMING_CONFIG) {
+  const task = String(fields.task || '').trim();
+  let ticket = fields.ticket || '';
+  let rest = task;
+  if (!ticket && config.ticketPattern) {
+    const match = task.match(new RegExp(config.ticketPattern));
+    if (match) {
+      ticket = match[0];
+      rest = task.replace(match[0], ' ');
+    }
+  } else if (ticket) {
+    rest = task.replace(ticket, ' ');
+  }
+
+  return {
+    initials: fields.initials || '',
+    agent: fields.agent || '',
+    session: fields.session || '',
+    task: task.replace(/\s+/g, '-'),
+    slug: slugify(rest, config.slugMaxLength),
+    ticket,
+    date: fields.date || new Date().toISOString().split('T')[0],
+    branch: ''
+  };
+}
+
+/**
+ * Fill a template's placeholders
+ * @throws {Error} On an unknown placeholder
+ */
+function renderTemplate(template, values) {
+  let name = '';
+  // Set after an empty placeholder: the separator next to it goes too
+  let dropSeparator = false;
+
+  for (const part of String(template).split(/(\{[^}]*\})/)) {
+    const placeholder = part.match(/^\{(.*)\}$/);
+    if (!placeholder) {
+      name += dropSeparator && SEPARATORS.includes(part[0]) ? part.slice(1) : part;
+      dropSeparator = dropSeparator && !part;
+      continue;
+    }
+    if (!PLACEHOLDERS.includes(placeholder[1])) {
+      throw new Error(`Unknown placeholder ${part} in template "${template}" (known: ${PLACEHOLDERS.map(p => `{${p}}`).join(', ')})`);
+    }
+    const value = values[placeholder[1]] || '';
+    name += value;
+    dropSeparator = !value;
+  }
+
+  // An empty placeholder at the end takes the separator before it
+  if (dropSeparator && SEPARATORS.includes(name[name.length - 1])) {
+    name = name.slice(0, -1);
+  }
+  return name;
+}
+
+/**
+ * Check a branch name with `git check-ref-format --branch`
+ * @returns {{valid: boolean, error?: string}}
+ */
+function checkBranchName(name, cwd = process.cwd()) {
+  const result = spawnSync('git', ['check-ref-format', '--branch', name], { cwd, encoding: 'utf8' });
+  if (result.status === 0) return { valid: true };
+  return { valid: false, error: (result.stderr || '').trim() || `"${name}" is not a valid branch name` };
+}
+
+/**
+ * Render the branch and worktree names for a session
+ * @param {Object} fields - { initials, agent, session, task, ticket, date }
+ * @param {Object} [config] - Branch naming config (see loadBranchNamingConfig)
+ * @param {string} [cwd] - Repository to validate the branch name in
+ * @returns {{branchName: string, worktreeName: string, dailyPrefix: string|null, values: Object}}
+ *   dailyPrefix is null when no daily template applies (the caller's default)
+ * @throws {Error} When a template renders an invalid name
+ */
+function renderSessionNames(fields, config = DEFAULT_BRANCH_NAMING_CONFIG, cwd = process.cwd()) {
+  const values = namingValues(fields, config);
+  const branchName = renderTemplate(config.branch, values);
+  const check = checkBranchName(branchName, cwd);
+  if (!branchName || !check.valid) {
+    throw new Error(`Branch template "${config.branch}" produced an invalid branch name "${branchName}": ${check.error || 'empty name'}`);
+  }
+
+  // The worktree is a single directory, so path separators become dashes
+  const worktreeName = renderTemplate(config.worktree, values).replace(/[\\/]+/g, '-');
+  if (!worktreeName || worktreeName === '.' || worktreeName === '..') {
+    throw new Error(`Worktree template "${config.worktree}" produced an invalid directory name "${worktreeName}"`);
+  }
+
+  let dailyPrefix = null;
+  if (config.daily) {
+    dailyPrefix = renderTemplate(config.daily, { ...values, branch: branchName });
+    // The worker appends the date, so check a name it could actually push
+    const sample = `${dailyPrefix}${values.date}`;
+    const dailyCheck = checkBranchName(sample, cwd);
+    // git cannot keep a branch and another branch nested under it (a and a/b)
+    const clash = sample === branchName || sample.startsWith(`${branchName}/`);
+    if (!dailyPrefix || !dailyCheck.valid || clash) {
+      throw new Error(`Daily template "${config.daily}" produced an invalid branch name "${sample}": ${dailyCheck.error || 'it must not be or be nested under the session branch'}`);
+    }
+  }
+
+  return { branchName, worktreeName, dailyPrefix, values };
+}
+
+module.exports = {
+  DEFAULT_BRANCH_NAMING_CONFIG,
+  PLACEHOLDERS,
+  loadBranchNamingConfig,
+  slugify,
+  namingValues,
+  renderTemplate,
+  checkBranchName,
+  renderSessionNames
+};
@@ -30,16 +30,20 @@ import { execSync } from 'child_process';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 import crypto from 'crypto';
+import { createRequire } from 'module';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+const require = createRequire(import.meta.url);
+const { SessionStore } = require('./session-store.cjs');
+
 // ============================================================================
 // CONFIGURATION
 // ============================================================================
 
 const CONFIG = {
-  sessionsFile: 'local_deploy/claude-sessions.json',
+  // Sessions live in the shared session store (local_deploy/session-locks)
   worktreesDir: 'local_deploy/worktrees',
   sessionPrefix: 'claude-session',
   colors: {
@@ -60,9 +64,8 @@ const CONFIG = {
 class ClaudeSessionManager {
   constructor() {
     this.repoRoot = this.getRepoRoot();
-    this.sessionsPath = path.join(this.repoRoot, CONFIG.sessionsFile);
     this.worktreesPath = path.join(this.repoRoot, CONFIG.worktreesDir);
-    this.loadSessions();
+    this.store = new SessionStore(this.repoRoot);
   }
 
   getRepoRoot() {
@@ -74,17 +77,19 @@ class ClaudeSessionManager {
     }
   }
 
-  loadSessions() {
-    if (fs.existsSync(this.sessionsPath)) {
-      const data = fs.readFileSync(this.sessionsPath, 'utf8');
-      this.sessions = JSON.parse(data);
-    } else {
-      this.sessions = {};
-    }
+  /**
+   * Sessions started by this manager
+   */
+  getSessions() {
+    return this.store.list({ source: 'claude-session-manager' });
   }
 
-  saveSessions() {
-    fs.writeFileSync(this.sessionsPath, JSON.stringify(this.sessions, null, 2));
+  /**
+   * One session started by this manager (null if unknown)
+   */
+  getSession(sessionId) {
+    const session = this.store.get(sessionId);
+    return session?.source === 'claude-session-manager' ? session : null;
   }
 
   generateSessionId() {
@@ -109,9 +114,10 @@ class ClaudeSessionManager {
     console.log(`Task: ${task}`);
     
     // Check if session already exists
-    if (this.sessions[sessionId]) {
+    const existing = this.store.get(sessionId);
+    if (existing) {
       console.log(`${CONFIG.colors.yellow}Session ${sessionId} already exists${CONFIG.colors.reset}`);
-      return this.sessions[sessionId];
+      return existing;
     }
     
     // Create worktree
@@ -126,14 +132,14 @@ class ClaudeSessionManager {
       
       // Create session configuration
       const session = {
-        id: sessionId,
+        sessionId,
+        source: 'claude-session-manager',
+        agentType: 'claude',
         name: sessionName,
         task: task,
-        worktree: {
-          path: worktreePath,
-          branch: branchName,
-          name: worktreeName
-        },
+        worktreePath,
+        branchName,
+        worktreeName,
         created: new Date().toISOString(),
         status: 'active',
         pid: process.pid,
@@ -146,8 +152,7 @@ class ClaudeSessionManager {
       };
       
       // Save session
-      this.sessions[sessionId] = session;
-      this.saveSessions();
+      this.store.create(session);
       
       // Create session config file in worktree
       this.createWorktreeConfig(session);
@@ -182,11 +187,11 @@ class ClaudeSessionManager {
    * Create configuration files in the worktree
    */
   createWorktreeConfig(session) {
-    const configPath = path.join(session.worktree.path, '.claude-session.json');
+    const configPath = path.join(session.worktreePath, '.claude-session.json');
     fs.writeFileSync(configPath, JSON.stringify(session, null, 2));
     
     // Create commit message file
-    const msgFilePath = path.join(session.worktree.path, session.commitMsgFile);
+    const msgFilePath = path.join(session.worktreePath, session.commitMsgFile);
     fs.writeFileSync(msgFilePath, '');
     
     // Create .env.claude file for environment variables
@@ -194,7 +199,7 @@ class ClaudeSessionManager {
       .map(([key, value]) => `${key}="${value}"`)
       .join('\n');
     
-    const envPath = path.join(session.worktree.path, '.env.claude');
+    const envPath = path.join(session.worktreePath, '.env.claude');
     fs.writeFileSync(envPath, envContent);
   }
 
@@ -202,7 +207,7 @@ class ClaudeSessionManager {
    * Create VS Code workspace configuration
    */
   createVSCodeWorkspace(session) {
-    const vscodeDir = path.join(session.worktree.path, '.vscode');
+    const vscodeDir = path.join(session.worktreePath, '.vscode');
     
     if (!fs.existsSync(vscodeDir)) {
       fs.mkdirSync(vscodeDir, { recursive: true });
@@ -210,7 +215,7 @@ class ClaudeSessionManager {
     
     // Settings for this workspace
     const settings = {
-      'window.title': `Claude ${session.id} - ${session.task}`,
+      'window.title': `Claude ${session.sessionId} - ${session.task}`,
       'terminal.integrated.env.osx': session.agentConfig,
       'terminal.integrated.env.linux': session.agentConfig,
       'terminal.integrated.env.windows': session.agentConfig,
@@ -237,7 +242,7 @@ class ClaudeSessionManager {
     };
     
     fs.writeFileSync(
-      path.join(session.worktree.path, `${session.name}.code-workspace`),
+      path.join(session.worktreePath, `${session.name}.code-workspace`),
       JSON.stringify(workspaceFile, null, 2)
     );
   }
@@ -248,9 +253,9 @@ class ClaudeSessionManager {
   getCurrentSession() {
     const cwd = process.cwd();
     
-    // Check if we're in a worktree
-    for (const [sessionId, session] of Object.entries(this.sessions)) {
-      if (session.worktree.path === cwd || cwd.startsWith(session.worktree.path + '/')) {
+    // Check if we're in a worktree of any session in the store
+    for (const session of this.store.list()) {
+      if (session.worktreePath && (session.worktreePath === cwd || cwd.startsWith(session.worktreePath + '/'))) {
         return session;
       }
     }
@@ -271,7 +276,7 @@ class ClaudeSessionManager {
   listSessions() {
     console.log(`\n${CONFIG.colors.bright}Active Claude Sessions:${CONFIG.colors.reset}`);
     
-    const activeSessions = Object.values(this.sessions).filter(s => s.status === 'active');
+    const activeSessions = this.getSessions().filter(s => s.status === 'active');
     
     if (activeSessions.length === 0) {
       console.log('No active sessions');
@@ -279,13 +284,13 @@ class ClaudeSessionManager {
     }
     
     for (const session of activeSessions) {
-      const exists = fs.existsSync(session.worktree.path);
+      const exists = fs.existsSync(session.worktreePath);
       const status = exists ? CONFIG.colors.green + '✓' : CONFIG.colors.red + '✗';
       
-      console.log(`\n${status} ${CONFIG.colors.bright}${session.id}${CONFIG.colors.reset}`);
+      console.log(`\n${status} ${CONFIG.colors.bright}${session.sessionId}${CONFIG.colors.reset}`);
       console.log(`  Task: ${session.task}`);
-      console.log(`  Branch: ${session.worktree.branch}`);
-      console.log(`  Path: ${session.worktree.path}`);
+      console.log(`  Branch: ${session.branchName}`);
+      console.log(`  Path: ${session.worktreePath}`);
       console.log(`  Created: ${new Date(session.created).toLocaleString()}`);
       
       if (!exists) {
@@ -300,7 +305,7 @@ class ClaudeSessionManager {
    * End a session and optionally clean up
    */
   endSession(sessionId, options = {}) {
-    const session = this.sessions[sessionId];
+    const session = this.getSession(sessionId);
     
     if (!session) {
       console.error(`Session not found: ${sessionId}`);
@@ -309,16 +314,12 @@ class ClaudeSessionManager {
     
     console.log(`${CONFIG.colors.yellow}Ending session: ${sessionId}${CONFIG.colors.reset}`);
     
-    // Mark as inactive
-    session.status = 'inactive';
-    session.ended = new Date().toISOString();
-    
     if (options.cleanup) {
       // Remove worktree
-      if (fs.existsSync(session.worktree.path)) {
-        console.log(`Removing worktree: ${session.worktree.path}`);
+      if (fs.existsSync(session.worktreePath)) {
+        console.log(`Removing worktree: ${session.worktreePath}`);
         try {
-          execSync(`git worktree remove "${session.worktree.path}" --force`, { stdio: 'inherit' });
+          execSync(`git worktree remove "${session.worktreePath}" --force`, { stdio: 'inherit' });
         } catch (error) {
           console.error(`Failed to remove worktree: ${error.message}`);
         }
@@ -326,19 +327,21 @@ class ClaudeSessionManager {
       
       // Delete branch if requested
       if (options.deleteBranch) {
-        console.log(`Deleting branch: ${session.worktree.branch}`);
+        console.log(`Deleting branch: ${session.branchName}`);
         try {
-          execSync(`git branch -D ${session.worktree.branch}`, { stdio: 'inherit' });
+          execSync(`git branch -D ${session.branchName}`, { stdio: 'inherit' });
         } catch (error) {
           console.error(`Failed to delete branch: ${error.message}`);
         }
       }
       
       // Remove from sessions
-      delete this.sessions[sessionId];
+      this.store.remove(sessionId);
+    } else {
+      // Mark as inactive
+      this.store.update(sessionId, { status: 'inactive', ended: new Date().toISOString() });
     }
     
-    this.saveSessions();
     console.log(`${CONFIG.colors.green}Session ended${CONFIG.colors.reset}`);
   }
 
@@ -346,7 +349,7 @@ class ClaudeSessionManager {
    * Start the DevOps agent for a specific session
    */
   startAgent(sessionId) {
-    const session = this.sessions[sessionId];
+    const session = this.getSession(sessionId);
     
     if (!session) {
       console.error(`Session not found: ${sessionId}`);
@@ -362,7 +365,7 @@ class ClaudeSessionManager {
     
     // Command to start the agent
     const agentScript = path.join(__dirname, 'cs-devops-agent-worker.js');
-    const command = `cd "${session.worktree.path}" && ${env} node "${agentScript}"`;
+    const command = `cd "${session.worktreePath}" && ${env} node "${agentScript}"`;
     
     console.log(`\nRun this command to start the agent:`);
     console.log(`${CONFIG.colors.blue}${command}${CONFIG.colors.reset}`);
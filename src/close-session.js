@@ -9,6 +9,7 @@ const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
 const readline = require('readline');
+const { SessionStore } = require('./session-store.cjs');
 
 // Configuration
 const CONFIG = {
@@ -27,7 +28,7 @@ const CONFIG = {
 class SessionCloser {
   constructor() {
     this.repoRoot = this.getRepoRoot();
-    this.locksPath = path.join(this.repoRoot, 'local_deploy', 'session-locks');
+    this.store = new SessionStore(this.repoRoot);
     this.worktreesPath = path.join(this.repoRoot, 'local_deploy', 'worktrees');
   }
 
@@ -44,20 +45,10 @@ class SessionCloser {
    * List all active sessions
    */
   listSessions() {
-    if (!fs.existsSync(this.locksPath)) {
+    const sessions = this.store.list();
+    if (sessions.length === 0) {
       console.log(`${CONFIG.colors.yellow}No active sessions found${CONFIG.colors.reset}`);
-      return [];
     }
-
-    const sessions = [];
-    const lockFiles = fs.readdirSync(this.locksPath).filter(f => f.endsWith('.lock'));
-
-    lockFiles.forEach(file => {
-      const lockPath = path.join(this.locksPath, file);
-      const sessionData = JSON.parse(fs.readFileSync(lockPath, 'utf8'));
-      sessions.push(sessionData);
-    });
-
     return sessions;
   }
 
@@ -254,13 +245,10 @@ class SessionCloser {
   }
 
   /**
-   * Remove lock file
+   * Remove the session from the session store
    */
   removeLockFile(session) {
-    const lockFile = path.join(this.locksPath, `${session.sessionId}.lock`);
-    if (fs.existsSync(lockFile)) {
-      fs.unlinkSync(lockFile);
-    }
+    this.store.remove(session.sessionId);
     return true;
   }
 
@@ -0,0 +1,269 @@
+/**
+ * Agent Command Protocol
+ *
+ * Lets the coding agent drive its worker deterministically. A command is a
+ * JSON file dropped into the session's inbox:
+ *
+ *   local_deploy/commands/<sessionId>/<id>.json
+ *   { "protocol": 1, "id": "c-42", "command": "commit-now", "args": { "message": "feat: add export" } }
+ *
+ * The worker watches the inbox, runs commands one at a time in arrival order
+ * and answers each one in responses/<id>.json:
+ *
+ *   { "protocol": 1, "id": "c-42", "command": "commit-now", "status": "ok",
+ *     "payload": { "committed": true, "head": "..." }, "receivedAt": "...", "completedAt": "..." }
+ *
+ * Failed commands have "status": "error" and "error": { "code", "message" }.
+ * Write the command under a dotted temporary name and rename it into place
+ * (sendCommand does this), so the worker never reads a half-written file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { localDeployDir } = require('./repo-paths.cjs');
+
+const PROTOCOL_VERSION = 1;
+
+// Argument types per command ("?" marks optional arguments)
+const COMMANDS = {
+  'commit-now': { message: 'string?' },
+  'push': {},
+  'pause-autocommit': {},
+  'resume-autocommit': {},
+  'declare-files': { files: 'string[]', reason: 'string?', estimatedDuration: 'number?' },
+  'release-files': { files: 'string[]?' },
+  'status': {},
+  'rollback': { count: 'number?' },
+  'request-merge': { target: 'string?' },
+  'close-session': {}
+};
+
+const ERROR_CODES = ['invalid-json', 'unsupported-protocol', 'unknown-command', 'invalid-args', 'busy', 'failed'];
+
+function commandsDir(repoRoot, sessionId) {
+  return path.join(localDeployDir(repoRoot), 'commands', sessionId || 'default');
+}
+
+function responsesDir(repoRoot, sessionId) {
+  return path.join(commandsDir(repoRoot, sessionId), 'responses');
+}
+
+/**
+ * Error a handler throws to answer with a specific error code
+ */
+function commandError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function typeMatches(value, type) {
+  if (type === 'string[]') return Array.isArray(value) && value.every(v => typeof v === 'string' && v.length > 0);
+  if (type === 'number') return Number.isFinite(value);
+  return typeof value === type;
+}
+
+/**
+ * Check arguments against the command's spec
+ * @returns {string|null} Problem description, or null if valid
+ */
+function validateArgs(command, args) {
+  const spec = COMMANDS[command];
+  for (const [name, rawType] of Object.entries(spec)) {
+    const optional = rawType.endsWith('?');
+    const type = optional ? rawType.slice(0, -1) : rawType;
+    if (args[name] === undefined || args[name] === null) {
+      if (!optional) return `missing argument "${name}" (${type})`;
+    } else if (!typeMatches(args[name], type)) {
+      return `argument "${name}" must be ${type}`;
+    }
+  }
+  const unknown = Object.keys(args).filter(name => !(name in spec));
+  return unknown.length > 0 ? `unknown argument(s): ${unknown.join(', ')}` : null;
+}
+
+/**
+ * Parse and validate a command file
+ * @param {string} text - File content
+ * @param {string} fallbackId - Id to answer under when the file has none (its base name)
+ * @returns {{ok: true, request: Object} | {ok: false, id: string, command: string|null, error: {code: string, message: string}}}
+ */
+function parseCommand(text, fallbackId) {
+  let request;
+  try {
+    request = JSON.parse(text);
+  } catch (err) {
+    return { ok: false, id: fallbackId, command: null, error: { code: 'invalid-json', message: err.message } };
+  }
+  if (!request || typeof request !== 'object' || Array.isArray(request)) {
+    return { ok: false, id: fallbackId, command: null, error: { code: 'invalid-json', message: 'command must be a JSON object' } };
+  }
+
+  // The id names the response file, so it must stay a plain file name
+  const id = typeof request.id === 'string' && /^[\w.-]+$/.test(request.id) && !request.id.startsWith('.') ? request.id : fallbackId;
+  const command = typeof request.command === 'string' ? request.command : null;
+  const fail = (code, message) => ({ ok: false, id, command, error: { code, message } });
+
+  if (request.protocol !== PROTOCOL_VERSION) {
+    return fail('unsupported-protocol', `protocol ${request.protocol} is not supported (expected ${PROTOCOL_VERSION})`);
+  }
+  if (!command || !COMMANDS[command]) {
+    return fail('unknown-command', `unknown command "${request.command}" (known: ${Object.keys(COMMANDS).join(', ')})`);
+  }
+  const args = request.args === undefined ? {} : request.args;
+  if (!args || typeof args !== 'object' || Array.isArray(args)) return fail('invalid-args', 'args must be an object');
+  const problem = validateArgs(command, args);
+  if (problem) return fail('invalid-args', problem);
+
+  return { ok: true, request: { protocol: PROTOCOL_VERSION, id, command, args } };
+}
+
+function writeJsonAtomic(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = path.join(path.dirname(file), `.${path.basename(file)}.${process.pid}.tmp`);
+  fs.writeFileSync(tmp, `${JSON.stringify(data, null, 2)}\n`);
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * Whether a file in the inbox is a command waiting to be run
+ */
+function isCommandFile(file) {
+  const name = path.basename(file);
+  return name.endsWith('.json') && !name.startsWith('.');
+}
+
+/**
+ * Claim, run and answer one command file
+ * The file is renamed before it is read, so a command is never run twice
+ * even when the watcher reports it more than once.
+ * @param {string} file - Command file in the inbox
+ * @param {Object<string, Function>} handlers - command => async (args, request) => payload
+ * @returns {Promise<Object|null>} The response, or null if the file was already claimed
+ */
+async function handleCommandFile(file, handlers) {
+  const fallbackId = path.basename(file, '.json');
+  const claimed = path.join(path.dirname(file), `.${path.basename(file)}.claimed`);
+  try {
+    fs.renameSync(file, claimed);
+  } catch {
+    return null;
+  }
+
+  const receivedAt = new Date().toISOString();
+  let response;
+  try {
+    const parsed = parseCommand(fs.readFileSync(claimed, 'utf8'), fallbackId);
+    if (!parsed.ok) {
+      response = { protocol: PROTOCOL_VERSION, id: parsed.id, command: parsed.command, status: 'error', error: parsed.error };
+    } else {
+      const { id, command, args } = parsed.request;
+      const handler = handlers[command];
+      try {
+        if (!handler) throw commandError('unknown-command', `this worker does not handle "${command}"`);
+        const payload = await handler(args, parsed.request);
+        response = { protocol: PROTOCOL_VERSION, id, command, status: 'ok', payload: payload ?? {} };
+      } catch (err) {
+        const code = ERROR_CODES.includes(err.code) ? err.code : 'failed';
+        response = { protocol: PROTOCOL_VERSION, id, command, status: 'error', error: { code, message: err.message } };
+      }
+    }
+  } finally {
+    fs.rmSync(claimed, { force: true });
+  }
+
+  response = { ...response, receivedAt, completedAt: new Date().toISOString() };
+  writeJsonAtomic(path.join(path.dirname(file), 'responses', `${response.id}.json`), response);
+  return response;
+}
+
+/**
+ * Run command files strictly one after another, in the order they arrive
+ * @returns {{enqueue: (file: string) => Promise<Object|null>}}
+ */
+function createCommandQueue(handlers, { onResponse = () => {} } = {}) {
+  let tail = Promise.resolve();
+  return {
+    enqueue(file) {
+      const next = tail.then(async () => {
+        if (!isCommandFile(file) || !fs.existsSync(file)) return null;
+        const response = await handleCommandFile(file, handlers);
+        if (response) onResponse(response);
+        return response;
+      });
+      tail = next.catch(() => {});
+      return next;
+    }
+  };
+}
+
+/**
+ * Drop a command into a session's inbox
+ * @returns {{id: string, file: string}}
+ */
+function sendCommand({ repoRoot, sessionId, command, args = {}, id = null }) {
+  const commandId = id || `${Date.now()}-${crypto.randomBytes(3).toString('hex')}`;
+  const file = path.join(commandsDir(repoRoot, sessionId), `${commandId}.json`);
+  writeJsonAtomic(file, { protocol: PROTOCOL_VERSION, id: commandId, command, args });
+  return { id: commandId, file };
+}
+
+/**
+ * Response to a command, or null while it has not been answered
+ */
+function readResponse({ repoRoot, sessionId, id }) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(responsesDir(repoRoot, sessionId), `${id}.json`), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Wait until a command is answered
+ * @returns {Promise<Object|null>} The response, or null if none arrived within timeoutMs
+ */
+async function waitForResponse({ repoRoot, sessionId, id, timeoutMs = 30000, intervalMs = 100 }) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const response = readResponse({ repoRoot, sessionId, id });
+    if (response || Date.now() >= deadline) return response;
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+  }
+}
+
+/**
+ * Send a command and wait for its response
+ * A command that is still unclaimed when the wait times out is withdrawn, so a
+ * worker started later does not run it by surprise.
+ * @returns {Promise<{response: Object|null, withdrawn: boolean}>} response is null on timeout;
+ *   withdrawn is false when the worker claimed the command but has not answered yet
+ */
+async function requestCommand({ repoRoot, sessionId, command, args = {}, timeoutMs = 30000 }) {
+  const sent = sendCommand({ repoRoot, sessionId, command, args });
+  const response = await waitForResponse({ repoRoot, sessionId, id: sent.id, timeoutMs });
+  if (response) return { response, withdrawn: false };
+  try {
+    fs.unlinkSync(sent.file);
+    return { response: null, withdrawn: true };
+  } catch {
+    return { response: null, withdrawn: false };
+  }
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  COMMANDS,
+  commandsDir,
+  responsesDir,
+  commandError,
+  parseCommand,
+  isCommandFile,
+  handleCommandFile,
+  createCommandQueue,
+  sendCommand,
+  readResponse,
+  waitForResponse,
+  requestCommand
+};
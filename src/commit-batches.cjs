@@ -0,0 +1,213 @@
+/**
+ * Structured Commit Batches
+ *
+ * Lets an agent split one change set into several commits by writing a
+ * structured commit message file instead of a single message. Two formats
+ * are accepted:
+ *
+ * JSON (an array, or an object with a "commits" array):
+ *
+ *   { "commits": [
+ *       { "message": "feat(api): add export endpoint\n\n...", "files": ["src/api/**"] },
+ *       { "message": "docs: describe export", "files": "docs/export.md" }
+ *   ] }
+ *
+ * YAML front-matter blocks:
+ *
+ *   ---
+ *   files: [src/api/**, src/routes.js]
+ *   ---
+ *   feat(api): add export endpoint
+ *
+ *   ---
+ *   files:
+ *     - docs/
+ *   ---
+ *   docs: describe export
+ *
+ * Every entry must list its files; a file without them is rejected (the
+ * worker writes the reason to the lint errors file). Only a block whose
+ * front matter sets `files` starts a new entry, so a `---` rule inside a
+ * message body stays part of the message.
+ *
+ * Each changed file goes to the first entry whose patterns match it. What is
+ * left over is handled by `commitBatches.leftover` in project settings:
+ * "catch-all" (default) commits it with `commitBatches.catchAllMessage`,
+ * "unstaged" leaves it in the working tree for a later commit.
+ */
+
+const { matchesAny } = require('./path-patterns.cjs');
+
+const DEFAULT_BATCH_CONFIG = {
+  leftover: 'catch-all',
+  catchAllMessage: 'chore: commit remaining changes'
+};
+
+function loadBatchConfig(settings = {}) {
+  const config = { ...DEFAULT_BATCH_CONFIG, ...(settings.commitBatches || {}) };
+  if (config.leftover !== 'unstaged') config.leftover = 'catch-all';
+  return config;
+}
+
+function toList(value) {
+  if (Array.isArray(value)) return value.map(String).map(s => s.trim()).filter(Boolean);
+  if (typeof value === 'string') return value.split(',').map(s => s.trim()).filter(Boolean);
+  return [];
+}
+
+function normalizeEntry(entry, index) {
+  if (!entry || typeof entry.message !== 'string' || !entry.message.trim()) {
+    throw new Error(`Commit ${index + 1} has no message`);
+  }
+  const files = toList(entry.files);
+  if (files.length === 0) {
+    throw new Error(`Commit ${index + 1} lists no files; add "files" with the paths or globs it should commit`);
+  }
+  return { message: entry.message.trim(), files };
+}
+
+function parseJsonBatch(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Invalid JSON commit batch: ${err.message}`);
+  }
+  const entries = Array.isArray(data) ? data : data.commits;
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error('JSON commit batch must contain a non-empty "commits" array');
+  }
+  return entries.map(normalizeEntry);
+}
+
+/**
+ * Parse the small YAML subset used in front matter: `key: value`,
+ * `key: [a, b]` and `key:` followed by `- item` lines
+ */
+function parseFrontMatter(lines) {
+  const data = {};
+  let listKey = null;
+
+  for (const line of lines) {
+    const item = line.match(/^\s*-\s+(.+)$/);
+    if (item && listKey) {
+      data[listKey].push(item[1].trim().replace(/^["']|["']$/g, ''));
+      continue;
+    }
+
+    const pair = line.match(/^([A-Za-z][\w-]*):\s*(.*)$/);
+    if (!pair) continue;
+
+    const [, key, raw] = pair;
+    if (raw === '') {
+      data[key] = [];
+      listKey = key;
+    } else {
+      data[key] = raw.replace(/^\[|\]$/g, '')
+        .split(',')
+        .map(s => s.trim().replace(/^["']|["']$/g, ''))
+        .filter(Boolean);
+      listKey = null;
+    }
+  }
+
+  return data;
+}
+
+const FRONT_MATTER_LINE = /^\s*$|^\s*-\s+.+$|^[A-Za-z][\w-]*:/;
+
+/**
+ * Closing fence of the front-matter block opened at `start`, or -1 when the
+ * lines after it are not front matter (a `---` rule inside a message body).
+ * A block must set `files` and hold nothing but front-matter lines.
+ */
+function frontMatterEnd(lines, start) {
+  if (lines[start].trim() !== '---') return -1;
+  for (let idx = start + 1; idx < lines.length; idx++) {
+    if (lines[idx].trim() === '---') {
+      const meta = lines.slice(start + 1, idx);
+      return meta.some(l => /^files:/.test(l)) ? idx : -1;
+    }
+    if (!FRONT_MATTER_LINE.test(lines[idx])) return -1;
+  }
+  return -1;
+}
+
+function parseFrontMatterBatch(text) {
+  const lines = text.split('\n');
+  const entries = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    if (lines[i].trim() !== '---') {
+      i++;
+      continue;
+    }
+
+    // Front matter runs to the next fence; the message runs to the next
+    // front-matter block, so `---` lines inside a message stay in it
+    const fmEnd = lines.findIndex((l, idx) => idx > i && l.trim() === '---');
+    if (fmEnd === -1) {
+      throw new Error('Unterminated front-matter block in commit batch');
+    }
+    let msgEnd = lines.findIndex((l, idx) => idx > fmEnd && frontMatterEnd(lines, idx) !== -1);
+    if (msgEnd === -1) msgEnd = lines.length;
+
+    const meta = parseFrontMatter(lines.slice(i + 1, fmEnd));
+    entries.push(normalizeEntry({
+      message: lines.slice(fmEnd + 1, msgEnd).join('\n'),
+      files: meta.files
+    }, entries.length));
+
+    i = msgEnd;
+  }
+
+  if (entries.length === 0) {
+    throw new Error('Commit batch contains no entries');
+  }
+  return entries;
+}
+
+/**
+ * Parse a commit message file
+ * @param {string} text - Raw message file content
+ * @returns {Array<{message: string, files: string[]}>|null} Entries, or null for a plain message
+ * @throws {Error} If the content looks structured but cannot be parsed
+ */
+function parseCommitBatch(text) {
+  const trimmed = String(text || '').replace(/\r\n/g, '\n').trim();
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    return parseJsonBatch(trimmed);
+  }
+  if (trimmed.startsWith('---')) {
+    return parseFrontMatterBatch(trimmed);
+  }
+  return null;
+}
+
+/**
+ * Distribute changed files across batch entries (first matching entry wins)
+ * @returns {{groups: Array<{message: string, files: string[]}>, leftover: string[]}}
+ */
+function assignFilesToCommits(entries, changedFiles) {
+  const groups = entries.map(entry => ({ message: entry.message, patterns: entry.files, files: [] }));
+  const leftover = [];
+
+  for (const file of changedFiles) {
+    const group = groups.find(g => g.patterns.length > 0 && matchesAny(file, g.patterns));
+    if (group) group.files.push(file);
+    else leftover.push(file);
+  }
+
+  return {
+    groups: groups.map(({ message, files }) => ({ message, files })),
+    leftover
+  };
+}
+
+module.exports = {
+  DEFAULT_BATCH_CONFIG,
+  loadBatchConfig,
+  parseCommitBatch,
+  assignFilesToCommits
+};
@@ -0,0 +1,162 @@
+/**
+ * Pre-commit Quality Gates
+ *
+ * Runs the named checks configured under `commitGates` in
+ * local_deploy/project-settings.json before the worker commits:
+ *
+ *   "commitGates": {
+ *     "enabled": true,
+ *     "checks": [
+ *       { "name": "lint", "command": "npx eslint {files}", "include": ["**\/*.js"], "mode": "block" },
+ *       { "name": "format", "fixCommand": "npx prettier --write {files}", "mode": "fix" },
+ *       { "name": "tests", "command": "npx jest --findRelatedTests {files}", "mode": "warn" }
+ *     ]
+ *   }
+ *
+ * Modes:
+ *   block - a failing check holds the commit back
+ *   warn  - a failing check is reported but the commit proceeds
+ *   fix   - run fixCommand, re-stage the files, then verify with command (if any)
+ *
+ * `{files}` expands to the staged files matching `include` (all staged files
+ * when omitted). Checks with scope "staged" (default) are skipped when no
+ * staged file matches; scope "all" always runs.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { exec } = require('child_process');
+const { matchesAny } = require('./path-patterns.cjs');
+const { localDeployDir, sessionLocksDir } = require('./repo-paths.cjs');
+
+const GATE_MODES = ['block', 'warn', 'fix'];
+const DEFAULT_TIMEOUT_MS = 5 * 60 * 1000;
+const MAX_OUTPUT_LINES = 40;
+
+/**
+ * Normalize the commitGates section of the project settings into a check list
+ */
+function loadGateConfig(settings = {}) {
+  const config = settings.commitGates || {};
+  if (config.enabled === false || !Array.isArray(config.checks)) {
+    return [];
+  }
+
+  return config.checks
+    .filter(check => check && check.name && (check.command || check.fixCommand))
+    .map(check => ({
+      name: check.name,
+      command: check.command || null,
+      fixCommand: check.fixCommand || null,
+      mode: GATE_MODES.includes(check.mode) ? check.mode : 'block',
+      scope: check.scope === 'all' ? 'all' : 'staged',
+      include: [].concat(check.include || []),
+      timeoutMs: Number(check.timeoutMs) || DEFAULT_TIMEOUT_MS
+    }));
+}
+
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+function expandCommand(command, files) {
+  return command.replace(/\{files\}/g, files.map(shellQuote).join(' '));
+}
+
+function lastLines(text, maxLines = MAX_OUTPUT_LINES) {
+  const lines = text.split('\n');
+  return lines.length > maxLines ? lines.slice(-maxLines).join('\n') : text;
+}
+
+function runShell(command, { cwd, env, timeoutMs }) {
+  return new Promise(resolve => {
+    exec(command, { cwd, env, timeout: timeoutMs, maxBuffer: 10 * 1024 * 1024 }, (err, stdout, stderr) => {
+      resolve({
+        ok: !err,
+        exitCode: err ? (typeof err.code === 'number' ? err.code : 1) : 0,
+        timedOut: Boolean(err && err.killed),
+        output: `${stdout || ''}${stderr || ''}`.trim()
+      });
+    });
+  });
+}
+
+/**
+ * Run every check in order and decide whether the commit may proceed
+ * @returns {Promise<{ok: boolean, blocked: string[], results: Object[]}>}
+ */
+async function runCommitGates(checks, { cwd = process.cwd(), stagedFiles = [], env = process.env } = {}) {
+  const results = [];
+
+  for (const check of checks) {
+    const files = check.include.length > 0
+      ? stagedFiles.filter(file => matchesAny(file, check.include))
+      : stagedFiles;
+
+    if (check.scope === 'staged' && files.length === 0) {
+      results.push({ name: check.name, mode: check.mode, status: 'skipped', files });
+      continue;
+    }
+
+    const started = Date.now();
+    const shellOpts = { cwd, env, timeoutMs: check.timeoutMs };
+    let outcome;
+    let status;
+
+    if (check.mode === 'fix' && check.fixCommand) {
+      const fix = await runShell(expandCommand(check.fixCommand, files), shellOpts);
+      // Re-stage whatever the fixer rewrote so the commit picks it up
+      if (files.length > 0) {
+        await runShell(`git add -- ${files.map(shellQuote).join(' ')}`, shellOpts);
+      }
+      outcome = check.command && fix.ok
+        ? await runShell(expandCommand(check.command, files), shellOpts)
+        : fix;
+      status = outcome.ok ? 'fixed' : 'failed';
+    } else {
+      outcome = await runShell(expandCommand(check.command, files), shellOpts);
+      if (outcome.ok) status = 'passed';
+      else status = check.mode === 'warn' ? 'warned' : 'failed';
+    }
+
+    results.push({
+      name: check.name,
+      mode: check.mode,
+      status,
+      exitCode: outcome.exitCode,
+      timedOut: outcome.timedOut,
+      files,
+      durationMs: Date.now() - started,
+      output: lastLines(outcome.output)
+    });
+  }
+
+  const blocked = results.filter(r => r.status === 'failed').map(r => r.name);
+  return { ok: blocked.length === 0, blocked, results };
+}
+
+/**
+ * Where the gate report lives: next to the session lock when in a session
+ */
+function gateReportPath(repoRoot, sessionId) {
+  return sessionId
+    ? path.join(sessionLocksDir(repoRoot), `${sessionId}.gates.json`)
+    : path.join(localDeployDir(repoRoot), 'commit-gates.json');
+}
+
+function writeGateReport(reportPath, report) {
+  fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+  fs.writeFileSync(reportPath, JSON.stringify({
+    checkedAt: new Date().toISOString(),
+    ...report
+  }, null, 2));
+  return reportPath;
+}
+
+module.exports = {
+  GATE_MODES,
+  loadGateConfig,
+  runCommitGates,
+  gateReportPath,
+  writeGateReport
+};
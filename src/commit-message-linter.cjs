@@ -0,0 +1,235 @@
+/**
+ * Commit Message Linter
+ *
+ * Validates the message an agent writes to its commit message file. The base
+ * rules (AC_MSG_MIN_BYTES and AC_MSG_PATTERN) always apply; the stricter rules
+ * are enabled per project under `commitLint` in local_deploy/project-settings.json:
+ *
+ *   "commitLint": {
+ *     "enabled": true,
+ *     "types": ["feat", "fix", "refactor", "docs", "test", "chore", "style"],
+ *     "maxHeaderLength": 72,
+ *     "scopes": "touched",            // or a fixed list, or null to allow any scope
+ *     "requireScope": false,
+ *     "requireBodyFor": ["feat", "fix"],
+ *     "ticketPattern": "[A-Z][A-Z0-9]+-\\d+",
+ *     "requireTicket": false,
+ *     "requireBreakingFooter": true
+ *   }
+ *
+ * Rejections are written to a sibling `<message file>.errors` so the coding
+ * agent can fix its own message without anyone reading the worker console.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_LINT_CONFIG = {
+  types: ['feat', 'fix', 'refactor', 'docs', 'test', 'chore', 'style'],
+  maxHeaderLength: 72,
+  scopes: 'touched',
+  requireScope: false,
+  requireBodyFor: ['feat', 'fix'],
+  ticketPattern: null,
+  requireTicket: false,
+  requireBreakingFooter: true
+};
+
+// Base rules, overridable with AC_MSG_PATTERN and AC_MSG_MIN_BYTES; the
+// pattern accepts exactly the default types
+const DEFAULT_MSG_PATTERN = `^(${DEFAULT_LINT_CONFIG.types.join('|')})(\\([^)]+\\))?:\\s`;
+const DEFAULT_MSG_MIN_BYTES = 20;
+
+const HEADER_RE = /^(\w+)(?:\(([^)]*)\))?(!)?: (.*)$/;
+const FOOTER_RE = /^(BREAKING[ -]CHANGE|[A-Za-z][\w-]*): |^[A-Za-z][\w-]* #/;
+
+/**
+ * Base lint options (pattern and minimum size) from the AC_MSG_* environment
+ */
+function baseLintOptions(env = process.env) {
+  return {
+    pattern: new RegExp(env.AC_MSG_PATTERN || DEFAULT_MSG_PATTERN, 'm'),
+    minBytes: Number(env.AC_MSG_MIN_BYTES || DEFAULT_MSG_MIN_BYTES)
+  };
+}
+
+/**
+ * Merge the commitLint settings with defaults (null when not enabled)
+ */
+function loadLintConfig(settings = {}) {
+  const config = settings.commitLint;
+  if (!config || !config.enabled) {
+    return null;
+  }
+  return { ...DEFAULT_LINT_CONFIG, ...config };
+}
+
+/**
+ * Split a message into header, body and footer lines
+ */
+function parseMessage(msg) {
+  const lines = String(msg || '').replace(/\r\n/g, '\n').trim().split('\n');
+  const header = lines[0] || '';
+  const rest = lines.slice(1);
+
+  // Footers are the trailing paragraph when every line in it looks like a footer
+  let footerStart = rest.length;
+  for (let i = rest.length - 1; i >= 0; i--) {
+    if (rest[i].trim() === '') break;
+    if (!FOOTER_RE.test(rest[i])) {
+      footerStart = rest.length;
+      break;
+    }
+    footerStart = i;
+  }
+
+  const body = rest.slice(0, footerStart).join('\n').trim();
+  const footers = rest.slice(footerStart).filter(line => line.trim());
+  const match = header.match(HEADER_RE);
+
+  return {
+    header,
+    type: match ? match[1] : null,
+    scope: match && match[2] !== undefined ? match[2] : null,
+    breaking: Boolean(match && match[3]),
+    subject: match ? match[4] : '',
+    body,
+    footers
+  };
+}
+
+/**
+ * Derive the allowed scopes from the directories an agent actually touched
+ * e.g. src/api/users.js -> "src", "api"
+ */
+function scopesFromFiles(files = []) {
+  const scopes = new Set();
+  for (const file of files) {
+    const dirs = file.replace(/\\/g, '/').split('/').slice(0, -1);
+    dirs.filter(Boolean).forEach(dir => scopes.add(dir));
+  }
+  return scopes;
+}
+
+/**
+ * Lint a commit message
+ * @param {string} msg - Message as written by the agent
+ * @param {Object} options
+ * @param {RegExp} options.pattern - Base header pattern (AC_MSG_PATTERN)
+ * @param {number} options.minBytes - Minimum size (AC_MSG_MIN_BYTES)
+ * @param {Object|null} options.config - Result of loadLintConfig
+ * @param {string[]} [options.touchedFiles] - Staged files; scope check is skipped without them
+ * @returns {{ok: boolean, errors: string[]}}
+ */
+function lintCommitMessage(msg, { pattern, minBytes = 0, config = null, touchedFiles } = {}) {
+  const errors = [];
+  const text = String(msg || '').trim();
+
+  if (text.length < minBytes) {
+    errors.push(`Message is too short (${text.length} bytes, minimum ${minBytes}).`);
+  }
+  if (pattern && !pattern.test(text)) {
+    errors.push(`Header does not match the required pattern ${pattern}.`);
+  }
+  if (!config) {
+    return { ok: errors.length === 0, errors };
+  }
+
+  const parsed = parseMessage(text);
+
+  if (!parsed.type) {
+    errors.push('Header must look like "type(scope): subject".');
+    return { ok: false, errors };
+  }
+
+  if (!config.types.includes(parsed.type)) {
+    errors.push(`Type "${parsed.type}" is not allowed. Use one of: ${config.types.join(', ')}.`);
+  }
+
+  if (config.maxHeaderLength && parsed.header.length > config.maxHeaderLength) {
+    errors.push(`Header is ${parsed.header.length} characters long (maximum ${config.maxHeaderLength}).`);
+  }
+
+  if (!parsed.subject.trim()) {
+    errors.push('Header is missing a subject after the colon.');
+  }
+
+  if (parsed.scope === null || parsed.scope === '') {
+    if (config.requireScope) {
+      errors.push('A scope is required, e.g. "feat(api): ...".');
+    }
+  } else {
+    let allowed = null;
+    if (Array.isArray(config.scopes)) {
+      allowed = new Set(config.scopes);
+    } else if (config.scopes === 'touched' && touchedFiles && touchedFiles.length > 0) {
+      allowed = scopesFromFiles(touchedFiles);
+    }
+
+    if (allowed && allowed.size > 0) {
+      const unknown = parsed.scope.split(/[,/]/).map(s => s.trim()).filter(s => s && !allowed.has(s));
+      if (unknown.length > 0) {
+        errors.push(`Scope "${unknown.join(', ')}" is not allowed. Use one of: ${[...allowed].sort().join(', ')}.`);
+      }
+    }
+  }
+
+  if ((config.requireBodyFor || []).includes(parsed.type) && !parsed.body) {
+    errors.push(`A "${parsed.type}" commit needs a body explaining why, separated from the header by a blank line.`);
+  }
+
+  if (config.ticketPattern && config.requireTicket) {
+    const ticketRe = new RegExp(config.ticketPattern);
+    if (!ticketRe.test(text)) {
+      errors.push(`Message must reference a ticket matching /${config.ticketPattern}/ (e.g. ABC-123).`);
+    }
+  }
+
+  const breakingFooter = parsed.footers.find(f => /^BREAKING[ -]CHANGE: /.test(f));
+  if (breakingFooter && !breakingFooter.replace(/^BREAKING[ -]CHANGE: /, '').trim()) {
+    errors.push('The BREAKING CHANGE footer must describe what breaks.');
+  }
+  if (config.requireBreakingFooter && parsed.breaking && !breakingFooter) {
+    errors.push('Header is marked breaking with "!" but there is no "BREAKING CHANGE: <description>" footer.');
+  }
+
+  return { ok: errors.length === 0, errors };
+}
+
+/**
+ * Path of the errors file kept next to a commit message file
+ */
+function lintErrorsPath(msgPath) {
+  return `${msgPath}.errors`;
+}
+
+function writeLintErrors(msgPath, errors) {
+  const lines = [
+    `# Commit message rejected by the DevOps agent (${new Date().toISOString()})`,
+    `# Fix the problems below and rewrite ${path.basename(msgPath)}.`,
+    '',
+    ...errors.map(e => `- ${e}`),
+    ''
+  ];
+  fs.writeFileSync(lintErrorsPath(msgPath), lines.join('\n'));
+}
+
+function clearLintErrors(msgPath) {
+  try {
+    fs.unlinkSync(lintErrorsPath(msgPath));
+  } catch {
+    // Nothing to clear
+  }
+}
+
+module.exports = {
+  DEFAULT_LINT_CONFIG,
+  baseLintOptions,
+  loadLintConfig,
+  parseMessage,
+  scopesFromFiles,
+  lintCommitMessage,
+  lintErrorsPath,
+  writeLintErrors,
+  clearLintErrors
+};
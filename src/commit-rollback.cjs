@@ -0,0 +1,270 @@
+/**
+ * Agent Commit Rollback
+ *
+ * Undoes the last N commits the worker made for a session (found through
+ * the Session-Id trailer; outside a session, any commit with a
+ * Worker-Version trailer). Commits that already reached the remote are
+ * reverted so shared history is never rewritten; commits that are still
+ * local only, and sit directly on top of HEAD, are reset away with
+ * `git reset --keep` (uncommitted work survives).
+ *
+ * The newest undone message is saved next to the commit message file as
+ * `<message file>.undone` (without the worker's trailers), and the message
+ * file itself is emptied, so the worker waits for a fresh message instead
+ * of committing whatever changes next under the undone one. Every rollback
+ * is appended to local_deploy/undo-audit.jsonl.
+ *
+ * Usage:
+ *   s9n-devops-agent undo [count] [--session <id>] [--dry-run]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { stripTrailers } = require('./commit-trailers.cjs');
+const { findMainRepoRoot, localDeployDir } = require('./repo-paths.cjs');
+
+const FIELD_SEP = '\x1f';
+const RECORD_SEP = '\x1e';
+// How far back to look for the session's commits
+const SEARCH_DEPTH = 500;
+
+function git(args, cwd) {
+  return execFileSync('git', args, { cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] }).trim();
+}
+
+function tryGit(args, cwd) {
+  try {
+    return { ok: true, stdout: git(args, cwd) };
+  } catch (err) {
+    return { ok: false, stdout: '', output: (err.stderr || err.message || '').toString().trim() };
+  }
+}
+
+/**
+ * Recent commits on HEAD, newest first, with their session trailers and
+ * the commits they revert
+ */
+function recentCommits(cwd, depth = SEARCH_DEPTH) {
+  const format = ['%H', '%P', '%s', '%(trailers:key=Session-Id,valueonly,separator=%x2c)', '%(trailers:key=Worker-Version,valueonly)', '%b']
+    .join('%x1f') + '%x1e';
+  const out = tryGit(['log', `-n${depth}`, `--format=${format}`, 'HEAD'], cwd).stdout;
+
+  return out.split(RECORD_SEP)
+    .map(record => record.replace(/^\n/, ''))
+    .filter(record => record.trim())
+    .map(record => {
+      const [hash, parents, subject, sessionId, workerVersion, body = ''] = record.split(FIELD_SEP);
+      return {
+        hash,
+        parents: parents.split(' ').filter(Boolean),
+        subject,
+        sessionId: sessionId.trim() || null,
+        workerVersion: workerVersion.trim() || null,
+        reverts: [...body.matchAll(/This reverts commit ([0-9a-f]{40})/g)].map(m => m[1])
+      };
+    });
+}
+
+/**
+ * The last `count` worker commits of a session that are still in effect,
+ * newest first
+ * @returns {{commits: Object[], contiguous: boolean}}
+ */
+function findAgentCommits({ cwd = process.cwd(), sessionId = null, count = 1 } = {}) {
+  const history = recentCommits(cwd);
+
+  // Commits an earlier undo already reverted are gone; a revert that was
+  // itself reverted brings its commits back
+  const reverted = new Set();
+  for (const commit of history) {
+    if (!reverted.has(commit.hash)) commit.reverts.forEach(hash => reverted.add(hash));
+  }
+
+  const isOurs = commit => commit.parents.length === 1 && !reverted.has(commit.hash) &&
+    (sessionId ? commit.sessionId === sessionId : Boolean(commit.workerVersion));
+
+  const commits = history.filter(isOurs).slice(0, count);
+  // Reset is only safe when nothing else sits between HEAD and our commits
+  const contiguous = commits.every((commit, i) => history[i] && history[i].hash === commit.hash);
+  return { commits, contiguous };
+}
+
+/**
+ * Remote-tracking ref the branch pushes to, if any
+ */
+function upstreamRef(cwd) {
+  const upstream = tryGit(['rev-parse', '--abbrev-ref', '--symbolic-full-name', '@{u}'], cwd);
+  if (upstream.ok && upstream.stdout) return upstream.stdout;
+
+  const branch = tryGit(['rev-parse', '--abbrev-ref', 'HEAD'], cwd).stdout;
+  const remote = tryGit(['remote'], cwd).stdout.split('\n').filter(Boolean);
+  const name = remote.includes('origin') ? 'origin' : remote[0];
+  if (!name || !branch) return null;
+  const ref = `${name}/${branch}`;
+  return tryGit(['rev-parse', '--verify', '--quiet', `refs/remotes/${ref}`], cwd).ok ? ref : null;
+}
+
+function isPushed(cwd, hash, upstream) {
+  return Boolean(upstream) && tryGit(['merge-base', '--is-ancestor', hash, upstream], cwd).ok;
+}
+
+/**
+ * Decide between revert and reset
+ * @returns {{mode: 'revert'|'reset', pushed: string[], upstream: string|null}}
+ */
+function planRollback({ cwd = process.cwd(), commits, contiguous }) {
+  const upstream = upstreamRef(cwd);
+  const pushed = commits.filter(c => isPushed(cwd, c.hash, upstream)).map(c => c.hash);
+  const mode = pushed.length === 0 && contiguous ? 'reset' : 'revert';
+  return { mode, pushed, upstream };
+}
+
+function auditLogPath(repoRoot) {
+  return path.join(localDeployDir(repoRoot), 'undo-audit.jsonl');
+}
+
+function appendAuditEntry(repoRoot, entry) {
+  const logPath = auditLogPath(repoRoot);
+  fs.mkdirSync(path.dirname(logPath), { recursive: true });
+  fs.appendFileSync(logPath, `${JSON.stringify(entry)}\n`);
+  return logPath;
+}
+
+/**
+ * Where the undone commit's message is saved
+ */
+function undoneMessagePath(msgPath) {
+  return `${msgPath}.undone`;
+}
+
+/**
+ * Undo the last `count` agent commits
+ * @param {Object} options
+ * @param {string} [options.cwd] - Working tree of the session
+ * @param {string|null} [options.sessionId] - Session whose commits to undo
+ * @param {number} [options.count] - Number of commits
+ * @param {string|null} [options.msgPath] - Commit message file (emptied; the message goes to <msgPath>.undone)
+ * @param {string} [options.source] - "worker" or "cli", recorded in the audit log
+ * @param {boolean} [options.dryRun] - Plan only
+ * @returns {{ok: boolean, mode?: string, commits?: Object[], created?: string[], restoredMessageFile?: string|null, error?: string}}
+ */
+function rollbackCommits({
+  cwd = process.cwd(),
+  sessionId = null,
+  count = 1,
+  msgPath = null,
+  source = 'cli',
+  dryRun = false
+} = {}) {
+  const { commits, contiguous } = findAgentCommits({ cwd, sessionId, count });
+  if (commits.length === 0) {
+    return { ok: false, error: `No agent commits found${sessionId ? ` for session ${sessionId}` : ''} on this branch` };
+  }
+  if (commits.length < count) {
+    return { ok: false, error: `Only ${commits.length} agent commit(s) found; nothing was undone` };
+  }
+
+  const { mode, pushed } = planRollback({ cwd, commits, contiguous });
+  if (dryRun) return { ok: true, dryRun: true, mode, commits, pushed };
+
+  const before = git(['rev-parse', 'HEAD'], cwd);
+
+  if (mode === 'reset') {
+    const oldest = commits[commits.length - 1];
+    const reset = tryGit(['reset', '--keep', `${oldest.hash}^`], cwd);
+    if (!reset.ok) return { ok: false, mode, error: `git reset failed: ${reset.output}` };
+  } else {
+    const revert = tryGit(['revert', '--no-edit', ...commits.map(c => c.hash)], cwd);
+    if (!revert.ok) {
+      tryGit(['revert', '--abort'], cwd);
+      return { ok: false, mode, error: `git revert failed (working tree left unchanged): ${revert.output}` };
+    }
+  }
+
+  const created = mode === 'revert'
+    ? git(['rev-list', `${before}..HEAD`], cwd).split('\n').filter(Boolean)
+    : [];
+
+  // Give the agent its message back to reuse once the work is redone, but
+  // never leave it where the next tick would commit under it
+  const undoneMsgPath = msgPath ? undoneMessagePath(msgPath) : null;
+  if (msgPath) {
+    const message = stripTrailers(git(['log', '-1', '--format=%B', commits[0].hash], cwd));
+    fs.writeFileSync(undoneMsgPath, `${message}\n`);
+    if (fs.existsSync(msgPath)) fs.writeFileSync(msgPath, '');
+  }
+
+  const branch = tryGit(['rev-parse', '--abbrev-ref', 'HEAD'], cwd).stdout;
+  appendAuditEntry(findMainRepoRoot(cwd), {
+    at: new Date().toISOString(),
+    action: 'undo',
+    source,
+    by: process.env.USER || process.env.USERNAME || 'unknown',
+    sessionId,
+    branch,
+    mode,
+    commits: commits.map(c => ({ hash: c.hash, subject: c.subject, pushed: pushed.includes(c.hash) })),
+    revertCommits: created,
+    previousHead: before,
+    restoredMessageFile: undoneMsgPath ? path.relative(cwd, undoneMsgPath) : null
+  });
+
+  return { ok: true, mode, commits, pushed, created, restoredMessageFile: undoneMsgPath };
+}
+
+/**
+ * Session id and message file for the current directory, as the coordinator set them up
+ */
+function detectSession(cwd) {
+  try {
+    const session = JSON.parse(fs.readFileSync(path.join(cwd, '.devops-session.json'), 'utf8'));
+    return { sessionId: session.sessionId, msgPath: path.join(cwd, `.devops-commit-${session.sessionId}.msg`) };
+  } catch {
+    const sessionId = process.env.DEVOPS_SESSION_ID || null;
+    const msgFile = process.env.AC_MSG_FILE || (sessionId ? `.devops-commit-${sessionId}.msg` : '.claude-commit-msg');
+    return { sessionId, msgPath: path.resolve(cwd, msgFile) };
+  }
+}
+
+function main(argv = process.argv.slice(2)) {
+  const cwd = process.cwd();
+  const detected = detectSession(cwd);
+  const options = { count: 1, sessionId: detected.sessionId, dryRun: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--session') options.sessionId = argv[++i];
+    else if (argv[i] === '--dry-run') options.dryRun = true;
+    else if (/^\d+$/.test(argv[i])) options.count = Number(argv[i]);
+  }
+
+  const result = rollbackCommits({ cwd, ...options, msgPath: detected.msgPath, source: 'cli' });
+  if (!result.ok) {
+    console.error(`✗ ${result.error}`);
+    return 1;
+  }
+
+  const verb = result.dryRun ? 'Would' : 'Did';
+  console.log(`${verb} ${result.mode} ${result.commits.length} commit(s):`);
+  result.commits.forEach(c => console.log(`  ${c.hash.slice(0, 8)} ${c.subject}${result.pushed.includes(c.hash) ? ' (pushed)' : ''}`));
+  if (result.restoredMessageFile) {
+    console.log(`Message saved to ${path.relative(cwd, result.restoredMessageFile)}; copy it back to the message file once the work is redone.`);
+  }
+  if (!result.dryRun && result.mode === 'revert') {
+    console.log('Revert commits were created locally; push them (or let the worker push) to publish the undo.');
+  }
+  return 0;
+}
+
+module.exports = {
+  findAgentCommits,
+  planRollback,
+  rollbackCommits,
+  undoneMessagePath,
+  auditLogPath,
+  appendAuditEntry
+};
+
+if (require.main === module) {
+  process.exitCode = main();
+}
@@ -0,0 +1,115 @@
+/**
+ * Commit Trailer Helpers
+ *
+ * Adds git trailers ("Key: value" lines in the final paragraph of a commit
+ * message) without disturbing the message the agent wrote. Trailers join an
+ * existing footer paragraph (e.g. "BREAKING CHANGE: ...") instead of starting
+ * a second one, so `git interpret-trailers` still sees them all.
+ *
+ * The worker stamps every commit with the session trailers below, which
+ * `s9n-devops-agent log` reads back to filter history:
+ *
+ *   Session-Id: abc1-def2
+ *   Agent: claude
+ *   Task: api-export
+ *   Worker-Version: 2.0.10
+ *   Declared-Files: src/api/export.js, src/routes.js
+ */
+
+const { parseMessage } = require('./commit-message-linter.cjs');
+
+const SESSION_TRAILERS = {
+  sessionId: 'Session-Id',
+  agent: 'Agent',
+  task: 'Task',
+  workerVersion: 'Worker-Version',
+  declaredFiles: 'Declared-Files'
+};
+
+// Keep the trailer to one readable line even for large declarations
+const MAX_DECLARED_FILES = 20;
+
+function formatTrailer(trailer) {
+  return typeof trailer === 'string' ? trailer.trim() : `${trailer.key}: ${trailer.value}`;
+}
+
+/**
+ * Append trailers to a commit message, skipping any already present
+ * @param {string} message - Commit message
+ * @param {Array<string|{key: string, value: string}>} trailers - Trailers to add
+ * @returns {string} Message with trailers
+ */
+function appendTrailers(message, trailers = []) {
+  const text = String(message || '').replace(/\r\n/g, '\n').trim();
+  const existing = new Set(parseMessage(text).footers.map(line => line.trim().toLowerCase()));
+
+  const lines = trailers
+    .filter(t => t && (typeof t === 'string' || (t.key && t.value)))
+    .map(formatTrailer)
+    .filter(line => !existing.has(line.toLowerCase()));
+
+  if (lines.length === 0) return text;
+
+  // Join the existing footer paragraph when there is one
+  const separator = existing.size > 0 ? '\n' : '\n\n';
+  return `${text}${separator}${[...new Set(lines)].join('\n')}`;
+}
+
+/**
+ * Build the session trailers for a commit (empty values are left out)
+ * @param {Object} info - { sessionId, agent, task, workerVersion, declaredFiles }
+ * @returns {Array<{key: string, value: string}>}
+ */
+function sessionTrailers(info = {}) {
+  const values = { ...info };
+  const files = values.declaredFiles || [];
+  values.declaredFiles = files.length > MAX_DECLARED_FILES
+    ? `${files.slice(0, MAX_DECLARED_FILES).join(', ')} (+${files.length - MAX_DECLARED_FILES} more)`
+    : files.join(', ');
+
+  return Object.entries(SESSION_TRAILERS)
+    .filter(([field]) => values[field])
+    .map(([field, key]) => ({ key, value: String(values[field]).replace(/\s*\n\s*/g, ' ') }));
+}
+
+/**
+ * Parse "Key: value" trailer lines into an object keyed by trailer name
+ * Repeated keys (e.g. several Co-authored-by) keep every value.
+ * @param {string} text - Trailer block, e.g. from `git log --format=%(trailers:unfold)`
+ * @returns {Object<string, string[]>}
+ */
+function parseTrailers(text) {
+  const trailers = {};
+  for (const line of String(text || '').split('\n')) {
+    const match = line.match(/^([A-Za-z][\w-]*):\s*(.*)$/);
+    if (!match) continue;
+    (trailers[match[1]] = trailers[match[1]] || []).push(match[2].trim());
+  }
+  return trailers;
+}
+
+/**
+ * Remove trailers the worker adds (or the given keys) from a message,
+ * giving back what the agent originally wrote
+ */
+function stripTrailers(message, keys = [...Object.values(SESSION_TRAILERS), 'Co-authored-by']) {
+  const text = String(message || '').replace(/\r\n/g, '\n').trim();
+  const { footers } = parseMessage(text);
+  if (footers.length === 0) return text;
+
+  const drop = new Set(keys.map(key => key.toLowerCase()));
+  const lines = text.split('\n');
+  const footerStart = lines.length - footers.length;
+  const kept = footers.filter(line => !drop.has(line.split(':')[0].trim().toLowerCase()));
+
+  return [...lines.slice(0, footerStart), ...kept].join('\n').trim();
+}
+
+module.exports = {
+  SESSION_TRAILERS,
+  formatTrailer,
+  appendTrailers,
+  sessionTrailers,
+  parseTrailers,
+  stripTrailers
+};
@@ -0,0 +1,329 @@
+/**
+ * Local Control API
+ *
+ * An optional HTTP/JSON server so editor extensions and scripts can drive
+ * sessions without a TTY. It only listens on 127.0.0.1 or a unix socket, and
+ * every request must carry the token from local_deploy/control-api.json:
+ *
+ *   Authorization: Bearer <token>
+ *
+ *   GET    /v1/sessions                        list sessions
+ *   POST   /v1/sessions                        create { task, agent?, ticket?, mergeConfig?, base?, start? }
+ *   DELETE /v1/sessions/:id                    close  { commit?, merge?, target?, removeWorktree? }
+ *   GET    /v1/sessions/:id/status             worker status
+ *   POST   /v1/sessions/:id/commands/:command  run a worker command (commit-now, push, ...), body = args
+ *   POST   /v1/sessions/:id/declarations       declare { files, reason?, estimatedDuration? }
+ *   DELETE /v1/sessions/:id/declarations       release { files? }
+ *   GET    /v1/declarations                    active file declarations
+ *   GET    /v1/conflicts                       conflict reports
+ *   GET    /v1/conflicts/:name                 one conflict report (markdown)
+ *
+ * Sessions are managed by the SessionCoordinator, worker commands go through
+ * the agent command protocol and declarations through the FileCoordinator.
+ * Errors are answered as { "error": { "code", "message" } }.
+ *
+ * Configured with "controlApi" in local_deploy/project-settings.json:
+ *   "controlApi": {
+ *     "port": 0,              // 0 picks a free port (published in control-api.json)
+ *     "socket": null,         // unix socket path instead of a port
+ *     "commandTimeout": 30    // seconds to wait for the worker to answer
+ *   }
+ *
+ * Usage:
+ *   s9n-devops-agent api [--port <n>] [--socket <path>]
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const crypto = require('crypto');
+const { localDeployDir } = require('./repo-paths.cjs');
+const { parseCommand, requestCommand, PROTOCOL_VERSION } = require('./command-protocol.cjs');
+const FileCoordinator = require('./file-coordinator.cjs');
+
+const DEFAULT_CONTROL_API_CONFIG = {
+  port: 0,
+  socket: null,
+  commandTimeout: 30
+};
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// HTTP status per error code (command protocol codes included)
+const ERROR_STATUS = {
+  'unauthorized': 401,
+  'not-found': 404,
+  'method-not-allowed': 405,
+  'conflict': 409,
+  'timeout': 504,
+  'invalid-json': 400,
+  'unsupported-protocol': 400,
+  'unknown-command': 400,
+  'invalid-args': 400,
+  'busy': 409,
+  'failed': 500
+};
+
+function loadControlApiConfig(settings = {}) {
+  return { ...DEFAULT_CONTROL_API_CONFIG, ...(settings.controlApi || {}) };
+}
+
+function controlApiInfoPath(repoRoot) {
+  return path.join(localDeployDir(repoRoot), 'control-api.json');
+}
+
+/**
+ * Address and token of the running server, or null if none is running
+ */
+function readControlApiInfo(repoRoot) {
+  try {
+    return JSON.parse(fs.readFileSync(controlApiInfoPath(repoRoot), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === 'EPERM';
+  }
+}
+
+function apiError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function tokenMatches(header, token) {
+  const match = /^Bearer (.+)$/.exec(header || '');
+  if (!match) return false;
+  const given = Buffer.from(match[1]);
+  const expected = Buffer.from(token);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(apiError('invalid-json', 'request body is too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8').trim();
+      if (!text) return resolve({});
+      try {
+        const body = JSON.parse(text);
+        if (!body || typeof body !== 'object' || Array.isArray(body)) throw new Error('body must be a JSON object');
+        resolve(body);
+      } catch (err) {
+        reject(apiError('invalid-json', err.message));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, status, data) {
+  const body = `${JSON.stringify(data, null, 2)}\n`;
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Content-Length': Buffer.byteLength(body) });
+  res.end(body);
+}
+
+/**
+ * Conflict reports written by the FileCoordinator, newest first
+ */
+function listConflictReports(repoRoot) {
+  const dir = new FileCoordinator('control-api', repoRoot, repoRoot).conflictsDir;
+  return fs.readdirSync(dir)
+    .filter(name => name.endsWith('.md'))
+    .map(name => {
+      const match = /^conflict-(.+)-(\d+)\.md$/.exec(name);
+      return {
+        name,
+        sessionId: match ? match[1] : null,
+        createdAt: match ? new Date(Number(match[2])).toISOString() : fs.statSync(path.join(dir, name)).mtime.toISOString()
+      };
+    })
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Build the request handler
+ * @param {Object} options
+ * @param {Object} options.coordinator - SessionCoordinator (getSessions, createSession, startAgent, closeSession)
+ * @param {string} options.repoRoot - Main repository root
+ * @param {string} options.token - Bearer token every request must present
+ * @param {number} [options.commandTimeout=30] - Seconds to wait for worker responses
+ * @returns {Function} (req, res) handler
+ */
+function createControlApi({ coordinator, repoRoot, token, commandTimeout = DEFAULT_CONTROL_API_CONFIG.commandTimeout }) {
+  const findSession = sessionId => {
+    const session = coordinator.getSessions().find(s => s.sessionId === sessionId);
+    if (!session) throw apiError('not-found', `session ${sessionId} not found`);
+    return session;
+  };
+
+  // Validate locally, then hand the command to the session's worker and wait for its answer
+  const runWorkerCommand = async (sessionId, command, args) => {
+    findSession(sessionId);
+    const parsed = parseCommand(JSON.stringify({ protocol: PROTOCOL_VERSION, command, args }), 'control-api');
+    if (!parsed.ok) throw apiError(parsed.error.code, parsed.error.message);
+
+    const { response, withdrawn } = await requestCommand({ repoRoot, sessionId, command, args, timeoutMs: commandTimeout * 1000 });
+    if (response) return response;
+    throw apiError('timeout', withdrawn
+      ? `the worker for ${sessionId} did not answer within ${commandTimeout}s (is it running?)`
+      : `${command} is still running in the worker for ${sessionId}`);
+  };
+
+  const commandResult = response => {
+    if (response.status === 'ok') return [200, response];
+    return [ERROR_STATUS[response.error.code] || 500, response];
+  };
+
+  const routes = [
+    ['GET', /^\/v1\/sessions$/, async () => [200, { sessions: coordinator.getSessions() }]],
+    ['POST', /^\/v1\/sessions$/, async (_, body) => {
+      if (typeof body.task !== 'string' || !body.task.trim()) throw apiError('invalid-args', 'missing "task" (string)');
+      const session = await coordinator.createSession({
+        task: body.task.trim(),
+        agent: body.agent || 'claude',
+        mergeConfig: body.mergeConfig,
+        baseSession: body.base,
+        ticket: typeof body.ticket === 'string' ? body.ticket : undefined,
+        interactive: false
+      });
+      const agent = body.start ? await coordinator.startAgent(session.sessionId, { detached: true }) : null;
+      return [201, { ...session, agent }];
+    }],
+    ['DELETE', /^\/v1\/sessions\/([\w-]+)$/, async ([sessionId], body) => {
+      findSession(sessionId);
+      const result = await coordinator.closeSession(sessionId, {
+        interactive: false,
+        commit: body.commit === true,
+        merge: body.merge === true,
+        target: typeof body.target === 'string' ? body.target : null,
+        removeWorktree: body.removeWorktree !== false
+      });
+      return [200, result];
+    }],
+    ['GET', /^\/v1\/sessions\/([\w-]+)\/status$/, async ([sessionId]) => commandResult(await runWorkerCommand(sessionId, 'status', {}))],
+    ['POST', /^\/v1\/sessions\/([\w-]+)\/commands\/([\w-]+)$/, async ([sessionId, command], body) =>
+      commandResult(await runWorkerCommand(sessionId, command, body))],
+    ['POST', /^\/v1\/sessions\/([\w-]+)\/declarations$/, async ([sessionId], body) => {
+      const session = findSession(sessionId);
+      if (!Array.isArray(body.files) || body.files.length === 0 || !body.files.every(f => typeof f === 'string')) {
+        throw apiError('invalid-args', 'missing "files" (string[])');
+      }
+      const result = new FileCoordinator(sessionId, repoRoot, repoRoot).declareFiles(body.files, {
+        agent: session.agentType,
+        reason: body.reason || null,
+        estimatedDuration: Number.isFinite(body.estimatedDuration) ? body.estimatedDuration : undefined
+      });
+      return [result.ok ? 200 : ERROR_STATUS.conflict, result];
+    }],
+    ['DELETE', /^\/v1\/sessions\/([\w-]+)\/declarations$/, async ([sessionId], body) => {
+      findSession(sessionId);
+      const files = Array.isArray(body.files) ? body.files : null;
+      return [200, new FileCoordinator(sessionId, repoRoot, repoRoot).releaseFiles(files)];
+    }],
+    ['GET', /^\/v1\/declarations$/, async () => {
+      const declarations = new FileCoordinator('control-api', repoRoot, repoRoot).getActiveDeclarations();
+      return [200, { declarations: Object.values(declarations) }];
+    }],
+    ['GET', /^\/v1\/conflicts$/, async () => [200, { conflicts: listConflictReports(repoRoot) }]],
+    ['GET', /^\/v1\/conflicts\/(conflict-[\w-]+\.md)$/, async ([name]) => {
+      const report = listConflictReports(repoRoot).find(r => r.name === name);
+      if (!report) throw apiError('not-found', `conflict report ${name} not found`);
+      const file = path.join(new FileCoordinator('control-api', repoRoot, repoRoot).conflictsDir, name);
+      return [200, { ...report, content: fs.readFileSync(file, 'utf8') }];
+    }]
+  ];
+
+  return async (req, res) => {
+    try {
+      if (!tokenMatches(req.headers.authorization, token)) {
+        throw apiError('unauthorized', 'missing or invalid bearer token');
+      }
+
+      const { pathname } = new URL(req.url, 'http://localhost');
+      const matching = routes.filter(([, pattern]) => pattern.test(pathname));
+      if (matching.length === 0) throw apiError('not-found', `no route for ${pathname}`);
+      const route = matching.find(([method]) => method === req.method);
+      if (!route) throw apiError('method-not-allowed', `${req.method} is not supported on ${pathname}`);
+
+      const body = await readBody(req);
+      const params = route[1].exec(pathname).slice(1);
+      const [status, data] = await route[2](params, body);
+      sendJson(res, status, data);
+    } catch (err) {
+      const code = ERROR_STATUS[err.code] ? err.code : 'failed';
+      sendJson(res, ERROR_STATUS[code], { error: { code, message: err.message } });
+    }
+  };
+}
+
+/**
+ * Start the server and publish its address and token in local_deploy/control-api.json
+ * @param {Object} options - createControlApi options plus port / socket
+ * @returns {Promise<{server: http.Server, info: Object, close: Function}>}
+ */
+function startControlApi({ coordinator, repoRoot, port = 0, socket = null, token = null, commandTimeout }) {
+  const apiToken = token || crypto.randomBytes(24).toString('hex');
+  const server = http.createServer(createControlApi({ coordinator, repoRoot, token: apiToken, commandTimeout }));
+  const infoPath = controlApiInfoPath(repoRoot);
+  const running = readControlApiInfo(repoRoot);
+  if (running && running.pid !== process.pid && isRunning(running.pid)) {
+    return Promise.reject(new Error(`the control API is already running (PID ${running.pid}) at ${running.url || running.socket}`));
+  }
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    const onListening = () => {
+      server.off('error', reject);
+      if (socket) fs.chmodSync(socket, 0o600);
+      const info = {
+        ...(socket ? { socket } : { url: `http://127.0.0.1:${server.address().port}` }),
+        token: apiToken,
+        pid: process.pid,
+        startedAt: new Date().toISOString()
+      };
+      fs.mkdirSync(path.dirname(infoPath), { recursive: true });
+      fs.writeFileSync(infoPath, `${JSON.stringify(info, null, 2)}\n`, { mode: 0o600 });
+
+      const close = () => new Promise(done => {
+        fs.rmSync(infoPath, { force: true });
+        server.close(() => done());
+      });
+      resolve({ server, info, close });
+    };
+
+    if (socket) {
+      // A socket left behind by a crashed server would make listen fail
+      if (running && running.socket === socket) fs.rmSync(socket, { force: true });
+      server.listen(socket, onListening);
+    } else {
+      server.listen(port, '127.0.0.1', onListening);
+    }
+  });
+}
+
+module.exports = {
+  loadControlApiConfig,
+  controlApiInfoPath,
+  readControlApiInfo,
+  createControlApi,
+  startControlApi,
+  listConflictReports
+};
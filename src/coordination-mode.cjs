@@ -0,0 +1,105 @@
+/**
+ * File Coordination Modes
+ *
+ * Decides what the worker does at commit time with staged files that break
+ * the file coordination protocol, configured under `fileCoordination` in
+ * local_deploy/project-settings.json (AC_COORDINATION_MODE overrides it):
+ *
+ *   "fileCoordination": { "mode": "enforce" }
+ *
+ * Modes:
+ *   advisory - conflicts are only reported (conflict reports, monitor alerts)
+ *   warn     - the commit proceeds, but every offending file is logged and
+ *              listed in the coordination report
+ *   enforce  - files declared by another session are never staged, and files
+ *              this session has not declared are held back from the commit
+ *
+ * The coordination report (local_deploy/session-locks/<session>.coordination.json)
+ * tells the coding agent which files were held back and why.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { matchesAny } = require('./path-patterns.cjs');
+const { localDeployDir, sessionLocksDir } = require('./repo-paths.cjs');
+
+const COORDINATION_MODES = ['advisory', 'warn', 'enforce'];
+
+const DEFAULT_COORDINATION_CONFIG = {
+  mode: 'advisory'
+};
+
+/**
+ * Merge the fileCoordination section of the project settings over the defaults
+ */
+function loadCoordinationConfig(settings = {}, env = process.env) {
+  const config = { ...DEFAULT_COORDINATION_CONFIG, ...(settings.fileCoordination || {}) };
+  const mode = env.AC_COORDINATION_MODE || config.mode;
+  return { ...config, mode: COORDINATION_MODES.includes(mode) ? mode : DEFAULT_COORDINATION_CONFIG.mode };
+}
+
+/**
+ * Sort staged files into those another session has declared and those this
+ * session has not declared
+ * @param {FileCoordinator} coordinator - Coordinator for this session
+ * @param {string[]} files - Staged paths, relative to the repository root
+ * @param {string[]} ourDeclared - Paths, directories or globs this session declared
+ * @returns {{declaredElsewhere: Object[], undeclared: string[]}}
+ */
+function classifyStagedFiles(coordinator, files, ourDeclared) {
+  const conflicts = coordinator.checkFilesForConflicts(files);
+  const declaredElsewhere = conflicts.map(c => ({
+    file: c.file,
+    reason: 'declared-by-other-session',
+    holder: { agent: c.conflictsWith, session: c.session, declared: c.declared, declaredAt: c.declaredAt }
+  }));
+  const taken = new Set(conflicts.map(c => c.file));
+  const undeclared = files.filter(file => !taken.has(file) && !matchesAny(file, ourDeclared));
+  return { declaredElsewhere, undeclared };
+}
+
+/**
+ * Files to hold back from the commit in the given mode (empty unless enforcing)
+ * @returns {{file: string, reason: string, holder?: Object}[]}
+ */
+function filesToHoldBack(mode, { declaredElsewhere, undeclared }) {
+  if (mode !== 'enforce') return [];
+  return [
+    ...declaredElsewhere,
+    ...undeclared.map(file => ({ file, reason: 'undeclared' }))
+  ];
+}
+
+function coordinationReportPath(repoRoot, sessionId) {
+  return sessionId
+    ? path.join(sessionLocksDir(repoRoot), `${sessionId}.coordination.json`)
+    : path.join(localDeployDir(repoRoot), 'file-coordination.json');
+}
+
+function writeCoordinationReport(reportPath, report) {
+  fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+  fs.writeFileSync(reportPath, JSON.stringify({
+    checkedAt: new Date().toISOString(),
+    ...report
+  }, null, 2));
+  return reportPath;
+}
+
+function loadCoordinationReport(reportPath) {
+  try {
+    return JSON.parse(fs.readFileSync(reportPath, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+module.exports = {
+  COORDINATION_MODES,
+  DEFAULT_COORDINATION_CONFIG,
+  loadCoordinationConfig,
+  classifyStagedFiles,
+  filesToHoldBack,
+  coordinationReportPath,
+  writeCoordinationReport,
+  loadCoordinationReport
+};
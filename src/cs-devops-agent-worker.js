@@ -30,12 +30,12 @@
  * DURING THE DAY:
  * 1. Watch all files (except .git, node_modules, etc.)
  * 2. When .claude-commit-msg changes → read and validate message
- * 3. Check if day changed (midnight crossed) → handle rollover if needed
+ * 3. Check if day changed (rollover time crossed) → handle rollover if needed
  * 4. If message is valid → commit all changes with that message
  * 5. Clear message file after successful push
  * 6. Continue watching...
  * 
- * DAILY ROLLOVER (at midnight or first run of new day):
+ * DAILY ROLLOVER (at the configured rollover time or first run of new day):
  * 1. Merge previous version branch → main
  * 2. Create new version branch (increment by 0.01)
  * 3. Merge yesterday's daily branch → new version branch  
@@ -68,20 +68,52 @@
  * Core Settings:
  *   AC_BRANCH          - Static branch name (overrides daily branches)
  *   AC_BRANCH_PREFIX   - Prefix for daily branches (default: "dev_sdd_")
- *   AC_TZ              - Timezone for date calculations (default: "Asia/Dubai")
+ *   AC_TZ              - Timezone for daily branches when rolloverSettings.timezone
+ *                        is not set in project settings (default: UTC)
  *   AC_PUSH            - Auto-push after commit (default: true)
+ *   AC_PUSH_STRATEGY   - On rejected push: "merge"|"rebase"|"fail"|"side-branch"
+ *                        (default: "pushStrategy" in project settings, else "rebase")
  * 
  * Message Handling:
  *   AC_MSG_FILE        - Path to commit message file (default: .claude-commit-msg)
  *   AC_REQUIRE_MSG     - Require valid commit message (default: true)
  *   AC_MSG_MIN_BYTES   - Minimum message size (default: 20)
- *   AC_MSG_PATTERN     - Regex for conventional commits (feat|fix|refactor|docs|test|chore)
+ *   AC_MSG_PATTERN     - Regex for conventional commits (feat|fix|refactor|docs|test|chore|style)
+ *   (stricter rules: "commitLint" in local_deploy/project-settings.json; rejections
+ *    are written to <message file>.errors for the agent to read)
+ *   A JSON or front-matter message file commits several batches in order
+ *   (see commit-batches.cjs; leftovers follow "commitBatches" in project settings)
+ *   Every commit gets Session-Id, Agent, Task, Worker-Version and Declared-Files
+ *   trailers (see commit-trailers.cjs; query them with `s9n-devops-agent log`)
  * 
  * Behavior:
  *   AC_DEBOUNCE_MS     - Delay before processing changes (default: 1500ms)
  *   AC_MSG_DEBOUNCE_MS - Delay after message file changes (default: 3000ms)
  *   AC_CLEAR_MSG_WHEN  - When to clear message file: "push"|"commit"|"never"
  *   AC_ROLLOVER_PROMPT - Prompt before daily rollover (default: true)
+ *   AC_ROLLOVER_DRY_RUN - Only print and journal the rollover plan (default: false)
+ *   AC_VERSION_STRATEGY - Version branches: "micro"|"semver"|"calver"|"none"
+ *                        (default: versioningStrategy.type in project settings, else "micro")
+ *   (each new version branch gets grouped release notes prepended to CHANGELOG.md
+ *    and an annotated release/<version>-rc.1 tag; see "releaseNotes" in release-notes.cjs.
+ *    With "releaseTags.onRollover" main is tagged release/<version> when the last
+ *    version merges; see release-tags.cjs)
+ *   (rollover time, timezone, weekend skipping and the holidays file come from
+ *    "rolloverSettings" in local_deploy/project-settings.json)
+ *   AC_COMMIT_GATES    - Run commitGates from project-settings.json (default: true)
+ *   AC_SECRET_SCAN     - Quarantine staged secrets, deny-listed and oversized files
+ *                        and block pushes until acknowledged (default: true)
+ *   AC_PUSH_REPLAY_MS  - How often failed pushes in local_deploy/push-queue.json are
+ *                        retried (default: 60000, 0 disables)
+ *   AC_COORDINATION_MODE - "advisory"|"warn"|"enforce" for files declared by other
+ *                        sessions or not declared at all (default: fileCoordination.mode
+ *                        in project settings, else "advisory"; see coordination-mode.cjs)
+ *   AC_LEASE_HEARTBEAT_MS - How often this session's file declaration lease is
+ *                        renewed (default: 30000, 0 disables; leases last
+ *                        estimatedDuration seconds and are released on exit)
+ *   (the coding agent can send JSON commands - commit-now, push, pause-autocommit,
+ *    declare-files, status, rollback, request-merge, ... - through
+ *    local_deploy/commands/<sessionId>/; see command-protocol.cjs)
  * 
  * ============================================================================
  * USAGE:
@@ -90,8 +122,8 @@
  * Basic usage:
  *   node cs-devops-agent-worker.js
  * 
- * The worker handles midnight crossovers automatically:
- * - If running when clock hits midnight, next commit triggers rollover
+ * The worker handles day crossovers automatically:
+ * - If running when the clock passes rolloverTime, next commit triggers rollover
  * - No need to restart the worker for new days
  * - Ensures commits always go to the correct daily branch
  * 
@@ -120,15 +152,59 @@ import { restartDockerContainers } from './docker-utils.js';
 // Import CommonJS module (FileCoordinator)
 const require = createRequire(import.meta.url);
 const FileCoordinator = require('./file-coordinator.cjs');
+const { findMainRepoRoot, loadProjectSettings } = require('./repo-paths.cjs');
+const { SessionStore } = require('./session-store.cjs');
+const { loadGateConfig, runCommitGates, gateReportPath, writeGateReport } = require('./commit-gates.cjs');
+const { baseLintOptions, loadLintConfig, lintCommitMessage, lintErrorsPath, writeLintErrors, clearLintErrors } = require('./commit-message-linter.cjs');
+const { loadBatchConfig, parseCommitBatch, assignFilesToCommits } = require('./commit-batches.cjs');
+const { loadPushConfig, pushWithStrategy, isRetryablePush, appendPushEvent } = require('./push-strategy.cjs');
+const { enqueuePush, dequeuePush, pendingPushes, replayPushQueue } = require('./push-queue.cjs');
+const { appendTrailers, sessionTrailers } = require('./commit-trailers.cjs');
+const { coAuthorTrailer } = require('./session-identity.cjs');
+const { rollbackCommits, undoneMessagePath } = require('./commit-rollback.cjs');
+const { loadRolloverConfig, loadHolidays, workingDayFor, formatDay } = require('./rollover-schedule.cjs');
+const { planRollover, describePlan, runRollover } = require('./rollover-transaction.cjs');
+const { INFRA_PATTERNS, loadReleaseNotesConfig } = require('./release-notes.cjs');
+const { loadCoordinationConfig, classifyStagedFiles, filesToHoldBack, coordinationReportPath, writeCoordinationReport, loadCoordinationReport } = require('./coordination-mode.cjs');
+const { loadReleaseTagConfig } = require('./release-tags.cjs');
+const {
+  loadVersionConfig,
+  latestVersionBranch: latestVersionBranchFor,
+  nextVersionBranch: nextVersionBranchFor,
+  describeStrategy
+} = require('./version-strategy.cjs');
+const {
+  loadScanConfig,
+  scanStagedFiles,
+  loadQuarantine,
+  isAllowed,
+  isQuarantined,
+  recordQuarantine,
+  acknowledgeQuarantine,
+  allowQuarantinedFile,
+  isPushBlocked
+} = require('./secret-scanner.cjs');
+const { commandsDir, commandError, createCommandQueue } = require('./command-protocol.cjs');
+
+const WORKER_VERSION = (() => {
+  try {
+    return JSON.parse(fs.readFileSync(new URL('../package.json', import.meta.url), 'utf8')).version;
+  } catch {
+    return null;
+  }
+})();
 
 // ============================================================================
 // CONFIGURATION SECTION - All settings can be overridden via environment vars
 // ============================================================================
 const STATIC_BRANCH = process.env.AC_BRANCH || null;           // e.g., "v0.2" (otherwise daily dev_sdd_<date>)
 const BRANCH_PREFIX = process.env.AC_BRANCH_PREFIX || "dev_sdd_";
-const TZ            = process.env.AC_TZ || "Asia/Dubai";
+const TZ            = process.env.AC_TZ || null;             // only used when rolloverSettings.timezone is unset
 const DATE_STYLE    = process.env.AC_DATE_STYLE || "dash";     // "dash" (YYYY-MM-DD) | "compact" (YYYYMMDD)
 const PUSH          = (process.env.AC_PUSH || "true").toLowerCase() === "true";
+const PUSH_STRATEGY = process.env.AC_PUSH_STRATEGY || null;       // overrides pushStrategy.mode in project settings
+const PUSH_REPLAY_MS = Number(process.env.AC_PUSH_REPLAY_MS ?? 60000); // deferred push replay interval (0 = off)
+const LEASE_HEARTBEAT_MS = Number(process.env.AC_LEASE_HEARTBEAT_MS ?? 30000); // file lease heartbeat interval (0 = off)
 
 // legacy quiet scheduler (kept as fallback; set AC_QUIET_MS=0 to disable)
 const DEBOUNCE_MS   = Number(process.env.AC_DEBOUNCE_MS || 1500);
@@ -138,8 +214,7 @@ const QUIET_MS      = Number(process.env.AC_QUIET_MS || 0);
 const REQUIRE_MSG   = (process.env.AC_REQUIRE_MSG || "true").toLowerCase() !== "false";
 const REQUIRE_MSG_AFTER_CHANGE =
   (process.env.AC_REQUIRE_MSG_AFTER_CHANGE || "false").toLowerCase() !== "false"; // default false to avoid pycache noise
-const MSG_MIN_BYTES = Number(process.env.AC_MSG_MIN_BYTES || 20);
-const MSG_PATTERN   = new RegExp(process.env.AC_MSG_PATTERN || '^(feat|fix|refactor|docs|test|chore)(\\([^)]+\\))?:\\s', 'm');
+const { pattern: MSG_PATTERN, minBytes: MSG_MIN_BYTES } = baseLintOptions();
 
 // message path + triggering
 const MSG_FILE_ENV       = process.env.AC_MSG_FILE || ""; // path relative to git root
@@ -155,15 +230,18 @@ let DEBUG           = (process.env.AC_DEBUG || "true").toLowerCase() !== "false"
 // clear message when: "push" | "commit" | "never"
 const CLEAR_MSG_WHEN = (process.env.AC_CLEAR_MSG_WHEN || "push").toLowerCase();
 
+// pre-commit quality gates (configured per project in local_deploy/project-settings.json)
+const COMMIT_GATES = (process.env.AC_COMMIT_GATES || "true").toLowerCase() !== "false";
+const SECRET_SCAN  = (process.env.AC_SECRET_SCAN || "true").toLowerCase() !== "false";
+
 // --- daily & version rollover ---
 const DAILY_PREFIX = process.env.AC_DAILY_PREFIX || "dev_sdd_";
 const ROLLOVER_PROMPT = (process.env.AC_ROLLOVER_PROMPT || "true").toLowerCase() !== "false";
 const FORCE_ROLLOVER  = (process.env.AC_FORCE_ROLLOVER  || "false").toLowerCase() === "true";
+const ROLLOVER_DRY_RUN = (process.env.AC_ROLLOVER_DRY_RUN || "false").toLowerCase() === "true";
 
-// version branch naming: v0.<minor> -> v0.20, v0.21, v0.22, ... (increments by 0.01)
-// Each day gets a micro-revision increment (e.g., v0.2 → v0.21 → v0.22)
-const VERSION_PREFIX       = process.env.AC_VERSION_PREFIX || "v0.";
-const VERSION_START_MINOR  = Number(process.env.AC_VERSION_START_MINOR || "20");     // Start at v0.20 for micro-revisions
+// version branch naming follows versioningStrategy in project settings (see version-strategy.cjs);
+// AC_VERSION_STRATEGY, AC_VERSION_PREFIX, AC_VERSION_START_MINOR and AC_VERSION_INCREMENT override it
 const VERSION_BASE_REF     = process.env.AC_VERSION_BASE_REF || "origin/main";      // where new version branches start
 // ------------------------------------------------
 
@@ -196,18 +274,50 @@ function clearMsgFile(p) {
 // ============================================================================
 
 /**
- * Get today's date string in specified timezone and format
- * @param {string} tz - Timezone (e.g., "Asia/Dubai")
- * @param {string} style - "dash" for YYYY-MM-DD or "compact" for YYYYMMDD
- * @returns {string} Formatted date string
+ * Rollover settings and holidays, read once per tick and passed to
+ * everything in that tick that needs today's date
+ * @returns {{config: Object, holidays: Set<string>}}
+ */
+function loadRolloverSchedule() {
+  const mainRoot = findMainRepoRoot(process.cwd());
+  const config = loadRolloverConfig(loadProjectSettings(mainRoot), TZ);
+  const holidays = loadHolidays(mainRoot, config);
+  warnRolloverConfig([...config.warnings, ...(holidays.error ? [holidays.error] : [])]);
+  return { config, holidays: holidays.dates };
+}
+
+/**
+ * Today's working-day string in DATE_STYLE.
+ * The day boundary, timezone, weekends and holidays come from
+ * rolloverSettings in project settings (see rollover-schedule.cjs), so a
+ * 04:00 rollover keeps late-night commits on yesterday's daily branch.
+ * @param {Object} [rolloverSchedule] - From loadRolloverSchedule (loaded when omitted)
+ * @returns {string} YYYY-MM-DD or YYYYMMDD
  */
-function todayStr(tz = TZ, style = DATE_STYLE) {
-  const d = new Intl.DateTimeFormat("en-CA", {
-    timeZone: tz, year: "numeric", month: "2-digit", day: "2-digit",
-  }).format(new Date()); // "YYYY-MM-DD"
-  return style === "compact" ? d.replaceAll("-", "") : d;
+function todayDateStr(rolloverSchedule = loadRolloverSchedule()) {
+  return formatDay(workingDayFor(new Date(), rolloverSchedule.config, rolloverSchedule.holidays), DATE_STYLE);
 }
-function todayDateStr() { return todayStr(TZ, DATE_STYLE); }
+
+/**
+ * The daily branch to commit on: today's, or with enableAutoRollover off
+ * the latest existing daily (today's when there is none yet)
+ */
+async function dailyBranchFor(rolloverSchedule) {
+  const todayDaily = `${BRANCH_PREFIX}${todayDateStr(rolloverSchedule)}`;
+  if (rolloverSchedule.config.enableAutoRollover || FORCE_ROLLOVER) return todayDaily;
+  return (await latestDaily(BRANCH_PREFIX)) || todayDaily;
+}
+
+// Report each settings problem once rather than before every commit
+const rolloverWarnings = new Set();
+function warnRolloverConfig(warnings) {
+  for (const warning of warnings) {
+    if (rolloverWarnings.has(warning)) continue;
+    rolloverWarnings.add(warning);
+    log(`rolloverSettings: ${warning}`);
+  }
+}
+
 function dailyNameFor(dateStr) { return `${DAILY_PREFIX}${dateStr}`; }
 
 function targetBranchName() {
@@ -294,6 +404,22 @@ async function defaultRemote() {
   const remotes = (r.stdout || "").split("\n").map(s => s.trim()).filter(Boolean);
   return remotes.includes("origin") ? "origin" : remotes[0] || null;
 }
+/**
+ * Push a single tag (release tags created by the rollover)
+ * @returns {Promise<boolean>} True if the tag reached the remote
+ */
+async function pushTag(tag) {
+  const remote = await defaultRemote();
+  if (!remote) return false;
+  const r = await run("git", ["push", remote, `refs/tags/${tag}`]);
+  return r.ok;
+}
+
+/**
+ * Push a branch using the configured push strategy (see push-strategy.cjs)
+ * Each failed attempt is logged and appended to local_deploy/push-events.jsonl.
+ * @returns {Promise<boolean>} True if the branch reached the remote
+ */
 async function pushBranch(branch) {
   const remote = await defaultRemote();
   if (!remote) {
@@ -301,43 +427,65 @@ async function pushBranch(branch) {
     console.error("  git remote add origin <git-url>");
     return false;
   }
-  
-  // First check if remote branch exists
-  const remoteExistsResult = await run("git", ["ls-remote", "--heads", remote, branch]);
-  const remoteExists = remoteExistsResult.ok && remoteExistsResult.stdout.trim().length > 0;
-  
-  if (!remoteExists) {
-    // Remote branch doesn't exist, create it with -u (set upstream)
-    log(`Creating new remote branch ${branch} on ${remote}...`);
-    const r = await run("git", ["push", "-u", remote, branch]);
-    if (!r.ok) {
-      log(`Failed to create remote branch: ${r.stderr}`);
+
+  const mainRoot = findMainRepoRoot(process.cwd());
+  if (SECRET_SCAN && isPushBlocked(mainRoot, sessionId)) {
+    log(`push of ${branch} blocked: quarantined files need review (type 'ack' once resolved)`);
+    return false;
+  }
+
+  const config = loadPushConfig(loadProjectSettings(mainRoot), PUSH_STRATEGY);
+  let lastError = null;
+
+  const result = await pushWithStrategy({
+    cwd: process.cwd(),
+    remote,
+    branch,
+    config,
+    onEvent: (event) => {
+      log(`push ${branch} rejected (${event.reason}), attempt ${event.attempt}: ${event.action}`);
+      dlog(event.output);
+      lastError = event.output;
+      try {
+        appendPushEvent(mainRoot, { sessionId, ...event });
+      } catch (e) {
+        dlog("could not record push event:", e.message);
+      }
     }
-    return r.ok;
+  });
+
+  if (result.sideBranch) {
+    log(`⚠ ${branch} could not be pushed (${result.failure}); commits saved to ${remote}/${result.sideBranch}`);
+    log(`  merge ${result.sideBranch} into ${branch} by hand once the divergence is resolved`);
+  } else if (result.notCheckedOut) {
+    log(`⚠ ${branch} has diverged from ${remote}/${branch} and is not checked out here; ${config.mode} it by hand, then push`);
+  } else if (!result.ok && result.failure) {
+    log(`push of ${branch} stopped: ${result.failure} (strategy: ${config.mode})`);
   }
-  
-  // Remote branch exists, attempt normal push
-  let r = await run("git", ["push", remote, branch]);
-  
-  // If push failed, check if it's because we're behind
-  if (!r.ok) {
-    // Try to pull and merge remote changes
-    log("Push failed, attempting to pull remote changes...");
-    const pullResult = await run("git", ["pull", "--no-rebase", remote, branch]);
-    
-    if (pullResult.ok) {
-      log("Successfully pulled and merged remote changes, retrying push...");
-      // Retry push after successful pull
-      r = await run("git", ["push", remote, branch]);
-    } else {
-      // If pull also failed, try force setting upstream
-      // This handles cases where local and remote have diverged
-      log("Pull failed, attempting to force set upstream...");
-      r = await run("git", ["push", "-u", remote, branch]);
+
+  // Keep pushes that failed for a passing reason in the durable queue until a later push gets through
+  const queued = { remote, branch, cwd: process.cwd() };
+  try {
+    if (result.ok) {
+      if (dequeuePush(mainRoot, queued)) log(`cleared deferred push of ${branch}`);
+    } else if (isRetryablePush(result, config)) {
+      const entry = enqueuePush(mainRoot, { ...queued, sessionId, reason: result.failure, error: lastError });
+      log(`queued ${branch} for deferred push (attempt ${entry.attempts})`);
+    } else if (dequeuePush(mainRoot, queued)) {
+      log(`stopped retrying deferred push of ${branch}: ${result.sideBranch ? `saved to ${result.sideBranch}` : `${result.failure} needs attention`}`);
     }
+  } catch (e) {
+    dlog("push queue update failed:", e.message);
   }
-  
-  return r.ok;
+  return result.ok;
+}
+
+/**
+ * Quietly check whether a remote answers (no error output when offline)
+ */
+async function remoteReachable(remote) {
+  const r = await execa("git", ["ls-remote", "--heads", remote], { reject: false, timeout: 15000 });
+  return r.exitCode === 0;
 }
 
 // ============================================================================
@@ -420,7 +568,7 @@ function readMsgFile(p) { try { return fs.readFileSync(p, "utf8").trim(); } catc
 /**
  * Validate commit message follows conventional format
  * Expected format: type(scope): description
- * Types: feat|fix|refactor|docs|test|chore
+ * Types: feat|fix|refactor|docs|test|chore|style
  * @param {string} msg - Commit message to validate
  * @returns {boolean} True if message is valid
  */
@@ -428,6 +576,50 @@ function conventionalHeaderOK(msg) {
   if (!msg || msg.length < MSG_MIN_BYTES) return false;
   return MSG_PATTERN.test(msg);
 }
+/**
+ * Run the full commit-message linter and report rejections to the agent
+ * Reasons go to a sibling <message file>.errors, which is removed once the
+ * message passes.
+ * @param {string} msgPath - Path to message file
+ * @param {string} msg - Message to validate
+ * @param {string[]} [touchedFiles] - Staged files (enables the scope rule)
+ * @returns {boolean} True if the message passes every rule
+ */
+function checkCommitMessage(msgPath, msg, touchedFiles) {
+  const config = loadLintConfig(loadProjectSettings(findMainRepoRoot(process.cwd())));
+  const lintOptions = { pattern: MSG_PATTERN, minBytes: MSG_MIN_BYTES, config };
+  let errors = [];
+  
+  let batch = null;
+  try {
+    batch = parseCommitBatch(msg);
+  } catch (err) {
+    errors.push(err.message);
+  }
+  
+  if (batch) {
+    // Lint every batch entry against the files it will actually commit
+    const groups = touchedFiles ? assignFilesToCommits(batch, touchedFiles).groups : null;
+    batch.forEach((entry, i) => {
+      const result = lintCommitMessage(entry.message, {
+        ...lintOptions,
+        touchedFiles: groups ? groups[i].files : undefined
+      });
+      errors.push(...result.errors.map(e => `Commit ${i + 1}: ${e}`));
+    });
+  } else if (errors.length === 0) {
+    errors = lintCommitMessage(msg, { ...lintOptions, touchedFiles }).errors;
+  }
+  
+  const ok = errors.length === 0;
+  if (ok) {
+    clearLintErrors(msgPath);
+  } else {
+    writeLintErrors(msgPath, errors);
+    dlog(`commit message rejected (${errors.length} problem(s)), see ${path.basename(lintErrorsPath(msgPath))}`);
+  }
+  return ok;
+}
 /**
  * Check if commit message is ready to use
  * Considers:
@@ -441,7 +633,7 @@ function msgReady(msgPath) {
   if (!REQUIRE_MSG) return true;  // Messages not required
   
   const msg = readMsgFile(msgPath);
-  if (!conventionalHeaderOK(msg)) return false;  // Invalid format
+  if (!msg || !checkCommitMessage(msgPath, msg)) return false;  // Invalid format
   
   if (!REQUIRE_MSG_AFTER_CHANGE) return true;  // Don't require fresh message
   
@@ -471,26 +663,36 @@ async function latestDaily(prefix = DAILY_PREFIX) {
   return line ? line.split(" ")[0] : null;
 }
 /**
- * Calculate the next version branch using configurable increments
- * e.g., v0.20 -> v0.21 -> v0.22 (increments by 0.01 each day)
- * or    v0.20 -> v0.30 -> v0.40 (increments by 0.1 each day)
- * @returns {Promise<string>} Next version branch name
+ * Versioning strategy from project settings (AC_VERSION_* env vars override)
  */
-async function nextVersionBranch() {
+function versionConfig() {
+  return loadVersionConfig(loadProjectSettings(findMainRepoRoot(process.cwd())), process.env);
+}
+
+async function localBranches() {
   const { ok, stdout } = await run("git", ["for-each-ref", "--format=%(refname:short)", "refs/heads"]);
-  let maxMinor = -1;
-  if (ok) {
-    for (const b of stdout.split("\n")) {
-      // Match version branches with decimal format (e.g., v0.20, v0.21)
-      const m = b.trim().match(/^v0\.(\d+)$/);
-      if (m) maxMinor = Math.max(maxMinor, parseInt(m[1], 10));
-    }
+  return ok ? stdout.split("\n").map(b => b.trim()).filter(Boolean) : [];
+}
+
+/**
+ * Calculate the next version branch under the project's versioning strategy
+ * e.g. micro:  v0.20 -> v0.21 -> v0.22 (or by 0.1 with a larger increment)
+ *      semver: v1.4.2 -> v1.5.0 when yesterday's daily has a feat: commit
+ *      calver: 2026.10.19
+ * @param {string|null} yDaily - Daily branch going into the new version
+ * @param {string|null} vLast - Previous version branch
+ * @param {string} [day] - Today's working day (calver names the branch after it)
+ * @returns {Promise<string|null>} Next version branch name, null for "none"
+ */
+async function nextVersionBranch(yDaily = null, vLast = null, day = todayDateStr()) {
+  const config = versionConfig();
+  let messages = [];
+  if (config.type === "semver" && yDaily) {
+    // The day's commits are those on the daily that the last version doesn't have
+    const { ok, stdout } = await run("git", ["log", "--format=%B%x1e", `${vLast || VERSION_BASE_REF}..${yDaily}`]);
+    if (ok) messages = stdout.split("\x1e").map(m => m.trim()).filter(Boolean);
   }
-  // Get the daily increment from environment (default 1 = 0.01)
-  const dailyIncrement = parseInt(process.env.AC_VERSION_INCREMENT) || 1;
-  // Increment by configured amount
-  const next = maxMinor >= 0 ? maxMinor + dailyIncrement : VERSION_START_MINOR;
-  return `${VERSION_PREFIX}${next}`;
+  return nextVersionBranchFor({ branches: await localBranches(), config, messages, day });
 }
 
 /**
@@ -498,11 +700,7 @@ async function nextVersionBranch() {
  * @returns {Promise<string|null>} Latest version branch name or null
  */
 async function latestVersionBranch() {
-  const { ok, stdout } = await run("git", ["for-each-ref", "--format=%(refname:short)", "--sort=-version:refname", "refs/heads/v0.*"]);
-  if (!ok) return null;
-  const branches = stdout.trim().split("\n").filter(Boolean);
-  // Return the first (latest) version branch
-  return branches[0] || null;
+  return latestVersionBranchFor(await localBranches(), versionConfig());
 }
 async function mergeInto(target, source) {
   // assumes we are on 'target'
@@ -516,6 +714,9 @@ async function promptYesNo(question) {
   return /^y(es)?$/i.test((ans || "").trim());
 }
 
+// Day whose automatic rollover was already previewed (AC_ROLLOVER_DRY_RUN)
+let previewedRolloverDay = null;
+
 /**
  * DAILY ROLLOVER ORCHESTRATOR
  * 
@@ -533,20 +734,33 @@ async function promptYesNo(question) {
  * 
  * NOTE: This function is called:
  *   1. At startup (initial check)
- *   2. Before EVERY commit (to handle midnight crossover)
+ *   2. Before EVERY commit (to handle crossing the rollover time)
+ * 
+ * The steps run as one transaction (see rollover-transaction.cjs): if any
+ * merge or checkout fails, every branch and HEAD go back to where they were.
  * 
  * @param {string} repoRoot - Repository root path
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Print and journal the plan without changing anything
+ * @param {Object} [options.rolloverSchedule] - From loadRolloverSchedule (loaded when omitted)
  */
-async function rolloverIfNewDay(repoRoot) {
+async function rolloverIfNewDay(repoRoot, { dryRun = false, rolloverSchedule = loadRolloverSchedule() } = {}) {
   // Skip if user pinned a static branch
   if (STATIC_BRANCH) return;
 
-  const today = todayDateStr();
+  // rolloverSettings.enableAutoRollover: false leaves new days to AC_FORCE_ROLLOVER
+  if (!rolloverSchedule.config.enableAutoRollover && !FORCE_ROLLOVER && !dryRun) return;
+
+  const today = todayDateStr(rolloverSchedule);
   const todayDaily = dailyNameFor(today);
 
   // If today's daily already exists and not forcing, nothing to do
   // This check prevents multiple rollovers on the same day
   if (await branchExists(todayDaily) && !FORCE_ROLLOVER) {
+    if (dryRun) {
+      console.log(`\n[cs-devops-agent] ${todayDaily} already exists; there is nothing to roll over today.`);
+      return;
+    }
     // But we still need to ensure we're on the right branch!
     const current = await currentBranch();
     if (current !== todayDaily) {
@@ -559,26 +773,42 @@ async function rolloverIfNewDay(repoRoot) {
   // Get necessary branch references
   const yDaily = await latestDaily();           // Yesterday's (latest) daily branch
   const vLast = await latestVersionBranch();    // Last version branch to merge into main
-  const vNext = await nextVersionBranch();      // New version branch (micro-revision increment)
+  const vNext = await nextVersionBranch(yDaily, vLast, today); // New version branch (null without version branches)
   const baseRef = VERSION_BASE_REF;             // origin/main
+  const settings = loadProjectSettings(findMainRepoRoot(process.cwd()));
+  const plan = planRollover({
+    vLast, vNext, yDaily, todayDaily, baseRef,
+    releaseNotes: loadReleaseNotesConfig(settings),
+    releaseTags: loadReleaseTagConfig(settings)
+  });
 
   // If working tree dirty, avoid merge conflicts
   const dirty = await hasUncommittedChanges();
 
+  // AC_ROLLOVER_DRY_RUN previews automatic rollovers once per day instead of running them
+  if (!dryRun && ROLLOVER_DRY_RUN) {
+    if (previewedRolloverDay === todayDaily) return;
+    previewedRolloverDay = todayDaily;
+    dryRun = true;
+  }
+
+  if (dryRun) {
+    console.log(`\n[cs-devops-agent] Daily rollover plan (dry run, nothing changed):\n${describePlan(plan).join("\n")}`);
+    if (dirty) console.log("⚠️  Working tree has uncommitted changes; a real rollover would be skipped.");
+    await runRollover({ cwd: process.cwd(), repoRoot: findMainRepoRoot(process.cwd()), plan, dryRun: true, context: { sessionId, day: todayDaily } });
+    return;
+  }
+
   let proceed;
   if (FORCE_ROLLOVER) {
     proceed = !dirty;
   } else if (ROLLOVER_PROMPT) {
-    const plan = [
-      `New day detected. Daily rollover plan with micro-revisions:`,
-      vLast ? `  1) merge last version ${vLast} -> main` : `  1) (no previous version to merge into main)`,
-      `  2) create new version branch: ${vNext} (increment by 0.01)`,
-      yDaily ? `  3) merge ${yDaily} -> ${vNext}` : `  3) (no previous daily to merge)`,
-      `  4) push ${vNext}`,
-      `  5) create today's branch: ${todayDaily} from ${vNext} and push`,
+    const planText = [
+      `New day detected. Daily rollover plan (${describeStrategy(versionConfig())}):`,
+      ...describePlan(plan),
       dirty ? `\n⚠️  Working tree has uncommitted changes; rollover will be skipped.` : ""
     ].join("\n");
-    console.log("\n[cs-devops-agent] " + plan + "\n");
+    console.log("\n[cs-devops-agent] " + planText + "\n");
     proceed = !dirty && (await promptYesNo("Proceed with daily rollover? (y/N) "));
   } else {
     // auto-rollover without prompt
@@ -587,66 +817,40 @@ async function rolloverIfNewDay(repoRoot) {
 
   if (!proceed) return;
 
-  // Fetch latest changes from remote
+  // Fetch latest changes from remote (only remote-tracking refs change here)
   await run("git", ["fetch", "--all", "--prune"]);
 
-  // Step 1: Merge last version branch into main (if exists)
-  if (vLast) {
-    log(`Merging last version ${vLast} into main...`);
-    // Checkout main first
-    const r0 = await run("git", ["checkout", "main"]);
-    if (!r0.ok) {
-      // Try origin/main if local main doesn't exist
-      await run("git", ["checkout", "-b", "main", "origin/main"]);
-    }
-    
-    // Pull latest main
-    await run("git", ["pull", "origin", "main"]);
-    
-    // Merge the last version branch into main
-    const mergeResult = await mergeInto("main", vLast);
-    if (!mergeResult.ok) {
-      console.error("[cs-devops-agent] Failed to merge ${vLast} into main. Resolve conflicts and restart.");
-      return;
+  // All local steps succeed or every touched branch and HEAD are restored
+  const result = await runRollover({
+    cwd: process.cwd(),
+    repoRoot: findMainRepoRoot(process.cwd()),
+    plan,
+    push: PUSH ? pushBranch : null,
+    pushTag: PUSH ? pushTag : null,
+    onStep: (step, r) => dlog(`rollover step ${step.type} ${step.branch || step.into || step.tag}: ${r.ok ? "ok" : "failed"}`),
+    context: { sessionId, day: todayDaily }
+  });
+
+  if (!result.ok) {
+    console.error(`[cs-devops-agent] Rollover step "${result.failedStep.type} ${result.failedStep.from || result.failedStep.branch || result.failedStep.tag}" failed:\n${result.error}`);
+    if (result.status === "rolled-back") {
+      console.error("[cs-devops-agent] All branches and HEAD were restored; resolve the problem and restart the worker to retry.");
+    } else {
+      console.error(`[cs-devops-agent] Could not fully restore: ${result.restore.mismatched.join(", ")}. See local_deploy/rollover-journal.jsonl.`);
     }
-    
-    // Push updated main
-    await pushBranch("main");
-    log(`Merged ${vLast} into main successfully`);
+    return;
   }
 
-  // Step 2: Create new version branch from updated main
-  const r1 = await run("git", ["checkout", "-B", vNext, baseRef]);
-  if (!r1.ok) { 
-    console.error("[cs-devops-agent] failed to create version branch"); 
-    return; 
+  if (result.tagged) {
+    log(`Released ${vLast} on main as ${result.tagged.tag}${result.tagged.signed ? " (signed)" : ""}`);
   }
-  log(`Created new version branch: ${vNext} (micro-revision increment)`);
-
-  // Step 3: Merge latest daily into the new version branch (if exists)
-  if (yDaily) {
-    log(`Merging daily ${yDaily} into ${vNext}...`);
-    const r2 = await mergeInto(vNext, yDaily);
-    if (!r2.ok) {
-      console.error("[cs-devops-agent] merge produced conflicts. Resolve, push, then restart worker.");
-      return;
-    }
+  if (result.release) {
+    log(`Release notes for ${vNext}: ${result.release.commits} commit(s) in ${result.release.changelog}, tagged ${result.release.tag}`);
   }
-
-  // Step 4: Push the new version branch
-  const pushedV = await pushBranch(vNext);
-  console.log(`[cs-devops-agent] push ${vNext}: ${pushedV ? "ok" : "failed"}`);
-
-  // Step 5: Create and push today's daily branch from the new version branch
-  const r3 = await run("git", ["checkout", "-B", todayDaily, vNext]);
-  if (!r3.ok) { 
-    console.error("[cs-devops-agent] failed to create today's branch"); 
-    return; 
+  for (const [branch, pushed] of Object.entries(result.pushes)) {
+    if (pushed !== null) console.log(`[cs-devops-agent] push ${branch}: ${pushed ? "ok" : "failed"}`);
   }
-  const pushedD = await pushBranch(todayDaily);
-  console.log(`[cs-devops-agent] push ${todayDaily}: ${pushedD ? "ok" : "failed"}`);
-  
-  log(`Daily rollover complete: ${vNext} (v0.${vNext.substring(3)/100} in semantic versioning)`);
+  log(`Daily rollover complete: ${vNext ? `version ${vNext}, ` : ""}daily ${todayDaily}`);
 }
 
 // ============================================================================
@@ -657,11 +861,245 @@ async function rolloverIfNewDay(repoRoot) {
 let lastAnyChangeTs = 0;      // Last time ANY file changed
 let lastNonMsgChangeTs = 0;   // Last time a NON-message file changed
 let timer, busy = false;       // Debounce timer and busy flag
+let autocommitPaused = false;  // Set by the pause-autocommit agent command
+
+// Session this worker belongs to (env from the coordinator, else detected at startup)
+let sessionId = process.env.DEVOPS_SESSION_ID || null;
 
 function isQuietNow() {
   return Date.now() - lastAnyChangeTs >= QUIET_MS;
 }
 
+/**
+ * Run the project's pre-commit quality gates against the staged files
+ * Results are written next to the session lock so both the agent and the
+ * human can see why a commit was held back.
+ * @returns {Promise<boolean>} True if the commit may proceed
+ */
+async function runQualityGates() {
+  if (!COMMIT_GATES) return true;
+
+  const mainRoot = findMainRepoRoot(process.cwd());
+  const checks = loadGateConfig(loadProjectSettings(mainRoot));
+  if (checks.length === 0) return true;
+
+  // Deleted files can't be linted or tested, so leave them out of {files}
+  const { stdout } = await run("git", ["diff", "--cached", "--name-only", "--diff-filter=d"]);
+  const stagedFiles = stdout.split("\n").filter(Boolean);
+
+  log(`running ${checks.length} commit gate(s)...`);
+  const result = await runCommitGates(checks, { cwd: process.cwd(), stagedFiles });
+  for (const r of result.results) {
+    log(`gate ${r.name} (${r.mode}): ${r.status}`);
+  }
+
+  const reportPath = writeGateReport(gateReportPath(mainRoot, sessionId), {
+    sessionId,
+    branch: await currentBranch(),
+    ...result
+  });
+
+  if (!result.ok) {
+    log(`commit held back by gate(s): ${result.blocked.join(", ")} (see ${reportPath})`);
+  }
+  return result.ok;
+}
+
+/**
+ * Scan the staged changes and unstage anything that looks like a secret,
+ * is deny-listed or is too large. New findings are written to the
+ * FileCoordinator conflicts directory and block pushing until acknowledged.
+ * @returns {Promise<number>} Number of files held back
+ */
+async function quarantineStagedFiles() {
+  if (!SECRET_SCAN) return 0;
+
+  const mainRoot = findMainRepoRoot(process.cwd());
+  const config = loadScanConfig(loadProjectSettings(mainRoot));
+  if (!config) return 0;
+
+  const { stdout } = await run("git", ["diff", "--cached", "--name-only", "--diff-filter=d"]);
+  const state = loadQuarantine(mainRoot, sessionId);
+  const findings = scanStagedFiles({ cwd: process.cwd(), files: stdout.split("\n").filter(Boolean), config })
+    .filter(finding => !isAllowed(state, finding));
+  if (findings.length === 0) return 0;
+
+  const files = [...new Set(findings.map(f => f.file))];
+  for (const file of files) {
+    await unstageIfStaged(file);
+  }
+
+  // Only rewrite the report when something new turned up
+  const fresh = findings.filter(finding => !isQuarantined(state, finding));
+  if (fresh.length > 0) {
+    const { reportPath } = recordQuarantine(mainRoot, sessionId, fresh);
+    log(`🚨 quarantined ${files.length} file(s): ${files.join(", ")}`);
+    fresh.forEach(f => log(`   ${f.line ? `${f.file}:${f.line}` : f.file} - ${f.type} (${f.rule})`));
+    log(`   pushing is blocked until reviewed; see ${reportPath}`);
+  } else {
+    dlog(`still quarantined: ${files.join(", ")}`);
+  }
+  return files.length;
+}
+
+/**
+ * Apply the project's file coordination mode to the staged files. In warn
+ * mode offending files are only reported; in enforce mode files declared by
+ * another session and files this session has not declared are unstaged.
+ * The coordination report tells the agent what was held back and why.
+ * @returns {Promise<number>} Number of files held back
+ */
+async function applyCoordinationMode() {
+  if (!sessionId) return 0;
+
+  const mainRoot = findMainRepoRoot(process.cwd());
+  const { mode } = loadCoordinationConfig(loadProjectSettings(mainRoot));
+  if (mode === 'advisory') return 0;
+
+  const { stdout } = await run("git", ["diff", "--cached", "--name-only"]);
+  const staged = stdout.split("\n").filter(Boolean);
+  const coordinator = new FileCoordinator(sessionId, process.cwd(), mainRoot);
+  const { declaredElsewhere, undeclared } = classifyStagedFiles(coordinator, staged, declaredFiles());
+  const heldBack = filesToHoldBack(mode, { declaredElsewhere, undeclared });
+  for (const { file } of heldBack) {
+    await unstageIfStaged(file);
+  }
+
+  const reportPath = writeCoordinationReport(coordinationReportPath(mainRoot, sessionId), {
+    sessionId,
+    mode,
+    branch: await currentBranch(),
+    heldBack,
+    declaredElsewhere,
+    undeclared
+  });
+
+  declaredElsewhere.forEach(c => log(`⚠️  ${c.file} is declared by ${c.holder.agent} (session ${c.holder.session})${mode === 'enforce' ? '; held back' : ''}`));
+  undeclared.forEach(file => log(`⚠️  ${file} was not declared by this session${mode === 'enforce' ? '; held back' : ''}`));
+  if (heldBack.length > 0) {
+    log(`held back ${heldBack.length} file(s) by file coordination (see ${reportPath})`);
+  }
+  return heldBack.length;
+}
+
+/**
+ * Read the session config the coordinator wrote into this worktree (null outside a session)
+ */
+function readSessionConfig() {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(process.cwd(), '.devops-session.json'), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Files this session has declared through the file coordination protocol
+ */
+function declaredFiles() {
+  if (!sessionId) return [];
+  try {
+    const coordinator = new FileCoordinator(sessionId, process.cwd(), findMainRepoRoot(process.cwd()));
+    const declarationPath = coordinator.findOurDeclaration();
+    if (!declarationPath) return [];
+    return JSON.parse(fs.readFileSync(declarationPath, 'utf8')).files || [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Trailers added to every commit the worker makes, tying it back to the
+ * session lock (read back by `s9n-devops-agent log`). The session's author
+ * identity itself lives in the worktree git config.
+ */
+function commitTrailers() {
+  const session = readSessionConfig() || {};
+  return [
+    ...sessionTrailers({
+      sessionId,
+      agent: session.agentType,
+      task: session.task,
+      workerVersion: WORKER_VERSION,
+      declaredFiles: declaredFiles()
+    }),
+    coAuthorTrailer(session.identity)
+  ].filter(Boolean);
+}
+
+/**
+ * Commit the staged changes with the given message
+ * @param {string} repoRoot - Repository root path
+ * @param {string} msg - Full commit message
+ * @returns {Promise<boolean>} True if the commit succeeded
+ */
+async function commitWithMessage(repoRoot, msg) {
+  // Handle worktrees: .git might be a file pointing to the actual git dir
+  let gitDir = path.join(repoRoot, ".git");
+  if (fs.existsSync(gitDir) && fs.statSync(gitDir).isFile()) {
+    // In a worktree, .git is a file containing the path to the actual git directory
+    const gitFileContent = fs.readFileSync(gitDir, 'utf8');
+    const match = gitFileContent.match(/gitdir: (.+)/);
+    if (match) {
+      gitDir = match[1].trim();
+    }
+  }
+  
+  const tmp = path.join(gitDir, ".ac-msg.txt");
+  fs.writeFileSync(tmp, appendTrailers(msg, commitTrailers()) + "\n");
+  const ok = (await run("git", ["commit", "-F", tmp])).ok;
+  try { fs.unlinkSync(tmp); } catch {}
+  return ok;
+}
+
+/**
+ * Commit a structured batch: one commit per entry, in file order
+ * Files no entry claims are committed last or left unstaged, per the
+ * project's commitBatches.leftover setting.
+ * @param {string} repoRoot - Repository root path
+ * @param {Array<{message: string, files: string[]}>} batch - Parsed entries
+ * @returns {Promise<boolean>} True if at least one commit was made
+ */
+async function commitBatch(repoRoot, batch) {
+  // --no-renames lists both sides of a rename so neither half is lost
+  const { stdout } = await run("git", ["diff", "--cached", "--name-only", "--no-renames"]);
+  const { groups, leftover } = assignFilesToCommits(batch, stdout.split("\n").filter(Boolean));
+  const config = loadBatchConfig(loadProjectSettings(findMainRepoRoot(process.cwd())));
+  
+  // Start from an empty index and stage each entry's files in turn
+  await run("git", ["reset", "-q"]);
+  
+  let made = 0;
+  for (const group of groups) {
+    const header = group.message.split("\n")[0];
+    if (group.files.length === 0) {
+      log(`batch: no changed files match "${header}"; skipped`);
+      continue;
+    }
+    await run("git", ["add", "-A", "--", ...group.files]);
+    if (!(await commitWithMessage(repoRoot, group.message))) {
+      log(`batch: commit failed for "${header}"`);
+      return made > 0;
+    }
+    made++;
+    log(`batch: committed "${header}" (${group.files.length} file(s))`);
+  }
+  
+  if (leftover.length > 0) {
+    if (config.leftover === "catch-all") {
+      await run("git", ["add", "-A", "--", ...leftover]);
+      if (await commitWithMessage(repoRoot, config.catchAllMessage)) {
+        made++;
+        log(`batch: committed ${leftover.length} remaining file(s) as "${config.catchAllMessage}"`);
+      }
+    } else {
+      log(`batch: left ${leftover.length} unmatched file(s) unstaged`);
+    }
+  }
+  
+  return made > 0;
+}
+
 /**
  * MAIN COMMIT FUNCTION
  * 
@@ -669,12 +1107,14 @@ function isQuietNow() {
  * 1. CHECK FOR DAY ROLLOVER (handle if we crossed midnight)
  * 2. Ensure we're on correct branch
  * 3. Detect infrastructure changes
- * 4. Stage all changes (except message file)
- * 5. Read and validate commit message
- * 6. Update infrastructure documentation if needed
- * 7. Commit with message (enhanced if infra changes)
- * 8. Push to remote (if enabled)
- * 9. Clear message file (if configured)
+ * 4. Stage all changes (except message file), quarantining secrets and oversized files
+ *    and holding back files the file coordination mode refuses
+ * 5. Read and validate commit message (single message or structured batch)
+ * 6. Run pre-commit quality gates (may hold the commit back)
+ * 7. Update infrastructure documentation if needed
+ * 8. Commit with message (enhanced if infra changes)
+ * 9. Push to remote (if enabled)
+ * 10. Clear message file (if configured)
  * 
  * @param {string} repoRoot - Repository root path
  * @param {string} msgPath - Path to commit message file
@@ -685,8 +1125,9 @@ async function commitOnce(repoRoot, msgPath) {
   try {
     // IMPORTANT: Check for day rollover before EVERY commit
     // This handles the case where the worker has been running past midnight
-    await rolloverIfNewDay(repoRoot);
-    const BRANCH = STATIC_BRANCH || `${BRANCH_PREFIX}${todayDateStr()}`;
+    const rolloverSchedule = loadRolloverSchedule();
+    await rolloverIfNewDay(repoRoot, { rolloverSchedule });
+    const BRANCH = STATIC_BRANCH || await dailyBranchFor(rolloverSchedule);
     const ensured = await ensureBranch(BRANCH);
     log(`branch target=${BRANCH} ensured ok=${ensured.ok} created=${ensured.created} switched=${ensured.switched}`);
     if (!ensured.ok) return;
@@ -703,6 +1144,12 @@ async function commitOnce(repoRoot, msgPath) {
 
     await run("git", ["add", "-A"]);
     await unstageIfStaged(path.relative(repoRoot, msgPath));
+    // The lint report and a message saved by undo sit next to the message file
+    for (const sidecar of [lintErrorsPath(msgPath), undoneMessagePath(msgPath)]) {
+      if (fs.existsSync(sidecar)) await unstageIfStaged(path.relative(repoRoot, sidecar));
+    }
+    await quarantineStagedFiles();
+    await applyCoordinationMode();
 
     const n = await stagedCount();
     log(`staged files=${n}`);
@@ -712,8 +1159,20 @@ async function commitOnce(repoRoot, msgPath) {
     const header = (msg.split("\n")[0] || "").slice(0, 120);
     dlog("msgPath:", path.relative(repoRoot, msgPath), "size:", msg.length, "header:", header);
 
+    // Lint the agent's own message (before any infra rewrite) against the staged files
+    if (REQUIRE_MSG && msg) {
+      const { stdout: stagedNames } = await run("git", ["diff", "--cached", "--name-only"]);
+      if (!checkCommitMessage(msgPath, msg, stagedNames.split("\n").filter(Boolean))) {
+        log("message rejected by commit lint; skipping commit");
+        return;
+      }
+    }
+
+    // A structured message file splits the change set into several commits
+    const batch = REQUIRE_MSG && msg ? parseCommitBatch(msg) : null;
+
     // Enhance commit message if infrastructure changes detected
-    if (infraChanges.hasInfraChanges && !msg.startsWith('infra')) {
+    if (!batch && infraChanges.hasInfraChanges && !msg.startsWith('infra')) {
       const originalMsg = msg;
       const [firstLine, ...rest] = msg.split('\n');
       
@@ -729,8 +1188,17 @@ async function commitOnce(repoRoot, msgPath) {
       msg = rest.length > 0 ? `${msg}\n${rest.join('\n')}${infraDetails}` : `${msg}${infraDetails}`;
     }
 
+    // Quality gates only run once the message is usable, so a held-back
+    // commit is retried the next time the agent rewrites its message
+    if ((batch || !REQUIRE_MSG || conventionalHeaderOK(msg)) && !(await runQualityGates())) {
+      return;
+    }
+
     let committed = false;
-    if (REQUIRE_MSG && conventionalHeaderOK(msg)) {
+    if (batch) {
+      log(`committing structured batch of ${batch.length} commit(s)`);
+      committed = await commitBatch(repoRoot, batch);
+    } else if (REQUIRE_MSG && conventionalHeaderOK(msg)) {
       // Update infrastructure documentation before commit
       if (infraChanges.hasInfraChanges) {
         await updateInfrastructureDoc(infraChanges, msg);
@@ -738,23 +1206,9 @@ async function commitOnce(repoRoot, msgPath) {
         await run("git", ["add", "Documentation/infrastructure.md"]);
       }
       
-      // Handle worktrees: .git might be a file pointing to the actual git dir
-      let gitDir = path.join(repoRoot, ".git");
-      if (fs.existsSync(gitDir) && fs.statSync(gitDir).isFile()) {
-        // In a worktree, .git is a file containing the path to the actual git directory
-        const gitFileContent = fs.readFileSync(gitDir, 'utf8');
-        const match = gitFileContent.match(/gitdir: (.+)/);
-        if (match) {
-          gitDir = match[1].trim();
-        }
-      }
-      
-      const tmp = path.join(gitDir, ".ac-msg.txt");
-      fs.writeFileSync(tmp, msg + "\n");
-      committed = (await run("git", ["commit", "-F", tmp])).ok;
-      try { fs.unlinkSync(tmp); } catch {}
+      committed = await commitWithMessage(repoRoot, msg);
     } else if (!REQUIRE_MSG) {
-      committed = (await run("git", ["commit", "-m", "chore: cs-devops-agent"])).ok;
+      committed = await commitWithMessage(repoRoot, "chore: cs-devops-agent");
     } else {
       log("message not ready; skipping commit");
       return;
@@ -781,11 +1235,38 @@ async function commitOnce(repoRoot, msgPath) {
   }
 }
 
+/**
+ * Replay this worktree's deferred pushes once the remote is reachable again
+ * Runs on a timer (AC_PUSH_REPLAY_MS) and shares the busy flag with commitOnce
+ * so a replay never races a commit.
+ */
+async function replayPendingPushes() {
+  if (busy || !PUSH) return;
+
+  const mainRoot = findMainRepoRoot(process.cwd());
+  if (pendingPushes(mainRoot, { cwd: process.cwd() }).length === 0) return;
+
+  const remote = await defaultRemote();
+  if (!remote || !(await remoteReachable(remote))) {
+    dlog("deferred pushes waiting: remote not reachable");
+    return;
+  }
+
+  busy = true;
+  try {
+    const { pushed, failed } = await replayPushQueue(mainRoot, (entry) => pushBranch(entry.branch), { cwd: process.cwd() });
+    if (pushed.length > 0) log(`replayed deferred push: ${pushed.join(", ")}`);
+    if (failed.length > 0) log(`deferred push still failing: ${failed.join(", ")}`);
+  } finally {
+    busy = false;
+  }
+}
+
 function schedule(repoRoot, msgPath) {
   if (QUIET_MS <= 0) return; // disabled
   clearTimeout(timer);
   timer = setTimeout(async () => {
-    if (!isQuietNow()) return;
+    if (!isQuietNow() || autocommitPaused) return;
     if (!msgReady(msgPath)) {
       dlog("not committing: message not ready or updated yet");
       return;
@@ -850,23 +1331,6 @@ async function handleDockerRestart() {
  * @returns {object} - Infrastructure change details
  */
 function detectInfrastructureChanges(changedFiles) {
-  const infraPatterns = [
-    { pattern: /package(-lock)?\.json$/, category: 'Dependencies' },
-    { pattern: /\.env(\..*)?$/, category: 'Config' },
-    { pattern: /.*config.*\.(js|json|yml|yaml)$/, category: 'Config' },
-    { pattern: /Dockerfile$/, category: 'Build' },
-    { pattern: /docker-compose\.(yml|yaml)$/, category: 'Build' },
-    { pattern: /\.github\/workflows\//, category: 'Build' },
-    { pattern: /migrations?\//, category: 'Database' },
-    { pattern: /(routes?|api)\//, category: 'API' },
-    { pattern: /\.gitlab-ci\.yml$/, category: 'Build' },
-    { pattern: /webpack\.config\.js$/, category: 'Build' },
-    { pattern: /tsconfig\.json$/, category: 'Build' },
-    { pattern: /jest\.config\.js$/, category: 'Build' },
-    { pattern: /\.eslintrc/, category: 'Build' },
-    { pattern: /\.prettierrc/, category: 'Build' }
-  ];
-  
   const detected = {
     hasInfraChanges: false,
     categories: new Set(),
@@ -875,7 +1339,7 @@ function detectInfrastructureChanges(changedFiles) {
   };
   
   for (const file of changedFiles) {
-    for (const { pattern, category } of infraPatterns) {
+    for (const { pattern, category } of INFRA_PATTERNS) {
       if (pattern.test(file)) {
         detected.hasInfraChanges = true;
         detected.categories.add(category);
@@ -1146,6 +1610,7 @@ async function handleSettingsCommand() {
   
   console.log("\nPROJECT SETTINGS (this repository only):");
   const vs = projectSettings.versioningStrategy || {};
+  console.log("  Versioning strategy: " + describeStrategy(loadVersionConfig(projectSettings, process.env)));
   console.log("  3) Version prefix: " + (vs.prefix || "v0."));
   console.log("  4) Starting version: " + (vs.startMinor || "20"));
   const increment = vs.dailyIncrement || 1;
@@ -1350,6 +1815,172 @@ function saveProjectSettings(settings, settingsPath) {
   fs.writeFileSync(settingsPath, JSON.stringify(settings, null, 2));
 }
 
+// ============================================================================
+// AGENT COMMAND PROTOCOL - JSON commands from the coding agent
+// ============================================================================
+
+/**
+ * Undo the last `count` agent commits of this session, pushing a revert
+ * @returns {Promise<Object>} rollbackCommits result plus pushed (null when not pushed)
+ */
+async function undoAgentCommits(msgPath, count) {
+  busy = true;
+  let undone;
+  try {
+    undone = rollbackCommits({ cwd: process.cwd(), sessionId, count, msgPath, source: 'worker' });
+  } finally {
+    busy = false;
+  }
+  if (!undone.ok) return undone;
+  const pushed = undone.mode === 'revert' && PUSH ? await pushBranch(await currentBranch()) : null;
+  return { ...undone, pushed };
+}
+
+async function headSha() {
+  return (await run("git", ["rev-parse", "HEAD"])).stdout.trim() || null;
+}
+
+/**
+ * Handlers for the commands in command-protocol.cjs. Each returns the
+ * response payload or throws (commandError for a specific error code).
+ */
+function agentCommandHandlers(repoRoot, msgPath) {
+  const mainRoot = () => findMainRepoRoot(process.cwd());
+  const requireSession = () => {
+    if (!sessionId) throw commandError('failed', 'this worker is not running in a session');
+  };
+  const requireIdle = () => {
+    if (busy) throw commandError('busy', 'a commit or push is in progress; retry shortly');
+  };
+  const coordinator = () => new FileCoordinator(sessionId, process.cwd(), mainRoot());
+
+  return {
+    'commit-now': async ({ message }) => {
+      requireIdle();
+      if (message) fs.writeFileSync(msgPath, message);
+      if (!(await hasUncommittedChanges())) return { committed: false, head: await headSha() };
+      const before = await headSha();
+      await commitOnce(repoRoot, msgPath);
+      const head = await headSha();
+      if (head === before) {
+        throw commandError('failed', 'nothing was committed (message missing or rejected, or held back by a gate; see the worker log)');
+      }
+      return { committed: true, head, branch: await currentBranch() };
+    },
+
+    'push': async () => {
+      requireIdle();
+      const branch = await currentBranch();
+      if (!(await pushBranch(branch))) throw commandError('failed', `push of ${branch} failed (see the worker log)`);
+      return { branch, pushed: true };
+    },
+
+    'pause-autocommit': async () => {
+      autocommitPaused = true;
+      log("auto-commit paused by agent command");
+      return { paused: true };
+    },
+
+    'resume-autocommit': async () => {
+      autocommitPaused = false;
+      log("auto-commit resumed by agent command");
+      return { paused: false };
+    },
+
+    'declare-files': async ({ files, reason, estimatedDuration }) => {
+      requireSession();
+      const agent = (readSessionConfig() || {}).agentType || process.env.AGENT_NAME || 'agent';
+      const result = coordinator().declareFiles(files, { agent, reason, estimatedDuration, pid: process.pid });
+      if (!result.ok) {
+        const taken = result.conflicts.map(c => `${c.file} (${c.conflictsWith}, session ${c.session})`);
+        throw commandError('failed', `already declared by another session: ${taken.join(', ')}`);
+      }
+      return { files: result.files };
+    },
+
+    'release-files': async ({ files }) => {
+      requireSession();
+      return coordinator().releaseFiles(files || null);
+    },
+
+    'status': async () => {
+      const { count, added, modified, deleted, untracked } = await summarizeStatus(0);
+      const quarantine = loadQuarantine(mainRoot(), sessionId);
+      return {
+        sessionId,
+        branch: await currentBranch(),
+        head: await headSha(),
+        autocommitPaused,
+        busy,
+        push: PUSH,
+        uncommitted: { count, added, modified, deleted, untracked },
+        pendingPushes: pendingPushes(mainRoot(), { cwd: process.cwd() }).length,
+        quarantined: quarantine ? quarantine.quarantined.map(q => q.file) : [],
+        pushBlocked: isPushBlocked(mainRoot(), sessionId),
+        declaredFiles: declaredFiles(),
+        coordination: loadCoordinationReport(coordinationReportPath(mainRoot(), sessionId))
+      };
+    },
+
+    'rollback': async ({ count = 1 }) => {
+      requireIdle();
+      if (!Number.isInteger(count) || count < 1) throw commandError('invalid-args', 'count must be a positive integer');
+      const undone = await undoAgentCommits(msgPath, count);
+      if (!undone.ok) throw commandError('failed', undone.error);
+      return {
+        mode: undone.mode,
+        commits: undone.commits.map(c => c.hash),
+        pushed: undone.pushed,
+        head: await headSha(),
+        messageFile: path.relative(process.cwd(), undone.restoredMessageFile)
+      };
+    },
+
+    'request-merge': async ({ target }) => {
+      requireSession();
+      requireIdle();
+      if (await hasUncommittedChanges()) throw commandError('failed', 'commit or discard the uncommitted changes first');
+      const store = new SessionStore(mainRoot(), { migrate: false });
+      if (!store.get(sessionId)) throw commandError('failed', `no session lock for ${sessionId}`);
+
+      const branch = await currentBranch();
+      const pushed = PUSH ? await pushBranch(branch) : null;
+      const head = await headSha();
+      const { mergeRequest } = store.update(sessionId, session => ({
+        ...session,
+        mergeRequest: {
+          branch,
+          target: target || session.mergeConfig?.targetBranch || 'main',
+          head,
+          requestedAt: new Date().toISOString()
+        }
+      }));
+      log(`merge of ${branch} into ${mergeRequest.target} requested; it runs when the session is closed`);
+      return { ...mergeRequest, pushed };
+    },
+
+    'close-session': async () => {
+      requireIdle();
+      if (await hasUncommittedChanges()) {
+        fs.writeFileSync(msgPath, "chore: session cleanup - final commit");
+        await commitOnce(repoRoot, msgPath);
+      }
+      const branch = await currentBranch();
+      const pushed = PUSH ? await pushBranch(branch) : null;
+      fs.writeFileSync(path.join(process.cwd(), '.session-cleanup-requested'), JSON.stringify({
+        sessionId,
+        timestamp: new Date().toISOString(),
+        branch,
+        worktree: process.cwd()
+      }, null, 2));
+      log("session close requested by agent command; stopping shortly");
+      // Exit once the response has been written
+      setTimeout(() => process.exit(0), 1000);
+      return { branch, head: await headSha(), pushed, closing: true };
+    }
+  };
+}
+
 // ============================================================================
 // MAIN ENTRY POINT - Initialize and start the cs-devops-agent worker
 // ============================================================================
@@ -1403,11 +2034,13 @@ console.log();
 
   log(`repo=${repoRoot}`);
   log(`node=${process.version} cwd=${process.cwd()}`);
-  log(`prefix=${BRANCH_PREFIX}, tz=${TZ}, style=${DATE_STYLE}, push=${PUSH}`);
+  const rolloverSchedule = loadRolloverSchedule();
+  const rollover = rolloverSchedule.config;
+  log(`prefix=${BRANCH_PREFIX}, tz=${rollover.timezone}, rollover=${rollover.enableAutoRollover ? rollover.rolloverTime : "off"}${rollover.skipWeekends ? " (weekdays)" : ""}, style=${DATE_STYLE}, push=${PUSH}`);
   log(`static branch=${STATIC_BRANCH ?? "(dynamic daily)"}`);
 
   // Rollover at start (new day -> version branch bump + today's daily)
-  await rolloverIfNewDay(repoRoot);
+  await rolloverIfNewDay(repoRoot, { rolloverSchedule });
 
   const msgPath = resolveMsgPath(repoRoot);
   const msgExists = fs.existsSync(msgPath);
@@ -1417,8 +2050,24 @@ console.log();
 
   // Startup commit (if pending + message already present + allowed)
   // Note: rolloverIfNewDay already ensured we're on the right branch
-  const BRANCH = STATIC_BRANCH || `${BRANCH_PREFIX}${todayDateStr()}`;
+  const BRANCH = STATIC_BRANCH || await dailyBranchFor(rolloverSchedule);
   await ensureBranch(BRANCH);
+
+  // Extract session ID from branch name or message file (unless the coordinator passed it)
+  if (!sessionId) {
+    sessionId = (() => {
+      const match = BRANCH.match(/([a-z0-9]{4}-[a-z0-9]{4})/i);
+      if (match) return match[1];
+      
+      // Try to get from message file name
+      const msgFileName = path.basename(msgPath);
+      const msgMatch = msgFileName.match(/\.devops-commit-([a-z0-9]{4}-[a-z0-9]{4})\.msg/);
+      if (msgMatch) return msgMatch[1];
+      
+      return null;
+    })();
+  }
+
   const pending = await hasUncommittedChanges();
   const hasMsg = msgExists && readMsgFile(msgPath).length > 0;
 
@@ -1446,6 +2095,8 @@ console.log();
   // Canonicalize message path (resolves symlinks & correct casing on disk)
   const msgReal = fs.existsSync(msgPath) ? fs.realpathSync(msgPath) : msgPath;
   const relMsg = path.relative(repoRoot, msgReal);
+  const relMsgErrors = path.relative(repoRoot, lintErrorsPath(msgReal));
+  const relMsgUndone = path.relative(repoRoot, undoneMessagePath(msgReal));
   
   // Helper to compare paths (case-insensitive for compatibility)
   const samePath = (a, b) =>
@@ -1564,6 +2215,9 @@ console.log();
     ],
   })
   .on("all", async (evt, p) => {
+    // Our own lint report and the message saved by undo are not code changes
+    if (samePath(p, relMsgErrors) || samePath(p, relMsgUndone)) return;
+    
     const now = Date.now();
     const isMsg = samePath(p, relMsg);
     
@@ -1576,8 +2230,8 @@ console.log();
     
     // ========== FILE COORDINATION CHECK ==========
     // Check for undeclared file edits whenever a non-message file changes
-    // NOTE: This is ADVISORY ONLY - warnings are shown but commits proceed
-    // Since worktrees are isolated, file coordination warnings don't block commits
+    // NOTE: This only reports; in "enforce" coordination mode commitOnce
+    // holds the offending files back (see applyCoordinationMode)
     if (!isMsg && sessionId && (evt === 'add' || evt === 'change')) {
       try {
         const coordinator = new FileCoordinator(sessionId, process.cwd(), repoRoot);
@@ -1585,9 +2239,11 @@ console.log();
         
         if (conflictCheck.hasConflicts) {
           const reportPath = coordinator.createConflictReport(conflictCheck);
-          // ADVISORY ONLY - Don't block commits, just warn
-          console.log(`\n⚠️  File coordination advisory: See ${reportPath}`);
-          console.log(`    (Commits will proceed normally in isolated worktree)\n`);
+          const { mode } = loadCoordinationConfig(loadProjectSettings(findMainRepoRoot(process.cwd())));
+          console.log(`\n⚠️  File coordination ${mode}: See ${reportPath}`);
+          console.log(mode === 'enforce'
+            ? `    (Conflicting and undeclared files will be held back from commits)\n`
+            : `    (Commits will proceed normally in isolated worktree)\n`);
         }
       } catch (err) {
         // Don't break the watcher if coordination check fails
@@ -1600,7 +2256,9 @@ console.log();
     if (TRIGGER_ON_MSG && isMsg) {
       clearTimeout(msgTimer);
       msgTimer = setTimeout(async () => {
-        if (msgReady(msgReal)) {
+        if (autocommitPaused) {
+          dlog("message changed but auto-commit is paused");
+        } else if (msgReady(msgReal)) {
           await commitOnce(repoRoot, msgReal);
         } else {
           dlog("message changed but not ready yet");
@@ -1614,24 +2272,51 @@ console.log();
     schedule(repoRoot, msgReal);
   });
 
+  // Agent commands: JSON files in local_deploy/commands/<sessionId>/, answered in responses/
+  const inbox = commandsDir(findMainRepoRoot(process.cwd()), sessionId);
+  fs.mkdirSync(inbox, { recursive: true });
+  const commandQueue = createCommandQueue(agentCommandHandlers(repoRoot, msgPath), {
+    onResponse: (r) => log(`agent command ${r.command || "?"} (${r.id}): ${r.status}${r.error ? ` - ${r.error.message}` : ""}`)
+  });
+  chokidar
+    .watch(inbox, { depth: 0, usePolling: USE_POLLING, interval: 500 })
+    .on("add", (p) => commandQueue.enqueue(p));
+
+  // Keep this session's file leases alive while we run, and give them up when we exit
+  if (sessionId) {
+    const leases = new FileCoordinator(sessionId, process.cwd(), findMainRepoRoot(process.cwd()));
+    if (LEASE_HEARTBEAT_MS > 0) {
+      setInterval(() => {
+        try {
+          const lease = leases.heartbeat();
+          if (lease) dlog(`file lease renewed until ${lease.expiresAt}`);
+        } catch (e) {
+          dlog("file lease heartbeat failed:", e.message);
+        }
+      }, LEASE_HEARTBEAT_MS);
+    }
+    process.on("exit", () => {
+      try {
+        leases.release();
+      } catch {
+        // The owner-exited check releases them on the next acquire
+      }
+    });
+    // closeSession stops us with SIGTERM; exit normally so the handler above runs
+    process.on("SIGTERM", () => process.exit(143));
+  }
+
+  // Retry pushes that failed while the remote was unreachable
+  if (PUSH && PUSH_REPLAY_MS > 0) {
+    setInterval(() => {
+      replayPendingPushes().catch(e => dlog("push replay failed:", e.message));
+    }, PUSH_REPLAY_MS);
+  }
+
   // ============================================================================
   // INTERACTIVE COMMAND INTERFACE - Handle user commands during execution
   // ============================================================================
   
-  // Extract session ID from branch name or message file
-  const sessionId = (() => {
-    const branch = STATIC_BRANCH || BRANCH;
-    const match = branch.match(/([a-z0-9]{4}-[a-z0-9]{4})/i);
-    if (match) return match[1];
-    
-    // Try to get from message file name
-    const msgFileName = path.basename(msgPath);
-    const msgMatch = msgFileName.match(/\.devops-commit-([a-z0-9]{4}-[a-z0-9]{4})\.msg/);
-    if (msgMatch) return msgMatch[1];
-    
-    return null;
-  })();
-  
   console.log("\n" + "=".repeat(60));
   console.log("[cs-devops-agent] INTERACTIVE COMMANDS AVAILABLE:");
   console.log("  help     - Show available commands");
@@ -1640,10 +2325,13 @@ console.log();
   console.log("  verbose  - Toggle verbose/debug logging");
   console.log("  commit   - Force commit now");
   console.log("  push     - Push current branch");
+  console.log("  ack      - Acknowledge the quarantine report and unblock pushing");
+  console.log("  ack --allow <file> - Commit a quarantined file as it was reviewed");
+  console.log("  undo [n] - Undo the last n agent commits (revert if pushed, reset if local)");
   console.log("  exit     - Cleanly close session and exit");
   if (sessionId) {
     console.log(`\nSession ID: ${sessionId}`);
-    console.log(`To close from another terminal: echo "CLOSE_SESSION" > .devops-command-${sessionId}`);
+    console.log(`Agent commands (JSON files): ${inbox} (see docs/SESSION_MANAGEMENT.md)`);
   }
   console.log("=".repeat(60) + "\n");
   
@@ -1657,9 +2345,13 @@ console.log();
   
   // Command handler
   rl.on('line', async (line) => {
-    const cmd = line.trim().toLowerCase();
+    const cmd = line.trim();
+    // Commands may take arguments, e.g. "undo 2"; only the verb ignores case,
+    // so file paths keep theirs
+    const [rawVerb, ...cmdArgs] = cmd.split(/\s+/);
+    const verb = rawVerb.toLowerCase();
     
-    switch (cmd) {
+    switch (verb) {
       case 'help':
       case 'h':
       case '?':
@@ -1670,6 +2362,10 @@ console.log();
         console.log("  verbose/v       - Toggle verbose/debug logging (currently: " + (DEBUG ? "ON" : "OFF") + ")");
         console.log("  commit/c        - Force commit now (stages all changes)");
         console.log("  push/p          - Push current branch to remote");
+        console.log("  ack             - Acknowledge the quarantine report and unblock pushing");
+        console.log("  ack --allow <f> - Commit quarantined file <f> as it was reviewed");
+        console.log("  undo [n]        - Undo the last n agent commits of this session (default 1)");
+        console.log("  rollover --dry-run - Preview today's daily rollover without changing any branch");
         console.log("  exit/quit/q     - Cleanly close session and exit");
         console.log("  clear/cls       - Clear the screen");
         break;
@@ -1683,6 +2379,20 @@ console.log();
         console.log(`  Message file: ${path.basename(msgPath)}`);
         console.log(`  Auto-push: ${PUSH ? "enabled" : "disabled"}`);
         console.log(`  Debug mode: ${DEBUG ? "ON" : "OFF"}`);
+
+        const queuedPushes = pendingPushes(findMainRepoRoot(process.cwd()), { cwd: process.cwd() });
+        console.log(`  Pending pushes: ${queuedPushes.length}`);
+        queuedPushes.forEach(entry => {
+          console.log(`    ${entry.remote}/${entry.branch} - ${entry.reason}, ${entry.attempts} attempt(s), since ${entry.firstFailedAt}`);
+        });
+
+        const quarantine = loadQuarantine(findMainRepoRoot(process.cwd()), sessionId);
+        if (quarantine && quarantine.quarantined.length > 0) {
+          const quarantineHint = quarantine.acknowledged
+            ? "kept out of commits, 'ack --allow <file>' to commit one"
+            : "push blocked, type 'ack' once resolved";
+          console.log(`  Quarantined files: ${quarantine.quarantined.map(q => q.file).join(", ")} (${quarantineHint})`);
+        }
         
         const statusSummary = await summarizeStatus(10);
         if (statusSummary.count > 0) {
@@ -1739,6 +2449,66 @@ console.log();
         }
         break;
         
+      case 'undo': {
+        const undoCount = Number(cmdArgs[0] || 1);
+        if (!Number.isInteger(undoCount) || undoCount < 1) {
+          console.log("\nUsage: undo [n]");
+          break;
+        }
+        if (busy) {
+          console.log("\nA commit is in progress; try again in a moment.");
+          break;
+        }
+        const undone = await undoAgentCommits(msgPath, undoCount);
+        if (!undone.ok) {
+          console.log(`\n✗ ${undone.error}`);
+          break;
+        }
+        console.log(`\n✓ ${undone.mode === 'revert' ? 'Reverted' : 'Reset away'} ${undone.commits.length} commit(s):`);
+        undone.commits.forEach(c => console.log(`    ${c.hash.slice(0, 8)} ${c.subject}`));
+        console.log(`  Message saved to ${path.basename(undone.restoredMessageFile)}; copy it back to ${path.basename(msgPath)} once the work is redone`);
+        if (undone.pushed !== null) {
+          console.log(undone.pushed ? "Revert pushed." : "Revert push failed. Check the logs above for details.");
+        }
+        break;
+      }
+        
+      case 'rollover': {
+        if (cmdArgs[0] !== '--dry-run') {
+          console.log("\nUsage: rollover --dry-run (the rollover itself runs automatically)");
+          break;
+        }
+        await rolloverIfNewDay(repoRoot, { dryRun: true });
+        break;
+      }
+        
+      case 'ack': {
+        const ackRoot = findMainRepoRoot(process.cwd());
+        if (cmdArgs[0] === '--allow') {
+          if (!cmdArgs[1]) {
+            console.log("\nUsage: ack --allow <file>");
+            break;
+          }
+          const allowedEntries = allowQuarantinedFile(ackRoot, sessionId, cmdArgs[1]);
+          console.log(allowedEntries.length > 0
+            ? `\n✓ ${cmdArgs[1]} allowed; its reviewed content will be committed with the next change.`
+            : `\n${cmdArgs[1]} is not quarantined.`);
+          break;
+        }
+        if (!acknowledgeQuarantine(ackRoot, sessionId)) {
+          console.log("\nNothing to acknowledge.");
+          break;
+        }
+        console.log("\n✓ Quarantine acknowledged; pushing is unblocked.");
+        console.log("Quarantined files stay out of commits; use 'ack --allow <file>' to commit one as it is.");
+        if (PUSH) {
+          const ackBranch = await currentBranch();
+          console.log(`Pushing ${ackBranch}...`);
+          console.log(await pushBranch(ackBranch) ? "Push successful!" : "Push failed. Check the logs above for details.");
+        }
+        break;
+      }
+        
       case 'push':
       case 'p':
         const branchName = await currentBranch();
@@ -1809,9 +2579,8 @@ console.log();
             let targetBranch = 'main';
             
             try {
-              const lockFile = path.join(repoRoot, 'local_deploy', 'session-locks', `${sessionId}.lock`);
-              if (fs.existsSync(lockFile)) {
-                const sessionData = JSON.parse(fs.readFileSync(lockFile, 'utf8'));
+              const sessionData = new SessionStore(repoRoot, { migrate: false }).get(sessionId);
+              if (sessionData) {
                 mergeConfig = sessionData.mergeConfig;
               }
             } catch (err) {
@@ -1964,9 +2733,7 @@ console.log();
                 console.log("✓ Worktree removed successfully");
                 
                 // Remove session lock file
-                const lockFile = path.join(repoRoot, 'local_deploy', 'session-locks', `${sessionId}.lock`);
-                if (fs.existsSync(lockFile)) {
-                  fs.unlinkSync(lockFile);
+                if (new SessionStore(repoRoot, { migrate: false }).remove(sessionId)) {
                   console.log("✓ Session closed");
                 }
               } catch (err) {
@@ -334,11 +334,11 @@ class DisplayUtils {
     console.log();
     console.log(this.colors.bright + 'IMPORTANT: File Coordination Protocol' + this.colors.reset);
     console.log('Before editing ANY files, you MUST:');
-    console.log('1. Declare your intent by creating .file-coordination/active-edits/<agent>-' + sessionId + '.json');
-    console.log('2. List all files you plan to edit in that JSON file');
-    console.log('3. Check for conflicts with other agents\' declarations');
-    console.log('4. Only proceed if no conflicts exist');
-    console.log('5. Release the files when done');
+    console.log('1. Declare the files you plan to edit (this checks for conflicts and reserves them):');
+    console.log(`   ./scripts/coordination/declare-file-edits.sh <agent> ${sessionId} <files...>`);
+    console.log('2. Only proceed if the declaration succeeded; otherwise wait or choose other files');
+    console.log('3. Never write files under .file-coordination/ yourself');
+    console.log(`4. Release the files when done: ./scripts/coordination/release-file-edits.sh <agent> ${sessionId}`);
     console.log();
     console.log('Write commit messages to: ' + this.colors.yellow + `.devops-commit-${sessionId}.msg` + this.colors.reset);
     console.log('The DevOps agent will automatically commit and push changes.');
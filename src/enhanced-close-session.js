@@ -9,6 +9,7 @@ const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
 const readline = require('readline');
+const { SessionStore } = require('./session-store.cjs');
 
 // Configuration
 const CONFIG = {
@@ -27,7 +28,7 @@ const CONFIG = {
 class EnhancedSessionCloser {
   constructor() {
     this.repoRoot = this.getRepoRoot();
-    this.locksPath = path.join(this.repoRoot, 'local_deploy', 'session-locks');
+    this.store = new SessionStore(this.repoRoot);
     this.worktreesPath = path.join(this.repoRoot, 'local_deploy', 'worktrees');
     this.projectSettingsPath = path.join(this.repoRoot, 'local_deploy', 'project-settings.json');
     this.projectSettings = this.loadProjectSettings();
@@ -222,11 +223,9 @@ class EnhancedSessionCloser {
         }
       }
 
-      // Remove session lock file
-      const lockFile = path.join(this.locksPath, `${sessionId}.lock`);
-      if (fs.existsSync(lockFile)) {
+      // Remove the session from the session store
+      if (this.store.remove(sessionId)) {
         console.log(`${CONFIG.colors.blue}Removing session lock file${CONFIG.colors.reset}`);
-        fs.unlinkSync(lockFile);
       }
 
       // Remove any commit message files
@@ -246,20 +245,10 @@ class EnhancedSessionCloser {
    * List all active sessions
    */
   listSessions() {
-    if (!fs.existsSync(this.locksPath)) {
+    const sessions = this.store.list();
+    if (sessions.length === 0) {
       console.log(`${CONFIG.colors.yellow}No active sessions found${CONFIG.colors.reset}`);
-      return [];
     }
-
-    const sessions = [];
-    const lockFiles = fs.readdirSync(this.locksPath).filter(f => f.endsWith('.lock'));
-
-    lockFiles.forEach(file => {
-      const lockPath = path.join(this.locksPath, file);
-      const sessionData = JSON.parse(fs.readFileSync(lockPath, 'utf8'));
-      sessions.push(sessionData);
-    });
-
     return sessions;
   }
 
@@ -413,12 +402,12 @@ class EnhancedSessionCloser {
       }
 
       // Update session status
-      const lockFile = path.join(this.locksPath, `${sessionData.sessionId}.lock`);
-      if (fs.existsSync(lockFile)) {
-        sessionData.status = 'inactive';
-        sessionData.worktreePath = null;
-        sessionData.inactiveAt = new Date().toISOString();
-        fs.writeFileSync(lockFile, JSON.stringify(sessionData, null, 2));
+      if (this.store.get(sessionData.sessionId)) {
+        this.store.update(sessionData.sessionId, {
+          status: 'inactive',
+          worktreePath: null,
+          inactiveAt: new Date().toISOString()
+        });
       }
 
       console.log(`\n${CONFIG.colors.green}✅ Session marked as inactive, worktree cleaned up${CONFIG.colors.reset}`);
@@ -7,11 +7,36 @@
  * editing files in the same repository. It implements an advisory lock system
  * where agents declare their intent to edit files, and conflicts are reported
  * to users for resolution.
+ *
+ * Declarations are acquired and released under a coordination mutex (a lock
+ * file created with O_EXCL), so checking for conflicts and writing the
+ * declaration happen as one step even when several agents race for a file.
+ *
+ * A declaration is a lease: it lives for estimatedDuration seconds after its
+ * last heartbeat (the worker refreshes its session's lease while it runs),
+ * and ends early once the process owning it has exited.
  */
 
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const { execSync } = require('child_process');
+const { normalizeRepoPath, matchesAny, patternsOverlap } = require('./path-patterns.cjs');
+const { findMainRepoRoot } = require('./repo-paths.cjs');
+const { SessionStore } = require('./session-store.cjs');
+const { LOCK_TIMEOUT_MS, isProcessAlive, writeJsonAtomic, acquireLock, releaseLock, breakStaleLock } = require('./file-lock.cjs');
+
+// Lease length (seconds) for declarations that do not set estimatedDuration
+const DEFAULT_LEASE_TTL = 300;
+
+/**
+ * When a declaration's lease runs out: estimatedDuration seconds after it
+ * was declared or last heartbeat, whichever is later
+ */
+function leaseExpiresAt(declaration) {
+  const refreshed = Math.max(Date.parse(declaration.declaredAt) || 0, Date.parse(declaration.heartbeatAt) || 0);
+  return refreshed + (declaration.estimatedDuration || DEFAULT_LEASE_TTL) * 1000;
+}
 
 class FileCoordinator {
   constructor(sessionId, workingDir = process.cwd(), repoRoot = null) {
@@ -27,6 +52,7 @@ class FileCoordinator {
     this.activeEditsDir = path.join(this.coordDir, 'active-edits');
     this.completedEditsDir = path.join(this.coordDir, 'completed-edits');
     this.conflictsDir = path.join(this.coordDir, 'conflicts');
+    this.mutexPath = path.join(this.coordDir, '.lock');
     
     // Ensure directories exist
     this.ensureDirectories();
@@ -67,7 +93,8 @@ class FileCoordinator {
   }
 
   /**
-   * Get all active declarations from other agents
+   * Get all declarations whose lease is still live, keyed by file name
+   * (ended leases are left for reapLeases() to move out)
    */
   getActiveDeclarations() {
     const declarations = {};
@@ -83,20 +110,13 @@ class FileCoordinator {
         try {
           const content = fs.readFileSync(path.join(this.activeEditsDir, file), 'utf8');
           const declaration = JSON.parse(content);
-          
-          // Check if declaration is still valid (not expired)
-          const declaredAt = new Date(declaration.declaredAt);
-          const estimatedDuration = declaration.estimatedDuration || 300; // 5 minutes default
-          const expiresAt = new Date(declaredAt.getTime() + estimatedDuration * 1000);
-          
-          if (new Date() < expiresAt) {
+          if (this.leaseStatus(declaration).live) {
             declarations[file] = declaration;
-          } else {
-            // Move expired declaration to completed
-            this.moveToCompleted(file);
           }
         } catch (err) {
-          console.error(`Error reading declaration ${file}:`, err.message);
+          if (err.code !== 'ENOENT') {
+            console.error(`Error reading declaration ${file}:`, err.message);
+          }
         }
       }
     }
@@ -104,8 +124,61 @@ class FileCoordinator {
     return declarations;
   }
 
+  /**
+   * The process owning a lease: the worker that last heartbeat it, or else
+   * the agent recorded in the session lock (null if unknown or on another host)
+   */
+  leaseOwnerPid(declaration) {
+    if (declaration.pid) {
+      return !declaration.host || declaration.host === os.hostname() ? declaration.pid : null;
+    }
+    const session = new SessionStore(this.repoRoot, { migrate: false }).get(declaration.session);
+    return session?.agentPid || null;
+  }
+
+  /**
+   * Whether a declaration's lease is live, and why not if it has ended
+   * @returns {{live: boolean, reason?: 'expired'|'owner-exited', expiresAt: string}}
+   */
+  leaseStatus(declaration, now = Date.now()) {
+    const expiresAt = leaseExpiresAt(declaration);
+    const result = { live: true, expiresAt: new Date(expiresAt).toISOString() };
+    if (now >= expiresAt) {
+      return { ...result, live: false, reason: 'expired' };
+    }
+    const ownerPid = this.leaseOwnerPid(declaration);
+    if (ownerPid && !isProcessAlive(ownerPid)) {
+      return { ...result, live: false, reason: 'owner-exited' };
+    }
+    return result;
+  }
+
+  /**
+   * Move every ended lease to completed-edits (call with the mutex held)
+   * @returns {{file: string, session: string, reason: string}[]}
+   */
+  reapLeases() {
+    const reaped = [];
+    for (const file of fs.readdirSync(this.activeEditsDir).filter(f => f.endsWith('.json'))) {
+      let declaration;
+      try {
+        declaration = JSON.parse(fs.readFileSync(path.join(this.activeEditsDir, file), 'utf8'));
+      } catch {
+        continue;
+      }
+      const status = this.leaseStatus(declaration);
+      if (!status.live) {
+        this.moveToCompleted(file);
+        reaped.push({ file, session: declaration.session, reason: status.reason });
+      }
+    }
+    return reaped;
+  }
+
   /**
    * Check if specific files are currently being edited by other agents
+   * Both sides may be paths, directories or globs; they conflict when they
+   * can cover a common file.
    */
   checkFilesForConflicts(filesToCheck) {
     const conflicts = [];
@@ -120,11 +193,13 @@ class FileCoordinator {
       // Check for file overlaps
       const declaredFiles = declaration.files || [];
       for (const file of filesToCheck) {
-        if (declaredFiles.includes(file)) {
+        const declared = declaredFiles.find(pattern => patternsOverlap(file, pattern));
+        if (declared !== undefined) {
           conflicts.push({
             file,
             conflictsWith: declaration.agent,
             session: declaration.session,
+            declared,
             reason: declaration.reason || 'No reason provided',
             declaredAt: declaration.declaredAt
           });
@@ -176,7 +251,7 @@ class FileCoordinator {
       
       // Find undeclared edits (files we changed but didn't declare)
       const undeclaredEdits = allChangedFiles.filter(
-        file => !ourDeclaredFiles.includes(file)
+        file => !matchesAny(file, ourDeclaredFiles)
       );
       
       return {
@@ -333,6 +408,163 @@ class FileCoordinator {
     return reportFile;
   }
 
+  /**
+   * Run fn while holding the coordination mutex
+   */
+  withLock(fn, timeoutMs = LOCK_TIMEOUT_MS) {
+    const token = this.acquireMutex(timeoutMs);
+    try {
+      return fn();
+    } finally {
+      this.releaseMutex(token);
+    }
+  }
+
+  /**
+   * Take the coordination mutex, waiting up to timeoutMs for the holder
+   * @returns {string} token identifying this hold
+   */
+  acquireMutex(timeoutMs = LOCK_TIMEOUT_MS) {
+    return acquireLock(this.mutexPath, { timeoutMs, name: 'file coordination lock' });
+  }
+
+  /**
+   * Release the mutex, but only if it is still the hold we took
+   */
+  releaseMutex(token) {
+    releaseLock(this.mutexPath, token);
+  }
+
+  /**
+   * Remove the mutex if its holder died or it has gone stale (see file-lock.cjs)
+   */
+  breakStaleMutex() {
+    breakStaleLock(this.mutexPath);
+  }
+
+  /**
+   * Atomically acquire a lease on files for this session. Entries may be
+   * paths, directories ("src/api/") or globs ("src/api/**"); the lease is
+   * refused when any of them overlaps another session's declaration.
+   * @returns {{granted: true, lease: Object} | {granted: false, holder: Object, conflicts: Object[]}}
+   */
+  acquire(files, { agent = 'agent', reason = null, estimatedDuration = DEFAULT_LEASE_TTL, pid = null } = {}) {
+    files = files.map(normalizeRepoPath);
+    return this.withLock(() => {
+      this.reapLeases();
+      const conflicts = this.checkFilesForConflicts(files);
+      if (conflicts.length > 0) {
+        const [first] = conflicts;
+        return {
+          granted: false,
+          holder: {
+            agent: first.conflictsWith,
+            session: first.session,
+            files: conflicts.filter(c => c.session === first.session).map(c => c.declared),
+            reason: first.reason,
+            declaredAt: first.declaredAt
+          },
+          conflicts
+        };
+      }
+
+      const existingPath = this.findOurDeclaration();
+      let declaration = null;
+      if (existingPath) {
+        try {
+          declaration = JSON.parse(fs.readFileSync(existingPath, 'utf8'));
+        } catch (err) {
+          // Replaced below
+        }
+      }
+
+      const declarationPath = existingPath || path.join(this.activeEditsDir, `${agent}-${this.sessionId}.json`);
+      const updated = {
+        agent: declaration?.agent || agent,
+        session: this.sessionId,
+        files: [...new Set([...(declaration?.files || []), ...files])],
+        operation: 'edit',
+        reason: reason || declaration?.reason || null,
+        declaredAt: new Date().toISOString(),
+        estimatedDuration,
+        ...(pid ? { pid, host: os.hostname() } : declaration?.pid ? { pid: declaration.pid, host: declaration.host } : {})
+      };
+      writeJsonAtomic(declarationPath, updated);
+
+      const expiresAt = new Date(leaseExpiresAt(updated)).toISOString();
+      return { granted: true, lease: { ...updated, expiresAt, declarationPath } };
+    });
+  }
+
+  /**
+   * Release some (or, without a list, all) of this session's leased files
+   * @returns {{released: string[], remaining: string[]}}
+   */
+  release(files = null) {
+    return this.withLock(() => {
+      const declarationPath = this.findOurDeclaration();
+      if (!declarationPath) {
+        return { released: [], remaining: [] };
+      }
+
+      const declaration = JSON.parse(fs.readFileSync(declarationPath, 'utf8'));
+      const declared = declaration.files || [];
+      const toRelease = files && files.map(normalizeRepoPath);
+      const released = toRelease ? declared.filter(f => toRelease.includes(normalizeRepoPath(f))) : declared;
+      const remaining = declared.filter(f => !released.includes(f));
+
+      if (remaining.length === 0) {
+        this.moveToCompleted(path.basename(declarationPath));
+      } else {
+        writeJsonAtomic(declarationPath, { ...declaration, files: remaining });
+      }
+      return { released, remaining };
+    });
+  }
+
+  /**
+   * Extend this session's lease by another estimatedDuration and record the
+   * calling process as its owner. Ended leases (including our own) are
+   * reaped first.
+   * @returns {Object|null} the refreshed lease, or null if there is none
+   */
+  heartbeat(pid = process.pid) {
+    return this.withLock(() => {
+      this.reapLeases();
+      const declarationPath = this.findOurDeclaration();
+      if (!declarationPath) {
+        return null;
+      }
+
+      const declaration = JSON.parse(fs.readFileSync(declarationPath, 'utf8'));
+      const updated = { ...declaration, heartbeatAt: new Date().toISOString(), pid, host: os.hostname() };
+      writeJsonAtomic(declarationPath, updated);
+      return { ...updated, expiresAt: new Date(leaseExpiresAt(updated)).toISOString(), declarationPath };
+    });
+  }
+
+  /**
+   * Declare files this session is about to edit (same format as
+   * declare-file-edits.sh); acquire() with the result shape used by the
+   * worker commands, the control API and the MCP server.
+   * @returns {{ok: boolean, files: string[], conflicts: Object[], holder?: Object, declarationPath?: string}}
+   */
+  declareFiles(files, options = {}) {
+    const result = this.acquire(files, options);
+    if (!result.granted) {
+      return { ok: false, files: [], conflicts: result.conflicts, holder: result.holder };
+    }
+    return { ok: true, files: result.lease.files, conflicts: [], declarationPath: result.lease.declarationPath };
+  }
+
+  /**
+   * Release some (or, without a list, all) of this session's declared files
+   * @returns {{released: string[], remaining: string[]}}
+   */
+  releaseFiles(files = null) {
+    return this.release(files);
+  }
+
   /**
    * Move a declaration to completed
    */
@@ -350,43 +582,93 @@ class FileCoordinator {
   }
 
   /**
-   * Clean up old/stale declarations
+   * Clean up declarations whose lease expired or whose owner has exited
+   * @returns {{file: string, session: string, reason: string}[]}
    */
-  cleanupStaleDeclarations(maxAgeMinutes = 60) {
-    const now = new Date();
-    const maxAge = maxAgeMinutes * 60 * 1000;
-    
-    if (!fs.existsSync(this.activeEditsDir)) {
-      return;
-    }
-    
-    const files = fs.readdirSync(this.activeEditsDir);
-    let cleaned = 0;
-    
-    for (const file of files) {
-      if (file.endsWith('.json')) {
-        const filePath = path.join(this.activeEditsDir, file);
-        const stats = fs.statSync(filePath);
-        const age = now - stats.mtime;
-        
-        if (age > maxAge) {
-          this.moveToCompleted(file);
-          cleaned++;
-        }
-      }
-    }
+  cleanupStaleDeclarations() {
+    const reaped = this.withLock(() => this.reapLeases());
     
-    if (cleaned > 0) {
-      console.log(`Cleaned up ${cleaned} stale declaration(s)`);
+    if (reaped.length > 0) {
+      console.log(`Cleaned up ${reaped.length} stale declaration(s)`);
     }
+    return reaped;
   }
 }
 
 // Export for use in other modules
 module.exports = FileCoordinator;
 
-// If run directly, perform a conflict check
-if (require.main === module) {
+function printConflicts(conflicts) {
+  for (const conflict of conflicts) {
+    console.log(`❌ BLOCKED: ${conflict.file} (being edited by ${conflict.conflictsWith}, session ${conflict.session}, declared ${conflict.declared})`);
+  }
+}
+
+/**
+ * Command line used by scripts/coordination/*.sh:
+ *   declare <agent> <session> <files...>   acquire a lease (exit 1 if held)
+ *   check <files...>                       report availability (exit 1 if blocked)
+ *   release <agent> <session> [files...]   release some or all files
+ * Without a command, checks the working tree for conflicts.
+ */
+function main(argv = process.argv.slice(2)) {
+  const [command, ...args] = argv;
+  const repoRoot = findMainRepoRoot(process.cwd());
+
+  if (command === 'declare') {
+    const [agent, session, ...files] = args;
+    if (!agent || !session || files.length === 0) {
+      console.error('Usage: file-coordinator.cjs declare <agent> <session> <files...>');
+      return 2;
+    }
+    const result = new FileCoordinator(session, process.cwd(), repoRoot).acquire(files, { agent });
+    if (!result.granted) {
+      const { holder } = result;
+      console.log(`❌ Cannot declare: held by ${holder.agent} (session ${holder.session}) since ${holder.declaredAt}`);
+      printConflicts(result.conflicts);
+      return 1;
+    }
+    console.log(`✅ Declared edits for: ${result.lease.files.join(' ')}`);
+    console.log(`Declaration saved to: ${result.lease.declarationPath}`);
+    return 0;
+  }
+
+  if (command === 'check') {
+    if (args.length === 0) {
+      console.error('Usage: file-coordinator.cjs check <files...>');
+      return 2;
+    }
+    const coordinator = new FileCoordinator(process.env.DEVOPS_SESSION_ID || 'manual-check', process.cwd(), repoRoot);
+    const conflicts = coordinator.checkFilesForConflicts(args.map(normalizeRepoPath));
+    for (const file of args.map(normalizeRepoPath)) {
+      if (!conflicts.some(c => c.file === file)) console.log(`✅ AVAILABLE: ${file}`);
+    }
+    printConflicts(conflicts);
+    return conflicts.length > 0 ? 1 : 0;
+  }
+
+  if (command === 'release') {
+    const [agent, session, ...files] = args;
+    if (!agent || !session) {
+      console.error('Usage: file-coordinator.cjs release <agent> <session> [files...]');
+      return 2;
+    }
+    const { released, remaining } = new FileCoordinator(session, process.cwd(), repoRoot).release(files.length > 0 ? files : null);
+    if (released.length === 0) {
+      console.log(`⚠️  No active declaration found for ${agent}-${session}`);
+    } else {
+      console.log(`✅ Released files for ${agent}-${session}: ${released.join(' ')}`);
+      if (remaining.length > 0) console.log(`Still declared: ${remaining.join(' ')}`);
+    }
+    return 0;
+  }
+
+  if (command) {
+    console.error(`Unknown command "${command}" (expected declare, check or release)`);
+    return 2;
+  }
+
+  // No command: perform a conflict check
   const sessionId = process.env.DEVOPS_SESSION_ID || 'manual-check';
   const coordinator = new FileCoordinator(sessionId);
   
@@ -401,4 +683,10 @@ if (require.main === module) {
       process.exit(0);
     }
   });
-}
\ No newline at end of file
+  return undefined;
+}
+
+if (require.main === module) {
+  const code = main();
+  if (code !== undefined) process.exitCode = code;
+}
@@ -0,0 +1,182 @@
+/**
+ * Cross-Process File Lock
+ *
+ * A mutex held by exclusively creating a lock file (O_EXCL), shared by the
+ * file coordinator and the session store. The lock file records who holds it
+ * ({token, pid, host, acquiredAt}); a lock whose holder died on this host, or
+ * that is older than staleMs, is broken so a crashed process cannot wedge
+ * everyone else. Holds are synchronous, so callers never yield while locked.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+// How long to wait for the lock, and when a held lock is considered
+// abandoned even though its owner cannot be checked
+const LOCK_TIMEOUT_MS = 5000;
+const LOCK_STALE_MS = 30000;
+const LOCK_RETRY_MS = 20;
+
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === 'EPERM';
+  }
+}
+
+/**
+ * Write JSON through a temp file and rename, so readers never see a
+ * half-written file
+ */
+function writeJsonAtomic(file, data) {
+  // The temp name has no .json/.lock extension, so directory scans skip it
+  const tmp = path.join(path.dirname(file), `.${path.basename(file)}.${process.pid}.tmp`);
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * Identity of the lock file currently at a path (null if there is none).
+ * A recreated lock gets a new inode or mtime, so comparing identities is
+ * the compare half of compare-and-swap.
+ */
+function lockIdentity(file) {
+  try {
+    const stat = fs.statSync(file);
+    return { key: `${stat.ino}:${stat.mtimeMs}`, mtimeMs: stat.mtimeMs };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Exclusively create a break marker. A marker older than staleMs was left by
+ * a process that died while breaking the lock, so it is replaced.
+ * @returns {boolean} True if this process now owns the marker
+ */
+function claimBreakMarker(marker, staleMs) {
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      fs.writeFileSync(marker, String(process.pid), { flag: 'wx' });
+      return true;
+    } catch {
+      const left = lockIdentity(marker);
+      if (left && Date.now() - left.mtimeMs < staleMs) return false;
+      fs.rmSync(marker, { force: true });
+    }
+  }
+  return false;
+}
+
+/**
+ * Remove the lock if its holder died (same host) or it is older than
+ * staleMs. Only the process that wins an exclusive break marker for this
+ * exact lock may remove it, and only if the lock is unchanged.
+ */
+function breakStaleLock(lockPath, staleMs = LOCK_STALE_MS) {
+  const seen = lockIdentity(lockPath);
+  if (!seen) return;
+
+  let holder = null;
+  try {
+    holder = JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+  } catch {
+    // Being written right now, or corrupt; fall back to its age
+  }
+  const dead = holder && holder.host === os.hostname() && !isProcessAlive(holder.pid);
+  if (!dead && Date.now() - seen.mtimeMs < staleMs) return;
+
+  const marker = `${lockPath}.break-${seen.key.replace(/[^\w-]/g, '_')}`;
+  if (!claimBreakMarker(marker, staleMs)) {
+    return; // Someone else is breaking it
+  }
+  try {
+    if (lockIdentity(lockPath)?.key === seen.key) {
+      fs.unlinkSync(lockPath);
+    }
+  } catch {
+    // Already gone
+  } finally {
+    fs.rmSync(marker, { force: true });
+  }
+}
+
+/**
+ * Take the lock, waiting up to timeoutMs for the holder
+ * @param {string} lockPath
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs]
+ * @param {number} [options.staleMs]
+ * @param {string} [options.name='lock'] - What the lock guards, for the timeout error
+ * @returns {string} token identifying this hold
+ */
+function acquireLock(lockPath, { timeoutMs = LOCK_TIMEOUT_MS, staleMs = LOCK_STALE_MS, name = 'lock' } = {}) {
+  const token = `${process.pid}-${crypto.randomBytes(6).toString('hex')}`;
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    try {
+      fs.writeFileSync(lockPath, JSON.stringify({
+        token,
+        pid: process.pid,
+        host: os.hostname(),
+        acquiredAt: new Date().toISOString()
+      }), { flag: 'wx' });
+      return token;
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+    }
+
+    breakStaleLock(lockPath, staleMs);
+    if (Date.now() >= deadline) {
+      throw new Error(`Timed out waiting for the ${name} (${lockPath})`);
+    }
+    sleepSync(LOCK_RETRY_MS);
+  }
+}
+
+/**
+ * Release the lock, but only if it is still the hold we took
+ */
+function releaseLock(lockPath, token) {
+  try {
+    const holder = JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+    if (holder.token === token) {
+      fs.unlinkSync(lockPath);
+    }
+  } catch {
+    // Already gone (broken as stale)
+  }
+}
+
+/**
+ * Run fn while holding the lock
+ */
+function withLock(lockPath, fn, options = {}) {
+  const token = acquireLock(lockPath, options);
+  try {
+    return fn();
+  } finally {
+    releaseLock(lockPath, token);
+  }
+}
+
+module.exports = {
+  LOCK_TIMEOUT_MS,
+  LOCK_STALE_MS,
+  sleepSync,
+  isProcessAlive,
+  writeJsonAtomic,
+  lockIdentity,
+  breakStaleLock,
+  acquireLock,
+  releaseLock,
+  withLock
+};
@@ -13,6 +13,7 @@ const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
 const FileCoordinator = require('./file-coordinator.cjs');
+const { matchesAny } = require('./path-patterns.cjs');
 const display = require('./display-utils.cjs');
 
 class EnhancedFileMonitor {
@@ -82,8 +83,8 @@ class EnhancedFileMonitor {
     // Update our declared files list
     await this.updateOurDeclaredFiles();
     
-    // Check if this file was declared by us
-    if (this.ourDeclaredFiles.has(file)) {
+    // Check if this file was declared by us (directly, or by a directory or glob)
+    if (matchesAny(file, [...this.ourDeclaredFiles])) {
       console.log(`✅ File properly declared by this session`);
       return;
     }
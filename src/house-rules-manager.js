@@ -27,7 +27,7 @@ const HOUSERULES_VERSION = '1.3.0';
 // Managed sections with their content
 const MANAGED_SECTIONS = {
   'file-coordination': {
-    version: '1.3.0',
+    version: '1.4.0',
     title: '## 🚨 CRITICAL: File Coordination Protocol (MUST FOLLOW)',
     content: `**IMPORTANT: Always check the house rules at the beginning of each session!**
 
@@ -36,32 +36,25 @@ To prevent conflicts with other agents editing the same files, you MUST follow t
 ### Before Editing ANY Files:
 
 1. **DECLARE YOUR INTENT FIRST**
-   Create a file at \`.file-coordination/active-edits/<your-name>-<session>.json\` with:
-   \`\`\`json
-   {
-     "agent": "<your-name>",
-     "session": "<session-id>",
-     "files": ["list", "of", "files", "you", "will", "edit"],
-     "operation": "edit",
-     "reason": "Brief description of what you're doing",
-     "declaredAt": "<current-ISO-8601-timestamp>",
-     "estimatedDuration": 300
-   }
+   \`\`\`bash
+   ./scripts/coordination/declare-file-edits.sh <your-name> <session-id> <files...>
    \`\`\`
+   Or call the \`declare_files\` tool of the DevOps agent MCP server. Either checks
+   for conflicts and reserves the files in one step.
+   Never write declaration files in \`.file-coordination/\` by hand.
 
-2. **CHECK FOR CONFLICTS**
-   - Read ALL files in \`.file-coordination/active-edits/\`
-   - If ANY other agent has declared the same files, you must:
-     - WAIT for them to finish, OR
-     - Choose different files to edit
+2. **IF THE DECLARATION IS REFUSED**
+   - Another agent has declared some of the files, and the error names it
+   - WAIT for them to finish, OR
+   - Choose different files to edit
 
 3. **ONLY EDIT DECLARED FILES**
    - Never edit files you haven't declared
    - Stay within your declared scope
 
 4. **RELEASE WHEN DONE**
-   - Delete your declaration file after completing edits
-   - Or move it to \`.file-coordination/completed-edits/\`
+   - Run \`./scripts/coordination/release-file-edits.sh <your-name> <session-id>\`
+   - Or call the \`release_files\` MCP tool
 
 ### If You Detect a Conflict:
 - DO NOT proceed with edits
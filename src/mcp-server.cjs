@@ -0,0 +1,385 @@
+#!/usr/bin/env node
+
+/**
+ * MCP Server
+ *
+ * Exposes the DevOps agent protocol as Model Context Protocol tools over
+ * stdio, so coding agents call tools instead of following the prose in the
+ * session instructions:
+ *
+ *   get_session_info          session, branch, worktree, message file, declared files
+ *                             and files the coordination mode held back
+ *   check_file_availability   which files another session has declared
+ *   declare_files             declare files before editing (refused on conflicts)
+ *   release_files             release declared files when done
+ *   write_commit_message      lint and write the session's commit message file
+ *   request_close             ask the worker to commit, push and close the session
+ *   read_house_rules          the project's house rules
+ *
+ * The session is DEVOPS_SESSION_ID, --session <id>, or the worktree the
+ * server is started in (its .devops-session.json). Messages are
+ * newline-delimited JSON-RPC 2.0 on stdin/stdout; logs go to stderr.
+ *
+ * Usage (e.g. in the agent's MCP config, run from the session worktree):
+ *   s9n-devops-agent mcp [--session <id>]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { execSync } = require('child_process');
+const { findMainRepoRoot, loadProjectSettings } = require('./repo-paths.cjs');
+const { SessionStore } = require('./session-store.cjs');
+const { requestCommand } = require('./command-protocol.cjs');
+const { baseLintOptions, loadLintConfig, lintCommitMessage } = require('./commit-message-linter.cjs');
+const FileCoordinator = require('./file-coordinator.cjs');
+const { loadCoordinationConfig, coordinationReportPath, loadCoordinationReport } = require('./coordination-mode.cjs');
+
+// Newest first; the client's version is echoed when we support it
+const MCP_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+const CLOSE_TIMEOUT_MS = 60000;
+
+const filesSchema = { type: 'array', items: { type: 'string' }, minItems: 1, description: 'Repository-relative paths, directories ("src/api/") or globs ("src/api/**")' };
+
+/**
+ * Error a tool throws to answer with isError instead of a result
+ */
+function toolError(message, data = null) {
+  const err = new Error(message);
+  err.toolError = true;
+  err.data = data;
+  return err;
+}
+
+/**
+ * Find the repository root and the session this server works for
+ */
+function resolveSession({ cwd = process.cwd(), sessionId = process.env.DEVOPS_SESSION_ID } = {}) {
+  const repoRoot = findMainRepoRoot(cwd);
+  if (sessionId) return { repoRoot, sessionId };
+
+  // .devops-session.json sits at the root of every session worktree
+  let top = cwd;
+  try {
+    top = execSync('git rev-parse --show-toplevel', { cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+  } catch {
+    // Not a checkout; look in cwd itself
+  }
+  try {
+    return { repoRoot, sessionId: JSON.parse(fs.readFileSync(path.join(top, '.devops-session.json'), 'utf8')).sessionId || null };
+  } catch {
+    return { repoRoot, sessionId: null };
+  }
+}
+
+function readSession({ repoRoot, sessionId }) {
+  if (!sessionId) {
+    throw toolError('No DevOps session found. Start the server from a session worktree or set DEVOPS_SESSION_ID.');
+  }
+  const session = new SessionStore(repoRoot, { migrate: false }).get(sessionId);
+  if (!session) {
+    throw toolError(`Session ${sessionId} is not active (no lock file in local_deploy/session-locks).`);
+  }
+  return session;
+}
+
+function messageFilePath(session) {
+  return path.join(session.worktreePath, `.devops-commit-${session.sessionId}.msg`);
+}
+
+function coordinatorFor(ctx) {
+  return new FileCoordinator(ctx.sessionId, ctx.repoRoot, ctx.repoRoot);
+}
+
+function declaredFiles(coordinator) {
+  const file = coordinator.findOurDeclaration();
+  if (!file) return [];
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8')).files || [];
+  } catch {
+    return [];
+  }
+}
+
+const TOOLS = [
+  {
+    name: 'get_session_info',
+    description: 'Get the current DevOps session: id, task, branch, worktree path, commit message file, the files this session has declared and any files held back from the last commit by file coordination.',
+    inputSchema: { type: 'object', properties: {} },
+    handler: async (args, ctx) => {
+      const session = readSession(ctx);
+      return {
+        sessionId: session.sessionId,
+        task: session.task,
+        agentType: session.agentType,
+        branch: session.branchName,
+        worktreePath: session.worktreePath,
+        messageFile: messageFilePath(session),
+        status: session.status,
+        declaredFiles: declaredFiles(coordinatorFor(ctx)),
+        coordination: {
+          mode: loadCoordinationConfig(loadProjectSettings(ctx.repoRoot)).mode,
+          heldBack: (loadCoordinationReport(coordinationReportPath(ctx.repoRoot, session.sessionId)) || {}).heldBack || []
+        },
+        mergeRequest: session.mergeRequest || null
+      };
+    }
+  },
+  {
+    name: 'check_file_availability',
+    description: 'Check whether files are free to edit or already declared by another session. Call before declare_files when planning.',
+    inputSchema: { type: 'object', properties: { files: filesSchema }, required: ['files'] },
+    handler: async ({ files }, ctx) => {
+      readSession(ctx);
+      const conflicts = coordinatorFor(ctx).checkFilesForConflicts(files);
+      const blocked = new Set(conflicts.map(c => c.file));
+      return { available: files.filter(f => !blocked.has(f)), conflicts };
+    }
+  },
+  {
+    name: 'declare_files',
+    description: 'Declare the files you are about to edit. Required BEFORE editing; refused if another session has declared any of them.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        files: filesSchema,
+        reason: { type: 'string', description: 'What you are changing' },
+        estimatedDuration: { type: 'number', description: 'Seconds the declaration stays valid (default 300)' }
+      },
+      required: ['files']
+    },
+    handler: async ({ files, reason, estimatedDuration }, ctx) => {
+      const session = readSession(ctx);
+      const result = coordinatorFor(ctx).declareFiles(files, {
+        agent: session.agentType,
+        reason: reason || session.task,
+        estimatedDuration
+      });
+      if (!result.ok) {
+        const blocked = result.conflicts.map(c => `${c.file} (${c.conflictsWith}, session ${c.session})`).join(', ');
+        throw toolError(`Files are being edited by another session: ${blocked}. Wait or choose different files.`, result);
+      }
+      return { declared: result.files };
+    }
+  },
+  {
+    name: 'release_files',
+    description: 'Release declared files once your edits are done. Releases all of them when files is omitted.',
+    inputSchema: { type: 'object', properties: { files: filesSchema } },
+    handler: async ({ files }, ctx) => {
+      readSession(ctx);
+      return coordinatorFor(ctx).releaseFiles(files || null);
+    }
+  },
+  {
+    name: 'write_commit_message',
+    description: 'Write the commit message for your changes (conventional commits, e.g. "feat(api): add export"). The DevOps agent commits and pushes once it is written.',
+    inputSchema: { type: 'object', properties: { message: { type: 'string' } }, required: ['message'] },
+    handler: async ({ message }, ctx) => {
+      const session = readSession(ctx);
+      const lint = lintCommitMessage(message, { ...baseLintOptions(), config: loadLintConfig(loadProjectSettings(ctx.repoRoot)) });
+      if (!lint.ok) {
+        throw toolError(`Commit message rejected:\n- ${lint.errors.join('\n- ')}`, { errors: lint.errors });
+      }
+      const file = messageFilePath(session);
+      fs.writeFileSync(file, `${message.trim()}\n`);
+      return { messageFile: file };
+    }
+  },
+  {
+    name: 'request_close',
+    description: 'Finish the session: the worker commits remaining changes, pushes and stops. With merge, a merge into target is requested for whoever closes the worktree.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        merge: { type: 'boolean', description: 'Request a merge of the session branch' },
+        target: { type: 'string', description: 'Branch to merge into (default: the session\'s merge target)' }
+      }
+    },
+    handler: async ({ merge = false, target }, ctx) => {
+      readSession(ctx);
+      const run = async (command, args) => {
+        const { response, withdrawn } = await requestCommand({ ...ctx, command, args, timeoutMs: CLOSE_TIMEOUT_MS });
+        if (!response) {
+          throw toolError(withdrawn
+            ? 'The DevOps worker for this session is not running. Close it with `s9n-devops-agent close`.'
+            : `${command} is still running in the worker.`);
+        }
+        if (response.status !== 'ok') throw toolError(`${command} failed: ${response.error.message}`, response);
+        return response.payload;
+      };
+
+      const mergeRequest = merge ? await run('request-merge', target ? { target } : {}) : null;
+      return { mergeRequest, closed: await run('close-session', {}) };
+    }
+  },
+  {
+    name: 'read_house_rules',
+    description: 'Read the project\'s house rules (coding conventions every agent must follow).',
+    inputSchema: { type: 'object', properties: {} },
+    handler: async (args, ctx) => {
+      const session = readSession(ctx);
+      const { default: HouseRulesManager } = await import('./house-rules-manager.js');
+      const manager = new HouseRulesManager(session.worktreePath);
+      if (!manager.houseRulesPath) throw toolError('This project has no house rules file.');
+      return fs.readFileSync(manager.houseRulesPath, 'utf8');
+    }
+  }
+];
+
+const TOOL_MAP = new Map(TOOLS.map(tool => [tool.name, tool]));
+
+function rpcResult(id, result) {
+  return { jsonrpc: '2.0', id, result };
+}
+
+function rpcError(id, code, message) {
+  return { jsonrpc: '2.0', id, error: { code, message } };
+}
+
+/**
+ * Check tool arguments against the tool's input schema
+ * @returns {string|null} Problem description, or null if valid
+ */
+function checkArguments(schema, args) {
+  for (const name of schema.required || []) {
+    if (args[name] === undefined) return `missing argument "${name}"`;
+  }
+  for (const [name, value] of Object.entries(args)) {
+    const prop = schema.properties[name];
+    if (!prop) return `unknown argument "${name}"`;
+    const valid = prop.type === 'array'
+      ? Array.isArray(value) && value.length >= (prop.minItems || 0) && value.every(v => typeof v === 'string' && v.length > 0)
+      : typeof value === prop.type;
+    if (!valid) return `argument "${name}" must be ${prop.type === 'array' ? 'a non-empty array of strings' : `a ${prop.type}`}`;
+  }
+  return null;
+}
+
+/**
+ * Run a tool and wrap its outcome as MCP tool content
+ */
+async function callTool(name, args, ctx) {
+  const tool = TOOL_MAP.get(name);
+  try {
+    const problem = checkArguments(tool.inputSchema, args || {});
+    if (problem) throw toolError(`Invalid arguments for ${name}: ${problem}`);
+    const result = await tool.handler(args || {}, ctx);
+    const text = typeof result === 'string' ? result : JSON.stringify(result, null, 2);
+    return { content: [{ type: 'text', text }], isError: false };
+  } catch (err) {
+    if (!err.toolError) throw err;
+    const content = [{ type: 'text', text: err.message }];
+    if (err.data) content.push({ type: 'text', text: JSON.stringify(err.data, null, 2) });
+    return { content, isError: true };
+  }
+}
+
+/**
+ * Build the JSON-RPC message handler
+ * @param {{repoRoot: string, sessionId: string|null}} ctx - Result of resolveSession
+ * @returns {{handleMessage: (message: Object) => Promise<Object|null>}} null for notifications
+ */
+function createMcpServer(ctx, { version = '0.0.0' } = {}) {
+  const handleMessage = async message => {
+    if (Array.isArray(message)) {
+      return rpcError(null, -32600, 'Invalid request: batch requests are not supported');
+    }
+    if (!message || typeof message !== 'object') {
+      return rpcError(null, -32600, 'Invalid request');
+    }
+    const { id = null, method, params = {} } = message;
+    const isNotification = !('id' in message);
+    if (!method || typeof method !== 'string') {
+      return isNotification ? null : rpcError(id, -32600, 'Invalid request');
+    }
+
+    try {
+      switch (method) {
+        case 'initialize': {
+          const requested = params.protocolVersion;
+          return rpcResult(id, {
+            protocolVersion: MCP_PROTOCOL_VERSIONS.includes(requested) ? requested : MCP_PROTOCOL_VERSIONS[0],
+            capabilities: { tools: { listChanged: false } },
+            serverInfo: { name: 's9n-devops-agent', version },
+            instructions: 'Declare files before editing them, release them when done, and finish each change with write_commit_message.'
+          });
+        }
+        case 'ping':
+          return isNotification ? null : rpcResult(id, {});
+        case 'tools/list':
+          return rpcResult(id, { tools: TOOLS.map(({ name, description, inputSchema }) => ({ name, description, inputSchema })) });
+        case 'tools/call':
+          if (!TOOL_MAP.has(params.name)) return rpcError(id, -32602, `Unknown tool: ${params.name}`);
+          return rpcResult(id, await callTool(params.name, params.arguments, ctx));
+        default:
+          // notifications/initialized, notifications/cancelled, ...
+          if (isNotification) return null;
+          return rpcError(id, -32601, `Method not found: ${method}`);
+      }
+    } catch (err) {
+      return isNotification ? null : rpcError(id, -32603, err.message);
+    }
+  };
+
+  return { handleMessage };
+}
+
+/**
+ * Serve newline-delimited JSON-RPC on the given streams until input ends
+ * Requests are answered in the order they arrive.
+ */
+function serveStdio(server, { input = process.stdin, output = process.stdout } = {}) {
+  const rl = readline.createInterface({ input, terminal: false });
+  let tail = Promise.resolve();
+
+  rl.on('line', line => {
+    if (!line.trim()) return;
+    tail = tail.then(async () => {
+      let message;
+      try {
+        message = JSON.parse(line);
+      } catch (err) {
+        output.write(`${JSON.stringify(rpcError(null, -32700, `Parse error: ${err.message}`))}\n`);
+        return;
+      }
+      const response = await server.handleMessage(message);
+      if (response) output.write(`${JSON.stringify(response)}\n`);
+    }).catch(err => {
+      // One bad message must not stop the requests queued behind it
+      console.error(`MCP server: failed to handle message: ${err.message}`);
+    });
+  });
+
+  return new Promise(resolve => rl.on('close', () => tail.then(resolve)));
+}
+
+async function main(argv = process.argv.slice(2)) {
+  if (argv.includes('--help') || argv.includes('-h')) {
+    console.error('Usage: s9n-devops-agent mcp [--session <id>]   (MCP server on stdio)');
+    return 0;
+  }
+  // stdout carries the protocol; keep stray logging (e.g. from FileCoordinator) off it
+  console.log = console.error;
+
+  const sessionIndex = argv.indexOf('--session');
+  const ctx = resolveSession(sessionIndex >= 0 ? { sessionId: argv[sessionIndex + 1] } : {});
+  const { version } = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'package.json'), 'utf8'));
+  console.error(`DevOps agent MCP server (session ${ctx.sessionId || 'none'}, repo ${ctx.repoRoot})`);
+
+  await serveStdio(createMcpServer(ctx, { version }));
+  return 0;
+}
+
+module.exports = {
+  MCP_PROTOCOL_VERSIONS,
+  TOOLS,
+  resolveSession,
+  createMcpServer,
+  serveStdio
+};
+
+if (require.main === module) {
+  main().then(code => { process.exitCode = code; });
+}
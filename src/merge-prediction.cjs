@@ -0,0 +1,173 @@
+/**
+ * Merge Conflict Prediction
+ *
+ * Trial-merges every active session against every other session and against
+ * its merge target with `git merge-tree --write-tree` (git 2.38+). The merge
+ * happens in memory, without touching any worktree, index or branch, so
+ * textual conflicts between sessions show up long before closeSession
+ * attempts the real merge.
+ *
+ * Configured under `mergePrediction` in local_deploy/project-settings.json:
+ *
+ *   "mergePrediction": { "interval": 300, "target": null }
+ *
+ * interval is the --watch period in seconds; target overrides each session's
+ * own merge target. The latest results are written to
+ * local_deploy/merge-predictions.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { localDeployDir } = require('./repo-paths.cjs');
+
+const DEFAULT_MERGE_PREDICTION_CONFIG = {
+  interval: 300,
+  target: null
+};
+
+/**
+ * Merge the mergePrediction section of the project settings over the defaults
+ */
+function loadMergePredictionConfig(settings = {}) {
+  return { ...DEFAULT_MERGE_PREDICTION_CONFIG, ...(settings.mergePrediction || {}) };
+}
+
+/**
+ * The branch a session will be merged into when it closes
+ */
+function mergeTargetFor(session) {
+  return session.mergeRequest?.target || session.mergeConfig?.targetBranch || 'main';
+}
+
+function git(args, cwd) {
+  return spawnSync('git', args, { cwd, encoding: 'utf8', maxBuffer: 10 * 1024 * 1024 });
+}
+
+/**
+ * Resolve a branch to a commit, falling back to its origin/ counterpart
+ * @returns {string|null} Commit sha
+ */
+function resolveRef(repoRoot, ref) {
+  for (const candidate of [ref, `origin/${ref}`]) {
+    const result = git(['rev-parse', '--verify', '--quiet', `${candidate}^{commit}`], repoRoot);
+    if (result.status === 0) return result.stdout.trim();
+  }
+  return null;
+}
+
+/**
+ * The commit holding a session's work: its worktree HEAD (which includes
+ * commits on daily branches), or its session branch without a worktree
+ */
+function sessionTip(repoRoot, session) {
+  if (session.worktreePath && fs.existsSync(session.worktreePath)) {
+    const head = git(['rev-parse', '--verify', '--quiet', 'HEAD'], session.worktreePath);
+    if (head.status === 0) return head.stdout.trim();
+  }
+  return session.branchName ? resolveRef(repoRoot, session.branchName) : null;
+}
+
+/**
+ * Merge two commits in memory
+ * @returns {{clean: boolean, files: string[]}} Files with textual conflicts
+ */
+function trialMerge(repoRoot, ours, theirs) {
+  const result = git(['merge-tree', '--write-tree', '--name-only', '--no-messages', ours, theirs], repoRoot);
+  if (result.status === 0) {
+    return { clean: true, files: [] };
+  }
+  if (result.status === 1) {
+    // First line is the (conflicted) tree, then one line per conflicted file
+    const files = result.stdout.split('\n').slice(1).filter(Boolean);
+    return { clean: false, files: [...new Set(files)] };
+  }
+  throw new Error((result.stderr || result.stdout || 'git merge-tree failed').trim());
+}
+
+/**
+ * Trial-merge each pair of sessions, and each session against its target
+ * @param {Object} options
+ * @param {string} options.repoRoot - Main repository root
+ * @param {Object[]} options.sessions - Session lock data
+ * @param {string|null} [options.target] - Merge target for every session (default: each session's own)
+ * @returns {{checkedAt: string, pairs: Object[], conflicts: Object[], skipped: Object[]}}
+ */
+function predictConflicts({ repoRoot, sessions, target = null }) {
+  const skipped = [];
+  const tips = [];
+  for (const session of sessions) {
+    const tip = sessionTip(repoRoot, session);
+    if (tip) {
+      tips.push({ session, tip });
+    } else {
+      skipped.push({ sessionId: session.sessionId, reason: `no commits found for ${session.branchName || 'its worktree'}` });
+    }
+  }
+
+  const compare = (kind, a, b, refs) => {
+    try {
+      return { kind, a, b, ...trialMerge(repoRoot, refs[0], refs[1]) };
+    } catch (err) {
+      return { kind, a, b, clean: null, files: [], error: err.message };
+    }
+  };
+
+  const pairs = [];
+  for (let i = 0; i < tips.length; i++) {
+    for (let j = i + 1; j < tips.length; j++) {
+      pairs.push(compare('session', tips[i].session.sessionId, tips[j].session.sessionId, [tips[i].tip, tips[j].tip]));
+    }
+  }
+  for (const { session, tip } of tips) {
+    const branch = target || mergeTargetFor(session);
+    const targetTip = resolveRef(repoRoot, branch);
+    if (!targetTip) {
+      skipped.push({ sessionId: session.sessionId, reason: `merge target ${branch} not found` });
+      continue;
+    }
+    pairs.push(compare('target', session.sessionId, branch, [tip, targetTip]));
+  }
+
+  return {
+    checkedAt: new Date().toISOString(),
+    pairs,
+    conflicts: pairs.filter(p => p.clean === false),
+    skipped
+  };
+}
+
+/**
+ * One line per predicted conflict, failed comparison and skipped session
+ */
+function describePrediction(prediction) {
+  const lines = prediction.conflicts.map(p =>
+    `${p.a} ${p.kind === 'target' ? '→' : '↔'} ${p.b}: ${p.files.length} conflicting file(s): ${p.files.join(', ')}`);
+  prediction.pairs.filter(p => p.error).forEach(p => lines.push(`${p.a} ↔ ${p.b}: could not trial-merge (${p.error})`));
+  prediction.skipped.forEach(s => lines.push(`${s.sessionId}: skipped, ${s.reason}`));
+  return lines;
+}
+
+function mergePredictionPath(repoRoot) {
+  return path.join(localDeployDir(repoRoot), 'merge-predictions.json');
+}
+
+function writeMergePrediction(repoRoot, prediction) {
+  const reportPath = mergePredictionPath(repoRoot);
+  fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+  fs.writeFileSync(reportPath, JSON.stringify(prediction, null, 2));
+  return reportPath;
+}
+
+module.exports = {
+  DEFAULT_MERGE_PREDICTION_CONFIG,
+  loadMergePredictionConfig,
+  mergeTargetFor,
+  resolveRef,
+  sessionTip,
+  trialMerge,
+  predictConflicts,
+  describePrediction,
+  mergePredictionPath,
+  writeMergePrediction
+};
@@ -9,6 +9,7 @@ const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
 const readline = require('readline');
+const { SessionStore } = require('./session-store.cjs');
 
 // Configuration
 const CONFIG = {
@@ -27,7 +28,7 @@ const CONFIG = {
 class OrphanedSessionCleaner {
   constructor() {
     this.repoRoot = this.getRepoRoot();
-    this.locksPath = path.join(this.repoRoot, 'local_deploy', 'session-locks');
+    this.store = new SessionStore(this.repoRoot);
     this.worktreesPath = path.join(this.repoRoot, 'local_deploy', 'worktrees');
     this.projectSettingsPath = path.join(this.repoRoot, 'local_deploy', 'project-settings.json');
     this.projectSettings = this.loadProjectSettings();
@@ -98,14 +99,14 @@ class OrphanedSessionCleaner {
    * Find all orphaned sessions
    */
   async findOrphanedSessions() {
-    if (!fs.existsSync(this.locksPath)) {
+    const sessions = this.store.list();
+    if (sessions.length === 0) {
       return [];
     }
 
     console.log(`${CONFIG.colors.blue}Scanning for orphaned sessions (threshold: ${this.thresholdDays} days)...${CONFIG.colors.reset}`);
 
     const orphans = [];
-    const lockFiles = fs.readdirSync(this.locksPath).filter(f => f.endsWith('.lock'));
     const thresholdDate = new Date();
     thresholdDate.setDate(thresholdDate.getDate() - this.thresholdDays);
 
@@ -116,11 +117,8 @@ class OrphanedSessionCleaner {
       console.warn(`${CONFIG.colors.yellow}Warning: Could not fetch remote branches${CONFIG.colors.reset}`);
     }
 
-    for (const lockFile of lockFiles) {
-      const lockPath = path.join(this.locksPath, lockFile);
-      
+    for (const sessionData of sessions) {
       try {
-        const sessionData = JSON.parse(fs.readFileSync(lockPath, 'utf8'));
         const sessionId = sessionData.sessionId;
         const branchName = sessionData.branchName;
         
@@ -162,12 +160,11 @@ class OrphanedSessionCleaner {
             lastActivity,
             daysSinceLastActivity,
             branchMissing,
-            reason,
-            lockFile: lockPath
+            reason
           });
         }
       } catch (error) {
-        console.error(`${CONFIG.colors.red}Error processing session lock ${lockFile}: ${error.message}${CONFIG.colors.reset}`);
+        console.error(`${CONFIG.colors.red}Error processing session ${sessionData.sessionId}: ${error.message}${CONFIG.colors.reset}`);
       }
     }
 
@@ -363,10 +360,9 @@ class OrphanedSessionCleaner {
         } catch {}
       }
 
-      // Remove session lock file
-      if (fs.existsSync(orphan.lockFile)) {
+      // Remove the session from the session store
+      if (this.store.remove(sessionId)) {
         console.log(`${CONFIG.colors.blue}  Removing session lock file${CONFIG.colors.reset}`);
-        fs.unlinkSync(orphan.lockFile);
       }
 
       // Remove any commit message files
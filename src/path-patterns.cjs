@@ -0,0 +1,189 @@
+/**
+ * Path Pattern Helpers
+ *
+ * Small glob matcher used wherever the agent filters repository paths
+ * (commit gates, coordination declarations). Supports `**`, `*`, `?` and
+ * `{a,b}` alternatives; a plain directory path (or a pattern ending in `/`)
+ * matches everything below it. patternsOverlap compares two patterns with
+ * each other, so declarations can be checked before any file exists.
+ */
+
+/**
+ * Normalize a repository-relative path: forward slashes, no leading `./`
+ */
+function normalizeRepoPath(p) {
+  let normalized = String(p || '').trim().replace(/\\/g, '/');
+  while (normalized.startsWith('./')) {
+    normalized = normalized.slice(2);
+  }
+  return normalized.replace(/\/{2,}/g, '/');
+}
+
+/**
+ * Convert a glob pattern into an anchored regular expression
+ */
+function globToRegExp(pattern) {
+  let glob = normalizeRepoPath(pattern);
+  if (glob.endsWith('/')) glob += '**';
+
+  let re = '';
+  let inGroup = false;
+
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+
+    if (c === '*') {
+      if (glob[i + 1] === '*') {
+        // `**/` matches zero or more directories, a trailing `**` matches anything
+        if (glob[i + 2] === '/') {
+          re += '(?:.*/)?';
+          i += 2;
+        } else {
+          re += '.*';
+          i += 1;
+        }
+      } else {
+        re += '[^/]*';
+      }
+    } else if (c === '?') {
+      re += '[^/]';
+    } else if (c === '{') {
+      inGroup = true;
+      re += '(?:';
+    } else if (c === '}' && inGroup) {
+      inGroup = false;
+      re += ')';
+    } else if (c === ',' && inGroup) {
+      re += '|';
+    } else {
+      re += c.replace(/[.+^$()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${re}$`);
+}
+
+/**
+ * Whether a pattern contains glob syntax (otherwise it is a plain path)
+ */
+function isGlob(pattern) {
+  return /[*?{]/.test(pattern);
+}
+
+/**
+ * Check whether a path matches a pattern; plain paths also match everything
+ * below them, so "src/api" covers "src/api/users.js"
+ */
+function matchesPattern(file, pattern) {
+  const normalized = normalizeRepoPath(file);
+  const plain = normalizeRepoPath(pattern).replace(/\/$/, '');
+  if (!isGlob(plain) && normalized.startsWith(`${plain}/`)) {
+    return true;
+  }
+  return globToRegExp(pattern).test(normalized);
+}
+
+/**
+ * Check whether a path matches any of the given patterns
+ */
+function matchesAny(file, patterns = []) {
+  return patterns.some(pattern => matchesPattern(file, pattern));
+}
+
+/**
+ * Expand `{a,b}` alternatives into separate patterns
+ */
+function expandBraces(pattern) {
+  const match = /\{([^{}]*)\}/.exec(pattern);
+  if (!match) return [pattern];
+  const before = pattern.slice(0, match.index);
+  const after = pattern.slice(match.index + match[0].length);
+  return match[1].split(',').flatMap(option => expandBraces(`${before}${option}${after}`));
+}
+
+/**
+ * Glob alternatives a pattern stands for: a plain path is the path itself
+ * and everything below it, a trailing `/` marks a directory
+ */
+function patternAlternatives(pattern) {
+  const normalized = normalizeRepoPath(pattern);
+  if (normalized === '' || normalized === '.' || normalized === './') return ['**'];
+  if (normalized.endsWith('/')) return expandBraces(`${normalized}**`);
+  if (!isGlob(normalized)) return [normalized, `${normalized}/**`];
+  return expandBraces(normalized);
+}
+
+/**
+ * Whether two single path segments (with `*` and `?`) can match the same name
+ */
+function segmentsOverlap(a, b) {
+  const memo = new Map();
+  const overlap = (i, j) => {
+    const key = `${i},${j}`;
+    if (memo.has(key)) return memo.get(key);
+    let result;
+    if (i === a.length && j === b.length) {
+      result = true;
+    } else if (a[i] === '*') {
+      result = overlap(i + 1, j) || (j < b.length && overlap(i, j + 1));
+    } else if (b[j] === '*') {
+      result = overlap(i, j + 1) || (i < a.length && overlap(i + 1, j));
+    } else if (i === a.length || j === b.length) {
+      result = false;
+    } else {
+      result = (a[i] === '?' || b[j] === '?' || a[i] === b[j]) && overlap(i + 1, j + 1);
+    }
+    memo.set(key, result);
+    return result;
+  };
+  return overlap(0, 0);
+}
+
+/**
+ * Whether two slash-separated globs can match the same path (`**` spans
+ * any number of directories)
+ */
+function globsOverlap(a, b) {
+  const left = a.split('/').map(s => (s.includes('**') && s !== '**' ? s.replace(/\*\*+/g, '*') : s));
+  const right = b.split('/').map(s => (s.includes('**') && s !== '**' ? s.replace(/\*\*+/g, '*') : s));
+  const memo = new Map();
+  const overlap = (i, j) => {
+    const key = `${i},${j}`;
+    if (memo.has(key)) return memo.get(key);
+    let result;
+    if (i === left.length && j === right.length) {
+      result = true;
+    } else if (left[i] === '**') {
+      result = overlap(i + 1, j) || (j < right.length && overlap(i, j + 1));
+    } else if (right[j] === '**') {
+      result = overlap(i, j + 1) || (i < left.length && overlap(i + 1, j));
+    } else if (i === left.length || j === right.length) {
+      result = false;
+    } else {
+      result = segmentsOverlap(left[i], right[j]) && overlap(i + 1, j + 1);
+    }
+    memo.set(key, result);
+    return result;
+  };
+  return overlap(0, 0);
+}
+
+/**
+ * Whether two declarations (paths, directories or globs) can cover a common
+ * file, e.g. "src/**" and "src/api/*.js", or "./src/a.js" and "src/a.js"
+ */
+function patternsOverlap(a, b) {
+  const left = patternAlternatives(a);
+  const right = patternAlternatives(b);
+  return left.some(x => right.some(y => globsOverlap(x, y)));
+}
+
+module.exports = {
+  normalizeRepoPath,
+  globToRegExp,
+  isGlob,
+  matchesPattern,
+  matchesAny,
+  expandBraces,
+  patternsOverlap
+};
@@ -0,0 +1,148 @@
+/**
+ * Deferred Push Queue
+ *
+ * Durable record of branches whose push failed, kept in
+ * local_deploy/push-queue.json so a push survives worker restarts and is
+ * replayed once the remote is reachable again. Entries are keyed by
+ * remote + branch + working directory (the worktree that owns the branch),
+ * so repeated failures update one entry instead of piling up.
+ *
+ *   {
+ *     "entries": [
+ *       { "remote": "origin", "branch": "dev_sdd_2025-10-19", "cwd": "/repo/local_deploy/worktrees/...",
+ *         "sessionId": "ab12-cd34", "reason": "network", "attempts": 2,
+ *         "firstFailedAt": "...", "lastFailedAt": "...", "nextAttemptAt": "..." }
+ *     ]
+ *   }
+ *
+ * Only failures a later push can get past are queued (isRetryablePush in
+ * push-strategy.cjs); a push that needs a person, or whose commits were
+ * saved to a side branch, is dropped from the queue instead.
+ *
+ * Network failures are due again as soon as the remote answers; anything
+ * else (unexplained errors, a remote that kept moving) backs off
+ * exponentially so a stuck branch doesn't flood the log.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { localDeployDir } = require('./repo-paths.cjs');
+const { backoffDelay } = require('./push-strategy.cjs');
+
+const RETRY_BACKOFF = { baseDelayMs: 60 * 1000, maxDelayMs: 30 * 60 * 1000 };
+
+function pushQueuePath(repoRoot) {
+  return path.join(localDeployDir(repoRoot), 'push-queue.json');
+}
+
+/**
+ * Read the queue entries ([] if the file is missing or unreadable)
+ */
+function loadPushQueue(repoRoot) {
+  try {
+    const data = JSON.parse(fs.readFileSync(pushQueuePath(repoRoot), 'utf8'));
+    return Array.isArray(data.entries) ? data.entries : [];
+  } catch {
+    return [];
+  }
+}
+
+function savePushQueue(repoRoot, entries) {
+  const queuePath = pushQueuePath(repoRoot);
+  fs.mkdirSync(path.dirname(queuePath), { recursive: true });
+  // Write-then-rename so a crash never leaves a half-written queue behind
+  const tmpPath = `${queuePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify({ entries }, null, 2));
+  fs.renameSync(tmpPath, queuePath);
+}
+
+function sameEntry(a, b) {
+  return a.remote === b.remote && a.branch === b.branch && path.resolve(a.cwd) === path.resolve(b.cwd);
+}
+
+/**
+ * Record (or update) a failed push
+ * @param {string} repoRoot - Main repository root
+ * @param {Object} push - { remote, branch, cwd, sessionId, reason, error }
+ * @returns {Object} The stored entry
+ */
+function enqueuePush(repoRoot, push, now = new Date()) {
+  const entries = loadPushQueue(repoRoot);
+  const existing = entries.find(e => sameEntry(e, push));
+  const attempts = existing ? existing.attempts + 1 : 1;
+  const delay = push.reason === 'network' ? 0 : backoffDelay(attempts, RETRY_BACKOFF);
+
+  const entry = {
+    remote: push.remote,
+    branch: push.branch,
+    cwd: path.resolve(push.cwd),
+    sessionId: push.sessionId || null,
+    reason: push.reason || 'unknown',
+    error: push.error || null,
+    attempts,
+    firstFailedAt: existing ? existing.firstFailedAt : now.toISOString(),
+    lastFailedAt: now.toISOString(),
+    nextAttemptAt: new Date(now.getTime() + delay).toISOString()
+  };
+
+  const rest = entries.filter(e => !sameEntry(e, push));
+  savePushQueue(repoRoot, [...rest, entry]);
+  return entry;
+}
+
+/**
+ * Drop a branch from the queue once it has been pushed
+ * @returns {boolean} True if an entry was removed
+ */
+function dequeuePush(repoRoot, push) {
+  const entries = loadPushQueue(repoRoot);
+  const rest = entries.filter(e => !sameEntry(e, push));
+  if (rest.length === entries.length) return false;
+  savePushQueue(repoRoot, rest);
+  return true;
+}
+
+/**
+ * Entries still waiting to be pushed, optionally limited to one working directory
+ */
+function pendingPushes(repoRoot, { cwd } = {}) {
+  const entries = loadPushQueue(repoRoot);
+  return cwd ? entries.filter(e => path.resolve(e.cwd) === path.resolve(cwd)) : entries;
+}
+
+/**
+ * Entries whose retry time has come
+ */
+function duePushes(repoRoot, { cwd, now = new Date() } = {}) {
+  return pendingPushes(repoRoot, { cwd })
+    .filter(e => !e.nextAttemptAt || new Date(e.nextAttemptAt) <= now);
+}
+
+/**
+ * Retry every due entry with the given push function
+ * The push function is responsible for updating the queue (see the worker's
+ * pushBranch), so this only reports what happened.
+ * @param {Function} pushFn - async (entry) => boolean
+ * @returns {Promise<{pushed: string[], failed: string[]}>}
+ */
+async function replayPushQueue(repoRoot, pushFn, { cwd, now } = {}) {
+  const pushed = [];
+  const failed = [];
+
+  for (const entry of duePushes(repoRoot, { cwd, now })) {
+    const ok = await pushFn(entry);
+    (ok ? pushed : failed).push(entry.branch);
+  }
+
+  return { pushed, failed };
+}
+
+module.exports = {
+  pushQueuePath,
+  loadPushQueue,
+  enqueuePush,
+  dequeuePush,
+  pendingPushes,
+  duePushes,
+  replayPushQueue
+};
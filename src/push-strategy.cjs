@@ -0,0 +1,268 @@
+/**
+ * Push Strategy Engine
+ *
+ * Decides what the worker does when `git push` is rejected. Configured under
+ * `pushStrategy` in local_deploy/project-settings.json (AC_PUSH_STRATEGY
+ * overrides the mode):
+ *
+ *   "pushStrategy": {
+ *     "mode": "rebase",              // merge | rebase | fail | side-branch
+ *     "maxRetries": 3,
+ *     "baseDelayMs": 1000,
+ *     "maxDelayMs": 30000,
+ *     "sideBranchPrefix": "devops/unpushed/"
+ *   }
+ *
+ * Modes (applied when the remote branch has moved on):
+ *   merge       - fetch and merge the remote branch, then push again
+ *   rebase      - fetch and rebase local commits onto the remote, then push again
+ *   fail        - stop and report the divergence
+ *   side-branch - push the branch to <sideBranchPrefix><branch>/<timestamp> and alert
+ *
+ * Every failed push is classified (non-fast-forward, protected-branch, auth,
+ * network, unknown) and reported as a structured event. Network failures are
+ * retried with exponential backoff; auth failures are never retried, and
+ * protected branches only fall back to a side branch in side-branch mode.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const { localDeployDir } = require('./repo-paths.cjs');
+
+const PUSH_STRATEGIES = ['merge', 'rebase', 'fail', 'side-branch'];
+// "conflict" is only reported when merging or rebasing the remote branch fails
+const FAILURE_TYPES = ['non-fast-forward', 'protected-branch', 'auth', 'network', 'conflict', 'unknown'];
+
+const DEFAULT_PUSH_CONFIG = {
+  mode: 'rebase',
+  maxRetries: 3,
+  baseDelayMs: 1000,
+  maxDelayMs: 30000,
+  sideBranchPrefix: 'devops/unpushed/'
+};
+
+// Checked in order: a protected-branch rejection also contains "[remote rejected]",
+// a rejected ref is diverged whatever the hints around it say, and an
+// unreachable ssh host also says "Could not read from remote repository"
+const FAILURE_PATTERNS = [
+  ['protected-branch', /protected branch|GH006|pre-receive hook declined|push declined|not allowed to (push|force push)/i],
+  ['non-fast-forward', /non-fast-forward|fetch first|updates were rejected|tip of your current branch is behind|\[rejected\]/i],
+  ['network', /could not resolve host|connection (timed out|refused|reset)|network is unreachable|operation timed out|failed to connect|remote end hung up unexpectedly|early EOF|ssh: connect to host|\bTLS\b|SSL_ERROR/i],
+  ['auth', /authentication failed|permission denied|could not read username|invalid (username|credentials)|access denied|\b403\b|requested URL returned error: 401/i]
+];
+
+/**
+ * Merge the pushStrategy settings with defaults
+ * @param {Object} settings - Project settings
+ * @param {string} [modeOverride] - e.g. process.env.AC_PUSH_STRATEGY
+ */
+function loadPushConfig(settings = {}, modeOverride) {
+  const config = { ...DEFAULT_PUSH_CONFIG, ...(settings.pushStrategy || {}) };
+  if (modeOverride) config.mode = String(modeOverride).toLowerCase();
+  if (!PUSH_STRATEGIES.includes(config.mode)) config.mode = DEFAULT_PUSH_CONFIG.mode;
+  config.maxRetries = Math.max(0, Number(config.maxRetries) || 0);
+  return config;
+}
+
+/**
+ * git's output without branch names and URLs, which can contain anything
+ * ("feature/tls-upgrade", "fix/403-page"), so only git's reasons are matched
+ */
+function failureText(output) {
+  return String(output || '').split('\n')
+    .filter(line => !/^To\s/.test(line))
+    .map(line => line
+      .replace(/^(\s*!\s*\[(?:remote )?rejected\])\s+\S+\s+->\s+\S+/, '$1')
+      .replace(/\S+:\/\/\S+/g, '<url>'))
+    .join('\n');
+}
+
+/**
+ * Classify a push failure from git's output
+ * @returns {string} One of FAILURE_TYPES
+ */
+function classifyPushFailure(output) {
+  const text = failureText(output);
+  const match = FAILURE_PATTERNS.find(([, re]) => re.test(text));
+  return match ? match[0] : 'unknown';
+}
+
+/**
+ * Delay before retry number `attempt` (1-based), doubling up to maxDelayMs
+ */
+function backoffDelay(attempt, { baseDelayMs, maxDelayMs } = DEFAULT_PUSH_CONFIG) {
+  return Math.min(maxDelayMs, baseDelayMs * 2 ** Math.max(0, attempt - 1));
+}
+
+function git(args, cwd) {
+  return new Promise(resolve => {
+    execFile('git', args, { cwd, maxBuffer: 10 * 1024 * 1024 }, (err, stdout, stderr) => {
+      resolve({ ok: !err, stdout: (stdout || '').trim(), output: `${stdout || ''}${stderr || ''}`.trim() });
+    });
+  });
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function sideBranchName(prefix, branch, now = new Date()) {
+  const stamp = now.toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+  return `${prefix}${branch}/${stamp}`;
+}
+
+/**
+ * Bring the remote branch into the local one with merge or rebase
+ * Aborts and reports on conflict so the working tree is never left mid-merge
+ */
+async function integrateRemote(mode, { cwd, remote, branch }) {
+  // Merging or rebasing only makes sense for the branch that is checked out
+  const head = await git(['rev-parse', '--abbrev-ref', 'HEAD'], cwd);
+  if (head.stdout !== branch) {
+    return { ok: false, notCheckedOut: true, output: `${branch} is not checked out; cannot ${mode} it in place` };
+  }
+
+  const fetched = await git(['fetch', remote, branch], cwd);
+  if (!fetched.ok) return { ok: false, output: fetched.output };
+
+  if (mode === 'merge') {
+    const merged = await git(['merge', '--no-edit', '--autostash', 'FETCH_HEAD'], cwd);
+    if (!merged.ok) await git(['merge', '--abort'], cwd);
+    return merged;
+  }
+
+  const rebased = await git(['rebase', '--autostash', 'FETCH_HEAD'], cwd);
+  if (!rebased.ok) await git(['rebase', '--abort'], cwd);
+  return rebased;
+}
+
+/**
+ * Push a branch, applying the configured strategy when the push is rejected
+ * @param {Object} options
+ * @param {string} options.cwd - Repository (or worktree) to push from
+ * @param {string} options.remote - Remote name
+ * @param {string} options.branch - Branch to push
+ * @param {Object} [options.config] - Result of loadPushConfig
+ * @param {Function} [options.onEvent] - Called with each structured failure event
+ * @param {Function} [options.wait] - Delay function (for tests)
+ * @returns {Promise<{ok: boolean, attempts: number, failure: string|null, sideBranch: string|null, notCheckedOut?: boolean}>}
+ *   notCheckedOut: the branch diverged but is not checked out in cwd (e.g.
+ *   main during a rollover), so it could not be merged or rebased in place
+ */
+async function pushWithStrategy({
+  cwd = process.cwd(),
+  remote,
+  branch,
+  config = loadPushConfig(),
+  onEvent = () => {},
+  wait = sleep
+}) {
+  const maxAttempts = config.maxRetries + 1;
+  let failure = null;
+
+  const report = (attempt, reason, action, output, extra = {}) => {
+    onEvent({
+      type: 'push-failure',
+      at: new Date().toISOString(),
+      remote,
+      branch,
+      strategy: config.mode,
+      attempt,
+      reason,
+      action,
+      output: output.split('\n').slice(-10).join('\n'),
+      ...extra
+    });
+  };
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    // -u is harmless for existing branches and sets upstream for new ones
+    const pushed = await git(['push', '-u', remote, branch], cwd);
+    if (pushed.ok) {
+      return { ok: true, attempts: attempt, failure: null, sideBranch: null };
+    }
+
+    failure = classifyPushFailure(pushed.output);
+    const lastAttempt = attempt === maxAttempts;
+
+    if (failure === 'network') {
+      report(attempt, failure, lastAttempt ? 'abort' : 'retry', pushed.output);
+      if (!lastAttempt) await wait(backoffDelay(attempt, config));
+      continue;
+    }
+
+    const divergent = failure === 'non-fast-forward';
+    const sideable = divergent || failure === 'protected-branch';
+
+    if (config.mode === 'side-branch' && sideable) {
+      const sideBranch = sideBranchName(config.sideBranchPrefix, branch);
+      const side = await git(['push', remote, `refs/heads/${branch}:refs/heads/${sideBranch}`], cwd);
+      report(attempt, failure, 'side-branch', pushed.output, {
+        sideBranch: side.ok ? sideBranch : null,
+        sideBranchError: side.ok ? undefined : side.output
+      });
+      return { ok: false, attempts: attempt, failure, sideBranch: side.ok ? sideBranch : null };
+    }
+
+    if (!divergent || config.mode === 'fail' || lastAttempt) {
+      report(attempt, failure, 'abort', pushed.output);
+      return { ok: false, attempts: attempt, failure, sideBranch: null };
+    }
+
+    report(attempt, failure, config.mode, pushed.output);
+    const integrated = await integrateRemote(config.mode, { cwd, remote, branch });
+    if (!integrated.ok) {
+      if (!integrated.notCheckedOut) {
+        failure = classifyPushFailure(integrated.output) === 'network' ? 'network' : 'conflict';
+      }
+      report(attempt, failure, 'abort', integrated.output, integrated.notCheckedOut ? { notCheckedOut: true } : {});
+      return { ok: false, attempts: attempt, failure, sideBranch: null, notCheckedOut: Boolean(integrated.notCheckedOut) };
+    }
+    await wait(backoffDelay(attempt, config));
+  }
+
+  return { ok: false, attempts: maxAttempts, failure, sideBranch: null };
+}
+
+/**
+ * Whether a failed push is worth replaying later (see push-queue.cjs):
+ * network outages and unexplained failures, or a remote that kept moving
+ * while merge or rebase mode integrated it. Auth failures, protected
+ * branches, conflicts, fail mode, pushes saved to a side branch and
+ * diverged branches that are not checked out need a person instead.
+ * @param {Object} result - Result of pushWithStrategy
+ * @param {Object} config - Result of loadPushConfig
+ */
+function isRetryablePush(result, config) {
+  if (result.ok || result.sideBranch || result.notCheckedOut) return false;
+  if (result.failure === 'non-fast-forward') return config.mode === 'merge' || config.mode === 'rebase';
+  return result.failure === 'network' || result.failure === 'unknown';
+}
+
+function pushEventsPath(repoRoot) {
+  return path.join(localDeployDir(repoRoot), 'push-events.jsonl');
+}
+
+/**
+ * Append a structured push event to local_deploy/push-events.jsonl
+ */
+function appendPushEvent(repoRoot, event) {
+  const eventsPath = pushEventsPath(repoRoot);
+  fs.mkdirSync(path.dirname(eventsPath), { recursive: true });
+  fs.appendFileSync(eventsPath, `${JSON.stringify(event)}\n`);
+  return eventsPath;
+}
+
+module.exports = {
+  PUSH_STRATEGIES,
+  FAILURE_TYPES,
+  DEFAULT_PUSH_CONFIG,
+  loadPushConfig,
+  classifyPushFailure,
+  backoffDelay,
+  pushWithStrategy,
+  isRetryablePush,
+  pushEventsPath,
+  appendPushEvent
+};
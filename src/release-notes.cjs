@@ -0,0 +1,202 @@
+/**
+ * Release Notes
+ *
+ * Turns the conventional commits that went into a version branch into
+ * grouped release notes (breaking changes, features, fixes, infrastructure,
+ * other changes and a per-agent breakdown from the Agent trailer), prepends
+ * them to CHANGELOG.md. The same notes become the message of the release
+ * tags (see release-tags.cjs).
+ *
+ * The daily rollover runs this when it creates a new version branch.
+ * Configured with "releaseNotes" in local_deploy/project-settings.json:
+ *   "releaseNotes": {
+ *     "enabled": true,
+ *     "changelogFile": "CHANGELOG.md"
+ *   }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const DEFAULT_RELEASE_NOTES_CONFIG = {
+  enabled: true,
+  changelogFile: 'CHANGELOG.md'
+};
+
+// Files whose changes count as infrastructure (also used by the worker's commit logging)
+const INFRA_PATTERNS = [
+  { pattern: /package(-lock)?\.json$/, category: 'Dependencies' },
+  { pattern: /\.env(\..*)?$/, category: 'Config' },
+  { pattern: /.*config.*\.(js|json|yml|yaml)$/, category: 'Config' },
+  { pattern: /Dockerfile$/, category: 'Build' },
+  { pattern: /docker-compose\.(yml|yaml)$/, category: 'Build' },
+  { pattern: /\.github\/workflows\//, category: 'Build' },
+  { pattern: /migrations?\//, category: 'Database' },
+  { pattern: /(routes?|api)\//, category: 'API' },
+  { pattern: /\.gitlab-ci\.yml$/, category: 'Build' },
+  { pattern: /webpack\.config\.js$/, category: 'Build' },
+  { pattern: /tsconfig\.json$/, category: 'Build' },
+  { pattern: /jest\.config\.js$/, category: 'Build' },
+  { pattern: /\.eslintrc/, category: 'Build' },
+  { pattern: /\.prettierrc/, category: 'Build' }
+];
+
+const INFRA_TYPES = ['build', 'ci'];
+const MAX_UNBOUNDED_COMMITS = 200;
+
+const GROUPS = [
+  ['breaking', '⚠️ Breaking Changes'],
+  ['features', '✨ Features'],
+  ['fixes', '🔧 Fixes'],
+  ['infra', '🏗️ Infrastructure'],
+  ['other', '📝 Other Changes']
+];
+
+const FIELD_SEP = '\x1f';
+const RECORD_SEP = '\x1e';
+
+function git(args, cwd) {
+  return execFileSync('git', args, { cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] }).trim();
+}
+
+function refExists(cwd, ref) {
+  try {
+    git(['rev-parse', '--verify', '--quiet', `${ref}^{commit}`], cwd);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Merge releaseNotes from project settings with defaults (null when disabled)
+ */
+function loadReleaseNotesConfig(settings = {}) {
+  const config = { ...DEFAULT_RELEASE_NOTES_CONFIG, ...(settings.releaseNotes || {}) };
+  return config.enabled === false ? null : config;
+}
+
+/**
+ * Split a conventional commit subject into type, scope, description and breaking flag
+ */
+function parseConventional(subject, body = '') {
+  const m = String(subject).match(/^(\w+)(?:\(([^)]*)\))?(!)?:\s*(.*)$/);
+  const breaking = Boolean(m && m[3]) || /^BREAKING[ -]CHANGE:/m.test(body);
+  if (!m) return { type: null, scope: null, description: subject, breaking };
+  return { type: m[1].toLowerCase(), scope: m[2] || null, description: m[4], breaking };
+}
+
+function isInfraFile(file) {
+  return INFRA_PATTERNS.some(({ pattern }) => pattern.test(file));
+}
+
+/**
+ * Non-merge commits in `from..to` (or the last 200 commits of `to` without a base)
+ */
+function readCommits({ cwd, from, to = 'HEAD' }) {
+  const range = from && refExists(cwd, from) ? [`${from}..${to}`] : [`--max-count=${MAX_UNBOUNDED_COMMITS}`, to];
+  const format = `${RECORD_SEP}%H${FIELD_SEP}%an${FIELD_SEP}%s${FIELD_SEP}%b${FIELD_SEP}%(trailers:key=Agent,valueonly,separator=%x2c)${FIELD_SEP}`;
+  const out = git(['log', '--no-merges', '--name-only', `--format=${format}`, ...range], cwd);
+
+  return out.split(RECORD_SEP).filter(record => record.trim()).map(record => {
+    const [hash, author, subject, body, agent, files] = record.split(FIELD_SEP);
+    return {
+      hash,
+      author,
+      subject,
+      body: body.trim(),
+      agent: agent.trim() || null,
+      files: files.split('\n').map(f => f.trim()).filter(Boolean),
+      ...parseConventional(subject, body)
+    };
+  });
+}
+
+/**
+ * Sort commits into release note groups; each commit lands in exactly one
+ */
+function groupCommits(commits) {
+  const groups = { breaking: [], features: [], fixes: [], infra: [], other: [], agents: {} };
+
+  for (const commit of commits) {
+    if (commit.breaking) groups.breaking.push(commit);
+    else if (commit.type === 'feat') groups.features.push(commit);
+    else if (commit.type === 'fix') groups.fixes.push(commit);
+    else if (INFRA_TYPES.includes(commit.type) || (commit.files || []).some(isInfraFile)) groups.infra.push(commit);
+    else groups.other.push(commit);
+
+    const agent = commit.agent || 'human';
+    groups.agents[agent] = (groups.agents[agent] || 0) + 1;
+  }
+  return groups;
+}
+
+function noteLine(commit) {
+  const scope = commit.scope ? `**${commit.scope}**: ` : '';
+  return `- ${scope}${commit.description} (${commit.hash.slice(0, 7)})`;
+}
+
+/**
+ * Markdown release notes in the CHANGELOG.md section format
+ */
+function renderReleaseNotes({ version, date, groups }) {
+  const lines = [`## [${version}] - ${date}`, ''];
+
+  for (const [key, title] of GROUPS) {
+    if (groups[key].length === 0) continue;
+    lines.push(`### ${title}`, ...groups[key].map(noteLine), '');
+  }
+
+  const agents = Object.entries(groups.agents).sort((a, b) => b[1] - a[1]);
+  if (agents.length === 0) {
+    lines.push('No changes since the previous version.', '');
+  } else {
+    lines.push('### 🤖 By Agent', ...agents.map(([agent, count]) => `- ${agent}: ${count} commit${count === 1 ? '' : 's'}`), '');
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Insert a section above the newest release, keeping the file's preamble
+ */
+function prependChangelog(content, notes) {
+  if (!content || !content.trim()) return `# Changelog\n\n${notes}`;
+  const firstRelease = content.search(/^## /m);
+  if (firstRelease === -1) return `${content.trimEnd()}\n\n${notes}`;
+  return `${content.slice(0, firstRelease)}${notes}\n${content.slice(firstRelease)}`;
+}
+
+/**
+ * Generate the notes for `version` and commit them to the changelog on the
+ * current branch
+ * @param {Object} options
+ * @param {string} options.cwd - Working tree checked out on the new version branch
+ * @param {string} options.version - Version (branch) name
+ * @param {string|null} options.from - Previous version branch
+ * @param {Object} options.config - From loadReleaseNotesConfig
+ * @param {string} [options.date] - YYYY-MM-DD
+ * @returns {{notes: string, commits: number, changelog: string}}
+ */
+function writeRelease({ cwd, version, from, config, date = new Date().toISOString().slice(0, 10) }) {
+  const commits = readCommits({ cwd, from });
+  const notes = renderReleaseNotes({ version, date, groups: groupCommits(commits) });
+
+  const changelogPath = path.join(cwd, config.changelogFile);
+  const existing = fs.existsSync(changelogPath) ? fs.readFileSync(changelogPath, 'utf8') : '';
+  fs.writeFileSync(changelogPath, prependChangelog(existing, notes));
+  git(['add', '--', config.changelogFile], cwd);
+  git(['commit', '--quiet', '--no-verify', '-m', `docs(changelog): release ${version}`], cwd);
+  return { notes, commits: commits.length, changelog: config.changelogFile };
+}
+
+module.exports = {
+  INFRA_PATTERNS,
+  loadReleaseNotesConfig,
+  parseConventional,
+  readCommits,
+  groupCommits,
+  renderReleaseNotes,
+  prependChangelog,
+  writeRelease
+};
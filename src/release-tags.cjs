@@ -0,0 +1,194 @@
+/**
+ * Release Tags
+ *
+ * Version branches are mutable, so the commit that actually shipped is
+ * marked with an annotated (optionally signed) tag:
+ *
+ *   release/v0.21-rc.1  pre-release, e.g. when the rollover creates v0.21
+ *   release/v0.21       final release, when v0.21 is merged into main
+ *                       (or cut by hand with `s9n-devops-agent release`)
+ *
+ * Configured with "releaseTags" in local_deploy/project-settings.json:
+ *   "releaseTags": {
+ *     "onRollover": true,      // tag main when the rollover merges the last version
+ *     "prefix": "release/",
+ *     "sign": false,           // git tag -s (uses user.signingkey / gpg.format)
+ *     "signingKey": null       // git tag -u <key>
+ *   }
+ *
+ * Usage:
+ *   s9n-devops-agent release [version-branch] [--pre] [--sign] [--push] [--dry-run]
+ */
+
+const { execFileSync } = require('child_process');
+const { findMainRepoRoot, loadProjectSettings } = require('./repo-paths.cjs');
+const { readCommits, groupCommits, renderReleaseNotes } = require('./release-notes.cjs');
+const { loadVersionConfig, versionBranches } = require('./version-strategy.cjs');
+
+const DEFAULT_RELEASE_TAG_CONFIG = {
+  onRollover: false,
+  prefix: 'release/',
+  sign: false,
+  signingKey: null
+};
+
+function git(args, cwd) {
+  return execFileSync('git', args, { cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] }).trim();
+}
+
+function tryGit(args, cwd) {
+  try {
+    return { ok: true, stdout: git(args, cwd) };
+  } catch (err) {
+    return { ok: false, stdout: '', output: (err.stderr || err.message || '').toString().trim() };
+  }
+}
+
+function loadReleaseTagConfig(settings = {}) {
+  return { ...DEFAULT_RELEASE_TAG_CONFIG, ...(settings.releaseTags || {}) };
+}
+
+function tagExists(cwd, tag) {
+  return tryGit(['rev-parse', '--verify', '--quiet', `refs/tags/${tag}`], cwd).ok;
+}
+
+/**
+ * Tag name for a version: the final release, or pre-release number `rc`
+ */
+function releaseTagName(version, config, rc = null) {
+  return `${config.prefix}${version}${rc ? `-rc.${rc}` : ''}`;
+}
+
+/**
+ * The next free pre-release tag of a version (release/v0.21-rc.N)
+ */
+function nextPrereleaseTag(cwd, version, config) {
+  let rc = 1;
+  while (tagExists(cwd, releaseTagName(version, config, rc))) rc++;
+  return releaseTagName(version, config, rc);
+}
+
+/**
+ * The newest release tag of an earlier version reachable from `ref`
+ */
+function previousReleaseTag(cwd, ref, version, config) {
+  const own = releaseTagName(version, config);
+  const r = tryGit(['describe', '--tags', '--abbrev=0', `--match=${config.prefix}*`, `--exclude=${own}`, `--exclude=${own}-rc.*`, ref], cwd);
+  return r.ok ? r.stdout : null;
+}
+
+function tagMessage(version, notes, prerelease = false) {
+  return `${prerelease ? 'Pre-release' : 'Release'} ${version}\n\n${notes}`;
+}
+
+/**
+ * Release notes for the commits between `from` and `to` as a tag message
+ */
+function releaseMessage({ cwd, version, from, to, prerelease = false }) {
+  const notes = renderReleaseNotes({
+    version,
+    date: new Date().toISOString().slice(0, 10),
+    groups: groupCommits(readCommits({ cwd, from, to }))
+  });
+  return tagMessage(version, notes, prerelease);
+}
+
+/**
+ * Create an annotated (and optionally signed) tag
+ * @returns {{ok: boolean, tag: string, signed: boolean, error?: string}}
+ */
+function createReleaseTag({ cwd, tag, target, message, config }) {
+  if (tagExists(cwd, tag)) return { ok: false, tag, signed: false, error: `Tag ${tag} already exists` };
+
+  const signArgs = config.signingKey ? ['--local-user', config.signingKey] : config.sign ? ['--sign'] : ['--annotate'];
+  const r = tryGit(['tag', ...signArgs, '--cleanup=verbatim', '-m', message, tag, target], cwd);
+  if (!r.ok) return { ok: false, tag, signed: false, error: r.output };
+  return { ok: true, tag, signed: signArgs[0] !== '--annotate' };
+}
+
+/**
+ * Cut a release from a version branch
+ * @param {Object} options
+ * @param {string} [options.cwd]
+ * @param {string|null} [options.branch] - Version branch (default: current branch if it is one, else the newest)
+ * @param {boolean} [options.prerelease] - Tag as the next -rc.N instead of final
+ * @param {Object} options.config - From loadReleaseTagConfig
+ * @param {Object} [options.settings] - Project settings (for the versioning strategy)
+ * @param {boolean} [options.dryRun]
+ * @returns {{ok: boolean, tag?: string, target?: string, from?: string|null, signed?: boolean, message?: string, error?: string}}
+ */
+function cutRelease({ cwd = process.cwd(), branch = null, prerelease = false, config, settings = {}, dryRun = false }) {
+  const branches = git(['for-each-ref', '--format=%(refname:short)', 'refs/heads'], cwd).split('\n').filter(Boolean);
+  const versions = versionBranches(branches, loadVersionConfig(settings, process.env));
+  const current = tryGit(['rev-parse', '--abbrev-ref', 'HEAD'], cwd).stdout;
+  const version = branch || (versions.includes(current) ? current : versions[0]);
+
+  if (!version) return { ok: false, error: 'No version branches found for this project\'s versioning strategy' };
+  if (!versions.includes(version)) return { ok: false, error: `${version} is not a version branch` };
+
+  const final = releaseTagName(version, config);
+  if (tagExists(cwd, final)) return { ok: false, error: `${version} was already released as ${final}` };
+  const tag = prerelease ? nextPrereleaseTag(cwd, version, config) : final;
+
+  const target = git(['rev-parse', `refs/heads/${version}`], cwd);
+  const from = previousReleaseTag(cwd, target, version, config);
+  const message = releaseMessage({ cwd, version, from, to: target, prerelease });
+  if (dryRun) return { ok: true, dryRun: true, tag, target, from, message };
+
+  const created = createReleaseTag({ cwd, tag, target, message, config });
+  return created.ok ? { ...created, target, from, message } : created;
+}
+
+function main(argv = process.argv.slice(2)) {
+  const options = { branch: null, prerelease: false, push: false, dryRun: false, sign: false };
+  for (const arg of argv) {
+    if (arg === '--pre' || arg === '--prerelease') options.prerelease = true;
+    else if (arg === '--final') options.prerelease = false;
+    else if (arg === '--sign' || arg === '-s') options.sign = true;
+    else if (arg === '--push') options.push = true;
+    else if (arg === '--dry-run') options.dryRun = true;
+    else if (arg === '--help' || arg === '-h') options.help = true;
+    else if (!arg.startsWith('-')) options.branch = arg;
+  }
+  if (options.help) {
+    console.log('Usage: s9n-devops-agent release [version-branch] [--pre|--final] [--sign] [--push] [--dry-run]');
+    return 0;
+  }
+
+  const cwd = process.cwd();
+  const settings = loadProjectSettings(findMainRepoRoot(cwd));
+  const config = loadReleaseTagConfig(settings);
+  if (options.sign) config.sign = true;
+
+  const result = cutRelease({ cwd, ...options, config, settings });
+  if (!result.ok) {
+    console.error(`✗ ${result.error}`);
+    return 1;
+  }
+
+  console.log(result.message);
+  console.log(`${result.dryRun ? 'Would tag' : `✓ Tagged${result.signed ? ' (signed)' : ''}`} ${result.target.slice(0, 8)} as ${result.tag}${result.from ? ` (changes since ${result.from})` : ''}`);
+
+  if (options.push && !result.dryRun) {
+    const pushed = tryGit(['push', 'origin', `refs/tags/${result.tag}`], cwd);
+    console.log(pushed.ok ? `✓ Pushed ${result.tag}` : `✗ Push failed: ${pushed.output}`);
+    if (!pushed.ok) return 1;
+  }
+  return 0;
+}
+
+module.exports = {
+  loadReleaseTagConfig,
+  tagExists,
+  releaseTagName,
+  nextPrereleaseTag,
+  previousReleaseTag,
+  tagMessage,
+  releaseMessage,
+  createReleaseTag,
+  cutRelease
+};
+
+if (require.main === module) {
+  process.exitCode = main();
+}
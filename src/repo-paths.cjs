@@ -0,0 +1,80 @@
+/**
+ * Repository Path Helpers
+ *
+ * Resolves the shared locations used by the worker and the coordinator.
+ * Session worktrees live under local_deploy/worktrees, but local_deploy/
+ * itself (settings, session locks, coordination data) only exists in the
+ * main checkout, so everything here resolves back to that root.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execSync } = require('child_process');
+
+/**
+ * Find the main repository root, even when called from a linked worktree
+ */
+function findMainRepoRoot(startDir = process.cwd()) {
+  try {
+    // --git-common-dir points at the main .git directory from any worktree
+    const commonDir = execSync('git rev-parse --git-common-dir', {
+      cwd: startDir,
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'ignore']
+    }).trim();
+
+    const absolute = path.resolve(startDir, commonDir);
+    if (path.basename(absolute) === '.git') {
+      return path.dirname(absolute);
+    }
+
+    return execSync('git rev-parse --show-toplevel', {
+      cwd: startDir,
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'ignore']
+    }).trim();
+  } catch (err) {
+    // Fallback to the starting directory if git fails
+    return startDir;
+  }
+}
+
+function localDeployDir(repoRoot) {
+  return path.join(repoRoot, 'local_deploy');
+}
+
+function sessionLocksDir(repoRoot) {
+  return path.join(localDeployDir(repoRoot), 'session-locks');
+}
+
+function fileCoordinationDir(repoRoot) {
+  return path.join(localDeployDir(repoRoot), '.file-coordination');
+}
+
+function projectSettingsPath(repoRoot) {
+  return path.join(localDeployDir(repoRoot), 'project-settings.json');
+}
+
+/**
+ * Load local_deploy/project-settings.json ({} if missing or unreadable)
+ */
+function loadProjectSettings(repoRoot) {
+  try {
+    const settingsPath = projectSettingsPath(repoRoot);
+    if (fs.existsSync(settingsPath)) {
+      return JSON.parse(fs.readFileSync(settingsPath, 'utf8'));
+    }
+  } catch (err) {
+    console.error('Could not load project settings:', err.message);
+  }
+  return {};
+}
+
+module.exports = {
+  findMainRepoRoot,
+  localDeployDir,
+  sessionLocksDir,
+  fileCoordinationDir,
+  projectSettingsPath,
+  loadProjectSettings
+};
@@ -0,0 +1,203 @@
+/**
+ * Daily Rollover Schedule
+ *
+ * Works out which "working day" a moment belongs to, using the
+ * rolloverSettings block of local_deploy/project-settings.json (the same
+ * block BranchConfigManager edits). The day starts at rolloverTime in the
+ * configured timezone rather than at midnight, so with "04:00" a commit at
+ * 02:30 still lands on yesterday's daily branch.
+ *
+ * Weekends (when skipWeekends is on) and public holidays never start a new
+ * day: work done on them stays on the last working day's branch.
+ *
+ * Holidays come from a local file, either JSON:
+ *   ["2025-12-25", { "date": "2026-01-01", "name": "New Year" }]
+ *   { "holidays": [...] }
+ * or an iCalendar (.ics) export with all-day DTSTART entries.
+ *
+ * With enableAutoRollover off the worker keeps committing to its latest
+ * daily branch instead of starting a new one each day.
+ *
+ * Example settings:
+ *   "rolloverSettings": {
+ *     "enableAutoRollover": true,
+ *     "rolloverTime": "04:00",
+ *     "timezone": "Europe/Berlin",
+ *     "skipWeekends": true,
+ *     "weekendDays": ["saturday", "sunday"],
+ *     "holidaysFile": "local_deploy/holidays.ics"
+ *   }
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const TIME_PATTERN = /^([01]?[0-9]|2[0-3]):([0-5][0-9])$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+// Never walk back further than this looking for a working day
+const MAX_SKIPPED_DAYS = 31;
+
+const DEFAULT_ROLLOVER_CONFIG = {
+  enableAutoRollover: true,
+  rolloverTime: '00:00',
+  timezone: 'UTC',
+  skipWeekends: false,
+  weekendDays: ['saturday', 'sunday'],
+  holidaysFile: null
+};
+
+function isValidTimezone(tz) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Merge rolloverSettings from project settings with defaults.
+ * The timezone in project settings wins; envTimezone (AC_TZ) only fills in
+ * when the project does not set one.
+ * @param {Object} settings - Parsed project-settings.json
+ * @param {string} [envTimezone] - Fallback timezone from the environment
+ * @returns {Object} Normalised config with `warnings` for ignored values
+ */
+function loadRolloverConfig(settings = {}, envTimezone) {
+  const raw = settings.rolloverSettings || {};
+  const config = { ...DEFAULT_ROLLOVER_CONFIG, ...raw, warnings: [] };
+
+  if (!raw.timezone && envTimezone) config.timezone = envTimezone;
+  if (!isValidTimezone(config.timezone)) {
+    config.warnings.push(`unknown timezone "${config.timezone}", using UTC`);
+    config.timezone = 'UTC';
+  }
+
+  if (!TIME_PATTERN.test(String(config.rolloverTime))) {
+    config.warnings.push(`invalid rolloverTime "${config.rolloverTime}", using 00:00`);
+    config.rolloverTime = '00:00';
+  }
+
+  const weekendDays = (Array.isArray(config.weekendDays) ? config.weekendDays : [])
+    .map(day => String(day).toLowerCase())
+    .filter(day => WEEKDAYS.includes(day));
+  config.weekendDays = weekendDays.length > 0 ? weekendDays : DEFAULT_ROLLOVER_CONFIG.weekendDays;
+  config.skipWeekends = Boolean(config.skipWeekends);
+  config.enableAutoRollover = config.enableAutoRollover !== false;
+
+  return config;
+}
+
+/**
+ * Parse a holiday calendar (JSON or iCalendar) into a Set of YYYY-MM-DD dates
+ */
+function parseHolidays(content, fileName = '') {
+  const dates = new Set();
+  const text = String(content || '');
+
+  if (/\.ics$/i.test(fileName) || /BEGIN:VCALENDAR/.test(text)) {
+    // Only the date part matters; timed events count for the day they start on
+    for (const match of text.matchAll(/^DTSTART[^:\r\n]*:(\d{4})(\d{2})(\d{2})/gm)) {
+      dates.add(`${match[1]}-${match[2]}-${match[3]}`);
+    }
+    return dates;
+  }
+
+  const parsed = JSON.parse(text);
+  const entries = Array.isArray(parsed) ? parsed : (parsed.holidays || []);
+  for (const entry of entries) {
+    const date = typeof entry === 'string' ? entry : entry && entry.date;
+    if (DATE_PATTERN.test(String(date))) dates.add(date);
+  }
+  return dates;
+}
+
+/**
+ * Load the configured holiday file (relative paths resolve from the repo root)
+ * @returns {{dates: Set<string>, error: string|null}}
+ */
+function loadHolidays(repoRoot, config) {
+  if (!config.holidaysFile) return { dates: new Set(), error: null };
+
+  const filePath = path.resolve(repoRoot, config.holidaysFile);
+  try {
+    return { dates: parseHolidays(fs.readFileSync(filePath, 'utf8'), filePath), error: null };
+  } catch (err) {
+    return { dates: new Set(), error: `could not read holidays file ${config.holidaysFile}: ${err.message}` };
+  }
+}
+
+/**
+ * Wall-clock date and minutes since midnight of `now` in a timezone
+ */
+function localClock(now, timezone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-CA', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(now).map(part => [part.type, part.value]));
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+}
+
+function shiftDate(dateStr, days) {
+  const d = new Date(`${dateStr}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+function weekdayOf(dateStr) {
+  return WEEKDAYS[new Date(`${dateStr}T00:00:00Z`).getUTCDay()];
+}
+
+/**
+ * Whether a calendar date is a working day under the config
+ */
+function isWorkingDay(dateStr, config, holidays = new Set()) {
+  if (config.skipWeekends && config.weekendDays.includes(weekdayOf(dateStr))) return false;
+  return !holidays.has(dateStr);
+}
+
+/**
+ * The working day (YYYY-MM-DD) that `now` belongs to
+ * @param {Date} now
+ * @param {Object} config - From loadRolloverConfig
+ * @param {Set<string>} [holidays]
+ */
+function workingDayFor(now, config, holidays = new Set()) {
+  const [hours, minutes] = config.rolloverTime.split(':').map(Number);
+  const clock = localClock(now, config.timezone);
+
+  // Before the rollover time we are still in the previous day
+  let day = clock.minutes < hours * 60 + minutes ? shiftDate(clock.date, -1) : clock.date;
+
+  for (let i = 0; i < MAX_SKIPPED_DAYS && !isWorkingDay(day, config, holidays); i++) {
+    day = shiftDate(day, -1);
+  }
+  return day;
+}
+
+/**
+ * Format a YYYY-MM-DD day in the worker's DATE_STYLE ("dash" or "compact")
+ */
+function formatDay(dateStr, style = 'dash') {
+  return style === 'compact' ? dateStr.replaceAll('-', '') : dateStr;
+}
+
+module.exports = {
+  DEFAULT_ROLLOVER_CONFIG,
+  loadRolloverConfig,
+  parseHolidays,
+  loadHolidays,
+  isWorkingDay,
+  workingDayFor,
+  formatDay
+};
@@ -0,0 +1,302 @@
+/**
+ * Transactional Daily Rollover
+ *
+ * The daily rollover touches several branches in a row (main, the new
+ * version branch, yesterday's daily, today's daily). Running those steps
+ * one by one used to leave the repository half rolled over when a merge
+ * conflicted midway - checked out on main with the version branch missing.
+ *
+ * Here the rollover is a plan of steps executed as a transaction:
+ *   1. every local ref the plan touches, plus HEAD, is snapshotted
+ *   2. the local steps (checkout, sync, merge, branch, release notes, tags) run in order
+ *   3. on any failure the merge is aborted and every ref, tag and HEAD are
+ *      restored exactly from the snapshot
+ *   4. only when all local steps succeed are the branches and tags pushed
+ *      (push failures are left to the worker's push queue)
+ *
+ * A dry run records the plan and snapshot without changing anything.
+ * Every rollover, dry or not, is appended to local_deploy/rollover-journal.jsonl.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { localDeployDir } = require('./repo-paths.cjs');
+const { writeRelease } = require('./release-notes.cjs');
+const { loadReleaseTagConfig, tagExists, releaseTagName, tagMessage, releaseMessage, createReleaseTag } = require('./release-tags.cjs');
+
+const LOCAL_STEPS = ['checkout', 'sync', 'merge', 'tag', 'branch', 'release'];
+
+function git(args, cwd) {
+  return execFileSync('git', args, { cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] }).trim();
+}
+
+function tryGit(args, cwd) {
+  try {
+    return { ok: true, stdout: git(args, cwd) };
+  } catch (err) {
+    const output = [err.stdout, err.stderr].filter(Boolean).join('\n') || err.message || '';
+    return { ok: false, stdout: '', output: output.toString().trim() };
+  }
+}
+
+function refSha(cwd, branch, namespace = 'refs/heads') {
+  const r = tryGit(['rev-parse', '--verify', '--quiet', `${namespace}/${branch}`], cwd);
+  return r.ok ? r.stdout : null;
+}
+
+/**
+ * Build the ordered rollover steps
+ * Without a version branch (the "none" versioning strategy) the latest
+ * daily branch merges straight into main and today's branch starts there.
+ * @param {Object} options
+ * @param {string|null} options.vLast - Last version branch, merged into main
+ * @param {string|null} options.vNext - Version branch to create
+ * @param {string|null} options.yDaily - Latest daily branch, merged into vNext
+ * @param {string} options.todayDaily - Daily branch to create
+ * @param {string} options.baseRef - Where vNext starts when there is no vLast
+ * @param {string} [options.mainBranch]
+ * @param {string} [options.remote]
+ * @param {Object|null} [options.releaseNotes] - From loadReleaseNotesConfig; notes, changelog and pre-release tag for vNext
+ * @param {Object} [options.releaseTags] - From loadReleaseTagConfig; onRollover tags main when vLast ships
+ * @returns {{branches: string[], tags: string[], steps: Object[]}}
+ */
+function planRollover({ vLast, vNext, yDaily, todayDaily, baseRef, mainBranch = 'main', remote = 'origin', releaseNotes = null, releaseTags = loadReleaseTagConfig() }) {
+  const steps = [];
+  // What gets merged into main first: the last version, or the daily itself
+  const intoMain = vNext ? vLast : yDaily;
+
+  if (intoMain) {
+    steps.push({ type: 'checkout', branch: mainBranch, fallback: `${remote}/${mainBranch}` });
+    steps.push({ type: 'sync', branch: mainBranch, upstream: `${remote}/${mainBranch}` });
+    steps.push({ type: 'merge', into: mainBranch, from: intoMain });
+    if (vNext && releaseTags.onRollover) {
+      steps.push({ type: 'tag', tag: releaseTagName(vLast, releaseTags), version: vLast, target: mainBranch, config: releaseTags });
+    }
+  }
+  // With a merge into main done locally, main is what baseRef will be once pushed
+  const base = intoMain ? mainBranch : baseRef;
+  if (vNext) {
+    steps.push({ type: 'branch', branch: vNext, from: base });
+    if (yDaily) steps.push({ type: 'merge', into: vNext, from: yDaily });
+    if (releaseNotes) {
+      steps.push({ type: 'release', branch: vNext, from: vLast || baseRef, tag: releaseTagName(vNext, releaseTags, 1), config: releaseNotes, tagConfig: releaseTags });
+    }
+  }
+  steps.push({ type: 'branch', branch: todayDaily, from: vNext || base });
+
+  if (intoMain) steps.push({ type: 'push', branch: mainBranch });
+  if (vNext) steps.push({ type: 'push', branch: vNext });
+  steps.push({ type: 'push', branch: todayDaily });
+  const tags = steps.filter(s => s.type === 'tag' || s.type === 'release').map(s => s.tag);
+  tags.forEach(tag => steps.push({ type: 'push', tag }));
+
+  const branches = [...new Set(steps.filter(s => !s.tag || s.branch).map(s => s.branch || s.into))];
+  return { branches, tags, steps };
+}
+
+function describeStep(step) {
+  switch (step.type) {
+    case 'checkout': return `checkout ${step.branch}`;
+    case 'sync': return `update ${step.branch} from ${step.upstream}`;
+    case 'merge': return `merge ${step.from} -> ${step.into}`;
+    case 'branch': return `create ${step.branch} from ${step.from}`;
+    case 'tag': return `tag ${step.target} as ${step.tag}`;
+    case 'release': return `release notes since ${step.from} -> ${step.config.changelogFile}, tag ${step.tag}`;
+    case 'push': return step.tag ? `push tag ${step.tag}` : `push ${step.branch}`;
+    default: return step.type;
+  }
+}
+
+/**
+ * Human readable, numbered plan
+ */
+function describePlan(plan) {
+  return plan.steps.map((step, i) => `  ${i + 1}) ${describeStep(step)}`);
+}
+
+/**
+ * Record HEAD and the current value (or absence) of every branch and tag in the plan
+ */
+function snapshotRefs(cwd, branches, tags = []) {
+  const symbolic = tryGit(['symbolic-ref', '--quiet', '--short', 'HEAD'], cwd);
+  const head = {
+    branch: symbolic.ok ? symbolic.stdout : null,
+    commit: tryGit(['rev-parse', '--verify', '--quiet', 'HEAD'], cwd).stdout || null
+  };
+  const refs = {};
+  for (const branch of new Set([...branches, ...(head.branch ? [head.branch] : [])])) {
+    refs[branch] = refSha(cwd, branch);
+  }
+  const tagRefs = {};
+  for (const tag of tags) tagRefs[tag] = refSha(cwd, tag, 'refs/tags');
+  return { head, refs, tags: tagRefs };
+}
+
+/**
+ * Put every branch and HEAD back exactly as snapshotted.
+ * The rollover only starts on a clean working tree, so forcing the checkout
+ * cannot lose work.
+ * @returns {{ok: boolean, mismatched: string[]}}
+ */
+function restoreSnapshot(cwd, snapshot) {
+  tryGit(['merge', '--abort'], cwd);
+  // Detach first so the branch we are on can be moved or deleted
+  tryGit(['checkout', '-f', '--detach'], cwd);
+
+  const restoreRefs = (refs, namespace) => {
+    for (const [name, sha] of Object.entries(refs || {})) {
+      if (sha) tryGit(['update-ref', `${namespace}/${name}`, sha], cwd);
+      else if (refSha(cwd, name, namespace)) tryGit(['update-ref', '-d', `${namespace}/${name}`], cwd);
+    }
+  };
+  restoreRefs(snapshot.refs, 'refs/heads');
+  restoreRefs(snapshot.tags, 'refs/tags');
+
+  if (snapshot.head.branch) tryGit(['checkout', '-f', snapshot.head.branch], cwd);
+  else if (snapshot.head.commit) tryGit(['checkout', '-f', '--detach', snapshot.head.commit], cwd);
+  tryGit(['reset', '--hard', '--quiet'], cwd);
+
+  const after = snapshotRefs(cwd, Object.keys(snapshot.refs), Object.keys(snapshot.tags || {}));
+  const mismatched = [
+    ...Object.keys(snapshot.refs).filter(b => after.refs[b] !== snapshot.refs[b]),
+    ...Object.keys(snapshot.tags || {}).filter(t => after.tags[t] !== snapshot.tags[t]).map(t => `tag ${t}`)
+  ];
+  if (after.head.branch !== snapshot.head.branch || after.head.commit !== snapshot.head.commit) {
+    mismatched.push('HEAD');
+  }
+  return { ok: mismatched.length === 0, mismatched };
+}
+
+/**
+ * Run one local step
+ * @returns {{ok: boolean, output?: string}}
+ */
+function applyStep(cwd, step) {
+  switch (step.type) {
+    case 'checkout':
+      if (refSha(cwd, step.branch)) return tryGit(['checkout', step.branch], cwd);
+      return tryGit(['checkout', '-b', step.branch, step.fallback], cwd);
+    case 'sync':
+      // Nothing to sync from when the remote branch is unknown
+      if (!tryGit(['rev-parse', '--verify', '--quiet', step.upstream], cwd).ok) return { ok: true };
+      return tryGit(['merge', '--no-edit', step.upstream], cwd);
+    case 'merge':
+      return tryGit(['merge', '--no-ff', '-m', `rollup: merge ${step.from} into ${step.into}`, step.from], cwd);
+    case 'branch':
+      return tryGit(['checkout', '-B', step.branch, step.from], cwd);
+    case 'tag': {
+      // Already released by hand (s9n-devops-agent release) - keep that tag
+      if (tagExists(cwd, step.tag)) return { ok: true, skipped: true };
+      // The merge commit's first parent is main before the version shipped
+      const message = releaseMessage({ cwd, version: step.version, from: `${step.target}^1`, to: step.version });
+      const created = createReleaseTag({ cwd, tag: step.tag, target: step.target, message, config: step.config });
+      return created.ok ? { ok: true, tagged: { tag: step.tag, signed: created.signed } } : { ok: false, output: created.error };
+    }
+    case 'release':
+      try {
+        const release = writeRelease({ cwd, version: step.branch, from: step.from, config: step.config });
+        const message = tagMessage(step.branch, release.notes, true);
+        const created = createReleaseTag({ cwd, tag: step.tag, target: step.branch, message, config: step.tagConfig });
+        if (!created.ok) return { ok: false, output: created.error };
+        return { ok: true, release: { tag: step.tag, commits: release.commits, changelog: release.changelog } };
+      } catch (err) {
+        return { ok: false, output: (err.stderr || err.message || '').toString().trim() };
+      }
+    default:
+      return { ok: false, output: `unknown rollover step ${step.type}` };
+  }
+}
+
+function journalPath(repoRoot) {
+  return path.join(localDeployDir(repoRoot), 'rollover-journal.jsonl');
+}
+
+function appendJournal(repoRoot, entry) {
+  const file = journalPath(repoRoot);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.appendFileSync(file, `${JSON.stringify(entry)}\n`);
+  return file;
+}
+
+/**
+ * Execute (or preview) a rollover plan
+ * @param {Object} options
+ * @param {string} options.cwd - Working tree to roll over
+ * @param {string} options.repoRoot - Main repo root (for the journal)
+ * @param {Object} options.plan - From planRollover
+ * @param {boolean} [options.dryRun]
+ * @param {Function} [options.push] - async (branch) => boolean; omit to skip pushing
+ * @param {Function} [options.pushTag] - async (tag) => boolean
+ * @param {Function} [options.onStep] - (step, result) => void
+ * @param {Object} [options.context] - Extra fields for the journal entry
+ * @returns {Promise<{ok: boolean, status: string, failedStep?: Object, error?: string, restore?: Object}>}
+ */
+async function runRollover({ cwd, repoRoot, plan, dryRun = false, push = null, pushTag = null, onStep = () => {}, context = {} }) {
+  const snapshot = snapshotRefs(cwd, plan.branches, plan.tags);
+  const entry = {
+    at: new Date().toISOString(),
+    ...context,
+    plan: plan.steps.map(describeStep),
+    before: snapshot
+  };
+
+  if (dryRun) {
+    appendJournal(repoRoot, { ...entry, status: 'dry-run' });
+    return { ok: true, status: 'dry-run', snapshot };
+  }
+
+  const completed = [];
+  let release = null;
+  let tagged = null;
+  for (const step of plan.steps.filter(s => LOCAL_STEPS.includes(s.type))) {
+    const result = applyStep(cwd, step);
+    onStep(step, result);
+    if (result.release) release = result.release;
+    if (result.tagged) tagged = result.tagged;
+    if (!result.ok) {
+      const restore = restoreSnapshot(cwd, snapshot);
+      const error = result.output || 'step failed';
+      appendJournal(repoRoot, {
+        ...entry,
+        status: restore.ok ? 'rolled-back' : 'restore-failed',
+        completed,
+        failedStep: describeStep(step),
+        error,
+        mismatched: restore.mismatched
+      });
+      return { ok: false, status: restore.ok ? 'rolled-back' : 'restore-failed', failedStep: step, error, restore };
+    }
+    completed.push(describeStep(step));
+  }
+
+  // Local refs are final; pushes can only fail forward (null = pushing disabled)
+  const pushes = {};
+  for (const step of plan.steps.filter(s => s.type === 'push')) {
+    const pushFn = step.tag ? pushTag : push;
+    const key = step.tag ? `tag ${step.tag}` : step.branch;
+    pushes[key] = pushFn ? Boolean(await pushFn(step.tag || step.branch)) : null;
+    if (pushFn) onStep(step, { ok: pushes[key] });
+  }
+
+  const status = Object.values(pushes).includes(false) ? 'completed-push-pending' : 'completed';
+  appendJournal(repoRoot, {
+    ...entry,
+    status,
+    completed,
+    release,
+    tagged,
+    pushes,
+    after: snapshotRefs(cwd, plan.branches, plan.tags)
+  });
+  return { ok: true, status, pushes, release, tagged };
+}
+
+module.exports = {
+  planRollover,
+  describePlan,
+  snapshotRefs,
+  restoreSnapshot,
+  runRollover,
+  journalPath
+};
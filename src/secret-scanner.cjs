@@ -0,0 +1,387 @@
+/**
+ * Staged Change Scanner
+ *
+ * Runs on the staged diff before the worker commits and catches what an
+ * agent should never push on its own: credentials, oversized files and
+ * paths on a deny-list. Configured under `secretScan` in
+ * local_deploy/project-settings.json:
+ *
+ *   "secretScan": {
+ *     "enabled": true,
+ *     "maxFileSizeBytes": 5242880,
+ *     "denyPaths": [".env", "**\/*.pem"],      // added to the defaults
+ *     "allowPaths": [".env.example"],           // never flagged
+ *     "entropyThreshold": 4.5,
+ *     "minSecretLength": 20,
+ *     "patterns": { "internal-token": "itk_[A-Za-z0-9]{32}" }
+ *   }
+ *
+ * A flagged file is quarantined: it is unstaged, the findings are written to
+ * the FileCoordinator conflicts directory, and pushes stay blocked until a
+ * human acknowledges the report (`ack` in the worker, or by setting
+ * "acknowledged": true in the JSON report). Acknowledging only unblocks
+ * pushing; quarantined files stay out of commits until a human allows one
+ * explicitly (`ack --allow <file>`), and then only with the reviewed content.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { matchesAny, normalizeRepoPath } = require('./path-patterns.cjs');
+const { fileCoordinationDir } = require('./repo-paths.cjs');
+
+// `**/` also matches at the repository root
+const DEFAULT_DENY_PATHS = [
+  '**/.env',
+  '**/.env.*',
+  '**/*.pem',
+  '**/*.key',
+  '**/*.p12',
+  '**/*.pfx',
+  '**/*.keystore',
+  '**/id_rsa',
+  '**/id_dsa',
+  '**/id_ecdsa',
+  '**/id_ed25519',
+  '**/credentials.json',
+  '**/service-account*.json'
+];
+
+const DEFAULT_ALLOW_PATHS = ['**/.env.example', '**/.env.sample', '**/.env.template'];
+
+const SECRET_PATTERNS = {
+  'private-key': /-----BEGIN (?:RSA |EC |DSA |OPENSSH |PGP |ENCRYPTED )?PRIVATE KEY( BLOCK)?-----/,
+  'aws-access-key': /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/,
+  'github-token': /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{60,})\b/,
+  'slack-token': /\bxox[abposr]-[A-Za-z0-9-]{10,}\b/,
+  'stripe-key': /\b[sr]k_live_[A-Za-z0-9]{20,}\b/,
+  'google-api-key': /\bAIza[0-9A-Za-z_-]{35}\b/,
+  'anthropic-key': /\bsk-ant-[A-Za-z0-9_-]{20,}\b/,
+  'openai-key': /\bsk-(?:proj-)?[A-Za-z0-9]{32,}\b/,
+  'credential-assignment': /\b(?:api[_-]?key|secret[_-]?key|client[_-]?secret|access[_-]?token|auth[_-]?token|password|passwd)\b["']?\s*[:=]\s*["'][^"'\s]{8,}["']/i
+};
+
+// Lock files are full of integrity hashes that look random by design
+const ENTROPY_SKIP_PATHS = ['**/package-lock.json', '**/yarn.lock', '**/pnpm-lock.yaml', '**/*.lock', '**/*.min.js', '**/*.map', '**/*.svg'];
+
+const DEFAULT_SCAN_CONFIG = {
+  enabled: true,
+  maxFileSizeBytes: 5 * 1024 * 1024,
+  denyPaths: [],
+  allowPaths: [],
+  entropyThreshold: 4.5,
+  minSecretLength: 20,
+  patterns: {}
+};
+
+/**
+ * Merge the secretScan settings with defaults (null when disabled)
+ */
+function loadScanConfig(settings = {}) {
+  const config = { ...DEFAULT_SCAN_CONFIG, ...(settings.secretScan || {}) };
+  if (config.enabled === false) return null;
+
+  const extraPatterns = {};
+  for (const [name, source] of Object.entries(config.patterns || {})) {
+    try {
+      extraPatterns[name] = new RegExp(source);
+    } catch (err) {
+      console.error(`Ignoring invalid secretScan pattern "${name}": ${err.message}`);
+    }
+  }
+
+  return {
+    ...config,
+    denyPaths: [...DEFAULT_DENY_PATHS, ...[].concat(config.denyPaths || [])],
+    allowPaths: [...DEFAULT_ALLOW_PATHS, ...[].concat(config.allowPaths || [])],
+    patterns: { ...SECRET_PATTERNS, ...extraPatterns }
+  };
+}
+
+/**
+ * Shannon entropy in bits per character
+ */
+function shannonEntropy(text) {
+  if (!text) return 0;
+  const counts = {};
+  for (const c of text) counts[c] = (counts[c] || 0) + 1;
+  return Object.values(counts).reduce((sum, n) => {
+    const p = n / text.length;
+    return sum - p * Math.log2(p);
+  }, 0);
+}
+
+/**
+ * Show just enough of a secret to find it again
+ */
+function maskSecret(value) {
+  return value.length <= 8 ? '****' : `${value.slice(0, 4)}…(${value.length} chars)`;
+}
+
+/**
+ * Scan added lines for credentials
+ * @param {string} file - Repository-relative path
+ * @param {Array<{line: number, text: string}>} lines - Added lines
+ * @param {Object} config - Result of loadScanConfig
+ * @returns {Array<Object>} Findings
+ */
+function scanLines(file, lines, config) {
+  const findings = [];
+  const checkEntropy = !matchesAny(file, ENTROPY_SKIP_PATHS);
+  // Quoted strings and assignment values made of token characters
+  const candidateRe = new RegExp(`["'=:]\\s*["']?([A-Za-z0-9+/_\\-]{${config.minSecretLength},}={0,2})`, 'g');
+
+  for (const { line, text } of lines) {
+    const rule = Object.keys(config.patterns).find(name => config.patterns[name].test(text));
+    if (rule) {
+      const match = text.match(config.patterns[rule])[0];
+      findings.push({ file, type: 'secret', rule, line, preview: maskSecret(match) });
+      continue;
+    }
+
+    if (!checkEntropy) continue;
+    for (const [, token] of text.matchAll(candidateRe)) {
+      // Hex digests and plain words stay well under the threshold
+      if (shannonEntropy(token) >= config.entropyThreshold && /[0-9]/.test(token) && /[A-Za-z]/.test(token)) {
+        findings.push({ file, type: 'entropy', rule: 'high-entropy-string', line, preview: maskSecret(token) });
+        break;
+      }
+    }
+  }
+
+  return findings;
+}
+
+function git(args, cwd) {
+  return execFileSync('git', args, { cwd, encoding: 'utf8', maxBuffer: 64 * 1024 * 1024, stdio: ['ignore', 'pipe', 'ignore'] });
+}
+
+/**
+ * Added lines of a file's staged diff, with their new line numbers
+ */
+function stagedAddedLines(file, cwd) {
+  const diff = git(['diff', '--cached', '-U0', '--no-color', '--no-ext-diff', '--', file], cwd);
+  const lines = [];
+  let lineNo = 0;
+
+  for (const raw of diff.split('\n')) {
+    const hunk = raw.match(/^@@ -\d+(?:,\d+)? \+(\d+)(?:,\d+)? @@/);
+    if (hunk) {
+      lineNo = Number(hunk[1]);
+    } else if (raw.startsWith('+') && !raw.startsWith('+++')) {
+      lines.push({ line: lineNo++, text: raw.slice(1) });
+    }
+  }
+  return lines;
+}
+
+/**
+ * Scan the staged version of each file
+ * @param {Object} options
+ * @param {string} options.cwd - Working tree
+ * @param {string[]} options.files - Staged files (deletions excluded)
+ * @param {Object} options.config - Result of loadScanConfig
+ * @returns {Array<Object>} Findings, each with the staged blob id
+ */
+function scanStagedFiles({ cwd = process.cwd(), files = [], config }) {
+  const findings = [];
+
+  for (const file of files) {
+    if (matchesAny(file, config.allowPaths)) continue;
+
+    let blob;
+    try {
+      blob = git(['rev-parse', `:${file}`], cwd).trim();
+    } catch {
+      continue; // Not in the index (e.g. already unstaged)
+    }
+
+    if (matchesAny(file, config.denyPaths)) {
+      findings.push({ file, blob, type: 'deny-path', rule: 'deny-list', line: null, preview: null });
+      continue;
+    }
+
+    const size = Number(git(['cat-file', '-s', blob], cwd).trim());
+    if (config.maxFileSizeBytes && size > config.maxFileSizeBytes) {
+      findings.push({ file, blob, type: 'size', rule: 'max-file-size', line: null, preview: `${size} bytes` });
+      continue;
+    }
+
+    // Binary diffs have no added lines to scan
+    for (const finding of scanLines(file, stagedAddedLines(file, cwd), config)) {
+      findings.push({ ...finding, blob });
+    }
+  }
+
+  return findings;
+}
+
+function conflictsDir(repoRoot) {
+  return path.join(fileCoordinationDir(repoRoot), 'conflicts');
+}
+
+/**
+ * JSON state (and its Markdown report) for one session's quarantine
+ */
+function quarantinePath(repoRoot, sessionId) {
+  return path.join(conflictsDir(repoRoot), `secret-scan-${sessionId || 'default'}.json`);
+}
+
+function loadQuarantine(repoRoot, sessionId) {
+  try {
+    return JSON.parse(fs.readFileSync(quarantinePath(repoRoot, sessionId), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function sameContent(a, b) {
+  return a.file === b.file && a.blob === b.blob;
+}
+
+/**
+ * Whether a human allowed this exact file content into commits
+ */
+function isAllowed(state, finding) {
+  return Boolean(state && (state.allowed || []).some(entry => sameContent(entry, finding)));
+}
+
+/**
+ * Whether this exact file content is already quarantined (acknowledged or not)
+ */
+function isQuarantined(state, finding) {
+  return Boolean(state && (state.quarantined || []).some(entry => sameContent(entry, finding)));
+}
+
+function writeReport(reportPath, state) {
+  const lines = [
+    '# 🚨 STAGED CHANGES QUARANTINED',
+    '',
+    `**Time:** ${state.updatedAt}`,
+    `**Session:** ${state.sessionId || 'none'}`,
+    '',
+    'The DevOps agent found files that look like credentials, are too large, or are on the',
+    'deny-list. They were unstaged and **pushing is blocked** until a human reviews them.',
+    '',
+    '## Findings',
+    ''
+  ];
+  for (const f of state.findings) {
+    const where = f.line ? `${f.file}:${f.line}` : f.file;
+    lines.push(`- \`${where}\` — ${f.type} (${f.rule})${f.preview ? `: ${f.preview}` : ''}`);
+  }
+  lines.push(
+    '',
+    '## How to Resolve',
+    '',
+    '1. Remove the secret (rotate it if it was real) or delete / ignore the file.',
+    '2. Acknowledge the report: type `ack` in the worker, or set `"acknowledged": true` in',
+    `   ${path.basename(reportPath).replace(/\.md$/, '.json')}. This unblocks pushing only.`,
+    '3. Quarantined files stay out of commits. To commit one as it is, type',
+    '   `ack --allow <file>` in the worker.',
+    '',
+    '---',
+    '*This report was generated automatically by the DevOps agent staged change scanner*',
+    ''
+  );
+  fs.writeFileSync(reportPath, lines.join('\n'));
+}
+
+function saveQuarantine(repoRoot, sessionId, state) {
+  const statePath = quarantinePath(repoRoot, sessionId);
+  fs.mkdirSync(path.dirname(statePath), { recursive: true });
+  fs.writeFileSync(statePath, JSON.stringify(state, null, 2));
+  const reportPath = statePath.replace(/\.json$/, '.md');
+  writeReport(reportPath, state);
+  return reportPath;
+}
+
+/**
+ * Record new findings and write the report
+ * New findings block pushing again, even after an earlier acknowledgement.
+ * @returns {{state: Object, reportPath: string}}
+ */
+function recordQuarantine(repoRoot, sessionId, findings, now = new Date()) {
+  const previous = loadQuarantine(repoRoot, sessionId);
+  const allowed = [...((previous && previous.allowed) || [])];
+  const quarantined = [...((previous && previous.quarantined) || [])];
+  const oldFindings = (previous && previous.findings) || [];
+
+  for (const finding of findings) {
+    if (!quarantined.some(entry => sameContent(entry, finding))) {
+      quarantined.push({ file: finding.file, blob: finding.blob });
+    }
+  }
+
+  const state = {
+    sessionId: sessionId || null,
+    createdAt: previous ? previous.createdAt : now.toISOString(),
+    updatedAt: now.toISOString(),
+    acknowledged: false,
+    acknowledgedBy: null,
+    findings: [...oldFindings.filter(old => !findings.some(f => sameContent(f, old))), ...findings],
+    quarantined,
+    allowed
+  };
+
+  return { state, reportPath: saveQuarantine(repoRoot, sessionId, state) };
+}
+
+/**
+ * Mark the quarantine as reviewed, which unblocks pushing
+ * Quarantined files stay out of commits; see allowQuarantinedFile.
+ * @returns {boolean} True if there was something to acknowledge
+ */
+function acknowledgeQuarantine(repoRoot, sessionId, by = process.env.USER || 'unknown') {
+  const state = loadQuarantine(repoRoot, sessionId);
+  if (!state || state.acknowledged) return false;
+
+  state.acknowledged = true;
+  state.acknowledgedBy = by;
+  state.acknowledgedAt = new Date().toISOString();
+  fs.writeFileSync(quarantinePath(repoRoot, sessionId), JSON.stringify(state, null, 2));
+  return true;
+}
+
+/**
+ * Let the quarantined content of one file into commits, exactly as it was
+ * reviewed (a later change to the file is scanned again)
+ * @param {string} file - Repository-relative path (`./x` and `x` are the same file)
+ * @returns {Object[]} The allowed {file, blob} entries (empty if the file was not quarantined)
+ */
+function allowQuarantinedFile(repoRoot, sessionId, file, now = new Date()) {
+  const state = loadQuarantine(repoRoot, sessionId);
+  file = normalizeRepoPath(file);
+  const entries = ((state && state.quarantined) || []).filter(entry => entry.file === file);
+  if (entries.length === 0) return [];
+
+  state.quarantined = state.quarantined.filter(entry => entry.file !== file);
+  state.findings = state.findings.filter(finding => finding.file !== file);
+  state.allowed = [...(state.allowed || []), ...entries];
+  state.updatedAt = now.toISOString();
+  saveQuarantine(repoRoot, sessionId, state);
+  return entries;
+}
+
+function isPushBlocked(repoRoot, sessionId) {
+  const state = loadQuarantine(repoRoot, sessionId);
+  return Boolean(state && !state.acknowledged && (state.quarantined || []).length > 0);
+}
+
+module.exports = {
+  DEFAULT_DENY_PATHS,
+  SECRET_PATTERNS,
+  DEFAULT_SCAN_CONFIG,
+  loadScanConfig,
+  shannonEntropy,
+  scanLines,
+  scanStagedFiles,
+  quarantinePath,
+  loadQuarantine,
+  isAllowed,
+  isQuarantined,
+  recordQuarantine,
+  acknowledgeQuarantine,
+  allowQuarantinedFile,
+  isPushBlocked
+};
@@ -24,9 +24,33 @@ import { dirname } from 'path';
 import { execSync, spawn, fork } from 'child_process';
 import crypto from 'crypto';
 import readline from 'readline';
+import { createRequire } from 'module';
 import { hasDockerConfiguration } from './docker-utils.js';
 import HouseRulesManager from './house-rules-manager.js';
 
+const require = createRequire(import.meta.url);
+const {
+  loadIdentityConfig,
+  humanIdentity,
+  buildSessionIdentity,
+  applyWorktreeIdentity
+} = require('./session-identity.cjs');
+const { loadVersionConfig, describeStrategy } = require('./version-strategy.cjs');
+const { loadControlApiConfig, startControlApi } = require('./control-api.cjs');
+const {
+  loadMergePredictionConfig,
+  mergeTargetFor,
+  sessionTip,
+  predictConflicts,
+  describePrediction,
+  writeMergePrediction
+} = require('./merge-prediction.cjs');
+const { ancestorsOf, dependentsOf, isMergedInto, rebaseSession } = require('./session-graph.cjs');
+const { loadBranchNamingConfig, renderSessionNames } = require('./branch-naming.cjs');
+const { SessionStore } = require('./session-store.cjs');
+const { isProcessAlive } = require('./file-lock.cjs');
+const { requestCommand } = require('./command-protocol.cjs');
+
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
@@ -39,6 +63,7 @@ const CONFIG = {
   locksDir: 'local_deploy/session-locks',
   worktreesDir: 'local_deploy/worktrees',
   instructionsDir: 'local_deploy/instructions',
+  workerCommandTimeoutMs: 15000,  // Per command sent to a running worker
   colors: {
     reset: '\x1b[0m',
     bright: '\x1b[1m',
@@ -81,7 +106,7 @@ class SessionCoordinator {
       : '0.0.0';
     
     this.ensureDirectories();
-    this.cleanupStaleLocks();
+    this.store = new SessionStore(this.repoRoot);
     this.ensureSettingsFile();
     // DO NOT call ensureDeveloperInitials here - it should only be called when creating new sessions
   }
@@ -128,21 +153,19 @@ class SessionCoordinator {
     }
   }
 
-  cleanupStaleLocks() {
-    // Clean up locks older than 1 hour
-    const oneHourAgo = Date.now() - 3600000;
-    
-    if (fs.existsSync(this.locksPath)) {
-      const locks = fs.readdirSync(this.locksPath);
-      locks.forEach(lockFile => {
-        const lockPath = path.join(this.locksPath, lockFile);
-        const stats = fs.statSync(lockPath);
-        if (stats.mtimeMs < oneHourAgo) {
-          fs.unlinkSync(lockPath);
-          console.log(`${CONFIG.colors.dim}Cleaned stale lock: ${lockFile}${CONFIG.colors.reset}`);
-        }
-      });
-    }
+  /**
+   * Remove this coordinator's sessions that are certainly over: the agent
+   * process is gone and so is the worktree. Anything else, however old, is
+   * left to the orphan cleaner, and sessions of the other tools in the store
+   * are theirs to manage.
+   * @returns {string[]} Removed session ids
+   */
+  removeAbandonedSessions() {
+    return this.store.list({ source: 'session-coordinator' })
+      .filter(session => !(session.agentPid && isProcessAlive(session.agentPid)))
+      .filter(session => !session.worktreePath || !fs.existsSync(session.worktreePath))
+      .filter(session => this.store.remove(session.sessionId))
+      .map(session => session.sessionId);
   }
   
   /**
@@ -320,29 +343,40 @@ class SessionCoordinator {
       
       const versionInfo = await this.promptForStartingVersion();
       projectSettings.versioningStrategy = {
-        prefix: versionInfo.prefix,
-        startMinor: versionInfo.startMinor,
-        dailyIncrement: versionInfo.dailyIncrement || 1,
+        ...versionInfo,
         configured: true
       };
       
       this.saveProjectSettings(projectSettings);
       
       // Set environment variables for the current session
-      process.env.AC_VERSION_PREFIX = versionInfo.prefix;
-      process.env.AC_VERSION_START_MINOR = versionInfo.startMinor.toString();
-      process.env.AC_VERSION_INCREMENT = versionInfo.dailyIncrement.toString();
+      this.applyVersionEnv(projectSettings);
       
-      const incrementDisplay = (versionInfo.dailyIncrement / 100).toFixed(2);
       console.log(`${CONFIG.colors.green}✓${CONFIG.colors.reset} Project versioning configured:`);
-      console.log(`  Starting: ${CONFIG.colors.bright}${versionInfo.prefix}${versionInfo.startMinor}${CONFIG.colors.reset}`);
-      console.log(`  Daily increment: ${CONFIG.colors.bright}${incrementDisplay}${CONFIG.colors.reset}`);
+      if (versionInfo.type === 'micro') {
+        const incrementDisplay = (versionInfo.dailyIncrement / 100).toFixed(2);
+        console.log(`  Starting: ${CONFIG.colors.bright}${versionInfo.prefix}${versionInfo.startMinor}${CONFIG.colors.reset}`);
+        console.log(`  Daily increment: ${CONFIG.colors.bright}${incrementDisplay}${CONFIG.colors.reset}`);
+      } else {
+        console.log(`  Strategy: ${CONFIG.colors.bright}${describeStrategy(loadVersionConfig(projectSettings))}${CONFIG.colors.reset}`);
+      }
       console.log(`${CONFIG.colors.dim}Settings saved in local_deploy/project-settings.json${CONFIG.colors.reset}`);
     } else {
       // Project already configured, set environment variables
-      process.env.AC_VERSION_PREFIX = projectSettings.versioningStrategy.prefix;
-      process.env.AC_VERSION_START_MINOR = projectSettings.versioningStrategy.startMinor.toString();
-      process.env.AC_VERSION_INCREMENT = (projectSettings.versioningStrategy.dailyIncrement || 1).toString();
+      this.applyVersionEnv(projectSettings);
+    }
+  }
+  
+  /**
+   * Export the project's versioning strategy as AC_VERSION_* variables for the worker
+   */
+  applyVersionEnv(projectSettings) {
+    const config = loadVersionConfig(projectSettings);
+    process.env.AC_VERSION_STRATEGY = config.type;
+    if (config.prefix !== undefined) process.env.AC_VERSION_PREFIX = config.prefix;
+    if (config.type === 'micro') {
+      process.env.AC_VERSION_START_MINOR = config.startMinor.toString();
+      process.env.AC_VERSION_INCREMENT = config.dailyIncrement.toString();
     }
   }
   
@@ -532,6 +566,26 @@ class SessionCoordinator {
     }
   }
   
+  /**
+   * Check whether a local branch exists
+   */
+  /**
+   * Prefix of the worker's dated branches when no daily template applies
+   * (also used for sessions created before dailyPrefix was recorded)
+   */
+  defaultDailyPrefix(session) {
+    return `${session.developerInitials || this.getDeveloperInitials() || 'dev'}_${session.agentType}_${session.sessionId}_`;
+  }
+  
+  branchExists(branchName) {
+    try {
+      execSync(`git show-ref --verify --quiet "refs/heads/${branchName}"`, { cwd: this.repoRoot, stdio: 'pipe' });
+      return true;
+    } catch {
+      return false;
+    }
+  }
+  
   /**
    * Prompt for Docker restart configuration
    */
@@ -802,7 +856,37 @@ class SessionCoordinator {
     });
     
     console.log(`\n${CONFIG.colors.yellow}Version Configuration${CONFIG.colors.reset}`);
-    console.log(`${CONFIG.colors.dim}Set the starting version for this codebase${CONFIG.colors.reset}`);
+    console.log(`${CONFIG.colors.dim}Choose how the daily rollover names version branches${CONFIG.colors.reset}`);
+    console.log('  1) Micro-revisions (v0.20 → v0.21 → v0.22) [default]');
+    console.log('  2) Semantic versioning from commit types (v1.4.2 → v1.5.0 after a feat: commit)');
+    console.log('  3) Calendar versioning (2026.10.19)');
+    console.log('  4) No version branches (daily branches merge straight into main)');
+    
+    const strategyChoice = await new Promise((resolve) => {
+      rl.question('\nSelect strategy (1-4) [1]: ', (answer) => {
+        resolve(parseInt(answer.trim()) || 1);
+      });
+    });
+    
+    if (strategyChoice === 2) {
+      const initialVersion = await new Promise((resolve) => {
+        rl.question('First version to create, e.g. 1.5.0 for a project currently at 1.4.x [0.1.0]: ', (answer) => {
+          const cleaned = answer.trim().replace(/^v/, '');
+          resolve(/^\d+\.\d+\.\d+$/.test(cleaned) ? cleaned : '0.1.0');
+        });
+      });
+      rl.close();
+      console.log(`\n${CONFIG.colors.green}✓${CONFIG.colors.reset} First version branch will be: ${CONFIG.colors.bright}v${initialVersion}${CONFIG.colors.reset}`);
+      console.log(`${CONFIG.colors.dim}(later versions bump major/minor/patch from each day's conventional commits)${CONFIG.colors.reset}`);
+      return { type: 'semver', prefix: 'v', initialVersion };
+    }
+    
+    if (strategyChoice === 3 || strategyChoice === 4) {
+      rl.close();
+      const type = strategyChoice === 3 ? 'calver' : 'none';
+      console.log(`\n${CONFIG.colors.green}✓${CONFIG.colors.reset} Using ${describeStrategy(loadVersionConfig({ versioningStrategy: { type } }))}`);
+      return type === 'calver' ? { type, prefix: '' } : { type };
+    }
     
     // Ask if inheriting existing codebase
     const isInherited = await new Promise((resolve) => {
@@ -890,6 +974,7 @@ class SessionCoordinator {
     rl.close();
     
     return {
+      type: 'micro',
       prefix,
       startMinor,
       dailyIncrement
@@ -904,36 +989,65 @@ class SessionCoordinator {
 
   /**
    * Create a new session and generate Claude instructions
+   * @param {Object} [options]
+   * @param {string} [options.task='development']
+   * @param {string} [options.agent='claude']
+   * @param {string} [options.ticket] - Ticket id for the {ticket} placeholder (default: found in the task)
+   * @param {boolean} [options.interactive=true] - When false nothing is prompted: saved settings
+   *   and options.mergeConfig / options.dockerConfig are used, and failures throw instead of exiting
    */
   async createSession(options = {}) {
-    // Check for updates (once per day)
-    await this.checkForUpdates();
+    const interactive = options.interactive !== false;
     
-    // Ensure both global and project setup are complete
-    await this.ensureGlobalSetup();     // Developer initials (once per user)
-    await this.ensureProjectSetup();    // Version strategy (once per project)
-    await this.ensureHouseRulesSetup(); // House rules setup (once per project)
+    if (interactive) {
+      // Check for updates (once per day)
+      await this.checkForUpdates();
+      
+      // Ensure both global and project setup are complete
+      await this.ensureGlobalSetup();     // Developer initials (once per user)
+      await this.ensureProjectSetup();    // Version strategy (once per project)
+      await this.ensureHouseRulesSetup(); // House rules setup (once per project)
+    } else {
+      // Unconfigured projects fall back to the default strategy
+      this.applyVersionEnv(this.loadProjectSettings());
+    }
     
     const sessionId = this.generateSessionId();
     const task = options.task || 'development';
     const agentType = options.agent || 'claude';
     const devInitials = this.getDeveloperInitials();
     
+    // Branch and worktree names come from the project's branchNaming templates
+    const { branchName, worktreeName, dailyPrefix, values: naming } = renderSessionNames(
+      { initials: devInitials, agent: agentType, session: sessionId, task, ticket: options.ticket },
+      loadBranchNamingConfig(this.loadProjectSettings()),
+      this.repoRoot
+    );
+    if (this.branchExists(branchName)) {
+      throw new Error(`Branch ${branchName} already exists (add {session} to the branchNaming.branch template to keep session branches unique)`);
+    }
+    
     console.log(`\n${CONFIG.colors.bgBlue}${CONFIG.colors.bright} Creating New Session ${CONFIG.colors.reset}`);
     console.log(`${CONFIG.colors.blue}Session ID:${CONFIG.colors.reset} ${CONFIG.colors.bright}${sessionId}${CONFIG.colors.reset}`);
     console.log(`${CONFIG.colors.blue}Task:${CONFIG.colors.reset} ${task}`);
     console.log(`${CONFIG.colors.blue}Agent:${CONFIG.colors.reset} ${agentType}`);
     console.log(`${CONFIG.colors.blue}Developer:${CONFIG.colors.reset} ${devInitials}`);
+    console.log(`${CONFIG.colors.blue}Branch:${CONFIG.colors.reset} ${branchName}`);
     
-    // Ask for auto-merge configuration
-    const mergeConfig = await this.promptForMergeConfig();
+    // Ask for auto-merge configuration (headless sessions use the saved 'Always' config)
+    const savedMergeConfig = this.loadProjectSettings().autoMergeConfig;
+    const mergeConfig = interactive
+      ? await this.promptForMergeConfig()
+      : options.mergeConfig || (savedMergeConfig?.alwaysEnabled ? savedMergeConfig : { autoMerge: false, alwaysEnabled: false });
     
     // Check for Docker configuration and ask about restart preference
     let dockerConfig = null;
     
     // Check if user has already set "Never ask" preference (ONCE, at the top)
     const projectSettings = this.loadProjectSettings();
-    if (projectSettings.dockerConfig && projectSettings.dockerConfig.neverAsk === true) {
+    if (!interactive) {
+      dockerConfig = options.dockerConfig || (projectSettings.dockerConfig?.alwaysEnabled ? projectSettings.dockerConfig : null);
+    } else if (projectSettings.dockerConfig && projectSettings.dockerConfig.neverAsk === true) {
       // User selected 'Never' - skip Docker configuration entirely
       dockerConfig = { enabled: false, neverAsk: true };
     } else {
@@ -1047,10 +1161,7 @@ class SessionCoordinator {
         }
       }
     }
-    // Create worktree with developer initials first in the name
-    const worktreeName = `${devInitials}-${agentType}-${sessionId}-${task.replace(/\s+/g, '-')}`;
     const worktreePath = path.join(this.worktreesPath, worktreeName);
-    const branchName = `${devInitials}/${agentType}/${sessionId}/${task.replace(/\s+/g, '-')}`;
     
     try {
       // Detect if we're in a submodule and get the parent repository
@@ -1075,9 +1186,24 @@ class SessionCoordinator {
         // Not a submodule, continue normally
       }
       
+      // A dependent session starts from its base session's work instead of HEAD
+      let startPoint = 'HEAD';
+      let baseSession = null;
+      if (options.baseSession) {
+        baseSession = this.getSessions().find(s => s.sessionId === options.baseSession);
+        if (!baseSession) {
+          throw new Error(`Base session not found: ${options.baseSession}`);
+        }
+        startPoint = sessionTip(this.repoRoot, baseSession);
+        if (!startPoint) {
+          throw new Error(`No commits found for base session ${baseSession.sessionId}`);
+        }
+        console.log(`${CONFIG.colors.blue}Based on:${CONFIG.colors.reset} ${baseSession.sessionId} (${baseSession.branchName} @ ${startPoint.slice(0, 7)})`);
+      }
+      
       // Create worktree
       console.log(`\n${CONFIG.colors.yellow}Creating worktree...${CONFIG.colors.reset}`);
-      execSync(`git worktree add -b ${branchName} "${worktreePath}" HEAD`, { stdio: 'pipe' });
+      execSync(`git worktree add -b ${branchName} "${worktreePath}" ${startPoint}`, { stdio: 'pipe' });
       console.log(`${CONFIG.colors.green}✓${CONFIG.colors.reset} Worktree created at: ${worktreePath}`);
       
       // If we're in a submodule, set up the correct remote for the worktree
@@ -1099,18 +1225,28 @@ class SessionCoordinator {
         sessionId,
         agentType,
         task,
+        ticket: naming.ticket || null,
         worktreePath,
         branchName,
+        // The worker commits and pushes to <dailyPrefix><date> branches
+        dailyPrefix: dailyPrefix || this.defaultDailyPrefix({ developerInitials: devInitials, agentType, sessionId }),
         created: new Date().toISOString(),
         status: 'active',
         pid: process.pid,
         developerInitials: devInitials,
         mergeConfig: mergeConfig,
-        dockerConfig: dockerConfig
+        dockerConfig: dockerConfig,
+        baseSession: baseSession ? baseSession.sessionId : null,
+        baseCommit: baseSession ? startPoint : null,
+        identity: buildSessionIdentity(
+          { sessionId, agentType, developerInitials: devInitials },
+          humanIdentity(this.loadGlobalSettings(), this.repoRoot),
+          loadIdentityConfig(this.loadProjectSettings())
+        )
       };
       
-      const lockFile = path.join(this.locksPath, `${sessionId}.lock`);
-      fs.writeFileSync(lockFile, JSON.stringify(lockData, null, 2));
+      this.store.create(lockData);
+      const lockFile = this.store.recordPath(sessionId);
       
       // Generate Claude instructions
       const instructions = this.generateClaudeInstructions(lockData);
@@ -1139,15 +1275,31 @@ class SessionCoordinator {
       
     } catch (error) {
       console.error(`${CONFIG.colors.red}Failed to create session: ${error.message}${CONFIG.colors.reset}`);
+      if (!interactive) throw error;
       process.exit(1);
     }
   }
 
+  /**
+   * Shell commands agents use to declare, check and release files. They go
+   * through FileCoordinator.acquire(), so a declaration is checked and
+   * reserved atomically; agents must never write declaration files by hand.
+   */
+  coordinationCommands(sessionId) {
+    const script = name => `"${path.join(__dirname, '..', 'scripts', 'coordination', name)}"`;
+    return {
+      declare: `${script('declare-file-edits.sh')} <your-name> ${sessionId} <files...>`,
+      check: `${script('check-file-availability.sh')} <files...>`,
+      release: `${script('release-file-edits.sh')} <your-name> ${sessionId}`
+    };
+  }
+
   /**
    * Generate instructions for the coding agent
    */
   generateClaudeInstructions(sessionData) {
     const { sessionId, worktreePath, branchName, task } = sessionData;
+    const coordination = this.coordinationCommands(sessionId);
     
     const plaintext = `
 SESSION_ID: ${sessionId}
@@ -1158,9 +1310,14 @@ TASK: ${task}
 INSTRUCTIONS:
 1. Change to worktree directory: cd "${worktreePath}"
 2. Verify branch: git branch --show-current
-3. Make your changes for: ${task}
-4. Write commit message to: .devops-commit-${sessionId}.msg
-5. The DevOps agent will auto-commit and push your changes
+3. Declare files before editing: ${coordination.declare}
+4. Make your changes for: ${task}
+5. Write commit message to: .devops-commit-${sessionId}.msg
+6. Release your files when done: ${coordination.release}
+7. The DevOps agent will auto-commit and push your changes
+
+MCP: agents with MCP support can run "s9n-devops-agent mcp" in the worktree
+and use its declare_files / write_commit_message tools instead.
 `;
 
     const markdown = `# DevOps Session Instructions
@@ -1175,23 +1332,34 @@ INSTRUCTIONS:
 
 **BEFORE editing any files, you MUST:**
 
-1. **Declare your intent** by creating:
-   \`\`\`json
-   // File: ${path.join(this.repoRoot, 'local_deploy/.file-coordination/active-edits')}/<agent>-${sessionId}.json
-   {
-     "agent": "<your-name>",
-     "session": "${sessionId}",
-     "files": ["list", "files", "to", "edit"],
-     "operation": "edit",
-     "reason": "${task}",
-     "declaredAt": "<ISO-8601-timestamp>",
-     "estimatedDuration": 300
-   }
+1. **Declare your files** from the worktree. This checks for conflicts and reserves
+   the files in one step:
+   \`\`\`bash
+   ${coordination.declare}
    \`\`\`
 
-2. **Check for conflicts** - read all files in \`${path.join(this.repoRoot, 'local_deploy/.file-coordination/active-edits')}\`
-3. **Only proceed if no conflicts** - wait or choose different files if blocked
-4. **Release files when done** - delete your declaration after edits
+   Entries may also be directories (\`src/api/\`) or globs (\`src/api/**\`).
+
+2. **Only proceed if the declaration succeeded** - if it names another session holding a
+   file, wait or choose different files (\`${coordination.check}\` shows what is free)
+3. **Only edit declared files**
+4. **Release files when done**:
+   \`\`\`bash
+   ${coordination.release}
+   \`\`\`
+
+Never create, edit or delete files under \`local_deploy/.file-coordination\` yourself.
+
+## Using the MCP Tools
+
+If your agent supports the Model Context Protocol, add this server (started in the worktree)
+and use its tools instead of the manual steps below:
+
+\`\`\`json
+{ "mcpServers": { "devops-agent": { "command": "npx", "args": ["s9n-devops-agent", "mcp", "--session", "${sessionId}"] } } }
+\`\`\`
+
+\`declare_files\` → edit → \`write_commit_message\` → \`release_files\`; \`request_close\` when the task is done.
 
 ## Instructions for Your Coding Agent
 
@@ -1207,7 +1375,9 @@ git branch --show-current
 \`\`\`
 
 ### Step 3: Declare Files Before Editing
-Create your declaration in \`${path.join(this.repoRoot, 'local_deploy/.file-coordination/active-edits')}\`
+\`\`\`bash
+${coordination.declare}
+\`\`\`
 
 ### Step 4: Work on Your Task
 Make changes for: **${task}**
@@ -1219,7 +1389,9 @@ echo "feat: your commit message here" > .devops-commit-${sessionId}.msg
 \`\`\`
 
 ### Step 6: Release Your File Locks
-Delete your declaration from \`${path.join(this.repoRoot, 'local_deploy/.file-coordination/active-edits')}\`
+\`\`\`bash
+${coordination.release}
+\`\`\`
 
 ### Step 7: Automatic Processing
 The DevOps agent will automatically:
@@ -1291,19 +1463,15 @@ The DevOps agent will automatically:
     console.log(``);
     
     console.log(`⚠️ FILE COORDINATION (MANDATORY):`);
-    console.log(`Shared coordination directory: local_deploy/.file-coordination/`);
+    const coordination = this.coordinationCommands(sessionId);
+    console.log(`BEFORE editing ANY files, declare them (this checks for conflicts and reserves them):`);
+    console.log(coordination.declare);
+    console.log(`If another session holds a file, wait or choose different files.`);
     console.log(``);
-    console.log(`BEFORE editing ANY files:`);
-    console.log(`1. Check for conflicts: ls ../../../local_deploy/.file-coordination/active-edits/`);
-    console.log(`2. Create declaration: local_deploy/.file-coordination/active-edits/<agent>-${sessionId}.json`);
+    console.log(`When done, release them:`);
+    console.log(coordination.release);
     console.log(``);
-    console.log(`Example declaration:`);
-    console.log(`{`);
-    console.log(`  "agent": "claude", "session": "${sessionId}",`);
-    console.log(`  "files": ["src/app.js"], "operation": "edit",`);
-    console.log(`  "reason": "${task}", "declaredAt": "${new Date().toISOString()}",`);
-    console.log(`  "estimatedDuration": 300`);
-    console.log(`}`);
+    console.log(`Never write files under local_deploy/.file-coordination/ yourself.`);
     console.log(``);
     console.log(`Write commit messages to: .devops-commit-${sessionId}.msg`);
     console.log(`The DevOps agent will automatically commit and push changes.`);
@@ -1348,6 +1516,17 @@ The DevOps agent will automatically:
     const msgFile = path.join(worktreePath, `.devops-commit-${sessionData.sessionId}.msg`);
     fs.writeFileSync(msgFile, '');
     
+    // Session commit identity (and optional signing) in the worktree's own git config
+    if (sessionData.identity) {
+      try {
+        applyWorktreeIdentity(worktreePath, sessionData.identity);
+        const { name, email } = sessionData.identity.author;
+        console.log(`${CONFIG.colors.dim}Commits will be authored as ${name} <${email}>${CONFIG.colors.reset}`);
+      } catch (err) {
+        console.log(`${CONFIG.colors.yellow}Could not set session commit identity: ${err.message}${CONFIG.colors.reset}`);
+      }
+    }
+    
     // VS Code settings
     const vscodeDir = path.join(worktreePath, '.vscode');
     if (!fs.existsSync(vscodeDir)) {
@@ -1361,7 +1540,7 @@ The DevOps agent will automatically:
         'DEVOPS_WORKTREE': path.basename(worktreePath),
         'DEVOPS_BRANCH': sessionData.branchName,
         'AC_MSG_FILE': `.devops-commit-${sessionData.sessionId}.msg`,
-        'AC_BRANCH_PREFIX': `${sessionData.developerInitials || 'dev'}_${sessionData.agentType}_${sessionData.sessionId}_`
+        'AC_BRANCH_PREFIX': sessionData.dailyPrefix || this.defaultDailyPrefix(sessionData)
       }
     };
     
@@ -1380,7 +1559,8 @@ ${sessionData.task}
 - **Session ID:** ${sessionData.sessionId}
 - **Branch:** ${sessionData.branchName}
 - **Created:** ${sessionData.created}
-- **Agent Type:** ${sessionData.agentType}
+- **Agent Type:** ${sessionData.agentType}${sessionData.identity ? `
+- **Commit Author:** ${sessionData.identity.author.name} <${sessionData.identity.author.email}>` : ''}
 
 ## How to Use
 1. Make your changes in this directory
@@ -1406,6 +1586,8 @@ The DevOps agent is monitoring this worktree for changes.
     const sessionPatterns = [
       '# DevOps session management files',
       '.devops-commit-*.msg',
+      '.devops-commit-*.msg.errors',
+      '.devops-commit-*.msg.undone',
       '.devops-session.json', 
       'SESSION_README.md',
       '.session-cleanup-requested',
@@ -1463,35 +1645,19 @@ The DevOps agent is monitoring this worktree for changes.
    * Find an available unclaimed session
    */
   findAvailableSession() {
-    if (!fs.existsSync(this.locksPath)) {
-      return null;
-    }
-    
-    const locks = fs.readdirSync(this.locksPath);
-    
-    for (const lockFile of locks) {
-      const lockPath = path.join(this.locksPath, lockFile);
-      const lockData = JSON.parse(fs.readFileSync(lockPath, 'utf8'));
-      
-      // Check if session is available (not claimed)
-      if (lockData.status === 'waiting' && !lockData.claimedBy) {
-        return lockData;
-      }
-    }
-    
-    return null;
+    // Check if session is available (not claimed)
+    return this.store.list({ status: 'waiting' }).find(session => !session.claimedBy) || null;
   }
 
   /**
    * Claim a session for an agent
    */
   claimSession(session, agentName) {
-    session.claimedBy = agentName;
-    session.claimedAt = new Date().toISOString();
-    session.status = 'active';
-    
-    const lockFile = path.join(this.locksPath, `${session.sessionId}.lock`);
-    fs.writeFileSync(lockFile, JSON.stringify(session, null, 2));
+    session = this.store.update(session.sessionId, {
+      claimedBy: agentName,
+      claimedAt: new Date().toISOString(),
+      status: 'active'
+    });
     
     const instructions = this.generateClaudeInstructions(session);
     // Don't display instructions here - they'll be shown after agent starts
@@ -1504,29 +1670,32 @@ The DevOps agent is monitoring this worktree for changes.
 
   /**
    * Start the DevOps agent for a session
+   * @param {string} sessionId
+   * @param {Object} [options]
+   * @param {boolean} [options.detached=false] - Run the worker in the background with its output in
+   *   local_deploy/sessions/<sessionId>.log instead of attaching it to this terminal
+   * @returns {Promise<{pid: number, logFile: string|null}|undefined>}
    */
   async startAgent(sessionId, options = {}) {
-    const lockFile = path.join(this.locksPath, `${sessionId}.lock`);
+    const { detached = false } = options;
+    let sessionData = this.store.get(sessionId);
     
-    if (!fs.existsSync(lockFile)) {
+    if (!sessionData) {
       console.error(`${CONFIG.colors.red}Session not found: ${sessionId}${CONFIG.colors.reset}`);
       return;
     }
     
-    const sessionData = JSON.parse(fs.readFileSync(lockFile, 'utf8'));
-    
     console.log(`\n${CONFIG.colors.bgYellow}${CONFIG.colors.bright} Starting DevOps Agent ${CONFIG.colors.reset}`);
     console.log(`${CONFIG.colors.blue}Session:${CONFIG.colors.reset} ${sessionId}`);
     console.log(`${CONFIG.colors.blue}Worktree:${CONFIG.colors.reset} ${sessionData.worktreePath}`);
     console.log(`${CONFIG.colors.blue}Branch:${CONFIG.colors.reset} ${sessionData.branchName}`);
     
     // Update session status
-    sessionData.agentStarted = new Date().toISOString();
-    sessionData.agentPid = process.pid;
-    fs.writeFileSync(lockFile, JSON.stringify(sessionData, null, 2));
+    const started = { agentStarted: new Date().toISOString(), agentPid: process.pid };
+    sessionData = detached ? { ...sessionData, ...started } : this.store.update(sessionId, started);
     
     // Get developer initials from session data or settings (NO PROMPTING HERE)
-    const devInitials = sessionData.developerInitials || this.getDeveloperInitials() || 'dev';
+    const dailyPrefix = sessionData.dailyPrefix || this.defaultDailyPrefix(sessionData);
     const settings = this.loadSettings();
     const projectSettings = this.loadProjectSettings();
     
@@ -1535,15 +1704,16 @@ The DevOps agent is monitoring this worktree for changes.
       ...process.env,
       DEVOPS_SESSION_ID: sessionId,
       AC_MSG_FILE: `.devops-commit-${sessionId}.msg`,
-      AC_BRANCH_PREFIX: `${devInitials}_${sessionData.agentType}_${sessionId}_`,
+      AC_BRANCH_PREFIX: dailyPrefix,
       AC_WORKING_DIR: sessionData.worktreePath,
       // Don't set AC_BRANCH - let the agent create daily branches within the worktree
       // AC_BRANCH would force a static branch, preventing daily/weekly rollover
       AC_PUSH: 'true',  // Enable auto-push for session branches
-      AC_DAILY_PREFIX: `${devInitials}_${sessionData.agentType}_${sessionId}_`,  // Daily branches with dev initials first
-      AC_TZ: process.env.AC_TZ || 'Asia/Dubai',  // Preserve timezone for daily branches
+      AC_DAILY_PREFIX: dailyPrefix,  // From the branchNaming daily template
+      // AC_TZ is inherited as-is; the worker prefers rolloverSettings.timezone from project settings
       AC_DATE_STYLE: process.env.AC_DATE_STYLE || 'dash',  // Preserve date style
       // Apply version configuration if set
+      ...(projectSettings.versioningStrategy?.type && { AC_VERSION_STRATEGY: projectSettings.versioningStrategy.type }),
       ...(projectSettings.versioningStrategy?.prefix && { AC_VERSION_PREFIX: projectSettings.versioningStrategy.prefix }),
       ...(projectSettings.versioningStrategy?.startMinor && { AC_VERSION_START_MINOR: projectSettings.versioningStrategy.startMinor.toString() })
     };
@@ -1554,6 +1724,24 @@ The DevOps agent is monitoring this worktree for changes.
     console.log(`${CONFIG.colors.dim}Monitoring: ${sessionData.worktreePath}${CONFIG.colors.reset}`);
     console.log(`${CONFIG.colors.dim}Message file: .devops-commit-${sessionId}.msg${CONFIG.colors.reset}`);
     
+    if (detached) {
+      // Nobody is at a terminal to answer the rollover prompt, so roll over automatically
+      const logFile = path.join(this.sessionsPath, `${sessionId}.log`);
+      const out = fs.openSync(logFile, 'a');
+      const child = spawn(process.execPath, [agentScript], {
+        cwd: sessionData.worktreePath,
+        env: { ...env, AC_ROLLOVER_PROMPT: 'false' },
+        stdio: ['ignore', out, out],
+        detached: true
+      });
+      fs.closeSync(out);
+      child.unref();
+      
+      this.store.update(sessionId, { ...started, agentPid: child.pid, agentLog: logFile });
+      console.log(`${CONFIG.colors.dim}Agent running in the background (PID ${child.pid}), log: ${logFile}${CONFIG.colors.reset}`);
+      return { pid: child.pid, logFile };
+    }
+    
     // Use fork for better Node.js script handling
     // Fork automatically uses the same node executable and handles paths better
     const child = fork(agentScript, [], {
@@ -1576,10 +1764,10 @@ The DevOps agent is monitoring this worktree for changes.
     child.on('exit', (code) => {
       console.log(`${CONFIG.colors.yellow}Agent exited with code: ${code}${CONFIG.colors.reset}`);
       
-      // Update session status
-      sessionData.agentStopped = new Date().toISOString();
-      sessionData.status = 'stopped';
-      fs.writeFileSync(lockFile, JSON.stringify(sessionData, null, 2));
+      // Update session status (the session may have been closed meanwhile)
+      if (this.store.get(sessionId)) {
+        this.store.update(sessionId, { agentStopped: new Date().toISOString(), status: 'stopped' });
+      }
     });
     
     // Handle graceful shutdown
@@ -1590,28 +1778,29 @@ The DevOps agent is monitoring this worktree for changes.
     });
   }
 
+  /**
+   * All sessions in the session store, whichever tool created them
+   * (unreadable records are skipped)
+   * @returns {Object[]} Session lock data
+   */
+  getSessions() {
+    return this.store.list();
+  }
+  
   /**
    * List all sessions
    */
   listSessions() {
     console.log(`\n${CONFIG.colors.bright}Active Sessions:${CONFIG.colors.reset}`);
     
-    if (!fs.existsSync(this.locksPath)) {
-      console.log('No active sessions');
-      return;
-    }
-    
-    const locks = fs.readdirSync(this.locksPath);
+    const sessions = this.getSessions();
     
-    if (locks.length === 0) {
+    if (sessions.length === 0) {
       console.log('No active sessions');
       return;
     }
     
-    locks.forEach(lockFile => {
-      const lockPath = path.join(this.locksPath, lockFile);
-      const session = JSON.parse(fs.readFileSync(lockPath, 'utf8'));
-      
+    sessions.forEach(session => {
       const status = session.status === 'active' ? 
         `${CONFIG.colors.green}●${CONFIG.colors.reset}` : 
         `${CONFIG.colors.yellow}○${CONFIG.colors.reset}`;
@@ -1622,6 +1811,14 @@ The DevOps agent is monitoring this worktree for changes.
       console.log(`  Branch: ${session.branchName}`);
       console.log(`  Status: ${session.status}`);
       
+      if (session.source !== 'session-coordinator') {
+        console.log(`  Created by: ${session.source}`);
+      }
+      
+      if (session.baseSession) {
+        console.log(`  Based on: ${session.baseSession}`);
+      }
+      
       if (session.claimedBy) {
         console.log(`  Claimed by: ${session.claimedBy}`);
       }
@@ -1656,8 +1853,7 @@ The DevOps agent is monitoring this worktree for changes.
     const session = await this.createSession(options);
     
     // Read the lock file to get the stored instructions
-    const lockFile = path.join(this.locksPath, `${session.sessionId}.lock`);
-    const lockData = JSON.parse(fs.readFileSync(lockFile, 'utf8'));
+    const lockData = this.store.get(session.sessionId);
     
     // Display instructions FIRST before starting agent
     if (lockData.instructions) {
@@ -1675,22 +1871,44 @@ The DevOps agent is monitoring this worktree for changes.
   
   /**
    * Close a specific session
+   * @param {string} sessionId
+   * @param {Object} [options]
+   * @param {boolean} [options.interactive=true] - Prompt for each step; when false the options below answer instead
+   * @param {boolean} [options.commit=false] - Commit and push uncommitted changes first
+   * @param {boolean} [options.merge=false] - Merge the session branch before cleanup
+   * @param {string} [options.target] - Branch to merge into (defaults to the requested or configured target)
+   * @param {boolean} [options.removeWorktree=true] - Remove the worktree and local branch
+   * @returns {Promise<false|{sessionId: string, merged: string|null, worktreeRemoved: boolean}>} false if the session does not exist
    */
-  async closeSession(sessionId) {
-    const lockFile = path.join(this.locksPath, `${sessionId}.lock`);
+  async closeSession(sessionId, options = {}) {
+    const { interactive = true, commit = false, merge = false, target = null, removeWorktree = true } = options;
     
-    if (!fs.existsSync(lockFile)) {
+    // Prompt on the terminal, or take the caller's answer when running headless
+    const ask = async (question, answer) => {
+      if (!interactive) return answer;
+      const rl = readline.createInterface({
+        input: process.stdin,
+        output: process.stdout
+      });
+      const reply = await new Promise(resolve => rl.question(question, resolve));
+      rl.close();
+      return reply;
+    };
+    
+    const session = this.store.get(sessionId);
+    if (!session) {
       console.error(`${CONFIG.colors.red}Session not found: ${sessionId}${CONFIG.colors.reset}`);
       return false;
     }
     
-    const session = JSON.parse(fs.readFileSync(lockFile, 'utf8'));
+    let merged = null;
+    let worktreeRemoved = false;
     console.log(`\n${CONFIG.colors.yellow}Closing session: ${sessionId}${CONFIG.colors.reset}`);
     console.log(`${CONFIG.colors.dim}Task: ${session.task}${CONFIG.colors.reset}`);
     console.log(`${CONFIG.colors.dim}Branch: ${session.branchName}${CONFIG.colors.reset}`);
     
-    // Kill agent if running
-    if (session.agentPid) {
+    // Kill agent if running (a foreground agent shares this process)
+    if (session.agentPid && session.agentPid !== process.pid) {
       try {
         process.kill(session.agentPid, 'SIGTERM');
         console.log(`${CONFIG.colors.green}✓${CONFIG.colors.reset} Agent process stopped`);
@@ -1707,15 +1925,7 @@ The DevOps agent is monitoring this worktree for changes.
           console.log(`\n${CONFIG.colors.yellow}Warning: Uncommitted changes found${CONFIG.colors.reset}`);
           console.log(status);
           
-          const rl = readline.createInterface({
-            input: process.stdin,
-            output: process.stdout
-          });
-          
-          const answer = await new Promise(resolve => {
-            rl.question('Commit these changes before closing? (y/N): ', resolve);
-          });
-          rl.close();
+          const answer = await ask('Commit these changes before closing? (y/N): ', commit ? 'y' : 'n');
           
           if (answer.toLowerCase() === 'y') {
             execSync(`git -C "${session.worktreePath}" add -A`, { stdio: 'pipe' });
@@ -1729,86 +1939,33 @@ The DevOps agent is monitoring this worktree for changes.
       }
       
       // Ask about merging to target branch before cleanup
-      let rl = readline.createInterface({
-        input: process.stdin,
-        output: process.stdout
-      });
-      
       console.log(`\n${CONFIG.colors.yellow}Worktree Cleanup Options${CONFIG.colors.reset}`);
       
-      // Get target branch from merge config or default to 'main'
-      let targetBranch = session.mergeConfig?.targetBranch || 'main';
+      // Get target branch from the agent's merge request, the merge config or default to 'main'
+      let targetBranch = mergeTargetFor(session);
+      if (session.mergeRequest) {
+        console.log(`${CONFIG.colors.dim}Agent requested a merge into ${session.mergeRequest.target} at ${session.mergeRequest.requestedAt}${CONFIG.colors.reset}`);
+      }
       
-      const mergeFirst = await new Promise(resolve => {
-        rl.question(`\nMerge ${CONFIG.colors.bright}${session.branchName}${CONFIG.colors.reset} → ${CONFIG.colors.bright}${targetBranch}${CONFIG.colors.reset} before cleanup? (y/N): `, resolve);
-      });
-      rl.close();
+      const mergeFirst = await ask(`\nMerge ${CONFIG.colors.bright}${session.branchName}${CONFIG.colors.reset} → ${CONFIG.colors.bright}${targetBranch}${CONFIG.colors.reset} before cleanup? (y/N): `, merge ? 'y' : 'n');
       
       if (mergeFirst.toLowerCase() === 'y') {
-        rl = readline.createInterface({
-          input: process.stdin,
-          output: process.stdout
-        });
-        
-        const confirmTarget = await new Promise(resolve => {
-          rl.question(`Target branch [${targetBranch}]: `, resolve);
-        });
-        rl.close();
+        const confirmTarget = await ask(`Target branch [${targetBranch}]: `, target || '');
         
         if (confirmTarget.trim()) {
           targetBranch = confirmTarget.trim();
         }
         
         try {
-          console.log(`\n${CONFIG.colors.blue}Merging ${session.branchName} into ${targetBranch}...${CONFIG.colors.reset}`);
-          
-          // Check if target branch exists locally
-          let branchExists = false;
-          try {
-            execSync(`git rev-parse --verify ${targetBranch}`, { cwd: this.repoRoot, stdio: 'pipe' });
-            branchExists = true;
-          } catch (err) {
-            // Branch doesn't exist locally
-          }
-          
-          if (!branchExists) {
-            // Check if branch exists on remote
-            try {
-              execSync(`git ls-remote --heads origin ${targetBranch}`, { cwd: this.repoRoot, stdio: 'pipe' });
-              // Branch exists on remote, fetch it
-              console.log(`${CONFIG.colors.dim}Target branch doesn't exist locally, fetching from remote...${CONFIG.colors.reset}`);
-              execSync(`git fetch origin ${targetBranch}:${targetBranch}`, { cwd: this.repoRoot, stdio: 'pipe' });
-            } catch (err) {
-              // Branch doesn't exist on remote either, create it
-              console.log(`${CONFIG.colors.yellow}Target branch '${targetBranch}' doesn't exist. Creating it...${CONFIG.colors.reset}`);
-              execSync(`git checkout -b ${targetBranch}`, { cwd: this.repoRoot, stdio: 'pipe' });
-              execSync(`git push -u origin ${targetBranch}`, { cwd: this.repoRoot, stdio: 'pipe' });
-              console.log(`${CONFIG.colors.green}✓${CONFIG.colors.reset} Created new branch ${targetBranch}`);
-            }
-          }
-          
-          // Switch to target branch in main repo
-          execSync(`git checkout ${targetBranch}`, { cwd: this.repoRoot, stdio: 'pipe' });
-          
-          // Pull latest (if branch already existed)
-          if (branchExists) {
-            try {
-              execSync(`git pull origin ${targetBranch}`, { cwd: this.repoRoot, stdio: 'pipe' });
-            } catch (err) {
-              console.log(`${CONFIG.colors.dim}Could not pull latest changes (may be new branch)${CONFIG.colors.reset}`);
-            }
+          // Base sessions this one builds on go in first, parents before children
+          for (const base of this.unmergedBaseSessions(sessionId, targetBranch)) {
+            console.log(`${CONFIG.colors.dim}Session builds on ${base.sessionId}; merging it first${CONFIG.colors.reset}`);
+            this.mergeSessionBranch(base, targetBranch);
+            await this.rebaseDependents(base.sessionId, targetBranch);
           }
           
-          // Merge the session branch
-          execSync(`git merge --no-ff ${session.branchName} -m "Merge session ${sessionId}: ${session.task}"`, { 
-            cwd: this.repoRoot, 
-            stdio: 'pipe' 
-          });
-          
-          // Push merged changes
-          execSync(`git push origin ${targetBranch}`, { cwd: this.repoRoot, stdio: 'pipe' });
-          
-          console.log(`${CONFIG.colors.green}✓${CONFIG.colors.reset} Successfully merged to ${targetBranch}`);
+          this.mergeSessionBranch(session, targetBranch);
+          merged = targetBranch;
           
           // Delete remote branch after successful merge
           try {
@@ -1817,28 +1974,30 @@ The DevOps agent is monitoring this worktree for changes.
           } catch (err) {
             console.log(`${CONFIG.colors.dim}Could not delete remote branch${CONFIG.colors.reset}`);
           }
+          
+          await this.rebaseDependents(sessionId, targetBranch);
         } catch (err) {
           console.error(`${CONFIG.colors.red}✗ Merge failed: ${err.message}${CONFIG.colors.reset}`);
           console.log(`${CONFIG.colors.yellow}You may need to resolve conflicts manually${CONFIG.colors.reset}`);
         }
       }
       
-      // Ask about removing worktree
-      rl = readline.createInterface({
-        input: process.stdin,
-        output: process.stdout
-      });
+      if (!merged) {
+        const dependents = dependentsOf(this.getSessions(), sessionId);
+        if (dependents.length > 0) {
+          console.log(`${CONFIG.colors.yellow}Sessions building on this one keep its commits: ${dependents.join(', ')}${CONFIG.colors.reset}`);
+        }
+      }
       
-      const removeWorktree = await new Promise(resolve => {
-        rl.question(`\nRemove worktree at ${session.worktreePath}? (Y/n): `, resolve);
-      });
-      rl.close();
+      // Ask about removing worktree
+      const removeAnswer = await ask(`\nRemove worktree at ${session.worktreePath}? (Y/n): `, removeWorktree ? 'y' : 'n');
       
-      if (removeWorktree.toLowerCase() !== 'n') {
+      if (removeAnswer.toLowerCase() !== 'n') {
         try {
           // Remove worktree
           execSync(`git worktree remove "${session.worktreePath}" --force`, { stdio: 'pipe' });
           console.log(`${CONFIG.colors.green}✓${CONFIG.colors.reset} Worktree removed`);
+          worktreeRemoved = true;
           
           // Delete local branch
           try {
@@ -1857,34 +2016,22 @@ The DevOps agent is monitoring this worktree for changes.
     }
     
     // Remove lock file
-    fs.unlinkSync(lockFile);
+    this.store.remove(sessionId);
     console.log(`${CONFIG.colors.green}✓${CONFIG.colors.reset} Session closed successfully`);
     
-    return true;
+    return { sessionId, merged, worktreeRemoved };
   }
   
   /**
    * Interactive session selection and close
    */
   async selectAndCloseSession() {
-    if (!fs.existsSync(this.locksPath)) {
-      console.log(`${CONFIG.colors.yellow}No active sessions${CONFIG.colors.reset}`);
-      return;
-    }
-    
-    const locks = fs.readdirSync(this.locksPath);
-    if (locks.length === 0) {
+    const sessions = this.getSessions();
+    if (sessions.length === 0) {
       console.log(`${CONFIG.colors.yellow}No active sessions${CONFIG.colors.reset}`);
       return;
     }
     
-    const sessions = [];
-    locks.forEach(lockFile => {
-      const lockPath = path.join(this.locksPath, lockFile);
-      const session = JSON.parse(fs.readFileSync(lockPath, 'utf8'));
-      sessions.push(session);
-    });
-    
     console.log(`\n${CONFIG.colors.bright}Select session to close:${CONFIG.colors.reset}\n`);
     
     sessions.forEach((session, index) => {
@@ -1927,24 +2074,11 @@ The DevOps agent is monitoring this worktree for changes.
   async cleanupAll() {
     console.log(`\n${CONFIG.colors.yellow}Cleaning up stale sessions and worktrees...${CONFIG.colors.reset}`);
     
-    // Clean up old lock files (older than 24 hours)
-    const oneDayAgo = Date.now() - 86400000;
-    let cleanedLocks = 0;
-    
-    if (fs.existsSync(this.locksPath)) {
-      const locks = fs.readdirSync(this.locksPath);
-      locks.forEach(lockFile => {
-        const lockPath = path.join(this.locksPath, lockFile);
-        const stats = fs.statSync(lockPath);
-        if (stats.mtimeMs < oneDayAgo) {
-          fs.unlinkSync(lockPath);
-          cleanedLocks++;
-        }
-      });
-    }
+    // Sessions whose agent exited and whose worktree was removed
+    const cleanedLocks = this.removeAbandonedSessions().length;
     
     if (cleanedLocks > 0) {
-      console.log(`${CONFIG.colors.green}✓${CONFIG.colors.reset} Removed ${cleanedLocks} stale lock files`);
+      console.log(`${CONFIG.colors.green}✓${CONFIG.colors.reset} Removed ${cleanedLocks} abandoned sessions`);
     }
     
     // Prune git worktrees
@@ -1984,6 +2118,198 @@ The DevOps agent is monitoring this worktree for changes.
     
     console.log(`${CONFIG.colors.green}✓${CONFIG.colors.reset} Cleanup complete`);
   }
+
+  /**
+   * Merge a session's work into the target branch in the main repository
+   * and push it (the target is fetched or created when missing). The work
+   * is the session tip, the same commit dependents start from and
+   * isMergedInto checks, so commits on daily branches are included.
+   * @throws {Error} When there is nothing to merge or checkout, merge or push fails
+   */
+  mergeSessionBranch(session, targetBranch) {
+    const tip = sessionTip(this.repoRoot, session);
+    if (!tip) {
+      throw new Error(`No commits found for session ${session.sessionId}`);
+    }
+    console.log(`\n${CONFIG.colors.blue}Merging ${session.branchName} (${tip.slice(0, 7)}) into ${targetBranch}...${CONFIG.colors.reset}`);
+    
+    // Check if target branch exists locally
+    let branchExists = false;
+    try {
+      execSync(`git rev-parse --verify ${targetBranch}`, { cwd: this.repoRoot, stdio: 'pipe' });
+      branchExists = true;
+    } catch (err) {
+      // Branch doesn't exist locally
+    }
+    
+    if (!branchExists) {
+      // Check if branch exists on remote
+      try {
+        execSync(`git ls-remote --heads origin ${targetBranch}`, { cwd: this.repoRoot, stdio: 'pipe' });
+        // Branch exists on remote, fetch it
+        console.log(`${CONFIG.colors.dim}Target branch doesn't exist locally, fetching from remote...${CONFIG.colors.reset}`);
+        execSync(`git fetch origin ${targetBranch}:${targetBranch}`, { cwd: this.repoRoot, stdio: 'pipe' });
+      } catch (err) {
+        // Branch doesn't exist on remote either, create it
+        console.log(`${CONFIG.colors.yellow}Target branch '${targetBranch}' doesn't exist. Creating it...${CONFIG.colors.reset}`);
+        execSync(`git checkout -b ${targetBranch}`, { cwd: this.repoRoot, stdio: 'pipe' });
+        execSync(`git push -u origin ${targetBranch}`, { cwd: this.repoRoot, stdio: 'pipe' });
+        console.log(`${CONFIG.colors.green}✓${CONFIG.colors.reset} Created new branch ${targetBranch}`);
+      }
+    }
+    
+    // Switch to target branch in main repo
+    execSync(`git checkout ${targetBranch}`, { cwd: this.repoRoot, stdio: 'pipe' });
+    
+    // Pull latest (if branch already existed)
+    if (branchExists) {
+      try {
+        execSync(`git pull origin ${targetBranch}`, { cwd: this.repoRoot, stdio: 'pipe' });
+      } catch (err) {
+        console.log(`${CONFIG.colors.dim}Could not pull latest changes (may be new branch)${CONFIG.colors.reset}`);
+      }
+    }
+    
+    // Merge the session's work
+    execSync(`git merge --no-ff ${tip} -m "Merge session ${session.sessionId}: ${session.task}"`, { 
+      cwd: this.repoRoot, 
+      stdio: 'pipe' 
+    });
+    
+    // Push merged changes
+    execSync(`git push origin ${targetBranch}`, { cwd: this.repoRoot, stdio: 'pipe' });
+    
+    console.log(`${CONFIG.colors.green}✓${CONFIG.colors.reset} Successfully merged to ${targetBranch}`);
+  }
+
+  /**
+   * Base sessions whose work is not in the target branch yet, root first
+   */
+  unmergedBaseSessions(sessionId, targetBranch) {
+    const sessions = this.getSessions();
+    return ancestorsOf(sessions, sessionId)
+      .map(id => sessions.find(s => s.sessionId === id))
+      .filter(base => !isMergedInto(this.repoRoot, base, targetBranch));
+  }
+
+  /**
+   * Pause a running worker's auto-commit and wait until it is idle, so
+   * nothing commits or switches branches in its worktree meanwhile
+   * @returns {Promise<{paused: boolean, resume: boolean}|null>} null when a
+   *   running worker could not be paused; resume is false when there is no
+   *   worker or the agent had already paused it
+   */
+  async pauseWorker(session) {
+    if (!session.agentPid || !isProcessAlive(session.agentPid)) {
+      return { paused: false, resume: false };
+    }
+    const request = (command) => requestCommand({ repoRoot: this.repoRoot, sessionId: session.sessionId, command, timeoutMs: CONFIG.workerCommandTimeoutMs });
+    
+    const { response: before } = await request('status');
+    if (!before || before.status !== 'ok') return null;
+    const resume = !before.payload.autocommitPaused;
+    if (resume) {
+      const { response } = await request('pause-autocommit');
+      if (!response || response.status !== 'ok') {
+        await this.resumeWorker(session);
+        return null;
+      }
+    }
+    
+    // A commit that was already running finishes first
+    const deadline = Date.now() + CONFIG.workerCommandTimeoutMs;
+    while (Date.now() < deadline) {
+      const { response } = await request('status');
+      if (response && response.status === 'ok' && !response.payload.busy) {
+        return { paused: true, resume };
+      }
+      await new Promise(resolve => setTimeout(resolve, 500));
+    }
+    if (resume) await this.resumeWorker(session);
+    return null;
+  }
+
+  async resumeWorker(session) {
+    const { response } = await requestCommand({ repoRoot: this.repoRoot, sessionId: session.sessionId, command: 'resume-autocommit', timeoutMs: CONFIG.workerCommandTimeoutMs });
+    if (!response || response.status !== 'ok') {
+      console.log(`${CONFIG.colors.yellow}⚠ Could not resume auto-commit for ${session.sessionId}; its agent can send resume-autocommit${CONFIG.colors.reset}`);
+    }
+  }
+
+  /**
+   * Rebase the sessions built on a session onto the branch it was just
+   * merged into. A running worker is paused around the rebase; a session
+   * whose worker cannot be paused, or whose rebase conflicts, keeps its
+   * base and is left as it was. A rebased session no longer depends on its base.
+   */
+  async rebaseDependents(sessionId, targetBranch) {
+    for (const dependentId of dependentsOf(this.getSessions(), sessionId)) {
+      const dependent = this.store.get(dependentId);
+      const pause = await this.pauseWorker(dependent);
+      if (!pause) {
+        console.log(`${CONFIG.colors.yellow}⚠ Not rebasing ${dependentId}: its worker is running and could not be paused${CONFIG.colors.reset}`);
+        continue;
+      }
+      try {
+        this.rebaseDependent(dependent, sessionId, targetBranch);
+      } finally {
+        if (pause.resume) await this.resumeWorker(dependent);
+      }
+    }
+  }
+
+  /**
+   * Rebase one dependent and force-push it when it was already pushed
+   */
+  rebaseDependent(dependent, sessionId, targetBranch) {
+    const dependentId = dependent.sessionId;
+    const result = rebaseSession(dependent, targetBranch);
+    if (!result.ok) {
+      console.log(`${CONFIG.colors.yellow}⚠ Could not rebase ${dependentId} onto ${targetBranch}: ${result.error}${CONFIG.colors.reset}`);
+      return;
+    }
+    
+    this.store.update(dependentId, {
+      rebasedOnto: { branch: targetBranch, from: sessionId, head: result.head, at: new Date().toISOString() },
+      baseSession: null
+    });
+    console.log(`${CONFIG.colors.green}✓${CONFIG.colors.reset} Rebased ${dependentId} onto ${targetBranch}`);
+    
+    // The rebase rewrote commits; a branch that was already pushed needs a forced push
+    try {
+      execSync('git rev-parse --abbrev-ref @{u}', { cwd: dependent.worktreePath, stdio: 'pipe' });
+    } catch (err) {
+      return; // Never pushed, the worker pushes it as usual
+    }
+    try {
+      execSync('git push --force-with-lease', { cwd: dependent.worktreePath, stdio: 'pipe' });
+    } catch (err) {
+      console.log(`${CONFIG.colors.dim}Push ${dependentId} after the rebase once its remote is reachable (git push --force-with-lease)${CONFIG.colors.reset}`);
+    }
+  }
+
+  /**
+   * Trial-merge every session against every other and against its merge
+   * target, and report predicted conflicts (see merge-prediction.cjs)
+   * @param {Object} options
+   * @param {string|null} options.target - Merge target for every session (default: each session's own)
+   * @returns {Object} The prediction written to local_deploy/merge-predictions.json
+   */
+  predictMergeConflicts({ target = null } = {}) {
+    const sessions = this.getSessions().filter(s => s.status !== 'closed');
+    const prediction = predictConflicts({ repoRoot: this.repoRoot, sessions, target });
+    const reportPath = writeMergePrediction(this.repoRoot, prediction);
+    
+    const time = new Date(prediction.checkedAt).toLocaleTimeString();
+    if (prediction.conflicts.length === 0) {
+      console.log(`${CONFIG.colors.green}✓${CONFIG.colors.reset} [${time}] No merge conflicts predicted across ${sessions.length} session(s)`);
+    } else {
+      console.log(`${CONFIG.colors.yellow}⚠ [${time}] ${prediction.conflicts.length} merge conflict(s) predicted:${CONFIG.colors.reset}`);
+    }
+    describePrediction(prediction).forEach(line => console.log(`  ${line}`));
+    console.log(`${CONFIG.colors.dim}Report: ${reportPath}${CONFIG.colors.reset}`);
+    return prediction;
+  }
 }
 
 // ============================================================================
@@ -2024,7 +2350,11 @@ async function main() {
         args[args.indexOf('--agent') + 1] : 
         'claude';
       
-      await coordinator.createSession({ task, agent });
+      // --base <id> builds the new session on another session's branch
+      const baseSession = args.includes('--base') ? args[args.indexOf('--base') + 1] : null;
+      const ticket = args.includes('--ticket') ? args[args.indexOf('--ticket') + 1] : null;
+      
+      await coordinator.createSession({ task, agent, baseSession, ticket });
       break;
     }
     
@@ -2036,10 +2366,7 @@ async function main() {
         console.log(`${CONFIG.colors.bright}DevOps Agent Session Manager${CONFIG.colors.reset}\n`);
         
         // Show existing sessions first
-        const locks = fs.existsSync(coordinator.locksPath) ? 
-          fs.readdirSync(coordinator.locksPath).filter(f => f.endsWith('.lock')) : [];
-        
-        if (locks.length > 0) {
+        if (coordinator.getSessions().length > 0) {
           console.log(`${CONFIG.colors.blue}Active Sessions:${CONFIG.colors.reset}`);
           coordinator.listSessions();
           console.log();
@@ -2125,7 +2452,10 @@ async function main() {
         args[args.indexOf('--agent') + 1] : 
         'claude';
       
-      await coordinator.createAndStart({ task, agent });
+      const baseSession = args.includes('--base') ? args[args.indexOf('--base') + 1] : null;
+      const ticket = args.includes('--ticket') ? args[args.indexOf('--ticket') + 1] : null;
+      
+      await coordinator.createAndStart({ task, agent, baseSession, ticket });
       break;
     }
     
@@ -2159,6 +2489,39 @@ async function main() {
     break;
   }
   
+  case 'predict': {
+    // Trial-merge sessions to predict conflicts before they are merged
+    const config = loadMergePredictionConfig(coordinator.loadProjectSettings());
+    const target = args.includes('--target') ? args[args.indexOf('--target') + 1] : config.target;
+    coordinator.predictMergeConflicts({ target });
+    
+    if (args.includes('--watch')) {
+      const seconds = parseInt(args[args.indexOf('--watch') + 1], 10) || config.interval;
+      console.log(`${CONFIG.colors.dim}Checking again every ${seconds}s (Ctrl+C to stop)${CONFIG.colors.reset}`);
+      setInterval(() => coordinator.predictMergeConflicts({ target }), seconds * 1000);
+    }
+    break;
+  }
+  
+  case 'serve': {
+    // Local HTTP/JSON control API for editors and scripts
+    const config = loadControlApiConfig(coordinator.loadProjectSettings());
+    if (args.includes('--port')) config.port = parseInt(args[args.indexOf('--port') + 1], 10);
+    if (args.includes('--socket')) config.socket = path.resolve(args[args.indexOf('--socket') + 1]);
+    
+    const api = await startControlApi({ coordinator, repoRoot: coordinator.repoRoot, ...config });
+    console.log(`${CONFIG.colors.green}✓${CONFIG.colors.reset} Control API listening on ${CONFIG.colors.bright}${api.info.url || api.info.socket}${CONFIG.colors.reset}`);
+    console.log(`${CONFIG.colors.dim}Token and address: local_deploy/control-api.json (send as "Authorization: Bearer <token>")${CONFIG.colors.reset}`);
+    
+    const shutdown = async () => {
+      await api.close();
+      process.exit(0);
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+    break;
+  }
+  
   case 'help':
   default: {
       console.log(`
@@ -2175,11 +2538,19 @@ ${CONFIG.colors.blue}Commands:${CONFIG.colors.reset}
   ${CONFIG.colors.green}list${CONFIG.colors.reset}                List all active sessions
   ${CONFIG.colors.green}close [id]${CONFIG.colors.reset}          Close session and clean up worktree
   ${CONFIG.colors.green}cleanup${CONFIG.colors.reset}             Clean up all stale sessions
+  ${CONFIG.colors.green}predict${CONFIG.colors.reset}             Predict merge conflicts between sessions
+  ${CONFIG.colors.green}serve${CONFIG.colors.reset}               Start the local HTTP/JSON control API
   ${CONFIG.colors.green}help${CONFIG.colors.reset}                Show this help
 
 ${CONFIG.colors.blue}Options:${CONFIG.colors.reset}
   --task <name>       Task or feature name
   --agent <type>      Agent type (claude, cline, copilot, etc.)
+  --base <id>         Build the new session on another session's branch (create)
+  --ticket <id>       Ticket id for the branch name template (create)
+  --port <n>          Control API port on 127.0.0.1 (serve)
+  --socket <path>     Control API unix socket instead of a port (serve)
+  --target <branch>   Trial-merge every session into this branch (predict)
+  --watch [seconds]   Repeat the prediction periodically (predict)
 
 ${CONFIG.colors.blue}Examples:${CONFIG.colors.reset}
   ${CONFIG.colors.dim}# Workflow 1: Manual coordination${CONFIG.colors.reset}
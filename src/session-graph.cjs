@@ -0,0 +1,108 @@
+/**
+ * Session Dependency Graph
+ *
+ * A session created with a base session (`create --base <id>`) starts its
+ * worktree from that session's work instead of HEAD and records it as
+ * `baseSession` in its lock. A session's work is always its tip (see
+ * sessionTip in merge-prediction.cjs): dependents start from it, it is what
+ * gets merged and what isMergedInto checks.
+ *
+ * Closing a session with a merge first merges the base sessions it builds
+ * on that are not merged yet, parents before children. After every merge,
+ * the sessions built on the merged session are rebased onto the merge
+ * target, with their worker's auto-commit paused meanwhile.
+ */
+
+const fs = require('fs');
+const { spawnSync } = require('child_process');
+const { resolveRef, sessionTip } = require('./merge-prediction.cjs');
+
+function git(args, cwd) {
+  return spawnSync('git', args, { cwd, encoding: 'utf8', maxBuffer: 10 * 1024 * 1024 });
+}
+
+function cycleError(ids) {
+  return new Error(`session dependency cycle: ${ids.join(' → ')}`);
+}
+
+/**
+ * Parent and children of every session (a base session without a lock is
+ * treated as gone, so the dependent becomes a root)
+ * @returns {{parents: Object<string, string|null>, children: Object<string, string[]>}}
+ */
+function sessionGraph(sessions) {
+  const ids = new Set(sessions.map(s => s.sessionId));
+  const parents = {};
+  const children = {};
+  sessions.forEach(s => { children[s.sessionId] = []; });
+  for (const s of sessions) {
+    const base = s.baseSession && ids.has(s.baseSession) ? s.baseSession : null;
+    parents[s.sessionId] = base;
+    if (base) children[base].push(s.sessionId);
+  }
+  return { parents, children };
+}
+
+/**
+ * The base sessions a session builds on, root first
+ * @returns {string[]} Session ids
+ */
+function ancestorsOf(sessions, sessionId) {
+  const { parents } = sessionGraph(sessions);
+  const chain = [];
+  const seen = [sessionId];
+  for (let id = parents[sessionId]; id; id = parents[id]) {
+    if (seen.includes(id)) throw cycleError([...seen, id]);
+    seen.push(id);
+    chain.unshift(id);
+  }
+  return chain;
+}
+
+/**
+ * Sessions built directly on a session
+ * @returns {string[]} Session ids
+ */
+function dependentsOf(sessions, sessionId) {
+  return sessionGraph(sessions).children[sessionId] || [];
+}
+
+/**
+ * Whether everything a session has committed is already in a branch
+ */
+function isMergedInto(repoRoot, session, branch) {
+  const tip = sessionTip(repoRoot, session);
+  const target = resolveRef(repoRoot, branch);
+  if (!tip || !target) return false;
+  return git(['merge-base', '--is-ancestor', tip, target], repoRoot).status === 0;
+}
+
+/**
+ * Rebase a session's worktree onto a branch, typically after its base
+ * session merged into it. Uncommitted changes are stashed and restored
+ * around the rebase; a conflicting rebase is aborted, leaving the worktree
+ * as it was.
+ * @returns {{ok: boolean, head?: string, error?: string}}
+ */
+function rebaseSession(session, onto) {
+  const cwd = session.worktreePath;
+  if (!cwd || !fs.existsSync(cwd)) {
+    return { ok: false, error: 'worktree not found' };
+  }
+
+  const result = git(['rebase', '--autostash', onto], cwd);
+  if (result.status !== 0) {
+    git(['rebase', '--abort'], cwd);
+    const output = `${result.stderr || ''}${result.stdout || ''}`.trim().split('\n');
+    return { ok: false, error: output.find(line => line.startsWith('CONFLICT')) || output.pop() || 'git rebase failed' };
+  }
+  return { ok: true, head: git(['rev-parse', 'HEAD'], cwd).stdout.trim() };
+}
+
+module.exports = {
+  sessionGraph,
+  ancestorsOf,
+  dependentsOf,
+  isMergedInto,
+  rebaseSession
+};
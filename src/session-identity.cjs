@@ -0,0 +1,169 @@
+/**
+ * Per-session Commit Identity
+ *
+ * Gives every session its own author/committer identity so `git log` shows
+ * which agent session wrote a commit, while the human who ran the session is
+ * credited with a Co-authored-by trailer. Configured under `sessionIdentity`
+ * in local_deploy/project-settings.json:
+ *
+ *   "sessionIdentity": {
+ *     "enabled": true,
+ *     "nameTemplate": "{Agent} (session {short})",
+ *     "emailTemplate": "{local}+{agent}@{domain}",
+ *     "coAuthor": true,
+ *     "signing": { "format": "ssh", "key": "~/.ssh/id_ed25519.pub" }
+ *   }
+ *
+ * Template fields: {agent}, {Agent}, {session}, {short}, {initials}, and
+ * {local}/{domain} from the human's email. Signing is optional; format is
+ * "ssh", "openpgp" or "x509". Everything is written to the worktree's own git
+ * config (`git config --worktree`), so manual commits in the worktree carry
+ * the same identity and other checkouts are untouched.
+ */
+
+const { execFileSync } = require('child_process');
+
+const SIGNING_FORMATS = ['ssh', 'openpgp', 'x509'];
+const FALLBACK_DOMAIN = 'devops-agent.local';
+
+const DEFAULT_IDENTITY_CONFIG = {
+  enabled: true,
+  nameTemplate: '{Agent} (session {short})',
+  emailTemplate: '{local}+{agent}@{domain}',
+  coAuthor: true,
+  signing: null
+};
+
+/**
+ * Merge the sessionIdentity settings with defaults (null when disabled)
+ */
+function loadIdentityConfig(settings = {}) {
+  const config = { ...DEFAULT_IDENTITY_CONFIG, ...(settings.sessionIdentity || {}) };
+  if (config.enabled === false) return null;
+
+  const signing = config.signing;
+  config.signing = signing && signing.key
+    ? { format: SIGNING_FORMATS.includes(signing.format) ? signing.format : 'openpgp', key: signing.key }
+    : null;
+  return config;
+}
+
+function gitConfigValue(key, cwd) {
+  try {
+    return execFileSync('git', ['config', '--get', key], {
+      cwd,
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'ignore']
+    }).trim();
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * The human's identity: global devops-agent settings first, then git config
+ */
+function humanIdentity(globalSettings = {}, cwd = process.cwd()) {
+  return {
+    name: globalSettings.name || gitConfigValue('user.name', cwd),
+    email: globalSettings.email || gitConfigValue('user.email', cwd)
+  };
+}
+
+function fillTemplate(template, fields) {
+  return template.replace(/\{(\w+)\}/g, (match, key) => (key in fields ? fields[key] : match));
+}
+
+/**
+ * Build the session's author identity from the templates
+ * @param {Object} session - { sessionId, agentType, developerInitials }
+ * @param {Object} human - { name, email }
+ * @param {Object} config - Result of loadIdentityConfig
+ * @returns {{name: string, email: string}}
+ */
+function sessionAuthor(session, human, config = DEFAULT_IDENTITY_CONFIG) {
+  const agent = String(session.agentType || 'agent').toLowerCase();
+  const [local, domain] = (human.email || '').includes('@')
+    ? human.email.split('@')
+    : [session.developerInitials || 'dev', FALLBACK_DOMAIN];
+
+  const fields = {
+    agent,
+    Agent: agent.charAt(0).toUpperCase() + agent.slice(1),
+    session: session.sessionId,
+    short: String(session.sessionId).split('-')[0],
+    initials: session.developerInitials || 'dev',
+    // Drop any existing +tag so "dev+work@x" becomes "dev+claude@x", not "dev+work+claude@x"
+    local: local.split('+')[0],
+    domain
+  };
+
+  return {
+    name: fillTemplate(config.nameTemplate, fields),
+    email: fillTemplate(config.emailTemplate, fields)
+  };
+}
+
+/**
+ * Everything recorded on the session (lock file and .devops-session.json)
+ */
+function buildSessionIdentity(session, human, config) {
+  if (!config) return null;
+  return {
+    author: sessionAuthor(session, human, config),
+    coAuthor: config.coAuthor && human.name && human.email ? human : null,
+    signing: config.signing
+  };
+}
+
+/**
+ * Git config entries for the worktree
+ * @returns {Array<[string, string]>}
+ */
+function identityGitConfig(identity) {
+  const entries = [
+    ['user.name', identity.author.name],
+    ['user.email', identity.author.email]
+  ];
+  if (identity.signing) {
+    entries.push(
+      ['gpg.format', identity.signing.format],
+      ['user.signingkey', identity.signing.key],
+      ['commit.gpgsign', 'true'],
+      ['tag.gpgsign', 'true']
+    );
+  }
+  return entries;
+}
+
+/**
+ * Write the identity into the worktree's own config
+ * Enables extensions.worktreeConfig on the repository when needed.
+ */
+function applyWorktreeIdentity(worktreePath, identity) {
+  const git = args => execFileSync('git', args, { cwd: worktreePath, stdio: 'pipe' });
+  git(['config', 'extensions.worktreeConfig', 'true']);
+  for (const [key, value] of identityGitConfig(identity)) {
+    git(['config', '--worktree', key, value]);
+  }
+}
+
+/**
+ * Co-authored-by trailer crediting the human, or null
+ */
+function coAuthorTrailer(identity) {
+  if (!identity || !identity.coAuthor) return null;
+  return { key: 'Co-authored-by', value: `${identity.coAuthor.name} <${identity.coAuthor.email}>` };
+}
+
+module.exports = {
+  SIGNING_FORMATS,
+  DEFAULT_IDENTITY_CONFIG,
+  loadIdentityConfig,
+  humanIdentity,
+  sessionAuthor,
+  buildSessionIdentity,
+  identityGitConfig,
+  applyWorktreeIdentity,
+  coAuthorTrailer
+};
@@ -0,0 +1,147 @@
+/**
+ * Session History Log
+ *
+ * Reads the Session-Id / Agent / Task trailers the worker adds to its
+ * commits and filters history across every daily, version and session
+ * branch (local and remote-tracking).
+ *
+ * Usage:
+ *   s9n-devops-agent log [--session <id>] [--agent <name>] [--task <text>]
+ *                        [--branch <pattern>] [-n <count>] [--json]
+ */
+
+const { execFileSync } = require('child_process');
+const { parseTrailers } = require('./commit-trailers.cjs');
+
+const FIELD_SEP = '\x1f';
+const RECORD_SEP = '\x1e';
+const LOG_FORMAT = ['%H', '%S', '%an <%ae>', '%aI', '%s', '%(trailers:unfold)'].join('%x1f') + '%x1e';
+
+const colors = {
+  reset: '\x1b[0m',
+  dim: '\x1b[2m',
+  yellow: '\x1b[33m',
+  cyan: '\x1b[36m'
+};
+
+/**
+ * Commits carrying session trailers, newest first (each commit once)
+ * @param {Object} options
+ * @param {string} [options.cwd] - Repository to read
+ * @param {string} [options.branch] - Branch glob to limit the search to
+ * @returns {Array<Object>} { hash, ref, author, date, subject, sessionId, agent, task, workerVersion, declaredFiles, trailers }
+ */
+function readSessionCommits({ cwd = process.cwd(), branch } = {}) {
+  const refs = branch
+    ? [`--branches=${branch}`, `--remotes=*/${branch}`]
+    : ['--branches', '--remotes'];
+
+  let output;
+  try {
+    output = execFileSync('git', ['log', ...refs, '--source', `--format=${LOG_FORMAT}`], {
+      cwd,
+      encoding: 'utf8',
+      maxBuffer: 64 * 1024 * 1024,
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+  } catch (err) {
+    throw new Error(`Could not read git history: ${(err.stderr || err.message).toString().trim()}`);
+  }
+
+  return output
+    .split(RECORD_SEP)
+    .map(record => record.replace(/^\n/, ''))
+    .filter(record => record.trim())
+    .map(record => {
+      const [hash, ref, author, date, subject, trailerText] = record.split(FIELD_SEP);
+      const trailers = parseTrailers(trailerText);
+      const first = key => (trailers[key] ? trailers[key][0] : null);
+      return {
+        hash,
+        ref: (ref || '').replace(/^refs\/(heads|remotes)\//, ''),
+        author,
+        date,
+        subject,
+        sessionId: first('Session-Id'),
+        agent: first('Agent'),
+        task: first('Task'),
+        workerVersion: first('Worker-Version'),
+        declaredFiles: first('Declared-Files') ? first('Declared-Files').split(/,\s*/) : [],
+        trailers
+      };
+    })
+    .filter(commit => commit.sessionId || commit.agent);
+}
+
+/**
+ * Filter commits by session (id or prefix), agent (exact, case-insensitive)
+ * and task (substring, case-insensitive)
+ */
+function filterSessionCommits(commits, { session, agent, task } = {}) {
+  const lower = value => String(value || '').toLowerCase();
+  return commits.filter(commit =>
+    (!session || lower(commit.sessionId).startsWith(lower(session))) &&
+    (!agent || lower(commit.agent) === lower(agent)) &&
+    (!task || lower(commit.task).includes(lower(task)))
+  );
+}
+
+function formatCommit(commit) {
+  const tags = [commit.sessionId, commit.agent, commit.task].filter(Boolean).join(' · ');
+  return `${colors.yellow}${commit.hash.slice(0, 8)}${colors.reset} ` +
+    `${commit.date.slice(0, 10)} ${colors.cyan}[${tags}]${colors.reset} ${commit.subject} ` +
+    `${colors.dim}(${commit.ref})${colors.reset}`;
+}
+
+function parseArgs(argv) {
+  const options = { limit: null, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => argv[++i];
+    if (arg === '--session' || arg === '-s') options.session = next();
+    else if (arg === '--agent' || arg === '-a') options.agent = next();
+    else if (arg === '--task' || arg === '-t') options.task = next();
+    else if (arg === '--branch' || arg === '-b') options.branch = next();
+    else if (arg === '-n' || arg === '--limit') options.limit = Number(next());
+    else if (arg === '--json') options.json = true;
+    else if (arg === '--help' || arg === '-h') options.help = true;
+  }
+  return options;
+}
+
+function main(argv = process.argv.slice(2)) {
+  const options = parseArgs(argv);
+  if (options.help) {
+    console.log('Usage: s9n-devops-agent log [--session <id>] [--agent <name>] [--task <text>] [--branch <pattern>] [-n <count>] [--json]');
+    return 0;
+  }
+
+  let commits;
+  try {
+    commits = filterSessionCommits(readSessionCommits({ branch: options.branch }), options);
+  } catch (err) {
+    console.error(err.message);
+    return 1;
+  }
+  if (options.limit) commits = commits.slice(0, options.limit);
+
+  if (options.json) {
+    console.log(JSON.stringify(commits, null, 2));
+  } else if (commits.length === 0) {
+    console.log('No agent commits match these filters.');
+  } else {
+    commits.forEach(commit => console.log(formatCommit(commit)));
+  }
+  return 0;
+}
+
+module.exports = {
+  readSessionCommits,
+  filterSessionCommits,
+  formatCommit,
+  parseArgs
+};
+
+if (require.main === module) {
+  process.exitCode = main();
+}
@@ -0,0 +1,329 @@
+/**
+ * Session Store
+ *
+ * The one registry of sessions, shared by the session coordinator, the close
+ * and orphan-cleanup tools, the weekly consolidator, the Claude session
+ * manager and the worktree manager. Each session is a JSON record in
+ * local_deploy/session-locks/<sessionId>.lock, the file the worker, file
+ * coordinator and MCP server already read.
+ *
+ * - Records are validated against the schema below before every write, and
+ *   carry the schemaVersion they were written with.
+ * - Writes go to a temp file that is renamed over the record, so readers
+ *   never see a half-written session.
+ * - create/update/remove hold local_deploy/session-locks/.store.mutex, so two
+ *   tools updating the same session cannot lose each other's changes.
+ * - Records from older versions are upgraded by MIGRATIONS when read and
+ *   rewritten by migrate(), which also imports the registries that predate
+ *   the store (local_deploy/claude-sessions.json, .worktrees/agents.json)
+ *   and renames them to *.migrated.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { sessionLocksDir } = require('./repo-paths.cjs');
+const { writeJsonAtomic, withLock } = require('./file-lock.cjs');
+
+const SESSION_SCHEMA_VERSION = 2;
+
+const SESSION_SOURCES = ['session-coordinator', 'claude-session-manager', 'worktree-manager'];
+const SESSION_STATUSES = ['waiting', 'active', 'stopped', 'inactive', 'merged', 'removed'];
+
+const RECORD_EXTENSION = '.lock';
+
+/**
+ * MIGRATIONS[n] turns a schema n record into a schema n + 1 record
+ */
+const MIGRATIONS = {
+  // 1: lock files written by the coordinator before the store existed
+  1: record => ({
+    source: 'session-coordinator',
+    status: 'active',
+    ...record,
+    schemaVersion: 2
+  })
+};
+
+/**
+ * Registries kept by individual tools before the store, relative to the
+ * repository root, and how their entries map onto session records
+ */
+const LEGACY_REGISTRIES = [
+  {
+    file: path.join('local_deploy', 'claude-sessions.json'),
+    toRecords: sessions => Object.values(sessions).map(({ id, worktree = {}, ...session }) => ({
+      ...session,
+      sessionId: id,
+      source: 'claude-session-manager',
+      agentType: 'claude',
+      branchName: worktree.branch || null,
+      worktreePath: worktree.path || null,
+      worktreeName: worktree.name || null
+    }))
+  },
+  {
+    file: path.join('.worktrees', 'agents.json'),
+    toRecords: agents => Object.entries(agents).flatMap(([agentName, agent]) => (agent.worktrees || [])
+      .filter(wt => wt.status !== 'removed')
+      .map(wt => ({
+        sessionId: wt.name,
+        source: 'worktree-manager',
+        agentType: agentName,
+        task: wt.task || null,
+        branchName: wt.branch,
+        worktreePath: wt.path,
+        worktreeName: wt.name,
+        created: wt.created,
+        status: wt.status
+      })))
+  }
+];
+
+function schemaVersionOf(record) {
+  return record.schemaVersion || 1;
+}
+
+/**
+ * Bring a record up to SESSION_SCHEMA_VERSION (records from a newer
+ * version are returned unchanged)
+ */
+function upgradeRecord(record) {
+  let upgraded = record;
+  while (schemaVersionOf(upgraded) < SESSION_SCHEMA_VERSION) {
+    upgraded = MIGRATIONS[schemaVersionOf(upgraded)](upgraded);
+  }
+  return upgraded;
+}
+
+/**
+ * Check a record against the schema
+ * @returns {string[]} Problems (empty when valid)
+ */
+function validateSession(record) {
+  const problems = [];
+  const optionalString = field => {
+    if (record[field] !== undefined && record[field] !== null && typeof record[field] !== 'string') {
+      problems.push(`${field} must be a string`);
+    }
+  };
+
+  // The id names the record file, so it must be a single path component
+  if (typeof record.sessionId !== 'string' || !/^[^./\\\s][^/\\\s]*$/.test(record.sessionId)) {
+    problems.push(`sessionId must be a file name without slashes or spaces (got ${JSON.stringify(record.sessionId)})`);
+  }
+  if (record.schemaVersion !== SESSION_SCHEMA_VERSION) {
+    problems.push(`schemaVersion must be ${SESSION_SCHEMA_VERSION}`);
+  }
+  if (!SESSION_SOURCES.includes(record.source)) {
+    problems.push(`source must be one of ${SESSION_SOURCES.join(', ')}`);
+  }
+  if (!SESSION_STATUSES.includes(record.status)) {
+    problems.push(`status must be one of ${SESSION_STATUSES.join(', ')}`);
+  }
+  if (typeof record.created !== 'string' || Number.isNaN(Date.parse(record.created))) {
+    problems.push('created must be an ISO date');
+  }
+  ['agentType', 'task', 'branchName', 'worktreePath'].forEach(optionalString);
+  return problems;
+}
+
+function assertValidSession(record) {
+  const problems = validateSession(record);
+  if (problems.length > 0) {
+    throw new Error(`Invalid session record ${record.sessionId}: ${problems.join('; ')}`);
+  }
+}
+
+class SessionStore {
+  /**
+   * @param {string} repoRoot - Main repository root
+   * @param {Object} [options]
+   * @param {boolean} [options.migrate=true] - Upgrade old records and import legacy registries
+   */
+  constructor(repoRoot, { migrate = true } = {}) {
+    this.repoRoot = repoRoot;
+    this.dir = sessionLocksDir(repoRoot);
+    this.mutexPath = path.join(this.dir, '.store.mutex');
+    if (migrate) {
+      this.migrate();
+    }
+  }
+
+  recordPath(sessionId) {
+    return path.join(this.dir, `${sessionId}${RECORD_EXTENSION}`);
+  }
+
+  withLock(fn) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    return withLock(this.mutexPath, fn, { name: 'session store lock' });
+  }
+
+  readRecord(file) {
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch {
+      return null;
+    }
+  }
+
+  recordFiles() {
+    if (!fs.existsSync(this.dir)) return [];
+    return fs.readdirSync(this.dir).filter(f => f.endsWith(RECORD_EXTENSION) && !f.startsWith('.'));
+  }
+
+  /**
+   * One session, upgraded to the current schema (null if unknown or unreadable)
+   */
+  get(sessionId) {
+    const record = this.readRecord(this.recordPath(sessionId));
+    return record ? upgradeRecord(record) : null;
+  }
+
+  /**
+   * All sessions, oldest first (unreadable records are skipped)
+   * @param {Object} [filter]
+   * @param {string} [filter.source] - Only sessions created by this tool
+   * @param {string} [filter.status]
+   */
+  list({ source = null, status = null } = {}) {
+    return this.recordFiles()
+      .map(file => this.readRecord(path.join(this.dir, file)))
+      .filter(Boolean)
+      .map(upgradeRecord)
+      .filter(s => (!source || s.source === source) && (!status || s.status === status))
+      .sort((a, b) => String(a.created).localeCompare(String(b.created)));
+  }
+
+  /**
+   * Add a session. source defaults to the coordinator, status to active and
+   * created to now.
+   * @throws {Error} If the session exists or the record is invalid
+   */
+  create(session) {
+    const record = {
+      source: 'session-coordinator',
+      status: 'active',
+      created: new Date().toISOString(),
+      ...session,
+      schemaVersion: SESSION_SCHEMA_VERSION
+    };
+    assertValidSession(record);
+
+    return this.withLock(() => {
+      if (fs.existsSync(this.recordPath(record.sessionId))) {
+        throw new Error(`Session already exists: ${record.sessionId}`);
+      }
+      writeJsonAtomic(this.recordPath(record.sessionId), record);
+      return record;
+    });
+  }
+
+  /**
+   * Change a session under the store lock
+   * @param {string} sessionId
+   * @param {Object|Function} changes - Fields to merge in, or a function from
+   *   the current record to the new one
+   * @returns {Object} The updated record
+   * @throws {Error} If the session does not exist or the result is invalid
+   */
+  update(sessionId, changes) {
+    return this.withLock(() => {
+      const current = this.get(sessionId);
+      if (!current) {
+        throw new Error(`Session not found: ${sessionId}`);
+      }
+      if (schemaVersionOf(current) > SESSION_SCHEMA_VERSION) {
+        throw new Error(`Session ${sessionId} was written by a newer version (schema ${current.schemaVersion}); upgrade s9n-devops-agent to change it`);
+      }
+
+      const next = typeof changes === 'function'
+        ? changes({ ...current })
+        : { ...current, ...changes };
+      const record = { ...next, sessionId, schemaVersion: SESSION_SCHEMA_VERSION };
+      assertValidSession(record);
+      writeJsonAtomic(this.recordPath(sessionId), record);
+      return record;
+    });
+  }
+
+  /**
+   * Delete a session and its reports (<sessionId>.*.json)
+   * @returns {boolean} Whether the session existed
+   */
+  remove(sessionId) {
+    return this.withLock(() => {
+      const existed = fs.existsSync(this.recordPath(sessionId));
+      fs.rmSync(this.recordPath(sessionId), { force: true });
+      fs.readdirSync(this.dir)
+        .filter(f => f.startsWith(`${sessionId}.`) && f.endsWith('.json'))
+        .forEach(f => fs.rmSync(path.join(this.dir, f), { force: true }));
+      return existed;
+    });
+  }
+
+  /**
+   * Rewrite records from older schema versions and import the legacy
+   * registries. Safe to run repeatedly; it only takes the lock when there is
+   * something to do.
+   * @returns {{upgraded: string[], imported: string[], skipped: {sessionId: string, error: string}[]}}
+   */
+  migrate() {
+    const result = { upgraded: [], imported: [], skipped: [] };
+    const outdated = () => this.recordFiles().filter(file => {
+      const record = this.readRecord(path.join(this.dir, file));
+      return record && schemaVersionOf(record) < SESSION_SCHEMA_VERSION;
+    });
+    const legacy = () => LEGACY_REGISTRIES.filter(r => fs.existsSync(path.join(this.repoRoot, r.file)));
+    if (outdated().length === 0 && legacy().length === 0) {
+      return result;
+    }
+
+    return this.withLock(() => {
+      for (const file of outdated()) {
+        const record = upgradeRecord(this.readRecord(path.join(this.dir, file)));
+        const problems = validateSession(record);
+        if (problems.length > 0) {
+          result.skipped.push({ sessionId: record.sessionId, error: problems.join('; ') });
+          continue;
+        }
+        writeJsonAtomic(path.join(this.dir, file), record);
+        result.upgraded.push(record.sessionId);
+      }
+
+      for (const registry of legacy()) {
+        const registryPath = path.join(this.repoRoot, registry.file);
+        let entries;
+        try {
+          entries = registry.toRecords(JSON.parse(fs.readFileSync(registryPath, 'utf8')));
+        } catch (err) {
+          result.skipped.push({ sessionId: registry.file, error: `unreadable registry: ${err.message}` });
+          continue;
+        }
+        for (const entry of entries) {
+          const record = { status: 'active', ...entry, schemaVersion: SESSION_SCHEMA_VERSION };
+          const problems = validateSession(record);
+          if (problems.length > 0) {
+            result.skipped.push({ sessionId: record.sessionId, error: problems.join('; ') });
+          } else if (fs.existsSync(this.recordPath(record.sessionId))) {
+            result.skipped.push({ sessionId: record.sessionId, error: 'already in the store' });
+          } else {
+            writeJsonAtomic(this.recordPath(record.sessionId), record);
+            result.imported.push(record.sessionId);
+          }
+        }
+        fs.renameSync(registryPath, `${registryPath}.migrated`);
+      }
+      return result;
+    });
+  }
+}
+
+module.exports = {
+  SESSION_SCHEMA_VERSION,
+  SESSION_SOURCES,
+  SESSION_STATUSES,
+  MIGRATIONS,
+  upgradeRecord,
+  validateSession,
+  SessionStore
+};
@@ -685,6 +685,8 @@ try {
     // Check if entries already exist
     const entriesToAdd = [
       '.claude-commit-msg',
+      '.claude-commit-msg.errors',
+      '.claude-commit-msg.undone',
       '**/Archive/',
       '*.backup.*'
     ];
@@ -781,7 +783,7 @@ AC_PUSH=true
 # Message Requirements
 AC_REQUIRE_MSG=true
 AC_MSG_MIN_BYTES=20
-AC_MSG_PATTERN=^(feat|fix|refactor|docs|test|chore)(\\([^)]+\\))?:\\s
+AC_MSG_PATTERN=^(feat|fix|refactor|docs|test|chore|style)(\\([^)]+\\))?:\\s
 
 # Timing Settings
 AC_DEBOUNCE_MS=1500
@@ -0,0 +1,185 @@
+/**
+ * Versioning Strategies
+ *
+ * Decides how the daily rollover names version branches. The strategy is
+ * "versioningStrategy.type" in local_deploy/project-settings.json
+ * (AC_VERSION_STRATEGY overrides it):
+ *
+ *   micro  - v0.20 -> v0.21 -> v0.22 (prefix + minor, stepped by dailyIncrement)
+ *   semver - v1.4.2 -> v1.5.0, bumped from the conventional-commit types of
+ *            the day's commits (breaking -> major, feat -> minor, else patch)
+ *   calver - 2026.10.19 (a ".N" suffix is added if the day already has one)
+ *   none   - no version branches; daily branches merge straight into main
+ *
+ * Every strategy only looks at branches that match its own naming, so
+ * switching strategy never misreads an older project's branches.
+ */
+
+const VERSION_STRATEGIES = ['micro', 'semver', 'calver', 'none'];
+
+const STRATEGY_DEFAULTS = {
+  micro: { prefix: 'v0.', startMinor: 20, dailyIncrement: 1 },
+  semver: { prefix: 'v', initialVersion: '0.1.0' },
+  calver: { prefix: '' },
+  none: {}
+};
+
+const SEMVER_PATTERN = /^(\d+)\.(\d+)\.(\d+)$/;
+const BUMPS = ['patch', 'minor', 'major'];
+
+function escapeRegExp(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function positiveInt(value, fallback) {
+  const n = parseInt(value, 10);
+  return Number.isInteger(n) && n > 0 ? n : fallback;
+}
+
+/**
+ * Merge versioningStrategy from project settings with the strategy's defaults.
+ * Environment variables (as set by the session coordinator) take precedence.
+ * @param {Object} settings - Parsed project-settings.json
+ * @param {Object} [env] - process.env
+ */
+function loadVersionConfig(settings = {}, env = {}) {
+  const raw = settings.versioningStrategy || {};
+  let type = String(env.AC_VERSION_STRATEGY || raw.type || 'micro').toLowerCase();
+  if (!VERSION_STRATEGIES.includes(type)) type = 'micro';
+
+  const config = { ...STRATEGY_DEFAULTS[type], ...raw, type };
+  if (env.AC_VERSION_PREFIX !== undefined) config.prefix = env.AC_VERSION_PREFIX;
+  if (type === 'micro') {
+    const startMinor = Number(env.AC_VERSION_START_MINOR ?? config.startMinor);
+    config.startMinor = Number.isInteger(startMinor) && startMinor >= 0 ? startMinor : STRATEGY_DEFAULTS.micro.startMinor;
+    config.dailyIncrement = positiveInt(env.AC_VERSION_INCREMENT ?? config.dailyIncrement, 1);
+  }
+  if (type === 'semver' && !SEMVER_PATTERN.test(String(config.initialVersion))) {
+    config.initialVersion = STRATEGY_DEFAULTS.semver.initialVersion;
+  }
+  return config;
+}
+
+/**
+ * Highest bump the commits call for, by conventional-commit type
+ * @param {string[]} messages - Full commit messages
+ * @returns {'major'|'minor'|'patch'}
+ */
+function bumpFromCommits(messages = []) {
+  let bump = 0;
+  for (const message of messages) {
+    const subject = String(message).split('\n')[0];
+    if (/^\w+(\([^)]*\))?!:/.test(subject) || /^BREAKING[ -]CHANGE:/m.test(message)) return 'major';
+    if (/^feat(\([^)]*\))?:/.test(subject)) bump = Math.max(bump, 1);
+  }
+  return BUMPS[bump];
+}
+
+function bumpSemver(version, bump) {
+  const [major, minor, patch] = version.split('.').map(Number);
+  if (bump === 'major') return `${major + 1}.0.0`;
+  if (bump === 'minor') return `${major}.${minor + 1}.0`;
+  return `${major}.${minor}.${patch + 1}`;
+}
+
+function compareNumbers(a, b) {
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    const diff = (a[i] || 0) - (b[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+/**
+ * Numeric sort key of a branch under the strategy, or null if it is not one of its version branches
+ */
+function versionKey(branch, config) {
+  const prefix = escapeRegExp(config.prefix || '');
+  let m;
+  switch (config.type) {
+    case 'micro':
+      m = branch.match(new RegExp(`^${prefix}(\\d+)$`));
+      return m ? [Number(m[1])] : null;
+    case 'semver':
+      m = branch.match(new RegExp(`^${prefix}(\\d+)\\.(\\d+)\\.(\\d+)$`));
+      return m ? m.slice(1).map(Number) : null;
+    case 'calver':
+      m = branch.match(new RegExp(`^${prefix}(\\d{4})\\.(\\d{2})\\.(\\d{2})(?:\\.(\\d+))?$`));
+      return m ? m.slice(1).map(n => Number(n || 0)) : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Version branches of the strategy, newest first
+ */
+function versionBranches(branches, config) {
+  return branches
+    .map(name => ({ name, key: versionKey(name, config) }))
+    .filter(b => b.key)
+    .sort((a, b) => compareNumbers(b.key, a.key))
+    .map(b => b.name);
+}
+
+function latestVersionBranch(branches, config) {
+  return versionBranches(branches, config)[0] || null;
+}
+
+/**
+ * Name of the next version branch, or null for the "none" strategy
+ * @param {Object} options
+ * @param {string[]} options.branches - Existing local branch names
+ * @param {Object} options.config - From loadVersionConfig
+ * @param {string[]} [options.messages] - Commit messages going into the new version (semver)
+ * @param {string} [options.day] - Working day, YYYY-MM-DD or YYYYMMDD (calver)
+ */
+function nextVersionBranch({ branches = [], config, messages = [], day }) {
+  const prefix = config.prefix || '';
+  const latest = latestVersionBranch(branches, config);
+
+  switch (config.type) {
+    case 'micro': {
+      const next = latest ? versionKey(latest, config)[0] + config.dailyIncrement : config.startMinor;
+      return `${prefix}${next}`;
+    }
+    case 'semver': {
+      if (!latest) return `${prefix}${config.initialVersion}`;
+      return `${prefix}${bumpSemver(versionKey(latest, config).join('.'), bumpFromCommits(messages))}`;
+    }
+    case 'calver': {
+      // The worker's day may be in either DATE_STYLE (2026-10-19 or 20261019)
+      const [, y, m, d] = String(day).match(/^(\d{4})-?(\d{2})-?(\d{2})$/) || [];
+      if (!y) return null;
+      const base = `${prefix}${y}.${m}.${d}`;
+      if (!branches.includes(base)) return base;
+      let n = 1;
+      while (branches.includes(`${base}.${n}`)) n++;
+      return `${base}.${n}`;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Short description of the strategy for menus and logs
+ */
+function describeStrategy(config) {
+  switch (config.type) {
+    case 'micro': return `micro-revisions (${config.prefix}${config.startMinor}, +${(config.dailyIncrement / 100).toFixed(2)} per day)`;
+    case 'semver': return `semantic versioning from commit types (${config.prefix}${config.initialVersion} first)`;
+    case 'calver': return `calendar versioning (${config.prefix}YYYY.MM.DD)`;
+    default: return 'no version branches';
+  }
+}
+
+module.exports = {
+  VERSION_STRATEGIES,
+  loadVersionConfig,
+  bumpFromCommits,
+  versionBranches,
+  latestVersionBranch,
+  nextVersionBranch,
+  describeStrategy
+};
@@ -8,6 +8,7 @@
 const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
+const { SessionStore } = require('./session-store.cjs');
 
 // Configuration
 const CONFIG = {
@@ -28,6 +29,7 @@ class WeeklyConsolidator {
     this.repoRoot = this.getRepoRoot();
     this.projectSettingsPath = path.join(this.repoRoot, 'local_deploy', 'project-settings.json');
     this.projectSettings = this.loadProjectSettings();
+    this.store = new SessionStore(this.repoRoot);
   }
 
   getRepoRoot() {
@@ -184,13 +186,36 @@ class WeeklyConsolidator {
     }
   }
 
+  /**
+   * Branches checked out in the worktree of a live session, which must not
+   * be deleted from under it
+   */
+  branchesInUse() {
+    const inUse = new Set();
+    for (const session of this.store.list()) {
+      if (!session.worktreePath || !fs.existsSync(session.worktreePath)) continue;
+      try {
+        const branch = execSync('git branch --show-current', { cwd: session.worktreePath, encoding: 'utf8' }).trim();
+        if (branch) inUse.add(branch);
+      } catch {
+        // Not a worktree any more
+      }
+    }
+    return inUse;
+  }
+
   /**
    * Delete branches after successful consolidation
    */
   async cleanupDailyBranches(dailyBranches) {
     console.log(`\n${CONFIG.colors.bright}Cleaning up consolidated daily branches...${CONFIG.colors.reset}`);
     
+    const inUse = this.branchesInUse();
     for (const branch of dailyBranches) {
+      if (inUse.has(branch)) {
+        console.log(`${CONFIG.colors.yellow}Skipping ${branch}: checked out in an active session worktree${CONFIG.colors.reset}`);
+        continue;
+      }
       try {
         console.log(`${CONFIG.colors.blue}Deleting branch: ${branch}${CONFIG.colors.reset}`);
         
@@ -348,7 +373,12 @@ class WeeklyConsolidator {
     
     console.log(`\n${CONFIG.colors.bright}Cleaning up old weekly branches (keeping ${retainWeeks} most recent):${CONFIG.colors.reset}`);
     
+    const inUse = this.branchesInUse();
     for (const branch of branchesToDelete) {
+      if (inUse.has(branch)) {
+        console.log(`${CONFIG.colors.yellow}Skipping ${branch}: checked out in an active session worktree${CONFIG.colors.reset}`);
+        continue;
+      }
       try {
         console.log(`${CONFIG.colors.blue}Deleting old weekly branch: ${branch}${CONFIG.colors.reset}`);
         
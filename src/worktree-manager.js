@@ -28,10 +28,16 @@ import { execSync, spawn } from 'child_process';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 import readline from 'readline';
+import { createRequire } from 'module';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+const require = createRequire(import.meta.url);
+const { loadProjectSettings } = require('./repo-paths.cjs');
+const { loadBranchNamingConfig, renderSessionNames } = require('./branch-naming.cjs');
+const { SessionStore } = require('./session-store.cjs');
+
 // ============================================================================
 // CONFIGURATION
 // ============================================================================
@@ -43,12 +49,8 @@ const CONFIG = {
   // Agent naming patterns
   agentPrefix: 'agent',
   
-  // Branch naming patterns
-  branchPatterns: {
-    agent: 'agent/${agentName}/${taskName}',
-    daily: 'agent/${agentName}/daily/${date}',
-    feature: 'agent/${agentName}/feature/${feature}'
-  },
+  // Branch and worktree names come from the branchNaming templates in
+  // local_deploy/project-settings.json, shared with the session coordinator
   
   // Supported AI agents
   knownAgents: ['claude', 'copilot', 'cursor', 'aider', 'custom'],
@@ -144,17 +146,6 @@ function getDateString() {
   return now.toISOString().split('T')[0];
 }
 
-/**
- * Generate branch name based on pattern
- */
-function generateBranchName(pattern, vars) {
-  let branch = pattern;
-  for (const [key, value] of Object.entries(vars)) {
-    branch = branch.replace(`\${${key}}`, value);
-  }
-  return branch;
-}
-
 // ============================================================================
 // WORKTREE MANAGEMENT CLASS
 // ============================================================================
@@ -163,30 +154,17 @@ class WorktreeManager {
   constructor() {
     this.repoRoot = getRepoRoot();
     this.worktreesPath = path.join(this.repoRoot, CONFIG.worktreesDir);
-    this.configFile = path.join(this.worktreesPath, 'agents.json');
-    this.loadConfig();
-  }
-
-  /**
-   * Load or initialize agent configuration
-   */
-  loadConfig() {
     ensureDir(this.worktreesPath);
-    
-    if (fs.existsSync(this.configFile)) {
-      const data = fs.readFileSync(this.configFile, 'utf8');
-      this.agents = JSON.parse(data);
-    } else {
-      this.agents = {};
-      this.saveConfig();
-    }
+    // Worktrees are recorded as sessions in the shared session store
+    this.store = new SessionStore(this.repoRoot);
   }
 
   /**
-   * Save agent configuration
+   * Worktrees created by this manager, optionally for one agent only
    */
-  saveConfig() {
-    fs.writeFileSync(this.configFile, JSON.stringify(this.agents, null, 2));
+  agentWorktrees(agentName = null) {
+    return this.store.list({ source: 'worktree-manager' })
+      .filter(wt => !agentName || wt.agentType === agentName);
   }
 
   /**
@@ -200,18 +178,15 @@ class WorktreeManager {
       throw new Error('Agent name must be at least 2 characters');
     }
     
-    // Generate paths and names
-    const worktreeName = `${agentName}-${taskName || getDateString()}`;
-    const worktreePath = path.join(this.worktreesPath, worktreeName);
-    const branchName = generateBranchName(
-      options.branchPattern || CONFIG.branchPatterns.agent,
-      {
-        agentName,
-        taskName: taskName || 'main',
-        date: getDateString(),
-        feature: options.feature || taskName
-      }
+    // Generate paths and names (there is no session or developer here, so
+    // {session} and {initials} render empty)
+    const naming = loadBranchNamingConfig(loadProjectSettings(this.repoRoot));
+    const { branchName, worktreeName, dailyPrefix } = renderSessionNames(
+      { agent: agentName, task: taskName || getDateString(), ticket: options.ticket },
+      options.branchPattern ? { ...naming, branch: options.branchPattern } : naming,
+      this.repoRoot
     );
+    const worktreePath = path.join(this.worktreesPath, worktreeName);
     
     // Check if worktree already exists
     if (fs.existsSync(worktreePath)) {
@@ -227,26 +202,20 @@ class WorktreeManager {
       // Create new branch and worktree
       execCommand(`git worktree add -b ${branchName} "${worktreePath}" HEAD`, { silent: false });
       
-      // Update agent configuration
-      this.agents[agentName] = {
-        name: agentName,
-        worktrees: [
-          ...(this.agents[agentName]?.worktrees || []),
-          {
-            name: worktreeName,
-            path: worktreePath,
-            branch: branchName,
-            task: taskName,
-            created: new Date().toISOString(),
-            status: 'active'
-          }
-        ]
-      };
-      
-      this.saveConfig();
+      // Record the worktree in the session store
+      this.store.create({
+        sessionId: worktreeName,
+        source: 'worktree-manager',
+        agentType: agentName,
+        task: taskName || null,
+        branchName,
+        worktreePath,
+        worktreeName,
+        dailyPrefix: dailyPrefix || `agent_${agentName}_`
+      });
       
       // Setup agent-specific configuration
-      this.setupAgentConfig(agentName, worktreePath, options);
+      this.setupAgentConfig(agentName, worktreePath, { ...options, dailyPrefix });
       
       log.success(`Worktree created successfully!`);
       log.info(`Agent ${agentName} can now work in: ${worktreePath}`);
@@ -273,7 +242,7 @@ class WorktreeManager {
       task: options.task || 'general',
       autoCommit: {
         enabled: true,
-        prefix: `agent_${agentName}_`,
+        prefix: options.dailyPrefix || `agent_${agentName}_`,
         messagePrefix: `[${agentName.toUpperCase()}]`,
         pushOnCommit: options.autoPush !== false
       }
@@ -299,7 +268,7 @@ class WorktreeManager {
       'terminal.integrated.env.osx': {
         'AGENT_NAME': agentName,
         'AGENT_WORKTREE': path.basename(worktreePath),
-        'AC_BRANCH_PREFIX': `agent_${agentName}_`,
+        'AC_BRANCH_PREFIX': options.dailyPrefix || `agent_${agentName}_`,
         'AC_MSG_FILE': `.${agentName}-commit-msg`
       }
     };
@@ -341,19 +310,22 @@ class WorktreeManager {
     // Display agent worktrees
     console.log(`${CONFIG.colors.bright}Agent Worktrees:${CONFIG.colors.reset}`);
     
+    const activeByAgent = {};
+    for (const wt of this.agentWorktrees().filter(w => w.status === 'active')) {
+      (activeByAgent[wt.agentType] ||= []).push(wt);
+    }
+    
     let agentWorktreeCount = 0;
-    for (const [agentName, agentData] of Object.entries(this.agents)) {
-      const activeWorktrees = (agentData.worktrees || []).filter(w => w.status === 'active');
-      
+    for (const [agentName, activeWorktrees] of Object.entries(activeByAgent)) {
       if (activeWorktrees.length > 0) {
         console.log(`\n${CONFIG.colors.magenta}[${agentName}]${CONFIG.colors.reset}`);
         
         for (const wt of activeWorktrees) {
-          const exists = fs.existsSync(wt.path);
+          const exists = fs.existsSync(wt.worktreePath);
           const status = exists ? CONFIG.colors.green + '✓' : CONFIG.colors.red + '✗';
           
-          console.log(`  ${status}${CONFIG.colors.reset} ${wt.name}`);
-          console.log(`     Branch: ${wt.branch}`);
+          console.log(`  ${status}${CONFIG.colors.reset} ${wt.worktreeName}`);
+          console.log(`     Branch: ${wt.branchName}`);
           console.log(`     Task: ${wt.task || 'N/A'}`);
           console.log(`     Created: ${new Date(wt.created).toLocaleDateString()}`);
           
@@ -379,13 +351,13 @@ class WorktreeManager {
   async mergeAgentWork(agentName, options = {}) {
     log.header(`Merging ${agentName}'s Work`);
     
-    const agentData = this.agents[agentName];
-    if (!agentData) {
+    const agentWorktrees = this.agentWorktrees(agentName);
+    if (agentWorktrees.length === 0) {
       log.error(`No worktrees found for agent: ${agentName}`);
       return;
     }
     
-    const activeWorktrees = (agentData.worktrees || []).filter(w => w.status === 'active');
+    const activeWorktrees = agentWorktrees.filter(w => w.status === 'active');
     if (activeWorktrees.length === 0) {
       log.warn(`No active worktrees for agent: ${agentName}`);
       return;
@@ -394,7 +366,7 @@ class WorktreeManager {
     // Let user select which worktree to merge
     console.log('Select worktree to merge:');
     activeWorktrees.forEach((wt, idx) => {
-      console.log(`  ${idx + 1}. ${wt.name} (${wt.branch})`);
+      console.log(`  ${idx + 1}. ${wt.worktreeName} (${wt.branchName})`);
     });
     
     const selection = await this.promptUser('Enter number: ');
@@ -408,7 +380,7 @@ class WorktreeManager {
     const worktree = activeWorktrees[selectedIdx];
     const targetBranch = options.target || 'main';
     
-    log.info(`Merging ${worktree.branch} into ${targetBranch}...`);
+    log.info(`Merging ${worktree.branchName} into ${targetBranch}...`);
     
     try {
       // Save current branch
@@ -419,16 +391,15 @@ class WorktreeManager {
       
       // Merge agent's branch
       const mergeMessage = `Merge ${agentName}'s work: ${worktree.task || 'updates'}`;
-      execCommand(`git merge ${worktree.branch} -m "${mergeMessage}"`);
+      execCommand(`git merge ${worktree.branchName} -m "${mergeMessage}"`);
       
-      log.success(`Successfully merged ${worktree.branch} into ${targetBranch}`);
+      log.success(`Successfully merged ${worktree.branchName} into ${targetBranch}`);
       
       // Ask if should delete the branch
       const shouldDelete = await this.promptUser('Delete merged branch? (y/n): ');
       if (shouldDelete.toLowerCase() === 'y') {
-        execCommand(`git branch -d ${worktree.branch}`);
-        worktree.status = 'merged';
-        this.saveConfig();
+        execCommand(`git branch -d ${worktree.branchName}`);
+        this.store.update(worktree.sessionId, { status: 'merged' });
         log.success('Branch deleted');
       }
       
@@ -449,21 +420,20 @@ class WorktreeManager {
   async cleanupWorktrees(agentName, options = {}) {
     log.header(`Cleaning Up ${agentName}'s Worktrees`);
     
-    const agentData = this.agents[agentName];
-    if (!agentData) {
+    const worktrees = this.agentWorktrees(agentName);
+    if (worktrees.length === 0) {
       log.warn(`No worktrees found for agent: ${agentName}`);
       return;
     }
     
-    const worktrees = agentData.worktrees || [];
     let cleaned = 0;
     
     for (const wt of worktrees) {
-      const exists = fs.existsSync(wt.path);
+      const exists = fs.existsSync(wt.worktreePath);
       
       if (!exists && !options.force) {
-        log.info(`Worktree already removed: ${wt.name}`);
-        wt.status = 'removed';
+        log.info(`Worktree already removed: ${wt.worktreeName}`);
+        this.store.remove(wt.sessionId);
         cleaned++;
         continue;
       }
@@ -472,32 +442,29 @@ class WorktreeManager {
         try {
           // Remove worktree
           if (exists) {
-            log.info(`Removing worktree: ${wt.name}`);
-            execCommand(`git worktree remove "${wt.path}" --force`);
+            log.info(`Removing worktree: ${wt.worktreeName}`);
+            execCommand(`git worktree remove "${wt.worktreePath}" --force`);
           }
           
           // Delete branch if requested
           if (options.deleteBranches) {
-            execCommand(`git branch -D ${wt.branch}`, { ignoreError: true });
-            log.info(`Deleted branch: ${wt.branch}`);
+            execCommand(`git branch -D ${wt.branchName}`, { ignoreError: true });
+            log.info(`Deleted branch: ${wt.branchName}`);
           }
           
-          wt.status = 'removed';
+          this.store.remove(wt.sessionId);
           cleaned++;
           
         } catch (error) {
-          log.error(`Failed to remove ${wt.name}: ${error.message}`);
+          log.error(`Failed to remove ${wt.worktreeName}: ${error.message}`);
         }
       }
     }
     
-    // Clean up agent data if all worktrees removed
-    if (worktrees.every(wt => wt.status === 'removed')) {
-      delete this.agents[agentName];
+    if (this.agentWorktrees(agentName).length === 0) {
       log.info(`Removed agent configuration for: ${agentName}`);
     }
     
-    this.saveConfig();
     log.success(`Cleaned up ${cleaned} worktree(s)`);
   }
 
@@ -505,36 +472,36 @@ class WorktreeManager {
    * Run cs-devops-agent worker in a specific worktree
    */
   runCS_DevOpsAgent(agentName, worktreeName) {
-    const agentData = this.agents[agentName];
-    if (!agentData) {
+    const agentWorktrees = this.agentWorktrees(agentName);
+    if (agentWorktrees.length === 0) {
       log.error(`Agent not found: ${agentName}`);
       return;
     }
     
-    const worktree = agentData.worktrees.find(w => w.name === worktreeName);
+    const worktree = agentWorktrees.find(w => w.worktreeName === worktreeName);
     if (!worktree) {
       log.error(`Worktree not found: ${worktreeName}`);
       return;
     }
     
     log.header(`Starting DevOps Agent for ${agentName}`);
-    log.info(`Worktree: ${worktree.path}`);
-    log.info(`Branch: ${worktree.branch}`);
+    log.info(`Worktree: ${worktree.worktreePath}`);
+    log.info(`Branch: ${worktree.branchName}`);
     
     // Set up environment variables
     const env = {
       ...process.env,
       AGENT_NAME: agentName,
       AGENT_WORKTREE: worktreeName,
-      AC_BRANCH_PREFIX: `agent_${agentName}_`,
+      AC_BRANCH_PREFIX: worktree.dailyPrefix || `agent_${agentName}_`,
       AC_MSG_FILE: `.${agentName}-commit-msg`,
-      AC_WORKING_DIR: worktree.path
+      AC_WORKING_DIR: worktree.worktreePath
     };
     
     // Start cs-devops-agent worker
     const autoCommitPath = path.join(this.repoRoot, 'cs-devops-agent-worker.js');
     const child = spawn('node', [autoCommitPath], {
-      cwd: worktree.path,
+      cwd: worktree.worktreePath,
       env,
       stdio: 'inherit'
     });
@@ -640,8 +607,9 @@ async function main() {
       
       const agentName = args[agentIdx + 1];
       const taskName = taskIdx !== -1 ? args[taskIdx + 1] : null;
+      const ticket = args.includes('--ticket') ? args[args.indexOf('--ticket') + 1] : undefined;
       
-      manager.createWorktree(agentName, taskName);
+      manager.createWorktree(agentName, taskName, { ticket });
       break;
     }
     
@@ -720,7 +688,7 @@ ${CONFIG.colors.bright}Worktree Manager - Multi-Agent Development System${CONFIG
 
 Commands:
   create    Create a new worktree for an AI agent
-            worktree-manager create --agent <name> --task <task>
+            worktree-manager create --agent <name> --task <task> [--ticket <id>]
             
   list      List all active worktrees and agents
             worktree-manager list
@@ -0,0 +1,128 @@
+/**
+ * Test Case: Pre-commit Quality Gate Pipeline
+ * - Area: commit-gates
+ * - Component: gate-pipeline
+ * - Related Issue/PR: Pre-commit quality gates in the worker's commitOnce
+ * - Repro Summary: The worker committed as soon as the message was valid, even with failing lint/tests
+ * - Expected Behavior: Configured checks block, warn or auto-fix before the commit is made
+ * - Regression Guard: A failing "block" gate must hold the commit back and be reported
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { execSync } = require('child_process');
+const {
+  loadGateConfig,
+  runCommitGates,
+  gateReportPath,
+  writeGateReport
+} = require('../../../src/commit-gates.cjs');
+
+describe('Commit Gate Pipeline', () => {
+  let repo;
+
+  beforeEach(() => {
+    repo = fs.mkdtempSync(path.join(os.tmpdir(), 'devops-gates-test-'));
+    execSync('git init --initial-branch=main', { cwd: repo, stdio: 'ignore' });
+    execSync('git config user.email "test@example.com"', { cwd: repo });
+    execSync('git config user.name "Test User"', { cwd: repo });
+  });
+
+  afterEach(() => {
+    fs.rmSync(repo, { recursive: true, force: true });
+  });
+
+  test('Should normalize the commitGates settings section', () => {
+    const checks = loadGateConfig({
+      commitGates: {
+        checks: [
+          { name: 'lint', command: 'true', include: '**/*.js' },
+          { name: 'bogus-mode', command: 'true', mode: 'explode' },
+          { name: 'missing-command' }
+        ]
+      }
+    });
+
+    expect(checks.map(c => c.name)).toEqual(['lint', 'bogus-mode']);
+    expect(checks[0].include).toEqual(['**/*.js']);
+    expect(checks[1].mode).toBe('block');
+    expect(loadGateConfig({ commitGates: { enabled: false, checks: [{ name: 'x', command: 'true' }] } })).toEqual([]);
+    expect(loadGateConfig({})).toEqual([]);
+  });
+
+  test('Should block the commit when a blocking check fails', async () => {
+    const checks = loadGateConfig({
+      commitGates: { checks: [{ name: 'lint', command: 'echo "bad style" && exit 2', mode: 'block' }] }
+    });
+
+    const result = await runCommitGates(checks, { cwd: repo, stagedFiles: ['a.js'] });
+
+    expect(result.ok).toBe(false);
+    expect(result.blocked).toEqual(['lint']);
+    expect(result.results[0].exitCode).toBe(2);
+    expect(result.results[0].output).toContain('bad style');
+  });
+
+  test('Should only warn for warn-mode checks', async () => {
+    const checks = loadGateConfig({
+      commitGates: { checks: [{ name: 'tests', command: 'exit 1', mode: 'warn' }] }
+    });
+
+    const result = await runCommitGates(checks, { cwd: repo, stagedFiles: ['a.js'] });
+
+    expect(result.ok).toBe(true);
+    expect(result.results[0].status).toBe('warned');
+  });
+
+  test('Should scope {files} to staged files matching include and skip when none match', async () => {
+    const checks = loadGateConfig({
+      commitGates: {
+        checks: [
+          { name: 'js-only', command: 'test "$(echo {files})" = "src/a.js"', include: ['src/**/*.js'] },
+          { name: 'py-only', command: 'exit 1', include: ['**/*.py'] }
+        ]
+      }
+    });
+
+    const result = await runCommitGates(checks, { cwd: repo, stagedFiles: ['src/a.js', 'README.md'] });
+
+    expect(result.results[0].status).toBe('passed');
+    expect(result.results[1].status).toBe('skipped');
+    expect(result.ok).toBe(true);
+  });
+
+  test('Should auto-fix and re-stage files in fix mode', async () => {
+    fs.writeFileSync(path.join(repo, 'a.txt'), 'messy\n');
+    execSync('git add a.txt', { cwd: repo });
+
+    const checks = loadGateConfig({
+      commitGates: {
+        checks: [{
+          name: 'format',
+          mode: 'fix',
+          fixCommand: 'for f in {files}; do echo clean > "$f"; done',
+          command: 'grep -q clean {files}'
+        }]
+      }
+    });
+
+    const result = await runCommitGates(checks, { cwd: repo, stagedFiles: ['a.txt'] });
+
+    expect(result.ok).toBe(true);
+    expect(result.results[0].status).toBe('fixed');
+    expect(execSync('git show :a.txt', { cwd: repo, encoding: 'utf8' })).toBe('clean\n');
+  });
+
+  test('Should write the report next to the session lock', () => {
+    const reportPath = gateReportPath(repo, 'abcd-1234');
+    expect(reportPath).toBe(path.join(repo, 'local_deploy', 'session-locks', 'abcd-1234.gates.json'));
+
+    writeGateReport(reportPath, { sessionId: 'abcd-1234', ok: false, blocked: ['lint'], results: [] });
+    const report = JSON.parse(fs.readFileSync(reportPath, 'utf8'));
+
+    expect(report.blocked).toEqual(['lint']);
+    expect(report.checkedAt).toBeDefined();
+    expect(gateReportPath(repo, null)).toBe(path.join(repo, 'local_deploy', 'commit-gates.json'));
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Test Case: Multi-commit Batches From a Structured Message File
+ * - Area: commit-message
+ * - Component: batches
+ * - Related Issue/PR: Multi-commit batches from a structured commit-message file
+ * - Repro Summary: Unrelated changes were always squashed into one commit with one message
+ * - Expected Behavior: JSON or front-matter message files describe several commits with file globs
+ * - Regression Guard: Plain messages must still be treated as a single commit, a `---`
+ *   rule inside a message body does not start a new commit, and entries without files are rejected
+ */
+
+const {
+  loadBatchConfig,
+  parseCommitBatch,
+  assignFilesToCommits
+} = require('../../../src/commit-batches.cjs');
+
+describe('Structured Commit Batches', () => {
+  test('Should treat plain messages as a single commit', () => {
+    expect(parseCommitBatch('feat(api): add endpoint\n\nBody text')).toBeNull();
+    expect(parseCommitBatch('')).toBeNull();
+  });
+
+  test('Should parse JSON batches in array and object form', () => {
+    const fromObject = parseCommitBatch(JSON.stringify({
+      commits: [
+        { message: 'feat(api): add export', files: ['src/api/**'] },
+        { message: 'docs: describe export', files: 'docs/export.md, README.md' }
+      ]
+    }));
+    const fromArray = parseCommitBatch('[{"message": "fix: handle null", "files": "src/a.js"}]');
+
+    expect(fromObject).toEqual([
+      { message: 'feat(api): add export', files: ['src/api/**'] },
+      { message: 'docs: describe export', files: ['docs/export.md', 'README.md'] }
+    ]);
+    expect(fromArray).toEqual([{ message: 'fix: handle null', files: ['src/a.js'] }]);
+  });
+
+  test('Should parse YAML front-matter blocks', () => {
+    const text = [
+      '---',
+      'files: [src/api/**, src/routes.js]',
+      '---',
+      'feat(api): add export endpoint',
+      '',
+      'Customers asked for CSV export.',
+      '---',
+      'files:',
+      '  - docs/',
+      '  - "README.md"',
+      '---',
+      'docs: describe export'
+    ].join('\n');
+
+    expect(parseCommitBatch(text)).toEqual([
+      { message: 'feat(api): add export endpoint\n\nCustomers asked for CSV export.', files: ['src/api/**', 'src/routes.js'] },
+      { message: 'docs: describe export', files: ['docs/', 'README.md'] }
+    ]);
+  });
+
+  test('Should keep --- lines inside a message body', () => {
+    const text = [
+      '---',
+      'files: src/a.js',
+      '---',
+      'feat: add a',
+      '',
+      'Before:',
+      '---',
+      'Note: the old flow',
+      '---',
+      'After: the new flow',
+      '---',
+      'files: src/b.js',
+      '---',
+      'fix: b'
+    ].join('\n');
+
+    expect(parseCommitBatch(text)).toEqual([
+      { message: 'feat: add a\n\nBefore:\n---\nNote: the old flow\n---\nAfter: the new flow', files: ['src/a.js'] },
+      { message: 'fix: b', files: ['src/b.js'] }
+    ]);
+  });
+
+  test('Should reject malformed structured files', () => {
+    expect(() => parseCommitBatch('{"commits": [')).toThrow('Invalid JSON commit batch');
+    expect(() => parseCommitBatch('{"commits": [{"files": ["a"]}]}')).toThrow('Commit 1 has no message');
+    expect(() => parseCommitBatch('---\nfiles: a\nfeat: never closed')).toThrow('Unterminated');
+
+    // An entry without files would silently match nothing
+    expect(() => parseCommitBatch('[{"message": "fix: a"}, {"message": "fix: b", "files": []}]')).toThrow('Commit 1 lists no files');
+    expect(() => parseCommitBatch('---\nreason: cleanup\n---\nchore: tidy up')).toThrow('Commit 1 lists no files');
+    expect(() => parseCommitBatch('---\nfiles: a.js\n---\nfix: a\n---\nfiles:\n---\nfix: b')).toThrow('Commit 2 lists no files');
+  });
+
+  test('Should assign each file to the first matching entry and report leftovers', () => {
+    const batch = [
+      { message: 'feat(api): add export', files: ['src/api/**'] },
+      { message: 'docs: describe export', files: ['docs', 'src/api/README.md'] }
+    ];
+
+    const { groups, leftover } = assignFilesToCommits(batch, [
+      'src/api/export.js',
+      'src/api/README.md',
+      'docs/export.md',
+      'package.json'
+    ]);
+
+    expect(groups[0].files).toEqual(['src/api/export.js', 'src/api/README.md']);
+    expect(groups[1].files).toEqual(['docs/export.md']);
+    expect(leftover).toEqual(['package.json']);
+  });
+
+  test('Should default leftovers to a catch-all commit', () => {
+    expect(loadBatchConfig({})).toEqual({ leftover: 'catch-all', catchAllMessage: 'chore: commit remaining changes' });
+    expect(loadBatchConfig({ commitBatches: { leftover: 'unstaged' } }).leftover).toBe('unstaged');
+    expect(loadBatchConfig({ commitBatches: { leftover: 'bogus' } }).leftover).toBe('catch-all');
+  });
+});
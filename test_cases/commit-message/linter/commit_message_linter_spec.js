@@ -0,0 +1,101 @@
+/**
+ * Test Case: Pluggable Commit Message Validation
+ * - Area: commit-message
+ * - Component: linter
+ * - Related Issue/PR: Commit-message validation beyond the single AC_MSG_PATTERN regex
+ * - Repro Summary: Only one regex and a byte count were checked, and rejections were silent
+ * - Expected Behavior: Scopes, header length, bodies, tickets and breaking footers are enforced
+ *   and the reasons are written to a sibling .errors file for the agent
+ * - Regression Guard: Without commitLint configured, behavior matches the old regex check
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const {
+  DEFAULT_LINT_CONFIG,
+  baseLintOptions,
+  loadLintConfig,
+  parseMessage,
+  scopesFromFiles,
+  lintCommitMessage,
+  lintErrorsPath,
+  writeLintErrors,
+  clearLintErrors
+} = require('../../../src/commit-message-linter.cjs');
+
+const PATTERN = /^(feat|fix|refactor|docs|test|chore)(\([^)]+\))?:\s/m;
+const config = loadLintConfig({ commitLint: { enabled: true, ticketPattern: '[A-Z][A-Z0-9]+-\\d+' } });
+
+describe('Commit Message Linter', () => {
+  test('Should only apply the base rules when commitLint is not enabled', () => {
+    expect(loadLintConfig({})).toBeNull();
+    expect(lintCommitMessage('feat: add a thing that is long enough', { pattern: PATTERN, minBytes: 20 }).ok).toBe(true);
+
+    const result = lintCommitMessage('wip', { pattern: PATTERN, minBytes: 20 });
+    expect(result.ok).toBe(false);
+    expect(result.errors).toHaveLength(2);
+  });
+
+  test('Should accept every default type with the default base pattern', () => {
+    const base = baseLintOptions({});
+    for (const type of DEFAULT_LINT_CONFIG.types) {
+      expect(lintCommitMessage(`${type}: reformat the worker module\n\nKeeps it readable.`, { ...base, config }).errors).toEqual([]);
+    }
+    expect(lintCommitMessage('perf: make the worker module faster', base).ok).toBe(false);
+  });
+
+  test('Should parse header, body and footers', () => {
+    const parsed = parseMessage('feat(api)!: drop v1 routes\n\nOld clients are gone.\n\nBREAKING CHANGE: v1 removed\nRefs: ABC-1');
+
+    expect(parsed.type).toBe('feat');
+    expect(parsed.scope).toBe('api');
+    expect(parsed.breaking).toBe(true);
+    expect(parsed.body).toBe('Old clients are gone.');
+    expect(parsed.footers).toEqual(['BREAKING CHANGE: v1 removed', 'Refs: ABC-1']);
+  });
+
+  test('Should derive allowed scopes from touched directories', () => {
+    expect([...scopesFromFiles(['src/api/users.js', 'README.md', 'docs/a.md'])].sort()).toEqual(['api', 'docs', 'src']);
+
+    const touched = ['src/api/users.js'];
+    const good = lintCommitMessage('fix(api): handle empty ids\n\nIds can be blank.', { config, touchedFiles: touched });
+    const bad = lintCommitMessage('fix(ui): handle empty ids\n\nIds can be blank.', { config, touchedFiles: touched });
+
+    expect(good.ok).toBe(true);
+    expect(bad.ok).toBe(false);
+    expect(bad.errors[0]).toContain('Scope "ui" is not allowed');
+  });
+
+  test('Should enforce header length, allowed types and required bodies', () => {
+    const longHeader = `chore: ${'x'.repeat(80)}`;
+    expect(lintCommitMessage(longHeader, { config }).errors[0]).toContain('maximum 72');
+    expect(lintCommitMessage('perf: faster loop', { config }).errors[0]).toContain('Type "perf" is not allowed');
+    expect(lintCommitMessage('feat: add export', { config }).errors[0]).toContain('needs a body');
+    expect(lintCommitMessage('docs: fix typo', { config }).ok).toBe(true);
+  });
+
+  test('Should require ticket references and breaking-change footers when configured', () => {
+    const strict = { ...config, requireTicket: true };
+    expect(lintCommitMessage('docs: fix typo', { config: strict }).ok).toBe(false);
+    expect(lintCommitMessage('docs: fix typo for ABC-123', { config: strict }).ok).toBe(true);
+
+    const missingFooter = lintCommitMessage('refactor!: rename config keys', { config });
+    expect(missingFooter.errors[0]).toContain('BREAKING CHANGE');
+    expect(lintCommitMessage('refactor!: rename config keys\n\nBREAKING CHANGE: keys renamed', { config }).ok).toBe(true);
+  });
+
+  test('Should write and clear the sibling errors file', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'devops-lint-test-'));
+    const msgPath = path.join(dir, '.claude-commit-msg');
+
+    writeLintErrors(msgPath, ['Header is too long.']);
+    expect(lintErrorsPath(msgPath)).toBe(`${msgPath}.errors`);
+    expect(fs.readFileSync(`${msgPath}.errors`, 'utf8')).toContain('- Header is too long.');
+
+    clearLintErrors(msgPath);
+    expect(fs.existsSync(`${msgPath}.errors`)).toBe(false);
+
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * Test Case: Session Trailers and the log Command
+ * - Area: commit-message
+ * - Component: trailers
+ * - Related Issue/PR: Structured commit trailers linking commits back to sessions and tasks
+ * - Repro Summary: Nothing in a worker commit tied it back to its session, agent or task
+ * - Expected Behavior: Commits carry Session-Id, Agent, Task, Worker-Version and
+ *   Declared-Files trailers, and `log` filters history by them across all branches
+ * - Regression Guard: Commits without session trailers are left out of the log
+ */
+
+const { execSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { appendTrailers, sessionTrailers, parseTrailers } = require('../../../src/commit-trailers.cjs');
+const { readSessionCommits, filterSessionCommits, parseArgs } = require('../../../src/session-log.cjs');
+
+describe('Session Commit Trailers', () => {
+  test('Should build trailers in a fixed order and skip empty values', () => {
+    const trailers = sessionTrailers({
+      sessionId: 'abc1-def2',
+      agent: 'claude',
+      task: 'api export',
+      workerVersion: '2.0.10',
+      declaredFiles: []
+    });
+
+    expect(trailers.map(t => t.key)).toEqual(['Session-Id', 'Agent', 'Task', 'Worker-Version']);
+  });
+
+  test('Should summarise long declarations on one line', () => {
+    const files = Array.from({ length: 25 }, (_, i) => `src/file${i}.js`);
+    const [declared] = sessionTrailers({ declaredFiles: files });
+
+    expect(declared.key).toBe('Declared-Files');
+    expect(declared.value).toContain('src/file19.js (+5 more)');
+    expect(declared.value).not.toContain('\n');
+  });
+
+  test('Should round-trip trailers through a commit message', () => {
+    const message = appendTrailers('feat(api): add export\n\nWhy.', sessionTrailers({
+      sessionId: 'abc1-def2',
+      agent: 'claude',
+      declaredFiles: ['src/a.js', 'src/b.js']
+    }));
+
+    expect(parseTrailers(message.split('\n\n').pop())).toEqual({
+      'Session-Id': ['abc1-def2'],
+      Agent: ['claude'],
+      'Declared-Files': ['src/a.js, src/b.js']
+    });
+  });
+
+  describe('log command', () => {
+    let repo;
+
+    const commit = (file, message) => {
+      fs.writeFileSync(path.join(repo, file), file);
+      fs.writeFileSync(path.join(repo, '.msg'), message);
+      execSync(`git add ${file} && git commit -q -F .msg`, { cwd: repo });
+    };
+
+    beforeAll(() => {
+      repo = fs.mkdtempSync(path.join(os.tmpdir(), 'devops-log-test-'));
+      execSync('git init -q --initial-branch=main', { cwd: repo });
+      execSync('git config user.name "Test User" && git config user.email "user@test.com"', { cwd: repo });
+      commit('README.md', 'chore: initial commit');
+
+      execSync('git checkout -q -b dev_sdd_2025-10-19', { cwd: repo });
+      commit('a.js', 'feat: first\n\nSession-Id: abc1-def2\nAgent: claude\nTask: api-export');
+      execSync('git checkout -q -b v0.21 main', { cwd: repo });
+      commit('b.js', 'fix: second\n\nSession-Id: zzz9-yyy8\nAgent: warp\nTask: ui-polish\nDeclared-Files: b.js, c.js');
+      execSync('git checkout -q main', { cwd: repo });
+    });
+
+    afterAll(() => {
+      fs.rmSync(repo, { recursive: true, force: true });
+    });
+
+    test('Should read agent commits from every branch', () => {
+      const commits = readSessionCommits({ cwd: repo });
+
+      expect(commits.map(c => c.subject).sort()).toEqual(['feat: first', 'fix: second']);
+      const second = commits.find(c => c.sessionId === 'zzz9-yyy8');
+      expect(second).toMatchObject({ agent: 'warp', task: 'ui-polish', ref: 'v0.21', declaredFiles: ['b.js', 'c.js'] });
+    });
+
+    test('Should filter by session prefix, agent and task', () => {
+      const commits = readSessionCommits({ cwd: repo });
+
+      expect(filterSessionCommits(commits, { session: 'abc1' }).map(c => c.subject)).toEqual(['feat: first']);
+      expect(filterSessionCommits(commits, { agent: 'WARP' }).map(c => c.subject)).toEqual(['fix: second']);
+      expect(filterSessionCommits(commits, { task: 'export' }).map(c => c.subject)).toEqual(['feat: first']);
+      expect(readSessionCommits({ cwd: repo, branch: 'dev_sdd_*' }).map(c => c.subject)).toEqual(['feat: first']);
+    });
+
+    test('Should parse command line options', () => {
+      expect(parseArgs(['--agent', 'claude', '-n', '5', '--json'])).toMatchObject({ agent: 'claude', limit: 5, json: true });
+    });
+  });
+});
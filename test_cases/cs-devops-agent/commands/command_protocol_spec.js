@@ -0,0 +1,119 @@
+/**
+ * Test Case: JSON Agent Command Protocol
+ * - Area: cs-devops-agent
+ * - Component: commands
+ * - Related Issue/PR: Replace the polling AgentCommandMonitor with a proper command protocol
+ * - Repro Summary: Commands were bare words in a polled .devops-command-<id> file with no
+ *   way for the agent to learn whether they worked
+ * - Expected Behavior: Versioned JSON commands in local_deploy/commands/<sessionId>/ are run
+ *   in arrival order and each gets a response file with a status and payload
+ * - Regression Guard: Invalid commands are answered with an error code instead of being
+ *   dropped, and a command is never run twice
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const {
+  PROTOCOL_VERSION,
+  commandsDir,
+  commandError,
+  parseCommand,
+  handleCommandFile,
+  createCommandQueue,
+  sendCommand,
+  readResponse
+} = require('../../../src/command-protocol.cjs');
+const FileCoordinator = require('../../../src/file-coordinator.cjs');
+
+describe('Agent Command Protocol', () => {
+  let repoRoot;
+  const sessionId = 'abc1-def2';
+
+  beforeEach(() => {
+    repoRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'devops-commands-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(repoRoot, { recursive: true, force: true });
+  });
+
+  test('Should validate the protocol version, command and arguments', () => {
+    const parse = request => parseCommand(JSON.stringify(request), 'file-id');
+
+    expect(parse({ protocol: 1, id: 'c1', command: 'declare-files', args: { files: ['src/a.js'] } }))
+      .toEqual({ ok: true, request: { protocol: 1, id: 'c1', command: 'declare-files', args: { files: ['src/a.js'] } } });
+    expect(parse({ protocol: 1, command: 'status' }).request).toMatchObject({ id: 'file-id', args: {} });
+    expect(parse({ protocol: 2, command: 'status' }).error.code).toBe('unsupported-protocol');
+    expect(parse({ protocol: 1, command: 'CLOSE_SESSION' }).error.code).toBe('unknown-command');
+    expect(parse({ protocol: 1, command: 'declare-files', args: {} }).error.message).toBe('missing argument "files" (string[])');
+    expect(parse({ protocol: 1, command: 'rollback', args: { count: '2' } }).error.message).toBe('argument "count" must be number');
+    expect(parse({ protocol: 1, command: 'push', args: { force: true } }).error.code).toBe('invalid-args');
+    expect(parseCommand('{ not json', 'file-id')).toMatchObject({ ok: false, id: 'file-id', error: { code: 'invalid-json' } });
+    // Ids name the response file and may not escape the responses directory
+    expect(parse({ protocol: 1, id: '../../evil', command: 'status' }).request.id).toBe('file-id');
+  });
+
+  test('Should answer each command in the responses directory', async () => {
+    const handlers = {
+      status: async () => ({ branch: 'dev_sdd_2026-10-19' }),
+      push: async () => { throw commandError('busy', 'a commit is in progress'); },
+      'commit-now': async () => { throw new Error('lint failed'); }
+    };
+
+    const sent = sendCommand({ repoRoot, sessionId, command: 'status', id: 's1' });
+    expect(sent.file).toBe(path.join(commandsDir(repoRoot, sessionId), 's1.json'));
+    expect(readResponse({ repoRoot, sessionId, id: 's1' })).toBeNull();
+
+    const response = await handleCommandFile(sent.file, handlers);
+    expect(response).toMatchObject({ protocol: PROTOCOL_VERSION, id: 's1', command: 'status', status: 'ok', payload: { branch: 'dev_sdd_2026-10-19' } });
+    expect(readResponse({ repoRoot, sessionId, id: 's1' })).toEqual(response);
+    expect(fs.readdirSync(commandsDir(repoRoot, sessionId))).toEqual(['responses']);
+
+    const busy = await handleCommandFile(sendCommand({ repoRoot, sessionId, command: 'push', id: 'p1' }).file, handlers);
+    const failed = await handleCommandFile(sendCommand({ repoRoot, sessionId, command: 'commit-now', id: 'c1' }).file, handlers);
+    const unhandled = await handleCommandFile(sendCommand({ repoRoot, sessionId, command: 'rollback', id: 'r1' }).file, handlers);
+
+    expect(busy).toMatchObject({ status: 'error', error: { code: 'busy', message: 'a commit is in progress' } });
+    expect(failed.error).toEqual({ code: 'failed', message: 'lint failed' });
+    expect(unhandled.error.code).toBe('unknown-command');
+  });
+
+  test('Should run queued commands in order and only once', async () => {
+    const ran = [];
+    const handlers = {
+      'commit-now': async ({ message }) => {
+        await new Promise(resolve => setTimeout(resolve, 20));
+        ran.push(message);
+        return { committed: true };
+      },
+      status: async () => { ran.push('status'); return {}; }
+    };
+    const responses = [];
+    const queue = createCommandQueue(handlers, { onResponse: r => responses.push(r.id) });
+
+    const first = sendCommand({ repoRoot, sessionId, command: 'commit-now', args: { message: 'feat: one' }, id: 'a' });
+    const second = sendCommand({ repoRoot, sessionId, command: 'status', id: 'b' });
+    await Promise.all([queue.enqueue(first.file), queue.enqueue(first.file), queue.enqueue(second.file)]);
+
+    expect(ran).toEqual(['feat: one', 'status']);
+    expect(responses).toEqual(['a', 'b']);
+  });
+
+  test('Should declare and release files for the session', () => {
+    const ours = new FileCoordinator(sessionId, repoRoot, repoRoot);
+    const other = new FileCoordinator('zzz9-yyy8', repoRoot, repoRoot);
+
+    expect(ours.declareFiles(['src/a.js', 'src/b.js'], { agent: 'claude', reason: 'export' }))
+      .toMatchObject({ ok: true, files: ['src/a.js', 'src/b.js'] });
+    expect(path.basename(ours.findOurDeclaration())).toBe(`claude-${sessionId}.json`);
+
+    const refused = other.declareFiles(['src/b.js'], { agent: 'warp' });
+    expect(refused).toMatchObject({ ok: false, conflicts: [{ file: 'src/b.js', conflictsWith: 'claude', session: sessionId }] });
+
+    expect(ours.releaseFiles(['src/b.js'])).toEqual({ released: ['src/b.js'], remaining: ['src/a.js'] });
+    expect(other.declareFiles(['src/b.js'], { agent: 'warp' }).ok).toBe(true);
+    expect(ours.releaseFiles()).toEqual({ released: ['src/a.js'], remaining: [] });
+    expect(ours.findOurDeclaration()).toBeNull();
+  });
+});
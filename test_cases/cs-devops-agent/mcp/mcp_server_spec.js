@@ -0,0 +1,155 @@
+/**
+ * Test Case: MCP Server for Coding Agents
+ * - Area: cs-devops-agent
+ * - Component: mcp
+ * - Related Issue/PR: Model Context Protocol (MCP) server exposing DevOps agent tools
+ * - Repro Summary: Agents learned the protocol from long instruction prose and hand-wrote
+ *   JSON declarations into .file-coordination/active-edits
+ * - Expected Behavior: An MCP stdio server lists the DevOps tools and runs them on top of
+ *   the FileCoordinator, the session lock and the worker command protocol
+ * - Regression Guard: Conflicting declarations and invalid commit messages come back as
+ *   tool errors the agent can read, and nothing but protocol messages reaches stdout
+ */
+
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { createMcpServer, MCP_PROTOCOL_VERSIONS } = require('../../../src/mcp-server.cjs');
+const { commandsDir, handleCommandFile, isCommandFile } = require('../../../src/command-protocol.cjs');
+const FileCoordinator = require('../../../src/file-coordinator.cjs');
+
+describe('MCP Server', () => {
+  const sessionId = 'abc1-def2';
+  let repoRoot;
+  let worktreePath;
+  let server;
+  let nextId;
+
+  const call = async (name, args = {}) => {
+    const response = await server.handleMessage({ jsonrpc: '2.0', id: nextId++, method: 'tools/call', params: { name, arguments: args } });
+    const [first, second] = response.result.content;
+    return { isError: response.result.isError, text: first.text, data: JSON.parse(second ? second.text : (response.result.isError ? 'null' : first.text)) };
+  };
+
+  beforeEach(() => {
+    repoRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'devops-mcp-test-'));
+    worktreePath = path.join(repoRoot, 'local_deploy', 'worktrees', 'sdd-claude-abc1-def2-export');
+    fs.mkdirSync(worktreePath, { recursive: true });
+    fs.mkdirSync(path.join(repoRoot, 'local_deploy', 'session-locks'), { recursive: true });
+    fs.writeFileSync(path.join(repoRoot, 'local_deploy', 'session-locks', `${sessionId}.lock`), JSON.stringify({
+      sessionId,
+      agentType: 'claude',
+      task: 'export',
+      branchName: `sdd/claude/${sessionId}/export`,
+      worktreePath,
+      status: 'active'
+    }));
+    server = createMcpServer({ repoRoot, sessionId }, { version: '9.9.9' });
+    nextId = 1;
+  });
+
+  afterEach(() => {
+    fs.rmSync(repoRoot, { recursive: true, force: true });
+  });
+
+  test('Should negotiate the protocol and list the DevOps tools', async () => {
+    const init = await server.handleMessage({ jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2024-11-05', capabilities: {} } });
+    expect(init.result).toMatchObject({ protocolVersion: '2024-11-05', capabilities: { tools: {} }, serverInfo: { version: '9.9.9' } });
+    const future = await server.handleMessage({ jsonrpc: '2.0', id: 2, method: 'initialize', params: { protocolVersion: '2099-01-01' } });
+    expect(future.result.protocolVersion).toBe(MCP_PROTOCOL_VERSIONS[0]);
+
+    expect(await server.handleMessage({ jsonrpc: '2.0', method: 'notifications/initialized' })).toBeNull();
+    expect((await server.handleMessage({ jsonrpc: '2.0', id: 3, method: 'resources/list' })).error.code).toBe(-32601);
+    expect((await server.handleMessage({ jsonrpc: '2.0', id: 4, method: 'tools/call', params: { name: 'rm_rf' } })).error.code).toBe(-32602);
+
+    const { result } = await server.handleMessage({ jsonrpc: '2.0', id: 5, method: 'tools/list' });
+    expect(result.tools.map(t => t.name)).toEqual([
+      'get_session_info', 'check_file_availability', 'declare_files', 'release_files',
+      'write_commit_message', 'request_close', 'read_house_rules'
+    ]);
+    expect(result.tools[2].inputSchema.required).toEqual(['files']);
+  });
+
+  test('Should declare, check and release files for the session', async () => {
+    const other = new FileCoordinator('zzz9-yyy8', repoRoot, repoRoot);
+    other.declareFiles(['src/b.js'], { agent: 'warp', reason: 'docs' });
+
+    expect(await call('declare_files', { files: ['src/a.js'] })).toMatchObject({ isError: false, data: { declared: ['src/a.js'] } });
+
+    const refused = await call('declare_files', { files: ['src/b.js'] });
+    expect(refused.isError).toBe(true);
+    expect(refused.text).toContain('src/b.js (warp, session zzz9-yyy8)');
+
+    const availability = await call('check_file_availability', { files: ['src/a.js', 'src/b.js'] });
+    expect(availability.data).toMatchObject({ available: ['src/a.js'], conflicts: [{ file: 'src/b.js', conflictsWith: 'warp' }] });
+
+    const info = await call('get_session_info');
+    expect(info.data).toMatchObject({ sessionId, branch: `sdd/claude/${sessionId}/export`, declaredFiles: ['src/a.js'] });
+    expect(info.data.messageFile).toBe(path.join(worktreePath, `.devops-commit-${sessionId}.msg`));
+
+    expect((await call('release_files')).data).toEqual({ released: ['src/a.js'], remaining: [] });
+    expect((await call('declare_files', { files: 'src/a.js' })).text).toContain('argument "files" must be a non-empty array of strings');
+  });
+
+  test('Should lint the commit message before writing it', async () => {
+    const messageFile = path.join(worktreePath, `.devops-commit-${sessionId}.msg`);
+
+    const rejected = await call('write_commit_message', { message: 'updated stuff' });
+    expect(rejected.isError).toBe(true);
+    expect(rejected.data.errors).toEqual(expect.arrayContaining([expect.stringContaining('required pattern')]));
+    expect(fs.existsSync(messageFile)).toBe(false);
+
+    expect(await call('write_commit_message', { message: 'feat(export): add CSV export' })).toMatchObject({ isError: false, data: { messageFile } });
+    expect(fs.readFileSync(messageFile, 'utf8')).toBe('feat(export): add CSV export\n');
+  });
+
+  test('Should ask the worker to record the merge and close the session', async () => {
+    const inbox = commandsDir(repoRoot, sessionId);
+    const seen = [];
+    const handlers = {
+      'request-merge': async args => { seen.push(['request-merge', args]); return { target: args.target }; },
+      'close-session': async () => { seen.push(['close-session']); return { closing: true }; }
+    };
+    const worker = setInterval(() => {
+      if (!fs.existsSync(inbox)) return;
+      fs.readdirSync(inbox).filter(isCommandFile).forEach(name => handleCommandFile(path.join(inbox, name), handlers));
+    }, 20);
+
+    try {
+      const result = await call('request_close', { merge: true, target: 'develop' });
+      expect(result).toMatchObject({ isError: false, data: { mergeRequest: { target: 'develop' }, closed: { closing: true } } });
+      expect(seen).toEqual([['request-merge', { target: 'develop' }], ['close-session']]);
+    } finally {
+      clearInterval(worker);
+    }
+  });
+
+  test('Should speak newline-delimited JSON-RPC on stdio', () => {
+    fs.writeFileSync(path.join(worktreePath, 'houserules.md'), '# House Rules\n\nNo force pushes.\n');
+    const input = [
+      { jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2025-03-26' } },
+      { jsonrpc: '2.0', method: 'notifications/initialized' },
+      { jsonrpc: '2.0', id: 2, method: 'tools/call', params: { name: 'read_house_rules', arguments: {} } }
+    ].map(m => JSON.stringify(m)).join('\n') + '\nnot json\n5\n"ping"\n[{"jsonrpc":"2.0","id":3,"method":"ping"}]\n'
+      + `${JSON.stringify({ jsonrpc: '2.0', id: 4, method: 'ping' })}\n`;
+
+    const run = spawnSync(process.execPath, [path.join(__dirname, '../../../src/mcp-server.cjs'), '--session', sessionId], {
+      cwd: repoRoot,
+      input,
+      encoding: 'utf8',
+      timeout: 20000
+    });
+
+    const messages = run.stdout.trim().split('\n').map(line => JSON.parse(line));
+    expect(run.status).toBe(0);
+    expect(messages.map(m => m.id)).toEqual([1, 2, null, null, null, null, 4]);
+    expect(messages[0].result.protocolVersion).toBe('2025-03-26');
+    expect(messages[1].result.content[0].text).toContain('No force pushes.');
+    expect(messages[2].error.code).toBe(-32700);
+    // Non-object lines and batches are refused without stopping the server
+    expect(messages.slice(3, 6).map(m => m.error.code)).toEqual([-32600, -32600, -32600]);
+    expect(messages[5].error.message).toContain('batch requests are not supported');
+    expect(messages[6].result).toEqual({});
+  });
+});
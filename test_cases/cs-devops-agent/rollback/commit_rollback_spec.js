@@ -0,0 +1,121 @@
+/**
+ * Test Case: Undo Agent Commits
+ * - Area: cs-devops-agent
+ * - Component: rollback
+ * - Related Issue/PR: Automatic rollback command for agent commits
+ * - Repro Summary: Undoing an automatic commit required manual git surgery
+ * - Expected Behavior: `undo [n]` resets local-only session commits, reverts pushed ones,
+ *   saves the undone message to <message file>.undone and writes an audit entry
+ * - Regression Guard: Pushed history and other sessions' commits are never rewritten, and the
+ *   undone message never stays where the next tick would commit under it
+ */
+
+const { execSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { findAgentCommits, rollbackCommits, undoneMessagePath, auditLogPath } = require('../../../src/commit-rollback.cjs');
+
+describe('Agent Commit Rollback', () => {
+  let testDir;
+  let repo;
+  let msgPath;
+
+  const agentCommit = (file, subject, sessionId = 'abc1-def2') => {
+    fs.writeFileSync(path.join(repo, file), `${file}\n`);
+    fs.writeFileSync(path.join(testDir, 'msg'), `${subject}\n\nWhy it changed.\n\nSession-Id: ${sessionId}\nWorker-Version: 2.0.10`);
+    execSync(`git add ${file} && git commit -q -F ${path.join(testDir, 'msg')}`, { cwd: repo });
+  };
+  const subjects = () => execSync('git log --format=%s', { cwd: repo, encoding: 'utf8' }).trim().split('\n');
+
+  beforeEach(() => {
+    testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'devops-undo-test-'));
+    repo = path.join(testDir, 'repo');
+    msgPath = path.join(repo, '.devops-commit-abc1-def2.msg');
+
+    execSync(`git init -q --bare --initial-branch=main ${path.join(testDir, 'remote.git')}`);
+    execSync(`git init -q --initial-branch=main ${repo}`);
+    execSync('git config user.name "Test User" && git config user.email "user@test.com"', { cwd: repo });
+    execSync(`git remote add origin ${path.join(testDir, 'remote.git')}`, { cwd: repo });
+    fs.writeFileSync(path.join(repo, 'README.md'), '# Test\n');
+    execSync('git add README.md && git commit -q -m "Initial commit" && git push -q -u origin main', { cwd: repo });
+  });
+
+  afterEach(() => {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  test('Should reset local-only commits and save the undone message aside', () => {
+    agentCommit('a.js', 'feat: add a');
+    agentCommit('b.js', 'feat: add b');
+    fs.writeFileSync(path.join(repo, 'wip.txt'), 'uncommitted work');
+    fs.writeFileSync(msgPath, 'feat: add b\n');
+
+    const result = rollbackCommits({ cwd: repo, sessionId: 'abc1-def2', count: 2, msgPath });
+
+    expect(result).toMatchObject({ ok: true, mode: 'reset' });
+    expect(subjects()).toEqual(['Initial commit']);
+    expect(fs.existsSync(path.join(repo, 'a.js'))).toBe(false);
+    expect(fs.existsSync(path.join(repo, 'wip.txt'))).toBe(true);
+    // The next tick must not commit wip.txt under the undone message
+    expect(fs.readFileSync(msgPath, 'utf8')).toBe('');
+    expect(result.restoredMessageFile).toBe(undoneMessagePath(msgPath));
+    expect(fs.readFileSync(undoneMessagePath(msgPath), 'utf8')).toBe('feat: add b\n\nWhy it changed.\n');
+
+    const audit = fs.readFileSync(auditLogPath(repo), 'utf8').trim().split('\n').map(JSON.parse);
+    expect(audit).toHaveLength(1);
+    expect(audit[0]).toMatchObject({ action: 'undo', mode: 'reset', sessionId: 'abc1-def2', branch: 'main' });
+    expect(audit[0].commits.map(c => c.subject)).toEqual(['feat: add b', 'feat: add a']);
+  });
+
+  test('Should revert commits that were already pushed', () => {
+    agentCommit('a.js', 'feat: add a');
+    execSync('git push -q', { cwd: repo });
+
+    const result = rollbackCommits({ cwd: repo, sessionId: 'abc1-def2', msgPath });
+
+    expect(result).toMatchObject({ ok: true, mode: 'revert' });
+    expect(result.created).toHaveLength(1);
+    expect(subjects()).toEqual(['Revert "feat: add a"', 'feat: add a', 'Initial commit']);
+    expect(fs.existsSync(path.join(repo, 'a.js'))).toBe(false);
+  });
+
+  test('Should undo older commits on each undo in a row', () => {
+    agentCommit('a.js', 'feat: one');
+    agentCommit('b.js', 'feat: two');
+    execSync('git push -q', { cwd: repo });
+
+    expect(rollbackCommits({ cwd: repo, sessionId: 'abc1-def2', msgPath })).toMatchObject({ ok: true, mode: 'revert' });
+    const second = rollbackCommits({ cwd: repo, sessionId: 'abc1-def2', msgPath });
+
+    expect(second).toMatchObject({ ok: true, mode: 'revert' });
+    expect(second.commits.map(c => c.subject)).toEqual(['feat: one']);
+    expect(subjects()).toEqual(['Revert "feat: one"', 'Revert "feat: two"', 'feat: two', 'feat: one', 'Initial commit']);
+    expect(rollbackCommits({ cwd: repo, sessionId: 'abc1-def2' }).error).toContain('No agent commits');
+  });
+
+  test('Should revert instead of reset when another session committed in between', () => {
+    agentCommit('a.js', 'feat: add a');
+    agentCommit('other.js', 'feat: other session', 'zzz9-yyy8');
+
+    const { commits, contiguous } = findAgentCommits({ cwd: repo, sessionId: 'abc1-def2' });
+    expect(commits.map(c => c.subject)).toEqual(['feat: add a']);
+    expect(contiguous).toBe(false);
+
+    const result = rollbackCommits({ cwd: repo, sessionId: 'abc1-def2' });
+    expect(result.mode).toBe('revert');
+    expect(fs.existsSync(path.join(repo, 'other.js'))).toBe(true);
+  });
+
+  test('Should refuse when there are not enough session commits and support dry runs', () => {
+    agentCommit('a.js', 'feat: add a');
+
+    expect(rollbackCommits({ cwd: repo, sessionId: 'abc1-def2', count: 3 }).ok).toBe(false);
+    expect(rollbackCommits({ cwd: repo, sessionId: 'nope-nope' }).error).toContain('No agent commits');
+
+    const dry = rollbackCommits({ cwd: repo, sessionId: 'abc1-def2', dryRun: true });
+    expect(dry).toMatchObject({ ok: true, dryRun: true, mode: 'reset' });
+    expect(subjects()[0]).toBe('feat: add a');
+    expect(fs.existsSync(auditLogPath(repo))).toBe(false);
+  });
+});
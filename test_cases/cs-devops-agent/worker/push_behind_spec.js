@@ -10,6 +10,12 @@ const { execSync } = require('child_process');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const {
+  loadPushConfig,
+  classifyPushFailure,
+  backoffDelay,
+  pushWithStrategy
+} = require('../../../src/push-strategy.cjs');
 
 describe('CS_DevOpsAgent Push Behind Handling', () => {
   let testDir;
@@ -182,4 +188,120 @@ describe('CS_DevOpsAgent Push Behind Handling', () => {
       expect(fs.existsSync(path.join(localRepo1, `file${i}.txt`))).toBe(true);
     }
   });
-});
\ No newline at end of file
+
+  describe('Push strategy engine', () => {
+    const noWait = () => Promise.resolve();
+    const config = (mode) => loadPushConfig({ pushStrategy: { mode, baseDelayMs: 0 } });
+
+    // User 2 pushes first so User 1's next push is rejected as non-fast-forward
+    const divergeRemote = (sharedFile = null) => {
+      fs.writeFileSync(path.join(localRepo2, sharedFile || 'file2.txt'), 'Content from User 2');
+      execSync('git add -A', { cwd: localRepo2 });
+      execSync('git commit -m "Change from User 2"', { cwd: localRepo2 });
+      execSync('git push origin main', { cwd: localRepo2 });
+
+      fs.writeFileSync(path.join(localRepo1, sharedFile || 'file1.txt'), 'Content from User 1');
+      execSync('git add -A', { cwd: localRepo1 });
+      execSync('git commit -m "Change from User 1"', { cwd: localRepo1 });
+    };
+
+    const remoteLog = () => execSync('git log --format=%s main', { cwd: remoteRepo, encoding: 'utf8' }).trim().split('\n');
+
+    it('should classify push failures', () => {
+      expect(classifyPushFailure('! [rejected] main -> main (fetch first)')).toBe('non-fast-forward');
+      expect(classifyPushFailure('! [remote rejected] main -> main (pre-receive hook declined)')).toBe('protected-branch');
+      expect(classifyPushFailure('remote: error: GH006: Protected branch update failed')).toBe('protected-branch');
+      expect(classifyPushFailure('fatal: Authentication failed for https://example.com/repo.git')).toBe('auth');
+      expect(classifyPushFailure('fatal: unable to access: Could not resolve host: example.com')).toBe('network');
+      expect(classifyPushFailure('something odd')).toBe('unknown');
+
+      // Branch names and URLs never decide the failure type
+      expect(classifyPushFailure(' ! [rejected] feature/tls-upgrade -> feature/tls-upgrade (fetch first)')).toBe('non-fast-forward');
+      expect(classifyPushFailure([
+        'To https://example.com/tls/repo.git',
+        ' ! [rejected] fix/403-page -> fix/403-page (non-fast-forward)',
+        "error: failed to push some refs to 'https://example.com/tls/repo.git'"
+      ].join('\n'))).toBe('non-fast-forward');
+      expect(classifyPushFailure('fatal: unable to access: gnutls_handshake() failed: TLS connection was non-properly terminated.')).toBe('network');
+      expect(classifyPushFailure('remote: Permission to org/repo.git denied.\nfatal: The requested URL returned error: 403')).toBe('auth');
+    });
+
+    it('should back off exponentially up to the cap', () => {
+      const opts = { baseDelayMs: 100, maxDelayMs: 500 };
+      expect([1, 2, 3, 4].map(n => backoffDelay(n, opts))).toEqual([100, 200, 400, 500]);
+    });
+
+    it('should rebase onto the remote without a merge commit in rebase mode', async () => {
+      divergeRemote();
+      const events = [];
+
+      const result = await pushWithStrategy({
+        cwd: localRepo1, remote: 'origin', branch: 'main', config: config('rebase'), onEvent: e => events.push(e), wait: noWait
+      });
+
+      expect(result.ok).toBe(true);
+      expect(events[0]).toMatchObject({ type: 'push-failure', reason: 'non-fast-forward', action: 'rebase' });
+      expect(remoteLog()).toEqual(['Change from User 1', 'Change from User 2', 'Initial commit']);
+    });
+
+    it('should merge the remote branch in merge mode', async () => {
+      divergeRemote();
+
+      const result = await pushWithStrategy({
+        cwd: localRepo1, remote: 'origin', branch: 'main', config: config('merge'), wait: noWait
+      });
+
+      expect(result.ok).toBe(true);
+      const parents = execSync('git log -1 --format=%P main', { cwd: remoteRepo, encoding: 'utf8' }).trim().split(' ');
+      expect(parents).toHaveLength(2);
+    });
+
+    it('should stop and report divergence in fail mode', async () => {
+      divergeRemote();
+      const events = [];
+
+      const result = await pushWithStrategy({
+        cwd: localRepo1, remote: 'origin', branch: 'main', config: config('fail'), onEvent: e => events.push(e), wait: noWait
+      });
+
+      expect(result).toMatchObject({ ok: false, failure: 'non-fast-forward' });
+      expect(events).toHaveLength(1);
+      expect(events[0].action).toBe('abort');
+      expect(remoteLog()).not.toContain('Change from User 1');
+    });
+
+    it('should abort cleanly and report a conflict when the rebase cannot apply', async () => {
+      divergeRemote('shared.txt');
+
+      const result = await pushWithStrategy({
+        cwd: localRepo1, remote: 'origin', branch: 'main', config: config('rebase'), wait: noWait
+      });
+
+      expect(result).toMatchObject({ ok: false, failure: 'conflict' });
+      expect(fs.existsSync(path.join(localRepo1, '.git', 'rebase-merge'))).toBe(false);
+      expect(fs.readFileSync(path.join(localRepo1, 'shared.txt'), 'utf8')).toBe('Content from User 1');
+    });
+
+    it('should push to a side branch when the target is protected', async () => {
+      const hook = path.join(remoteRepo, 'hooks', 'pre-receive');
+      fs.writeFileSync(hook, '#!/bin/sh\necho "protected branch: main"\nwhile read old new ref; do [ "$ref" = refs/heads/main ] && exit 1; done\nexit 0\n');
+      fs.chmodSync(hook, 0o755);
+
+      fs.writeFileSync(path.join(localRepo1, 'file1.txt'), 'Content from User 1');
+      execSync('git add file1.txt', { cwd: localRepo1 });
+      execSync('git commit -m "Change from User 1"', { cwd: localRepo1 });
+      const events = [];
+
+      const result = await pushWithStrategy({
+        cwd: localRepo1, remote: 'origin', branch: 'main', config: config('side-branch'), onEvent: e => events.push(e), wait: noWait
+      });
+
+      expect(result.ok).toBe(false);
+      expect(result.failure).toBe('protected-branch');
+      expect(result.sideBranch).toMatch(/^devops\/unpushed\/main\//);
+      expect(events[0]).toMatchObject({ reason: 'protected-branch', action: 'side-branch', sideBranch: result.sideBranch });
+      const sideTip = execSync(`git rev-parse ${result.sideBranch}`, { cwd: remoteRepo, encoding: 'utf8' }).trim();
+      expect(sideTip).toBe(execSync('git rev-parse HEAD', { cwd: localRepo1, encoding: 'utf8' }).trim());
+    });
+  });
+});
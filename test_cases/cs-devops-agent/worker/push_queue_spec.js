@@ -0,0 +1,145 @@
+/**
+ * Test Case: Deferred Push Replay After Remote Outage
+ * - Area: cs-devops-agent
+ * - Component: worker
+ * - Related Issue/PR: Offline commit queue with deferred push replay
+ * - Repro Summary: A push that failed while the remote was unreachable was never retried
+ *   unless another commit happened
+ * - Expected Behavior: Failed pushes are recorded in local_deploy/push-queue.json and
+ *   replayed once the remote is back
+ * - Regression Guard: Successful pushes clear their queue entry; repeated failures update
+ *   one entry instead of adding duplicates; fail-mode and side-branch outcomes, and diverged
+ *   branches that are not checked out, are not queued
+ */
+
+const { execSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { loadPushConfig, pushWithStrategy, isRetryablePush } = require('../../../src/push-strategy.cjs');
+const {
+  pushQueuePath,
+  enqueuePush,
+  dequeuePush,
+  pendingPushes,
+  duePushes,
+  replayPushQueue
+} = require('../../../src/push-queue.cjs');
+
+describe('Deferred Push Queue', () => {
+  let testDir;
+  let remoteRepo;
+  let localRepo;
+
+  const config = loadPushConfig({ pushStrategy: { maxRetries: 1, baseDelayMs: 0 } });
+  const noWait = () => Promise.resolve();
+
+  // Mirrors the worker's pushBranch: push, then update the queue
+  const pushAndTrack = async (branch, pushConfig = config) => {
+    const result = await pushWithStrategy({ cwd: localRepo, remote: 'origin', branch, config: pushConfig, wait: noWait });
+    const queued = { remote: 'origin', branch, cwd: localRepo };
+    if (isRetryablePush(result, pushConfig)) enqueuePush(localRepo, { ...queued, reason: result.failure });
+    else dequeuePush(localRepo, queued);
+    return result.ok;
+  };
+
+  beforeEach(() => {
+    testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'devops-push-queue-test-'));
+    remoteRepo = path.join(testDir, 'remote.git');
+    localRepo = path.join(testDir, 'local');
+
+    execSync(`git init -q --bare --initial-branch=main ${remoteRepo}`);
+    execSync(`git init -q --initial-branch=main ${localRepo}`);
+    execSync('git config user.name "Test User"', { cwd: localRepo });
+    execSync('git config user.email "user@test.com"', { cwd: localRepo });
+    execSync(`git remote add origin ${remoteRepo}`, { cwd: localRepo });
+
+    fs.writeFileSync(path.join(localRepo, 'README.md'), '# Test Project');
+    execSync('git add README.md && git commit -q -m "Initial commit"', { cwd: localRepo });
+    execSync('git push -q -u origin main', { cwd: localRepo });
+  });
+
+  afterEach(() => {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  test('Should queue a push while the remote is unavailable and replay it afterwards', async () => {
+    fs.writeFileSync(path.join(localRepo, 'offline.txt'), 'written offline');
+    execSync('git add offline.txt && git commit -q -m "feat: offline work"', { cwd: localRepo });
+
+    // Take the remote away
+    const hiddenRemote = `${remoteRepo}.offline`;
+    fs.renameSync(remoteRepo, hiddenRemote);
+
+    expect(await pushAndTrack('main')).toBe(false);
+    expect(pendingPushes(localRepo)).toHaveLength(1);
+    expect(fs.existsSync(pushQueuePath(localRepo))).toBe(true);
+
+    // Still offline: the entry is retried but kept
+    await replayPushQueue(localRepo, entry => pushAndTrack(entry.branch), { cwd: localRepo, now: new Date(Date.now() + 3600 * 1000) });
+    expect(pendingPushes(localRepo)[0].attempts).toBe(2);
+
+    // Remote is back
+    fs.renameSync(hiddenRemote, remoteRepo);
+    const result = await replayPushQueue(localRepo, entry => pushAndTrack(entry.branch), {
+      cwd: localRepo,
+      now: new Date(Date.now() + 3600 * 1000)
+    });
+
+    expect(result).toEqual({ pushed: ['main'], failed: [] });
+    expect(pendingPushes(localRepo)).toHaveLength(0);
+    const remoteHead = execSync('git log -1 --format=%s main', { cwd: remoteRepo, encoding: 'utf8' }).trim();
+    expect(remoteHead).toBe('feat: offline work');
+  });
+
+  test('Should not queue pushes that need a person or went to a side branch', async () => {
+    // Someone else moves main on the remote
+    const other = path.join(testDir, 'other');
+    execSync(`git clone -q ${remoteRepo} ${other}`);
+    execSync('git -c user.name=O -c user.email=o@test.com commit -q --allow-empty -m "remote work" && git push -q origin main', { cwd: other });
+    execSync('git commit -q --allow-empty -m "local work"', { cwd: localRepo });
+
+    const failMode = loadPushConfig({ pushStrategy: { mode: 'fail', baseDelayMs: 0 } });
+    expect(await pushAndTrack('main', failMode)).toBe(false);
+    expect(pendingPushes(localRepo)).toHaveLength(0);
+
+    // A side branch saves the commits, and clears an entry queued by an earlier outage
+    enqueuePush(localRepo, { remote: 'origin', branch: 'main', cwd: localRepo, reason: 'network' });
+    const sideMode = loadPushConfig({ pushStrategy: { mode: 'side-branch', baseDelayMs: 0 } });
+    expect(await pushAndTrack('main', sideMode)).toBe(false);
+    expect(pendingPushes(localRepo)).toHaveLength(0);
+    expect(execSync('git branch --list "devops/unpushed/*"', { cwd: remoteRepo, encoding: 'utf8' })).toContain('devops/unpushed/main/');
+
+    // A diverged branch that is not checked out (main during a rollover) cannot be rebased in place
+    execSync('git checkout -q -b release && git push -q origin release && git commit -q --allow-empty -m "local release"', { cwd: localRepo });
+    execSync('git fetch -q origin release && git checkout -q -b remote-release FETCH_HEAD && git -c user.name=O -c user.email=o@test.com commit -q --allow-empty -m "remote release" && git push -q origin HEAD:release', { cwd: other });
+    execSync('git checkout -q main', { cwd: localRepo });
+    const rebaseMode = loadPushConfig({ pushStrategy: { mode: 'rebase', baseDelayMs: 0 } });
+    const stuck = await pushWithStrategy({ cwd: localRepo, remote: 'origin', branch: 'release', config: rebaseMode, wait: noWait });
+    expect(stuck).toMatchObject({ ok: false, failure: 'non-fast-forward', notCheckedOut: true });
+    expect(await pushAndTrack('release', rebaseMode)).toBe(false);
+    expect(pendingPushes(localRepo)).toHaveLength(0);
+
+    expect(isRetryablePush({ ok: false, failure: 'non-fast-forward', sideBranch: null }, config)).toBe(true);
+    expect(isRetryablePush({ ok: false, failure: 'auth', sideBranch: null }, config)).toBe(false);
+  });
+
+  test('Should keep one entry per branch and worktree', () => {
+    const push = { remote: 'origin', branch: 'dev_sdd_2025-10-19', cwd: localRepo, reason: 'network' };
+    enqueuePush(localRepo, push);
+    enqueuePush(localRepo, push);
+    enqueuePush(localRepo, { ...push, cwd: path.join(testDir, 'other-worktree') });
+
+    expect(pendingPushes(localRepo)).toHaveLength(2);
+    expect(pendingPushes(localRepo, { cwd: localRepo })[0].attempts).toBe(2);
+  });
+
+  test('Should back off non-network failures but keep network failures due', () => {
+    const now = new Date('2025-10-19T10:00:00Z');
+    enqueuePush(localRepo, { remote: 'origin', branch: 'a', cwd: localRepo, reason: 'network' }, now);
+    enqueuePush(localRepo, { remote: 'origin', branch: 'b', cwd: localRepo, reason: 'conflict' }, now);
+
+    expect(duePushes(localRepo, { now }).map(e => e.branch)).toEqual(['a']);
+    expect(duePushes(localRepo, { now: new Date(now.getTime() + 60 * 1000) }).map(e => e.branch)).toEqual(['a', 'b']);
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Test Case: Atomic Lease Acquisition for File Coordination
+ * - Area: file-coordination
+ * - Component: leases
+ * - Related Issue/PR: Atomic, race-free lock acquisition for file coordination
+ * - Repro Summary: Declaring meant checking active-edits/ and then writing a JSON file,
+ *   so two agents declaring the same file at the same moment could both succeed
+ * - Expected Behavior: acquire() checks and writes under an exclusive coordination lock
+ *   and returns either a granted lease or the session holding the files
+ * - Regression Guard: A lock left by a dead process is broken (even when a breaker died
+ *   halfway), a live one is waited on, and the shell scripts go through the same primitive
+ */
+
+const { spawn, spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const FileCoordinator = require('../../../src/file-coordinator.cjs');
+const { lockIdentity } = require('../../../src/file-lock.cjs');
+
+const scriptsDir = path.join(__dirname, '../../../scripts/coordination');
+
+function runScript(script, args, cwd) {
+  return new Promise((resolve, reject) => {
+    const child = spawn('bash', [path.join(scriptsDir, script), ...args], { cwd });
+    let stdout = '';
+    child.stdout.on('data', chunk => { stdout += chunk; });
+    child.on('error', reject);
+    child.on('close', code => resolve({ code, stdout }));
+  });
+}
+
+describe('Atomic File Leases', () => {
+  let repoRoot;
+
+  beforeEach(() => {
+    repoRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'devops-lease-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(repoRoot, { recursive: true, force: true });
+  });
+
+  test('Should grant a lease or report the current holder', () => {
+    const claude = new FileCoordinator('abc1-def2', repoRoot, repoRoot);
+    const warp = new FileCoordinator('zzz9-yyy8', repoRoot, repoRoot);
+
+    const granted = claude.acquire(['src/api/', 'README.md'], { agent: 'claude', reason: 'api', estimatedDuration: 60 });
+    expect(granted).toMatchObject({ granted: true, lease: { agent: 'claude', session: 'abc1-def2', files: ['src/api/', 'README.md'] } });
+    expect(Date.parse(granted.lease.expiresAt) - Date.parse(granted.lease.declaredAt)).toBe(60000);
+
+    const refused = warp.acquire(['src/api/users.js', 'README.md', 'docs/a.md'], { agent: 'warp' });
+    expect(refused).toMatchObject({
+      granted: false,
+      holder: { agent: 'claude', session: 'abc1-def2', files: ['src/api/', 'README.md'], reason: 'api' }
+    });
+    expect(refused.conflicts.map(c => c.file)).toEqual(['src/api/users.js', 'README.md']);
+    expect(warp.declareFiles(['README.md']).holder.session).toBe('abc1-def2');
+
+    expect(claude.release(['README.md'])).toEqual({ released: ['README.md'], remaining: ['src/api/'] });
+    expect(warp.acquire(['README.md'], { agent: 'warp' }).granted).toBe(true);
+    expect(fs.existsSync(claude.mutexPath)).toBe(false);
+  });
+
+  test('Should let exactly one of several racing agents win a file', async () => {
+    const agents = ['claude', 'warp', 'cursor', 'copilot', 'cline'];
+    const results = await Promise.all(agents.map((agent, i) =>
+      runScript('declare-file-edits.sh', [agent, `sess-${i}`, 'src/shared.js'], repoRoot)));
+
+    expect(results.map(r => r.code).sort()).toEqual([0, 1, 1, 1, 1]);
+    const active = fs.readdirSync(path.join(repoRoot, 'local_deploy', '.file-coordination', 'active-edits'));
+    expect(active).toHaveLength(1);
+
+    const winner = agents[results.findIndex(r => r.code === 0)];
+    const loser = results.find(r => r.code === 1);
+    expect(loser.stdout).toContain(`held by ${winner}`);
+
+    const check = await runScript('check-file-availability.sh', ['src/shared.js', 'src/other.js'], repoRoot);
+    expect(check.code).toBe(1);
+    expect(check.stdout).toContain('✅ AVAILABLE: src/other.js');
+
+    const winnerIndex = agents.indexOf(winner);
+    const released = await runScript('release-file-edits.sh', [winner, `sess-${winnerIndex}`], repoRoot);
+    expect(released.stdout).toContain('Released files');
+    expect((await runScript('check-file-availability.sh', ['src/shared.js'], repoRoot)).code).toBe(0);
+  }, 30000);
+
+  test('Should break a lock left by a dead process but wait on a live one', () => {
+    const coordinator = new FileCoordinator('abc1-def2', repoRoot, repoRoot);
+    const deadPid = spawnSync(process.execPath, ['-e', 'process.stdout.write(String(process.pid))'], { encoding: 'utf8' }).stdout;
+
+    fs.writeFileSync(coordinator.mutexPath, JSON.stringify({ token: 'gone', pid: Number(deadPid), host: os.hostname(), acquiredAt: new Date().toISOString() }));
+    expect(coordinator.acquire(['src/a.js'], { agent: 'claude' }).granted).toBe(true);
+    expect(fs.readdirSync(path.dirname(coordinator.mutexPath)).filter(f => f.startsWith('.lock'))).toEqual([]);
+
+    // A process that died while breaking the lock left its break marker behind
+    fs.writeFileSync(coordinator.mutexPath, JSON.stringify({ token: 'gone', pid: Number(deadPid), host: os.hostname(), acquiredAt: new Date().toISOString() }));
+    const marker = `${coordinator.mutexPath}.break-${lockIdentity(coordinator.mutexPath).key.replace(/[^\w-]/g, '_')}`;
+    fs.writeFileSync(marker, deadPid);
+    const longAgo = new Date(Date.now() - 60 * 1000);
+    fs.utimesSync(marker, longAgo, longAgo);
+    expect(coordinator.acquire(['src/b.js'], { agent: 'claude' }).granted).toBe(true);
+    expect(fs.existsSync(marker)).toBe(false);
+
+    fs.writeFileSync(coordinator.mutexPath, JSON.stringify({ token: 'alive', pid: process.pid, host: os.hostname(), acquiredAt: new Date().toISOString() }));
+    expect(() => coordinator.withLock(() => true, 100)).toThrow('Timed out waiting for the file coordination lock');
+    expect(JSON.parse(fs.readFileSync(coordinator.mutexPath, 'utf8')).token).toBe('alive');
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * Test Case: Lease Expiry and Heartbeats for File Declarations
+ * - Area: file-coordination
+ * - Component: leases
+ * - Related Issue/PR: Lease expiry and heartbeats for file declarations
+ * - Repro Summary: Stale declarations were cleaned up purely by file age (60 minutes),
+ *   ignoring estimatedDuration, so a crashed agent blocked files for an hour while a long
+ *   legitimate edit was wiped
+ * - Expected Behavior: A declaration lives estimatedDuration seconds after its last
+ *   heartbeat and ends early once its owning process (heartbeat pid or the session
+ *   lock's agentPid) has exited
+ * - Regression Guard: A live, heartbeating lease survives past its original TTL
+ */
+
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const FileCoordinator = require('../../../src/file-coordinator.cjs');
+
+describe('File Declaration Leases', () => {
+  let repoRoot;
+  let deadPid;
+
+  const writeDeclaration = (name, declaration) => fs.writeFileSync(
+    path.join(repoRoot, 'local_deploy', '.file-coordination', 'active-edits', name),
+    JSON.stringify({ operation: 'edit', ...declaration })
+  );
+  const ago = seconds => new Date(Date.now() - seconds * 1000).toISOString();
+
+  beforeAll(() => {
+    deadPid = Number(spawnSync(process.execPath, ['-e', 'process.stdout.write(String(process.pid))'], { encoding: 'utf8' }).stdout);
+  });
+
+  beforeEach(() => {
+    repoRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'devops-lease-expiry-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(repoRoot, { recursive: true, force: true });
+  });
+
+  test('Should expire leases by estimatedDuration and extend them on heartbeat', () => {
+    const claude = new FileCoordinator('abc1-def2', repoRoot, repoRoot);
+    const warp = new FileCoordinator('zzz9-yyy8', repoRoot, repoRoot);
+
+    writeDeclaration('claude-abc1-def2.json', { agent: 'claude', session: 'abc1-def2', files: ['src/a.js'], declaredAt: ago(90), estimatedDuration: 120 });
+    writeDeclaration('cursor-old1-old2.json', { agent: 'cursor', session: 'old1-old2', files: ['src/b.js'], declaredAt: ago(61), estimatedDuration: 60 });
+    expect(Object.keys(claude.getActiveDeclarations())).toEqual(['claude-abc1-def2.json']);
+
+    const lease = claude.heartbeat();
+    expect(lease).toMatchObject({ session: 'abc1-def2', pid: process.pid, host: os.hostname() });
+    expect(Date.parse(lease.expiresAt) - Date.parse(lease.heartbeatAt)).toBe(120000);
+    expect(fs.readdirSync(claude.completedEditsDir)).toEqual(['cursor-old1-old2.json']);
+
+    // Declared 90s ago with a 120s lease; after a heartbeat it outlives the original TTL
+    expect(claude.leaseStatus(lease, Date.now() + 60000)).toMatchObject({ live: true });
+    expect(claude.leaseStatus(lease, Date.now() + 121000)).toMatchObject({ live: false, reason: 'expired' });
+
+    expect(warp.acquire(['src/a.js'], { agent: 'warp' }).granted).toBe(false);
+    expect(warp.acquire(['src/b.js'], { agent: 'warp' }).granted).toBe(true);
+
+    // The heartbeating process becomes the owner; once it is gone the lease ends
+    expect(warp.heartbeat(deadPid)).toMatchObject({ pid: deadPid });
+    expect(claude.acquire(['src/b.js'], { agent: 'claude' }).granted).toBe(true);
+    expect(warp.heartbeat()).toBeNull();
+  });
+
+  test('Should release leases whose owning process has exited', () => {
+    const coordinator = new FileCoordinator('new1-sess', repoRoot, repoRoot);
+    const locksDir = path.join(repoRoot, 'local_deploy', 'session-locks');
+    fs.mkdirSync(locksDir, { recursive: true });
+    fs.writeFileSync(path.join(locksDir, 'abc1-def2.lock'), JSON.stringify({ sessionId: 'abc1-def2', agentPid: deadPid }));
+    fs.writeFileSync(path.join(locksDir, 'live1-sess.lock'), JSON.stringify({ sessionId: 'live1-sess', agentPid: process.pid }));
+
+    writeDeclaration('claude-abc1-def2.json', { agent: 'claude', session: 'abc1-def2', files: ['src/a.js'], declaredAt: ago(1), estimatedDuration: 3600 });
+    writeDeclaration('warp-zzz9-yyy8.json', { agent: 'warp', session: 'zzz9-yyy8', files: ['src/b.js'], declaredAt: ago(1), estimatedDuration: 3600, pid: deadPid, host: os.hostname() });
+    writeDeclaration('cline-live1-sess.json', { agent: 'cline', session: 'live1-sess', files: ['src/c.js'], declaredAt: ago(1), estimatedDuration: 3600 });
+    writeDeclaration('cursor-remote.json', { agent: 'cursor', session: 'remote', files: ['src/d.js'], declaredAt: ago(1), estimatedDuration: 3600, pid: deadPid, host: 'some-other-host' });
+
+    expect(coordinator.checkFilesForConflicts(['src/a.js', 'src/b.js', 'src/c.js', 'src/d.js']).map(c => c.file)).toEqual(['src/c.js', 'src/d.js']);
+
+    const reaped = coordinator.cleanupStaleDeclarations();
+    expect(reaped.map(r => [r.session, r.reason]).sort()).toEqual([['abc1-def2', 'owner-exited'], ['zzz9-yyy8', 'owner-exited']]);
+    expect(fs.readdirSync(coordinator.activeEditsDir).sort()).toEqual(['cline-live1-sess.json', 'cursor-remote.json']);
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Test Case: Enforcing File Coordination Mode
+ * - Area: file-coordination
+ * - Component: modes
+ * - Related Issue/PR: Enforcing mode for file coordination that blocks commits on conflicts
+ * - Repro Summary: Conflict detection only printed alerts and wrote a markdown report, and
+ *   commitOnce still committed and pushed files another agent had declared
+ * - Expected Behavior: A per-project mode (advisory, warn, enforce); in enforce mode files
+ *   declared by another session and undeclared files are held back, with a JSON report
+ *   saying which and why
+ * - Regression Guard: advisory (the default) and warn never hold anything back
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const {
+  loadCoordinationConfig,
+  classifyStagedFiles,
+  filesToHoldBack,
+  coordinationReportPath,
+  writeCoordinationReport,
+  loadCoordinationReport
+} = require('../../../src/coordination-mode.cjs');
+const FileCoordinator = require('../../../src/file-coordinator.cjs');
+
+describe('File Coordination Modes', () => {
+  let repoRoot;
+
+  beforeEach(() => {
+    repoRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'devops-coord-mode-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(repoRoot, { recursive: true, force: true });
+  });
+
+  test('Should read the mode from project settings with an env override', () => {
+    expect(loadCoordinationConfig({}, {}).mode).toBe('advisory');
+    expect(loadCoordinationConfig({ fileCoordination: { mode: 'enforce' } }, {}).mode).toBe('enforce');
+    expect(loadCoordinationConfig({ fileCoordination: { mode: 'enforce' } }, { AC_COORDINATION_MODE: 'warn' }).mode).toBe('warn');
+    expect(loadCoordinationConfig({ fileCoordination: { mode: 'strict' } }, {}).mode).toBe('advisory');
+  });
+
+  test('Should hold back files declared elsewhere and undeclared files only when enforcing', () => {
+    const warp = new FileCoordinator('zzz9-yyy8', repoRoot, repoRoot);
+    warp.acquire(['src/api/**'], { agent: 'warp', reason: 'api' });
+    const claude = new FileCoordinator('abc1-def2', repoRoot, repoRoot);
+    claude.acquire(['src/web/'], { agent: 'claude' });
+
+    const classified = classifyStagedFiles(claude, ['src/web/app.js', 'src/api/users.js', 'README.md'], ['src/web/']);
+    expect(classified).toEqual({
+      declaredElsewhere: [{
+        file: 'src/api/users.js',
+        reason: 'declared-by-other-session',
+        holder: expect.objectContaining({ agent: 'warp', session: 'zzz9-yyy8', declared: 'src/api/**' })
+      }],
+      undeclared: ['README.md']
+    });
+
+    expect(filesToHoldBack('advisory', classified)).toEqual([]);
+    expect(filesToHoldBack('warn', classified)).toEqual([]);
+    expect(filesToHoldBack('enforce', classified).map(h => [h.file, h.reason])).toEqual([
+      ['src/api/users.js', 'declared-by-other-session'],
+      ['README.md', 'undeclared']
+    ]);
+  });
+
+  test('Should write a machine-readable report per session', () => {
+    const reportPath = coordinationReportPath(repoRoot, 'abc1-def2');
+    expect(reportPath).toBe(path.join(repoRoot, 'local_deploy', 'session-locks', 'abc1-def2.coordination.json'));
+    expect(loadCoordinationReport(reportPath)).toBeNull();
+
+    writeCoordinationReport(reportPath, { sessionId: 'abc1-def2', mode: 'enforce', heldBack: [{ file: 'README.md', reason: 'undeclared' }] });
+    expect(loadCoordinationReport(reportPath)).toMatchObject({
+      sessionId: 'abc1-def2',
+      mode: 'enforce',
+      heldBack: [{ file: 'README.md', reason: 'undeclared' }],
+      checkedAt: expect.any(String)
+    });
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * Test Case: Glob and Directory Patterns in File Declarations
+ * - Area: file-coordination
+ * - Component: patterns
+ * - Related Issue/PR: Glob and directory patterns in file edit declarations
+ * - Repro Summary: Conflicts were found with exact string equality, so `src/api/**`, a
+ *   directory or `./src/a.js` gave no protection against `src/api/users.js` or `src/a.js`
+ * - Expected Behavior: Declarations are normalized and may be directories or globs; two
+ *   declarations conflict when their patterns can cover a common file
+ * - Regression Guard: Disjoint patterns (sibling directories, different extensions) still
+ *   declare side by side
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { patternsOverlap, expandBraces } = require('../../../src/path-patterns.cjs');
+const FileCoordinator = require('../../../src/file-coordinator.cjs');
+
+describe('Declaration Patterns', () => {
+  let repoRoot;
+
+  beforeEach(() => {
+    repoRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'devops-patterns-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(repoRoot, { recursive: true, force: true });
+  });
+
+  test('Should detect overlapping paths, directories and globs', () => {
+    const overlapping = [
+      ['./src/a.js', 'src/a.js'],
+      ['src/api', 'src/api/users.js'],
+      ['src/api/', 'src/api/v2/users.ts'],
+      ['src/**', 'src/api/*.js'],
+      ['**/*.md', 'docs/guide.md'],
+      ['src/{api,web}/*.js', 'src/web/app.js'],
+      ['src/a*.js', 'src/*b.js'],
+      ['src/**/test/*.js', 'src/**/*.spec.js'],
+      ['.', 'anything/at/all.txt']
+    ];
+    const disjoint = [
+      ['src/api/*.js', 'src/web/*.js'],
+      ['src/*.js', 'src/api/users.js'],
+      ['src/api', 'src/apis/users.js'],
+      ['src/{api,web}/*.js', 'src/cli/main.js'],
+      ['src/a?.js', 'src/abc.js'],
+      ['src/**/*.ts', 'src/**/*.js'],
+      ['lib', 'src/lib']
+    ];
+
+    for (const [a, b] of overlapping) {
+      expect([a, b, patternsOverlap(a, b), patternsOverlap(b, a)]).toEqual([a, b, true, true]);
+    }
+    for (const [a, b] of disjoint) {
+      expect([a, b, patternsOverlap(a, b), patternsOverlap(b, a)]).toEqual([a, b, false, false]);
+    }
+    expect(expandBraces('src/{a,b}/{x,y}.js')).toEqual(['src/a/x.js', 'src/a/y.js', 'src/b/x.js', 'src/b/y.js']);
+  });
+
+  test('Should refuse declarations whose patterns overlap another session', () => {
+    const claude = new FileCoordinator('abc1-def2', repoRoot, repoRoot);
+    const warp = new FileCoordinator('zzz9-yyy8', repoRoot, repoRoot);
+
+    expect(claude.declareFiles(['./src/**', 'docs/api.md'], { agent: 'claude' })).toMatchObject({ ok: true, files: ['src/**', 'docs/api.md'] });
+
+    const refused = warp.declareFiles(['src/api/*.js'], { agent: 'warp' });
+    expect(refused).toMatchObject({ ok: false, conflicts: [{ file: 'src/api/*.js', declared: 'src/**', conflictsWith: 'claude' }] });
+    expect(warp.declareFiles(['./docs/api.md']).conflicts[0].declared).toBe('docs/api.md');
+    expect(warp.declareFiles(['docs/', 'test/**/*.js'], { agent: 'warp' }).ok).toBe(false);
+    expect(warp.declareFiles(['test/**/*.js', 'docs/guide.md'], { agent: 'warp' }).ok).toBe(true);
+
+    expect(claude.checkFilesForConflicts(['test/unit/a.js', 'README.md']).map(c => c.file)).toEqual(['test/unit/a.js']);
+    expect(claude.releaseFiles(['./src/**'])).toEqual({ released: ['src/**'], remaining: ['docs/api.md'] });
+    expect(warp.declareFiles(['src/api/*.js'], { agent: 'warp' }).ok).toBe(true);
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Test Case: Configurable Daily Rollover Time
+ * - Area: session-branches
+ * - Component: rollover
+ * - Related Issue/PR: Configurable daily rollover time instead of midnight in AC_TZ
+ * - Repro Summary: The worker always rolled over at midnight in AC_TZ and ignored
+ *   rolloverSettings.rolloverTime/timezone from project settings
+ * - Expected Behavior: The working day starts at rolloverTime in rolloverSettings.timezone,
+ *   weekends can be skipped and holiday calendars (JSON or .ics) never start a new day
+ * - Regression Guard: Default settings keep the old midnight behaviour; AC_TZ still
+ *   applies when project settings have no timezone; enableAutoRollover: false is kept
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const {
+  loadRolloverConfig,
+  parseHolidays,
+  loadHolidays,
+  workingDayFor,
+  formatDay
+} = require('../../../src/rollover-schedule.cjs');
+
+describe('Daily Rollover Schedule', () => {
+  test('Should roll over at midnight UTC by default', () => {
+    const config = loadRolloverConfig({});
+
+    expect(workingDayFor(new Date('2025-10-16T23:59:00Z'), config)).toBe('2025-10-16');
+    expect(workingDayFor(new Date('2025-10-17T00:00:00Z'), config)).toBe('2025-10-17');
+    expect(config.enableAutoRollover).toBe(true);
+  });
+
+  test('Should honour enableAutoRollover from project settings', () => {
+    expect(loadRolloverConfig({ rolloverSettings: { enableAutoRollover: false } }).enableAutoRollover).toBe(false);
+    expect(loadRolloverConfig({ rolloverSettings: { enableAutoRollover: true, rolloverTime: '04:00' } }).enableAutoRollover).toBe(true);
+  });
+
+  test('Should keep commits before the rollover time on the previous day', () => {
+    const config = loadRolloverConfig({ rolloverSettings: { rolloverTime: '04:00', timezone: 'Asia/Dubai' } });
+
+    // 02:30 and 04:00 in Dubai (UTC+4)
+    expect(workingDayFor(new Date('2025-10-16T22:30:00Z'), config)).toBe('2025-10-16');
+    expect(workingDayFor(new Date('2025-10-17T00:00:00Z'), config)).toBe('2025-10-17');
+    expect(formatDay('2025-10-17', 'compact')).toBe('20251017');
+  });
+
+  test('Should prefer the project timezone over AC_TZ and reject bad values', () => {
+    expect(loadRolloverConfig({ rolloverSettings: { timezone: 'Europe/Berlin' } }, 'Asia/Dubai').timezone).toBe('Europe/Berlin');
+    expect(loadRolloverConfig({}, 'Asia/Dubai').timezone).toBe('Asia/Dubai');
+
+    const bad = loadRolloverConfig({ rolloverSettings: { rolloverTime: '25:00', timezone: 'Mars/Olympus' } });
+    expect(bad).toMatchObject({ rolloverTime: '00:00', timezone: 'UTC' });
+    expect(bad.warnings).toHaveLength(2);
+  });
+
+  test('Should keep weekend work on the last weekday when skipping weekends', () => {
+    const config = loadRolloverConfig({ rolloverSettings: { skipWeekends: true } });
+
+    // Saturday 18th and Sunday 19th October 2025 belong to Friday 17th
+    expect(workingDayFor(new Date('2025-10-18T12:00:00Z'), config)).toBe('2025-10-17');
+    expect(workingDayFor(new Date('2025-10-19T12:00:00Z'), config)).toBe('2025-10-17');
+    expect(workingDayFor(new Date('2025-10-20T12:00:00Z'), config)).toBe('2025-10-20');
+
+    const fridayOff = loadRolloverConfig({ rolloverSettings: { skipWeekends: true, weekendDays: ['Friday', 'Saturday'] } });
+    expect(workingDayFor(new Date('2025-10-18T12:00:00Z'), fridayOff)).toBe('2025-10-16');
+  });
+
+  test('Should parse JSON and iCalendar holiday files', () => {
+    expect([...parseHolidays('["2025-12-25", {"date": "2025-12-26", "name": "Boxing Day"}, "soon"]')])
+      .toEqual(['2025-12-25', '2025-12-26']);
+    expect([...parseHolidays('{"holidays": ["2026-01-01"]}')]).toEqual(['2026-01-01']);
+
+    const ics = [
+      'BEGIN:VCALENDAR',
+      'BEGIN:VEVENT',
+      'DTSTART;VALUE=DATE:20251225',
+      'SUMMARY:Christmas Day',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'DTSTART:20251226T000000Z',
+      'END:VEVENT',
+      'END:VCALENDAR'
+    ].join('\r\n');
+    expect([...parseHolidays(ics, 'holidays.ics')]).toEqual(['2025-12-25', '2025-12-26']);
+  });
+
+  describe('holidays file', () => {
+    let repo;
+
+    beforeEach(() => {
+      repo = fs.mkdtempSync(path.join(os.tmpdir(), 'devops-rollover-test-'));
+      fs.mkdirSync(path.join(repo, 'local_deploy'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(repo, { recursive: true, force: true });
+    });
+
+    test('Should skip holidays loaded relative to the repo root', () => {
+      fs.writeFileSync(path.join(repo, 'local_deploy', 'holidays.json'), '["2025-12-25", "2025-12-26"]');
+      const config = loadRolloverConfig({
+        rolloverSettings: { skipWeekends: true, holidaysFile: 'local_deploy/holidays.json' }
+      });
+      const { dates, error } = loadHolidays(repo, config);
+
+      expect(error).toBeNull();
+      // Friday 26th is a holiday and Thursday 25th too, so work stays on Wednesday 24th
+      expect(workingDayFor(new Date('2025-12-26T09:00:00Z'), config, dates)).toBe('2025-12-24');
+      expect(workingDayFor(new Date('2025-12-27T09:00:00Z'), config, dates)).toBe('2025-12-24');
+    });
+
+    test('Should report a missing holidays file instead of failing', () => {
+      const config = loadRolloverConfig({ rolloverSettings: { holidaysFile: 'missing.json' } });
+      const { dates, error } = loadHolidays(repo, config);
+
+      expect(dates.size).toBe(0);
+      expect(error).toContain('missing.json');
+    });
+  });
+});
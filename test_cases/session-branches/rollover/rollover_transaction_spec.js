@@ -0,0 +1,124 @@
+/**
+ * Test Case: Transactional Daily Rollover
+ * - Area: session-branches
+ * - Component: rollover
+ * - Related Issue/PR: Dry-run and transactional mode for daily rollover
+ * - Repro Summary: A conflicting merge midway through the rollover left the repo
+ *   checked out on main with the new version branch missing
+ * - Expected Behavior: The rollover runs from a plan; on failure every touched branch
+ *   and HEAD are restored exactly, a dry run changes nothing, and every run is journaled
+ * - Regression Guard: Branches are only pushed after all local steps succeeded
+ */
+
+const { execSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const {
+  planRollover,
+  describePlan,
+  snapshotRefs,
+  runRollover,
+  journalPath
+} = require('../../../src/rollover-transaction.cjs');
+
+describe('Transactional Daily Rollover', () => {
+  let repo;
+
+  const sh = cmd => execSync(cmd, { cwd: repo, encoding: 'utf8' }).trim();
+  const commitFile = (file, content, message) => {
+    fs.writeFileSync(path.join(repo, file), content);
+    sh(`git add ${file} && git commit -q -m "${message}"`);
+  };
+  const branches = () => sh('git branch --format="%(refname:short)"').split('\n').sort();
+  const journal = () => fs.readFileSync(journalPath(repo), 'utf8').trim().split('\n').map(JSON.parse);
+  const plan = () => planRollover({
+    vLast: 'v0.20',
+    vNext: 'v0.21',
+    yDaily: 'dev_sdd_2025-10-16',
+    todayDaily: 'dev_sdd_2025-10-17',
+    baseRef: 'origin/main'
+  });
+
+  beforeEach(() => {
+    repo = fs.mkdtempSync(path.join(os.tmpdir(), 'devops-rollover-tx-test-'));
+    sh('git init -q --initial-branch=main');
+    sh('git config user.name "Test User" && git config user.email "user@test.com"');
+    fs.writeFileSync(path.join(repo, '.gitignore'), 'local_deploy/\n');
+    sh('git add .gitignore');
+    commitFile('shared.txt', 'base\n', 'Initial commit');
+
+    sh('git checkout -q -b v0.20');
+    commitFile('version.txt', 'v0.20\n', 'feat: version work');
+    sh('git checkout -q -b dev_sdd_2025-10-16');
+    commitFile('daily.txt', 'daily\n', 'feat: daily work');
+  });
+
+  afterEach(() => {
+    fs.rmSync(repo, { recursive: true, force: true });
+  });
+
+  test('Should plan local steps before pushes', () => {
+    expect(describePlan(plan())).toEqual([
+      '  1) checkout main',
+      '  2) update main from origin/main',
+      '  3) merge v0.20 -> main',
+      '  4) create v0.21 from main',
+      '  5) merge dev_sdd_2025-10-16 -> v0.21',
+      '  6) create dev_sdd_2025-10-17 from v0.21',
+      '  7) push main',
+      '  8) push v0.21',
+      '  9) push dev_sdd_2025-10-17'
+    ]);
+    expect(describePlan(planRollover({ vNext: 'v0.20', todayDaily: 'd', baseRef: 'origin/main' }))[0])
+      .toBe('  1) create v0.20 from origin/main');
+  });
+
+  test('Should roll over and push each branch once all local steps succeed', async () => {
+    const pushed = [];
+    const result = await runRollover({
+      cwd: repo,
+      repoRoot: repo,
+      plan: plan(),
+      push: async branch => { pushed.push(branch); return branch !== 'v0.21'; }
+    });
+
+    expect(result).toMatchObject({ ok: true, status: 'completed-push-pending' });
+    expect(pushed).toEqual(['main', 'v0.21', 'dev_sdd_2025-10-17']);
+    expect(sh('git rev-parse --abbrev-ref HEAD')).toBe('dev_sdd_2025-10-17');
+    expect(fs.existsSync(path.join(repo, 'version.txt'))).toBe(true);
+    expect(fs.existsSync(path.join(repo, 'daily.txt'))).toBe(true);
+    expect(journal()[0]).toMatchObject({ status: 'completed-push-pending', pushes: { 'v0.21': false } });
+  });
+
+  test('Should restore every branch and HEAD when a merge conflicts', async () => {
+    sh('git checkout -q main');
+    commitFile('shared.txt', 'main change\n', 'fix: main');
+    sh('git checkout -q dev_sdd_2025-10-16');
+    commitFile('shared.txt', 'daily change\n', 'fix: daily');
+
+    const before = snapshotRefs(repo, plan().branches);
+    const result = await runRollover({ cwd: repo, repoRoot: repo, plan: plan(), push: async () => true });
+
+    expect(result).toMatchObject({ ok: false, status: 'rolled-back' });
+    expect(result.failedStep).toMatchObject({ type: 'merge', from: 'dev_sdd_2025-10-16' });
+    expect(snapshotRefs(repo, plan().branches)).toEqual(before);
+    expect(branches()).toEqual(['dev_sdd_2025-10-16', 'main', 'v0.20']);
+    expect(sh('git status --porcelain')).toBe('');
+    expect(fs.existsSync(path.join(repo, '.git', 'MERGE_HEAD'))).toBe(false);
+
+    const [entry] = journal();
+    expect(entry).toMatchObject({ status: 'rolled-back', failedStep: 'merge dev_sdd_2025-10-16 -> v0.21' });
+    expect(entry.completed).toContain('merge v0.20 -> main');
+  });
+
+  test('Should only journal the plan on a dry run', async () => {
+    const before = snapshotRefs(repo, plan().branches);
+    const result = await runRollover({ cwd: repo, repoRoot: repo, plan: plan(), dryRun: true, context: { day: 'dev_sdd_2025-10-17' } });
+
+    expect(result).toMatchObject({ ok: true, status: 'dry-run' });
+    expect(snapshotRefs(repo, plan().branches)).toEqual(before);
+    expect(journal()[0]).toMatchObject({ status: 'dry-run', day: 'dev_sdd_2025-10-17' });
+    expect(journal()[0].before.refs['v0.21']).toBeNull();
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * Test Case: Release Notes on Version Branch Creation
+ * - Area: session-branches
+ * - Component: versioning
+ * - Related Issue/PR: Generated release notes and CHANGELOG on version branch creation
+ * - Repro Summary: Agents wrote conventional commits but nothing turned them into a changelog
+ * - Expected Behavior: A new version branch gets grouped notes (breaking, features, fixes,
+ *   infrastructure, per agent) prepended to CHANGELOG.md and an annotated pre-release tag
+ * - Regression Guard: A failed release step leaves no tag, changelog commit or branch behind
+ */
+
+const { execSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const {
+  loadReleaseNotesConfig,
+  parseConventional,
+  groupCommits,
+  renderReleaseNotes,
+  prependChangelog,
+  readCommits
+} = require('../../../src/release-notes.cjs');
+const { planRollover, snapshotRefs, runRollover } = require('../../../src/rollover-transaction.cjs');
+
+describe('Release Notes', () => {
+  test('Should parse conventional subjects and breaking markers', () => {
+    expect(parseConventional('feat(api): add export')).toEqual({ type: 'feat', scope: 'api', description: 'add export', breaking: false });
+    expect(parseConventional('refactor!: drop node 16').breaking).toBe(true);
+    expect(parseConventional('fix: tokens', 'BREAKING CHANGE: tokens expire').breaking).toBe(true);
+    expect(parseConventional('Update readme')).toMatchObject({ type: null, description: 'Update readme' });
+  });
+
+  test('Should group commits once each and count them per agent', () => {
+    const commit = (subject, extra = {}) => ({ hash: 'abcdef1234', files: [], agent: null, ...parseConventional(subject), ...extra });
+    const groups = groupCommits([
+      commit('feat!: new auth', { agent: 'claude' }),
+      commit('feat(ui): dark mode', { agent: 'claude' }),
+      commit('fix: crash on start', { agent: 'warp' }),
+      commit('chore: bump deps', { files: ['package.json'] }),
+      commit('ci: cache node_modules'),
+      commit('docs: typo')
+    ]);
+
+    expect(groups.breaking.map(c => c.description)).toEqual(['new auth']);
+    expect(groups.features.map(c => c.description)).toEqual(['dark mode']);
+    expect(groups.fixes).toHaveLength(1);
+    expect(groups.infra.map(c => c.description)).toEqual(['bump deps', 'cache node_modules']);
+    expect(groups.other).toHaveLength(1);
+    expect(groups.agents).toEqual({ claude: 2, warp: 1, human: 3 });
+
+    const notes = renderReleaseNotes({ version: 'v0.21', date: '2026-10-19', groups });
+    expect(notes).toMatch(/^## \[v0\.21\] - 2026-10-19\n/);
+    expect(notes).toContain('### ✨ Features\n- **ui**: dark mode (abcdef1)');
+    expect(notes).toContain('### 🤖 By Agent\n- human: 3 commits\n- claude: 2 commits\n- warp: 1 commit');
+  });
+
+  test('Should insert notes above the newest release and keep the preamble', () => {
+    const existing = '# Changelog\n\nAll notable changes.\n\n## [1.0.0] - 2025-01-01\n- first\n';
+    const updated = prependChangelog(existing, '## [v0.21] - 2026-10-19\n\n- new\n');
+
+    expect(updated).toBe('# Changelog\n\nAll notable changes.\n\n## [v0.21] - 2026-10-19\n\n- new\n\n## [1.0.0] - 2025-01-01\n- first\n');
+    expect(prependChangelog('', '## [x]\n')).toBe('# Changelog\n\n## [x]\n');
+    expect(loadReleaseNotesConfig({ releaseNotes: { enabled: false } })).toBeNull();
+  });
+
+  describe('during the rollover', () => {
+    let repo;
+
+    const sh = cmd => execSync(cmd, { cwd: repo, encoding: 'utf8' }).trim();
+    const commitFile = (file, message) => {
+      fs.mkdirSync(path.dirname(path.join(repo, file)), { recursive: true });
+      fs.writeFileSync(path.join(repo, file), `${message}\n`);
+      fs.writeFileSync(path.join(repo, '.git', 'test-msg'), message);
+      sh(`git add ${file} && git commit -q -F .git/test-msg`);
+    };
+    const plan = config => planRollover({
+      vLast: 'v0.20',
+      vNext: 'v0.21',
+      yDaily: 'dev_sdd_2026-10-18',
+      todayDaily: 'dev_sdd_2026-10-19',
+      baseRef: 'origin/main',
+      releaseNotes: loadReleaseNotesConfig({ releaseNotes: config })
+    });
+
+    beforeEach(() => {
+      repo = fs.mkdtempSync(path.join(os.tmpdir(), 'devops-release-notes-test-'));
+      sh('git init -q --initial-branch=main');
+      sh('git config user.name "Test User" && git config user.email "user@test.com"');
+      fs.writeFileSync(path.join(repo, '.gitignore'), 'local_deploy/\n');
+      fs.writeFileSync(path.join(repo, 'CHANGELOG.md'), '# Changelog\n\n## [v0.20] - 2026-10-17\n- older\n');
+      sh('git add .gitignore CHANGELOG.md && git commit -q -m "chore: initial"');
+      sh('git branch v0.20');
+      sh('git checkout -q -b dev_sdd_2026-10-18');
+      commitFile('src/export.js', 'feat(api): add export\n\nSession-Id: abc1-def2\nAgent: claude');
+      commitFile('src/fix.js', 'fix: handle empty list\n\nAgent: warp');
+      commitFile('.github/workflows/ci.yml', 'chore: add ci workflow');
+    });
+
+    afterEach(() => {
+      fs.rmSync(repo, { recursive: true, force: true });
+    });
+
+    test('Should read the commits merged since the previous version', () => {
+      const commits = readCommits({ cwd: repo, from: 'v0.20', to: 'dev_sdd_2026-10-18' });
+
+      expect(commits.map(c => [c.type, c.agent])).toEqual([['chore', null], ['fix', 'warp'], ['feat', 'claude']]);
+      expect(commits[0].files).toEqual(['.github/workflows/ci.yml']);
+    });
+
+    test('Should commit the changelog on the new version branch and tag it', async () => {
+      const pushedTags = [];
+      const result = await runRollover({
+        cwd: repo,
+        repoRoot: repo,
+        plan: plan(),
+        push: async () => true,
+        pushTag: async tag => { pushedTags.push(tag); return true; }
+      });
+
+      expect(result).toMatchObject({ ok: true, status: 'completed', release: { tag: 'release/v0.21-rc.1', commits: 3 } });
+      expect(pushedTags).toEqual(['release/v0.21-rc.1']);
+      expect(sh('git log -1 --format=%s v0.21')).toBe('docs(changelog): release v0.21');
+      expect(sh('git rev-parse release/v0.21-rc.1^{commit}')).toBe(sh('git rev-parse v0.21'));
+
+      const changelog = sh('git show v0.21:CHANGELOG.md');
+      expect(changelog.indexOf('## [v0.21]')).toBeLessThan(changelog.indexOf('## [v0.20]'));
+      expect(changelog).toContain('### 🏗️ Infrastructure\n- add ci workflow');
+      expect(sh('git tag -l --format="%(contents)" release/v0.21-rc.1')).toContain('### 🔧 Fixes');
+      // Today's daily starts after the changelog commit
+      expect(sh('git rev-parse dev_sdd_2026-10-19')).toBe(sh('git rev-parse v0.21'));
+    });
+
+    test('Should roll back branches and tags when the release step fails', async () => {
+      const broken = plan({ changelogFile: 'missing/dir/CHANGELOG.md' });
+      const before = snapshotRefs(repo, broken.branches, broken.tags);
+      const result = await runRollover({ cwd: repo, repoRoot: repo, plan: broken });
+
+      expect(result).toMatchObject({ ok: false, status: 'rolled-back', failedStep: { type: 'release' } });
+      expect(snapshotRefs(repo, broken.branches, broken.tags)).toEqual(before);
+      expect(sh('git tag -l')).toBe('');
+      expect(sh('git branch --list v0.21')).toBe('');
+    });
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Test Case: Release Tags for Version Branches
+ * - Area: session-branches
+ * - Component: versioning
+ * - Related Issue/PR: Git tag and release object creation for version branches
+ * - Repro Summary: Version branches are mutable, so nothing marked the exact commit that shipped
+ * - Expected Behavior: The rollover tags main as release/<vLast> when it merges the last version,
+ *   and `release` cuts final or -rc.N pre-release tags from any version branch
+ * - Regression Guard: A version is never released twice, and tags are rolled back with the rollover
+ */
+
+const { execSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { loadReleaseTagConfig, releaseTagName, cutRelease } = require('../../../src/release-tags.cjs');
+const { planRollover, describePlan, snapshotRefs, runRollover } = require('../../../src/rollover-transaction.cjs');
+
+describe('Release Tags', () => {
+  let repo;
+
+  const sh = cmd => execSync(cmd, { cwd: repo, encoding: 'utf8' }).trim();
+  const commitFile = (file, message) => {
+    fs.writeFileSync(path.join(repo, file), `${message}\n`);
+    sh(`git add ${file} && git commit -q -m "${message}"`);
+  };
+  const config = loadReleaseTagConfig({ releaseTags: { onRollover: true } });
+  const plan = () => planRollover({
+    vLast: 'v0.20',
+    vNext: 'v0.21',
+    yDaily: 'dev_sdd_2026-10-18',
+    todayDaily: 'dev_sdd_2026-10-19',
+    baseRef: 'origin/main',
+    releaseTags: config
+  });
+
+  beforeEach(() => {
+    repo = fs.mkdtempSync(path.join(os.tmpdir(), 'devops-release-tags-test-'));
+    sh('git init -q --initial-branch=main');
+    sh('git config user.name "Test User" && git config user.email "user@test.com"');
+    fs.writeFileSync(path.join(repo, '.gitignore'), 'local_deploy/\n');
+    sh('git add .gitignore && git commit -q -m "chore: initial"');
+    sh('git checkout -q -b v0.20');
+    commitFile('export.js', 'feat: add export');
+    sh('git checkout -q -b dev_sdd_2026-10-18');
+    commitFile('fix.js', 'fix: handle empty list');
+    sh('git checkout -q main');
+  });
+
+  afterEach(() => {
+    fs.rmSync(repo, { recursive: true, force: true });
+  });
+
+  test('Should name final and pre-release tags', () => {
+    expect(releaseTagName('v0.21', config)).toBe('release/v0.21');
+    expect(releaseTagName('v1.2.0', { prefix: '' }, 2)).toBe('v1.2.0-rc.2');
+    expect(loadReleaseTagConfig({})).toMatchObject({ onRollover: false, sign: false });
+    expect(describePlan(plan())[3]).toBe('  4) tag main as release/v0.20');
+  });
+
+  test('Should tag the merge of the last version into main during the rollover', async () => {
+    const pushedTags = [];
+    const result = await runRollover({
+      cwd: repo,
+      repoRoot: repo,
+      plan: plan(),
+      push: async () => true,
+      pushTag: async tag => { pushedTags.push(tag); return true; }
+    });
+
+    expect(result).toMatchObject({ ok: true, status: 'completed', tagged: { tag: 'release/v0.20', signed: false } });
+    expect(pushedTags).toEqual(['release/v0.20']);
+    expect(sh('git rev-parse release/v0.20^{commit}')).toBe(sh('git rev-parse main'));
+    expect(sh('git cat-file -t release/v0.20')).toBe('tag');
+
+    const message = sh('git tag -l --format="%(contents)" release/v0.20');
+    expect(message).toMatch(/^Release v0\.20/);
+    expect(message).toContain('add export');
+    expect(message).not.toContain('handle empty list');
+  });
+
+  test('Should keep a tag that was already released by hand', async () => {
+    sh('git tag -a -m "manual" release/v0.20 v0.20');
+    const manual = sh('git rev-parse release/v0.20');
+    const result = await runRollover({ cwd: repo, repoRoot: repo, plan: plan() });
+
+    expect(result).toMatchObject({ ok: true, tagged: null });
+    expect(sh('git rev-parse release/v0.20')).toBe(manual);
+  });
+
+  test('Should roll back the tag when a later step fails', async () => {
+    // The daily branch conflicts with main, so merging it into v0.21 fails after the tag step
+    commitFile('notes.txt', 'docs: notes on main');
+    sh('git checkout -q dev_sdd_2026-10-18');
+    commitFile('notes.txt', 'docs: notes on the daily');
+    sh('git checkout -q main');
+    const p = plan();
+    const before = snapshotRefs(repo, p.branches, p.tags);
+    const result = await runRollover({ cwd: repo, repoRoot: repo, plan: p });
+
+    expect(result).toMatchObject({ ok: false, status: 'rolled-back', failedStep: { type: 'merge', into: 'v0.21' } });
+    expect(snapshotRefs(repo, p.branches, p.tags)).toEqual(before);
+    expect(sh('git tag -l')).toBe('');
+  });
+
+  test('Should cut pre-releases and a single final release from a version branch', () => {
+    const pre1 = cutRelease({ cwd: repo, branch: 'v0.20', prerelease: true, config });
+    const pre2 = cutRelease({ cwd: repo, branch: 'v0.20', prerelease: true, config });
+    const dry = cutRelease({ cwd: repo, config, dryRun: true });
+
+    expect([pre1.tag, pre2.tag]).toEqual(['release/v0.20-rc.1', 'release/v0.20-rc.2']);
+    expect(pre1.message).toMatch(/^Pre-release v0\.20/);
+    expect(dry).toMatchObject({ ok: true, dryRun: true, tag: 'release/v0.20' });
+    expect(sh('git tag -l release/v0.20')).toBe('');
+
+    const final = cutRelease({ cwd: repo, branch: 'v0.20', config });
+    expect(final).toMatchObject({ ok: true, tag: 'release/v0.20', target: sh('git rev-parse v0.20') });
+    expect(cutRelease({ cwd: repo, branch: 'v0.20', config })).toMatchObject({ ok: false, error: 'v0.20 was already released as release/v0.20' });
+    expect(cutRelease({ cwd: repo, branch: 'main', config }).ok).toBe(false);
+  });
+
+  test('Should only include changes since the previous version\'s release', () => {
+    cutRelease({ cwd: repo, branch: 'v0.20', config });
+    sh('git checkout -q -b v0.21 v0.20');
+    commitFile('later.js', 'feat: later feature');
+
+    const release = cutRelease({ cwd: repo, config, dryRun: true });
+    expect(release).toMatchObject({ tag: 'release/v0.21', from: 'release/v0.20' });
+    expect(release.message).toContain('later feature');
+    expect(release.message).not.toContain('add export');
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Test Case: Pluggable Versioning Strategies
+ * - Area: session-branches
+ * - Component: versioning
+ * - Related Issue/PR: Semantic version strategy for version branches
+ * - Repro Summary: Version branches could only be v0.NN micro-revisions
+ * - Expected Behavior: Projects choose micro, semver (bumped from conventional commits),
+ *   calver or no version branches; each strategy only reads its own branch names
+ * - Regression Guard: Existing projects without a strategy type keep v0.NN micro-revisions
+ */
+
+const {
+  loadVersionConfig,
+  bumpFromCommits,
+  versionBranches,
+  latestVersionBranch,
+  nextVersionBranch
+} = require('../../../src/version-strategy.cjs');
+const { planRollover, describePlan } = require('../../../src/rollover-transaction.cjs');
+
+const branches = ['main', 'v0.20', 'v0.9', 'v1.4.2', 'v1.10.0', '2026.10.18', 'dev_sdd_2026-10-18'];
+
+describe('Versioning Strategies', () => {
+  test('Should keep micro-revisions for existing projects', () => {
+    const config = loadVersionConfig({ versioningStrategy: { prefix: 'v0.', startMinor: 20, configured: true } });
+
+    expect(config.type).toBe('micro');
+    expect(latestVersionBranch(branches, config)).toBe('v0.20');
+    expect(nextVersionBranch({ branches, config })).toBe('v0.21');
+    expect(nextVersionBranch({ branches: ['main'], config })).toBe('v0.20');
+  });
+
+  test('Should let environment variables override project settings', () => {
+    const config = loadVersionConfig(
+      { versioningStrategy: { type: 'semver' } },
+      { AC_VERSION_STRATEGY: 'micro', AC_VERSION_PREFIX: 'v2.', AC_VERSION_INCREMENT: '10' }
+    );
+
+    expect(config).toMatchObject({ type: 'micro', prefix: 'v2.', dailyIncrement: 10, startMinor: 20 });
+    expect(loadVersionConfig({ versioningStrategy: { type: 'bogus' } }).type).toBe('micro');
+  });
+
+  test('Should derive the semver bump from conventional commit types', () => {
+    expect(bumpFromCommits(['fix: typo', 'docs: readme'])).toBe('patch');
+    expect(bumpFromCommits(['fix: typo', 'feat(api): export'])).toBe('minor');
+    expect(bumpFromCommits(['feat!: drop v1 api'])).toBe('major');
+    expect(bumpFromCommits(['refactor: auth\n\nBREAKING CHANGE: tokens expire'])).toBe('major');
+    expect(bumpFromCommits([])).toBe('patch');
+  });
+
+  test('Should bump the newest semver branch numerically', () => {
+    const config = loadVersionConfig({ versioningStrategy: { type: 'semver' } });
+
+    expect(versionBranches(branches, config)).toEqual(['v1.10.0', 'v1.4.2']);
+    expect(nextVersionBranch({ branches, config, messages: ['feat: add export'] })).toBe('v1.11.0');
+    expect(nextVersionBranch({ branches, config, messages: ['fix: crash'] })).toBe('v1.10.1');
+    expect(nextVersionBranch({ branches: ['main'], config: loadVersionConfig({ versioningStrategy: { type: 'semver', initialVersion: '2.0.0' } }) }))
+      .toBe('v2.0.0');
+  });
+
+  test('Should name calendar versions after the working day', () => {
+    const config = loadVersionConfig({ versioningStrategy: { type: 'calver' } });
+
+    expect(nextVersionBranch({ branches, config, day: '2026-10-19' })).toBe('2026.10.19');
+    expect(nextVersionBranch({ branches, config, day: '20261018' })).toBe('2026.10.18.1');
+    expect(latestVersionBranch([...branches, '2026.10.18.1'], config)).toBe('2026.10.18.1');
+  });
+
+  test('Should skip version branches entirely for the none strategy', () => {
+    const config = loadVersionConfig({ versioningStrategy: { type: 'none' } });
+
+    expect(latestVersionBranch(branches, config)).toBeNull();
+    expect(nextVersionBranch({ branches, config })).toBeNull();
+
+    const plan = planRollover({ vLast: null, vNext: null, yDaily: 'dev_sdd_2026-10-18', todayDaily: 'dev_sdd_2026-10-19', baseRef: 'origin/main' });
+    expect(describePlan(plan)).toEqual([
+      '  1) checkout main',
+      '  2) update main from origin/main',
+      '  3) merge dev_sdd_2026-10-18 -> main',
+      '  4) create dev_sdd_2026-10-19 from main',
+      '  5) push main',
+      '  6) push dev_sdd_2026-10-19'
+    ]);
+  });
+});
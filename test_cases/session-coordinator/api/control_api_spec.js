@@ -0,0 +1,162 @@
+/**
+ * Test Case: Local HTTP/JSON Control API
+ * - Area: session-coordinator
+ * - Component: api
+ * - Related Issue/PR: Local HTTP/JSON control API for the session coordinator
+ * - Repro Summary: Sessions and workers could only be driven through interactive readline
+ *   menus, so editor extensions and scripts needed a TTY
+ * - Expected Behavior: A local-only server exposes sessions, worker commands, file
+ *   declarations and conflict reports, backed by the coordinator and command protocol
+ * - Regression Guard: Every request needs the bearer token, and a worker command that
+ *   times out is withdrawn instead of running later
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const os = require('os');
+const { startControlApi, readControlApiInfo, controlApiInfoPath } = require('../../../src/control-api.cjs');
+const { commandsDir, handleCommandFile, isCommandFile } = require('../../../src/command-protocol.cjs');
+const FileCoordinator = require('../../../src/file-coordinator.cjs');
+
+describe('Control API', () => {
+  let repoRoot;
+  let api;
+  let calls;
+  let sessions;
+
+  // Stands in for SessionCoordinator, recording how it is driven
+  const coordinator = {
+    getSessions: () => sessions,
+    createSession: async options => {
+      calls.push(['create', options]);
+      const session = { sessionId: 'new1-sess', agentType: options.agent, task: options.task };
+      sessions.push(session);
+      return { sessionId: session.sessionId, task: options.task };
+    },
+    startAgent: async (sessionId, options) => {
+      calls.push(['start', sessionId, options]);
+      return { pid: 4242, logFile: null };
+    },
+    closeSession: async (sessionId, options) => {
+      calls.push(['close', sessionId, options]);
+      sessions = sessions.filter(s => s.sessionId !== sessionId);
+      return { sessionId, merged: null, worktreeRemoved: true };
+    }
+  };
+
+  const request = (method, route, { body, token = api.info.token, socketPath } = {}) => new Promise((resolve, reject) => {
+    const url = socketPath ? null : new URL(route, api.info.url);
+    const payload = body === undefined ? '' : JSON.stringify(body);
+    const req = http.request({
+      method,
+      ...(socketPath ? { socketPath, path: route } : { host: url.hostname, port: url.port, path: url.pathname }),
+      headers: { 'Content-Length': Buffer.byteLength(payload), ...(token ? { Authorization: `Bearer ${token}` } : {}) }
+    }, res => {
+      let text = '';
+      res.on('data', chunk => { text += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(text) }));
+    });
+    req.on('error', reject);
+    req.end(payload);
+  });
+
+  beforeEach(async () => {
+    repoRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'devops-control-api-test-'));
+    calls = [];
+    sessions = [{ sessionId: 'abc1-def2', agentType: 'claude', task: 'export' }];
+    api = await startControlApi({ coordinator, repoRoot, commandTimeout: 0.3 });
+  });
+
+  afterEach(async () => {
+    await api.close();
+    fs.rmSync(repoRoot, { recursive: true, force: true });
+  });
+
+  test('Should only answer requests with the published token', async () => {
+    const info = readControlApiInfo(repoRoot);
+    expect(info).toMatchObject({ url: api.info.url, token: api.info.token, pid: process.pid });
+    expect(info.url).toMatch(/^http:\/\/127\.0\.0\.1:\d+$/);
+    expect(fs.statSync(controlApiInfoPath(repoRoot)).mode & 0o777).toBe(0o600);
+
+    expect((await request('GET', '/v1/sessions', { token: null })).status).toBe(401);
+    expect((await request('GET', '/v1/sessions', { token: 'wrong' })).body.error.code).toBe('unauthorized');
+    expect((await request('GET', '/v1/nothing')).status).toBe(404);
+    expect((await request('PUT', '/v1/sessions')).status).toBe(405);
+
+    await api.close();
+    expect(readControlApiInfo(repoRoot)).toBeNull();
+
+    const socket = path.join(repoRoot, 'api.sock');
+    api = await startControlApi({ coordinator, repoRoot, socket, token: 'socket-token' });
+    const listed = await request('GET', '/v1/sessions', { socketPath: socket, token: 'socket-token' });
+    expect(listed).toMatchObject({ status: 200, body: { sessions: [{ sessionId: 'abc1-def2' }] } });
+  });
+
+  test('Should create, start and close sessions without prompting', async () => {
+    expect((await request('POST', '/v1/sessions', { body: {} })).body.error.code).toBe('invalid-args');
+
+    const created = await request('POST', '/v1/sessions', { body: { task: 'api-endpoints', start: true } });
+    expect(created).toMatchObject({ status: 201, body: { sessionId: 'new1-sess', agent: { pid: 4242 } } });
+    expect(calls[0]).toEqual(['create', { task: 'api-endpoints', agent: 'claude', mergeConfig: undefined, interactive: false }]);
+    expect(calls[1]).toEqual(['start', 'new1-sess', { detached: true }]);
+
+    const closed = await request('DELETE', '/v1/sessions/new1-sess', { body: { merge: true, target: 'develop' } });
+    expect(closed).toMatchObject({ status: 200, body: { worktreeRemoved: true } });
+    expect(calls[2]).toEqual(['close', 'new1-sess', { interactive: false, commit: false, merge: true, target: 'develop', removeWorktree: true }]);
+    expect((await request('DELETE', '/v1/sessions/new1-sess')).status).toBe(404);
+  });
+
+  test('Should relay worker commands and withdraw unanswered ones', async () => {
+    const inbox = commandsDir(repoRoot, 'abc1-def2');
+    const handlers = {
+      status: async () => ({ branch: 'dev_sdd_2026-10-19', paused: false }),
+      push: async () => { throw Object.assign(new Error('a commit is in progress'), { code: 'busy' }); }
+    };
+    const worker = setInterval(() => {
+      if (!fs.existsSync(inbox)) return;
+      fs.readdirSync(inbox).filter(isCommandFile).forEach(name => handleCommandFile(path.join(inbox, name), handlers));
+    }, 20);
+
+    try {
+      const status = await request('GET', '/v1/sessions/abc1-def2/status');
+      expect(status).toMatchObject({ status: 200, body: { command: 'status', status: 'ok', payload: { branch: 'dev_sdd_2026-10-19' } } });
+
+      const busy = await request('POST', '/v1/sessions/abc1-def2/commands/push');
+      expect(busy).toMatchObject({ status: 409, body: { status: 'error', error: { code: 'busy' } } });
+
+      // Invalid commands are refused before they reach the inbox
+      const invalid = await request('POST', '/v1/sessions/abc1-def2/commands/rollback', { body: { count: 'two' } });
+      expect(invalid).toMatchObject({ status: 400, body: { error: { code: 'invalid-args' } } });
+      expect((await request('GET', '/v1/sessions/zzz9-yyy8/status')).status).toBe(404);
+    } finally {
+      clearInterval(worker);
+    }
+
+    const unanswered = await request('POST', '/v1/sessions/abc1-def2/commands/commit-now', { body: { message: 'feat: later' } });
+    expect(unanswered).toMatchObject({ status: 504, body: { error: { code: 'timeout' } } });
+    expect(fs.readdirSync(inbox).filter(isCommandFile)).toEqual([]);
+  });
+
+  test('Should declare files and report conflicts', async () => {
+    sessions.push({ sessionId: 'zzz9-yyy8', agentType: 'warp', task: 'docs' });
+
+    const declared = await request('POST', '/v1/sessions/abc1-def2/declarations', { body: { files: ['src/a.js'], reason: 'export' } });
+    expect(declared).toMatchObject({ status: 200, body: { ok: true, files: ['src/a.js'] } });
+
+    const refused = await request('POST', '/v1/sessions/zzz9-yyy8/declarations', { body: { files: ['src/a.js'] } });
+    expect(refused).toMatchObject({ status: 409, body: { ok: false, conflicts: [{ file: 'src/a.js', conflictsWith: 'claude' }] } });
+
+    const active = await request('GET', '/v1/declarations');
+    expect(active.body.declarations).toEqual([expect.objectContaining({ agent: 'claude', session: 'abc1-def2', files: ['src/a.js'] })]);
+
+    new FileCoordinator('zzz9-yyy8', repoRoot, repoRoot).createConflictReport({ conflicts: refused.body.conflicts });
+    const reports = await request('GET', '/v1/conflicts');
+    expect(reports.body.conflicts).toEqual([expect.objectContaining({ sessionId: 'zzz9-yyy8' })]);
+    const report = await request('GET', `/v1/conflicts/${reports.body.conflicts[0].name}`);
+    expect(report.body.content).toContain('src/a.js');
+
+    const released = await request('DELETE', '/v1/sessions/abc1-def2/declarations');
+    expect(released.body).toEqual({ released: ['src/a.js'], remaining: [] });
+  });
+});
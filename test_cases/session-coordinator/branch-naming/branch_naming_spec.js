@@ -0,0 +1,103 @@
+/**
+ * Test Case: Configurable Session Branch Naming Templates
+ * - Area: session-coordinator
+ * - Component: branch-naming
+ * - Related Issue/PR: Configurable session branch naming templates
+ * - Repro Summary: createSession hardcoded initials/agent/session/task branch names while
+ *   worktree-manager.js used its own agent/${agentName}/... patterns, and neither could
+ *   follow a team convention such as feature/ABC-123-foo
+ * - Expected Behavior: Both render names from the branchNaming templates in project
+ *   settings, with {initials}, {agent}, {session}, {task}, {slug}, {ticket} and {date}
+ * - Regression Guard: The default templates keep the original session names, and names
+ *   that fail `git check-ref-format --branch` are rejected before anything is created;
+ *   a custom convention also names the dated branches the worker pushes
+ */
+
+const { execSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const {
+  loadBranchNamingConfig,
+  namingValues,
+  renderTemplate,
+  checkBranchName,
+  renderSessionNames
+} = require('../../../src/branch-naming.cjs');
+
+describe('Branch Naming Templates', () => {
+  const session = { initials: 'sdd', agent: 'claude', session: 'abc1-def2', date: '2025-01-31' };
+
+  test('Should keep the original session names by default', () => {
+    const names = renderSessionNames({ ...session, task: 'auth feature' }, loadBranchNamingConfig({}));
+
+    expect(names.branchName).toBe('sdd/claude/abc1-def2/auth-feature');
+    expect(names.worktreeName).toBe('sdd-claude-abc1-def2-auth-feature');
+    expect(names.dailyPrefix).toBeNull();
+  });
+
+  test('Should render ticket and slug placeholders from project settings', () => {
+    const config = loadBranchNamingConfig({
+      branchNaming: { branch: 'feature/{ticket}-{slug}', worktree: '{date}/{ticket}-{slug}' }
+    });
+
+    const fromTask = namingValues({ ...session, task: 'ABC-123 Fix the Login flow' }, config);
+    expect(fromTask).toMatchObject({ ticket: 'ABC-123', slug: 'fix-the-login-flow', task: 'ABC-123-Fix-the-Login-flow' });
+    expect(renderSessionNames({ ...session, task: 'ABC-123 Fix the Login flow' }, config)).toMatchObject({
+      branchName: 'feature/ABC-123-fix-the-login-flow',
+      worktreeName: '2025-01-31-ABC-123-fix-the-login-flow'
+    });
+    expect(renderSessionNames({ ...session, task: 'Fix login', ticket: 'OPS-7' }, config).branchName).toBe('feature/OPS-7-fix-login');
+
+    // An empty placeholder takes one separator with it
+    expect(renderSessionNames({ ...session, task: 'Fix login' }, config).branchName).toBe('feature/fix-login');
+    expect(renderTemplate('{initials}/{agent}/{session}/{task}', namingValues({ agent: 'claude', task: 'x' }))).toBe('claude/x');
+    expect(renderTemplate('{slug}-{ticket}', namingValues({ task: 'docs' }))).toBe('docs');
+  });
+
+  test('Should push the dated worker branches under a configured convention', () => {
+    const repoRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'devops-branch-naming-test-'));
+    const git = (cmd, cwd = repoRoot) => execSync(`git ${cmd}`, { cwd, encoding: 'utf8', stdio: 'pipe' }).trim();
+    try {
+      const config = loadBranchNamingConfig({ branchNaming: { branch: 'feature/{ticket}-{slug}' } });
+      const names = renderSessionNames({ ...session, task: 'ABC-123 Fix login' }, config, repoRoot);
+      expect(names.dailyPrefix).toBe('feature/ABC-123-fix-login_');
+      expect(renderSessionNames({ ...session, task: 'x' }, loadBranchNamingConfig({
+        branchNaming: { daily: '{initials}_{agent}_{session}_' }
+      })).dailyPrefix).toBe('sdd_claude_abc1-def2_');
+      expect(() => renderSessionNames({ ...session, task: 'x' }, { ...config, daily: '{branch}/' }, repoRoot))
+        .toThrow('must not be or be nested under the session branch');
+
+      // The worker's branch is AC_BRANCH_PREFIX (the recorded dailyPrefix) plus the day
+      const remote = path.join(repoRoot, 'remote.git');
+      const work = path.join(repoRoot, 'work');
+      git(`init -q --bare -b main "${remote}"`);
+      git(`clone -q "${remote}" "${work}"`);
+      git('-c user.name=T -c user.email=t@e.com commit -q --allow-empty -m init', work);
+      git(`checkout -q -b ${names.branchName}`, work);
+      git(`checkout -q -b ${names.dailyPrefix}2025-01-31`, work);
+      git(`push -q origin ${names.dailyPrefix}2025-01-31`, work);
+
+      expect(git('for-each-ref --format="%(refname:short)" refs/heads', remote)).toBe('feature/ABC-123-fix-login_2025-01-31');
+    } finally {
+      fs.rmSync(repoRoot, { recursive: true, force: true });
+    }
+  });
+
+  test('Should reject unknown placeholders and invalid branch names', () => {
+    const repoRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'devops-branch-naming-test-'));
+    try {
+      expect(checkBranchName('feature/ABC-1-x', repoRoot)).toEqual({ valid: true });
+      expect(checkBranchName('feature/x.lock', repoRoot).valid).toBe(false);
+
+      expect(() => renderTemplate('{initials}/{jira}', namingValues(session)))
+        .toThrow('Unknown placeholder {jira}');
+      expect(() => renderSessionNames({ ...session, task: 'x' }, { ...loadBranchNamingConfig({}), branch: '{agent}/{task}.lock' }, repoRoot))
+        .toThrow('produced an invalid branch name "claude/x.lock"');
+      expect(() => renderSessionNames({ task: 'x' }, { ...loadBranchNamingConfig({}), branch: '{ticket}' }, repoRoot))
+        .toThrow('invalid branch name ""');
+    } finally {
+      fs.rmSync(repoRoot, { recursive: true, force: true });
+    }
+  });
+});
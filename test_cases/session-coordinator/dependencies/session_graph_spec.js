@@ -0,0 +1,116 @@
+/**
+ * Test Case: Session Dependency Graph and Merge Ordering
+ * - Area: session-coordinator
+ * - Component: dependencies
+ * - Related Issue/PR: Session dependency graph and merge ordering
+ * - Repro Summary: Sessions were independent, so a session building on another session's
+ *   branch had to start from HEAD and its parent could be merged after it
+ * - Expected Behavior: Sessions record a base session; ancestors come before dependents,
+ *   and a dependent is rebased onto the target once its parent has merged
+ * - Regression Guard: A conflicting rebase is aborted and leaves the worktree untouched,
+ *   uncommitted changes survive a rebase, and dependency cycles are reported
+ */
+
+const { execSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const {
+  sessionGraph,
+  ancestorsOf,
+  dependentsOf,
+  isMergedInto,
+  rebaseSession
+} = require('../../../src/session-graph.cjs');
+
+describe('Session Dependency Graph', () => {
+  test('Should order sessions with base sessions first', () => {
+    const sessions = [
+      { sessionId: 'test-cccc', baseSession: 'api1-bbbb' },
+      { sessionId: 'docs-dddd', baseSession: null },
+      { sessionId: 'api1-bbbb', baseSession: 'core-aaaa' },
+      { sessionId: 'core-aaaa' },
+      { sessionId: 'orph-eeee', baseSession: 'gone-zzzz' }
+    ];
+
+    expect(sessionGraph(sessions).parents).toEqual({
+      'test-cccc': 'api1-bbbb', 'docs-dddd': null, 'api1-bbbb': 'core-aaaa', 'core-aaaa': null, 'orph-eeee': null
+    });
+    expect(ancestorsOf(sessions, 'test-cccc')).toEqual(['core-aaaa', 'api1-bbbb']);
+    expect(ancestorsOf(sessions, 'orph-eeee')).toEqual([]);
+    expect(dependentsOf(sessions, 'core-aaaa')).toEqual(['api1-bbbb']);
+
+    const cyclic = [{ sessionId: 'a', baseSession: 'b' }, { sessionId: 'b', baseSession: 'a' }];
+    expect(() => ancestorsOf(cyclic, 'a')).toThrow('session dependency cycle: a → b → a');
+  });
+
+  describe('with a repository', () => {
+    let repoRoot;
+    let parent;
+    let child;
+
+    const git = (cmd, cwd = repoRoot) => execSync(`git ${cmd}`, { cwd, encoding: 'utf8', stdio: 'pipe' }).trim();
+    const commitFile = (cwd, file, content, message) => {
+      fs.writeFileSync(path.join(cwd, file), content);
+      git(`add "${file}"`, cwd);
+      git(`commit -q -m "${message}"`, cwd);
+    };
+    const worktree = (sessionId, startPoint, extra = {}) => {
+      const branchName = `sdd/claude/${sessionId}/task`;
+      const worktreePath = path.join(repoRoot, 'local_deploy', 'worktrees', sessionId);
+      git(`worktree add -q -b ${branchName} "${worktreePath}" ${startPoint}`);
+      return { sessionId, branchName, worktreePath, ...extra };
+    };
+
+    beforeEach(() => {
+      repoRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'devops-session-graph-test-'));
+      git('init -q -b main');
+      git('config user.email test@example.com');
+      git('config user.name Test');
+      fs.writeFileSync(path.join(repoRoot, '.gitignore'), 'local_deploy/\n');
+      commitFile(repoRoot, 'app.js', 'one\n', 'initial');
+
+      parent = worktree('core-aaaa', 'HEAD');
+      commitFile(parent.worktreePath, 'core.js', 'core\n', 'add core');
+      child = worktree('api1-bbbb', parent.branchName, { baseSession: 'core-aaaa' });
+      commitFile(child.worktreePath, 'api.js', 'api\n', 'add api');
+    });
+
+    afterEach(() => {
+      fs.rmSync(repoRoot, { recursive: true, force: true });
+    });
+
+    test('Should rebase a dependent onto the target once its parent merged', () => {
+      commitFile(repoRoot, 'main.txt', 'main moved on\n', 'main work');
+      expect(isMergedInto(repoRoot, parent, 'main')).toBe(false);
+
+      git(`merge -q --no-ff ${parent.branchName} -m "Merge session core-aaaa"`);
+      expect(isMergedInto(repoRoot, parent, 'main')).toBe(true);
+      expect(isMergedInto(repoRoot, child, 'main')).toBe(false);
+
+      fs.writeFileSync(path.join(child.worktreePath, 'wip.txt'), 'not committed yet\n');
+      fs.writeFileSync(path.join(child.worktreePath, 'app.js'), 'one\nlocal edit\n');
+      const result = rebaseSession(child, 'main');
+
+      expect(result.ok).toBe(true);
+      expect(git('rev-parse HEAD', child.worktreePath)).toBe(result.head);
+      expect(git('log --format=%s main..HEAD', child.worktreePath)).toBe('add api');
+      expect(git('merge-base --is-ancestor main HEAD', child.worktreePath)).toBe('');
+      expect(fs.readFileSync(path.join(child.worktreePath, 'app.js'), 'utf8')).toBe('one\nlocal edit\n');
+      expect(fs.existsSync(path.join(child.worktreePath, 'wip.txt'))).toBe(true);
+    });
+
+    test('Should abort a conflicting rebase and leave the worktree as it was', () => {
+      commitFile(repoRoot, 'api.js', 'a different api\n', 'main adds api too');
+      const before = git('rev-parse HEAD', child.worktreePath);
+
+      const result = rebaseSession(child, 'main');
+
+      expect(result.ok).toBe(false);
+      expect(result.error).toContain('api.js');
+      expect(git('rev-parse HEAD', child.worktreePath)).toBe(before);
+      expect(git('status --porcelain', child.worktreePath)).toBe('');
+      expect(rebaseSession({ ...child, worktreePath: path.join(repoRoot, 'missing') }, 'main')).toEqual({ ok: false, error: 'worktree not found' });
+    });
+  });
+});
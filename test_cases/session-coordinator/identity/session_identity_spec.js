@@ -0,0 +1,109 @@
+/**
+ * Test Case: Per-session Commit Identity and Signing
+ * - Area: session-coordinator
+ * - Component: identity
+ * - Related Issue/PR: Commit signing and author identity per session
+ * - Repro Summary: Every session committed with the global git identity, so nothing
+ *   showed which agent session wrote a commit
+ * - Expected Behavior: Each worktree gets its own author identity (and optional signing
+ *   config) and the human is credited with a Co-authored-by trailer
+ * - Regression Guard: The main checkout's identity must not change
+ */
+
+const { execSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const {
+  loadIdentityConfig,
+  sessionAuthor,
+  buildSessionIdentity,
+  identityGitConfig,
+  applyWorktreeIdentity,
+  coAuthorTrailer
+} = require('../../../src/session-identity.cjs');
+const { appendTrailers } = require('../../../src/commit-trailers.cjs');
+
+const session = { sessionId: 'abc1-def2', agentType: 'claude', developerInitials: 'jdo' };
+const human = { name: 'Jordan Doe', email: 'jordan@example.com' };
+
+describe('Session Commit Identity', () => {
+  test('Should derive the session author from the templates', () => {
+    expect(sessionAuthor(session, human, loadIdentityConfig({}))).toEqual({
+      name: 'Claude (session abc1)',
+      email: 'jordan+claude@example.com'
+    });
+
+    const custom = loadIdentityConfig({
+      sessionIdentity: { nameTemplate: '{initials}/{agent}', emailTemplate: '{agent}-{session}@bots.example.com' }
+    });
+    expect(sessionAuthor(session, { name: '', email: '' }, custom)).toEqual({
+      name: 'jdo/claude',
+      email: 'claude-abc1-def2@bots.example.com'
+    });
+  });
+
+  test('Should replace an existing plus tag and fall back without a human email', () => {
+    const config = loadIdentityConfig({});
+    expect(sessionAuthor(session, { email: 'jordan+work@example.com' }, config).email).toBe('jordan+claude@example.com');
+    expect(sessionAuthor(session, { email: '' }, config).email).toBe('jdo+claude@devops-agent.local');
+  });
+
+  test('Should only credit a co-author and configure signing when possible', () => {
+    expect(loadIdentityConfig({ sessionIdentity: { enabled: false } })).toBeNull();
+
+    const signed = buildSessionIdentity(session, human, loadIdentityConfig({
+      sessionIdentity: { signing: { format: 'ssh', key: '~/.ssh/id_ed25519.pub' } }
+    }));
+    expect(coAuthorTrailer(signed)).toEqual({ key: 'Co-authored-by', value: 'Jordan Doe <jordan@example.com>' });
+    expect(identityGitConfig(signed)).toEqual(expect.arrayContaining([
+      ['gpg.format', 'ssh'],
+      ['user.signingkey', '~/.ssh/id_ed25519.pub'],
+      ['commit.gpgsign', 'true']
+    ]));
+
+    const anonymous = buildSessionIdentity(session, { name: '', email: '' }, loadIdentityConfig({}));
+    expect(coAuthorTrailer(anonymous)).toBeNull();
+    expect(identityGitConfig(anonymous)).toHaveLength(2);
+  });
+
+  test('Should add trailers to the footer paragraph without duplicating them', () => {
+    const trailer = { key: 'Co-authored-by', value: 'Jordan Doe <jordan@example.com>' };
+
+    expect(appendTrailers('docs: fix typo', [trailer])).toBe(
+      'docs: fix typo\n\nCo-authored-by: Jordan Doe <jordan@example.com>'
+    );
+    expect(appendTrailers('feat!: drop v1\n\nWhy.\n\nBREAKING CHANGE: v1 removed', [trailer])).toBe(
+      'feat!: drop v1\n\nWhy.\n\nBREAKING CHANGE: v1 removed\nCo-authored-by: Jordan Doe <jordan@example.com>'
+    );
+
+    const once = appendTrailers('docs: fix typo', [trailer]);
+    expect(appendTrailers(once, [trailer])).toBe(once);
+  });
+
+  test('Should write the identity into the worktree config only', () => {
+    const testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'devops-identity-test-'));
+    const repo = path.join(testDir, 'repo');
+    const worktree = path.join(testDir, 'wt');
+
+    try {
+      execSync(`git init -q --initial-branch=main ${repo}`);
+      execSync('git config user.name "Main User" && git config user.email "main@example.com"', { cwd: repo });
+      fs.writeFileSync(path.join(repo, 'README.md'), '# Test');
+      execSync('git add README.md && git commit -q -m "Initial commit"', { cwd: repo });
+      execSync(`git worktree add -q -b session ${worktree}`, { cwd: repo });
+
+      const identity = buildSessionIdentity(session, human, loadIdentityConfig({}));
+      applyWorktreeIdentity(worktree, identity);
+
+      fs.writeFileSync(path.join(worktree, 'work.txt'), 'agent work');
+      execSync('git add work.txt && git commit -q -m "feat: agent work"', { cwd: worktree });
+
+      const author = execSync('git log -1 --format="%an <%ae>"', { cwd: worktree, encoding: 'utf8' }).trim();
+      expect(author).toBe('Claude (session abc1) <jordan+claude@example.com>');
+      expect(execSync('git config user.name', { cwd: repo, encoding: 'utf8' }).trim()).toBe('Main User');
+    } finally {
+      fs.rmSync(testDir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Test Case: Cross-Worktree Merge Conflict Prediction
+ * - Area: session-coordinator
+ * - Component: merge-prediction
+ * - Related Issue/PR: Cross-worktree semantic conflict prediction before merge
+ * - Repro Summary: File declarations only catch same-file edits, so conflicting changes in
+ *   separate worktrees surfaced only when closeSession attempted the real merge
+ * - Expected Behavior: Every session is trial-merged (git merge-tree) against every other
+ *   session and against its merge target, and predicted conflicts are reported per pair
+ * - Regression Guard: Trial merges never touch a worktree, index or branch, and sessions
+ *   without commits are skipped instead of failing the whole prediction
+ */
+
+const { execSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const {
+  mergeTargetFor,
+  predictConflicts,
+  describePrediction,
+  writeMergePrediction,
+  mergePredictionPath
+} = require('../../../src/merge-prediction.cjs');
+
+describe('Merge Conflict Prediction', () => {
+  let repoRoot;
+
+  const git = (cmd, cwd = repoRoot) => execSync(`git ${cmd}`, { cwd, encoding: 'utf8', stdio: 'pipe' }).trim();
+  const commitFile = (cwd, file, content, message) => {
+    fs.mkdirSync(path.dirname(path.join(cwd, file)), { recursive: true });
+    fs.writeFileSync(path.join(cwd, file), content);
+    git(`add "${file}"`, cwd);
+    git(`commit -q -m "${message}"`, cwd);
+  };
+  const addSession = (sessionId, extra = {}) => {
+    const branchName = `sdd/claude/${sessionId}/task`;
+    const worktreePath = path.join(repoRoot, 'local_deploy', 'worktrees', sessionId);
+    git(`worktree add -q -b ${branchName} "${worktreePath}" main`);
+    return { sessionId, branchName, worktreePath, status: 'active', ...extra };
+  };
+
+  beforeEach(() => {
+    repoRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'devops-merge-predict-test-'));
+    git('init -q -b main');
+    git('config user.email test@example.com');
+    git('config user.name Test');
+    fs.writeFileSync(path.join(repoRoot, '.gitignore'), 'local_deploy/\n');
+    commitFile(repoRoot, 'src/auth.js', 'function login() {\n  return true;\n}\n', 'initial');
+  });
+
+  afterEach(() => {
+    fs.rmSync(repoRoot, { recursive: true, force: true });
+  });
+
+  test('Should pick the merge target the session will be closed into', () => {
+    expect(mergeTargetFor({})).toBe('main');
+    expect(mergeTargetFor({ mergeConfig: { targetBranch: 'develop' } })).toBe('develop');
+    expect(mergeTargetFor({ mergeConfig: { targetBranch: 'develop' }, mergeRequest: { target: 'release' } })).toBe('release');
+  });
+
+  test('Should report conflicts per session pair and against the target', () => {
+    const renamer = addSession('abc1-def2');
+    const caller = addSession('zzz9-yyy8');
+    const docs = addSession('doc1-doc2');
+    commitFile(renamer.worktreePath, 'src/auth.js', 'function signIn() {\n  return true;\n}\n', 'rename login');
+    commitFile(caller.worktreePath, 'src/auth.js', 'function login() {\n  return check();\n}\n', 'call check');
+    commitFile(docs.worktreePath, 'docs/auth.md', '# Auth\n', 'docs');
+    commitFile(repoRoot, 'src/auth.js', 'function login(user) {\n  return true;\n}\n', 'main moves on');
+    const mainHead = git('rev-parse HEAD');
+    const branches = git('branch --list');
+
+    const prediction = predictConflicts({ repoRoot, sessions: [renamer, caller, docs] });
+
+    expect(prediction.conflicts.map(p => [p.kind, p.a, p.b, p.files])).toEqual([
+      ['session', 'abc1-def2', 'zzz9-yyy8', ['src/auth.js']],
+      ['target', 'abc1-def2', 'main', ['src/auth.js']],
+      ['target', 'zzz9-yyy8', 'main', ['src/auth.js']]
+    ]);
+    expect(prediction.pairs.filter(p => p.clean).map(p => [p.a, p.b])).toEqual([
+      ['abc1-def2', 'doc1-doc2'], ['zzz9-yyy8', 'doc1-doc2'], ['doc1-doc2', 'main']
+    ]);
+    expect(describePrediction(prediction)[0]).toBe('abc1-def2 ↔ zzz9-yyy8: 1 conflicting file(s): src/auth.js');
+
+    // Nothing was merged for real
+    expect(git('rev-parse HEAD')).toBe(mainHead);
+    expect(git('branch --list')).toBe(branches);
+    expect(git('status --porcelain', renamer.worktreePath)).toBe('');
+
+    writeMergePrediction(repoRoot, prediction);
+    expect(JSON.parse(fs.readFileSync(mergePredictionPath(repoRoot), 'utf8')).conflicts).toHaveLength(3);
+  });
+
+  test('Should honour an explicit target and skip sessions it cannot resolve', () => {
+    const session = addSession('abc1-def2', { mergeRequest: { target: 'develop' } });
+    commitFile(session.worktreePath, 'src/auth.js', 'function signIn() {}\n', 'rename');
+    const gone = { sessionId: 'gone-sess', branchName: 'sdd/claude/gone-sess/task', worktreePath: path.join(repoRoot, 'missing') };
+
+    const ownTarget = predictConflicts({ repoRoot, sessions: [session, gone] });
+    expect(ownTarget.pairs).toEqual([]);
+    expect(ownTarget.skipped).toEqual([
+      { sessionId: 'gone-sess', reason: 'no commits found for sdd/claude/gone-sess/task' },
+      { sessionId: 'abc1-def2', reason: 'merge target develop not found' }
+    ]);
+
+    const explicit = predictConflicts({ repoRoot, sessions: [session], target: 'main' });
+    expect(explicit.pairs).toEqual([{ kind: 'target', a: 'abc1-def2', b: 'main', clean: true, files: [] }]);
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Test Case: Unified Session Store
+ * - Area: session-coordinator
+ * - Component: session-store
+ * - Related Issue/PR: Unify the session registries into a single session store
+ * - Repro Summary: The coordinator's session-locks, claude-session-manager's
+ *   claude-sessions.json and worktree-manager's .worktrees/agents.json each tracked
+ *   sessions on their own, so the close and cleanup tools only saw coordinator sessions
+ *   and concurrent read-modify-write updates could lose each other's changes
+ * - Expected Behavior: All tools read and write one validated store of session records;
+ *   old records and the legacy registries are migrated into it
+ * - Regression Guard: Invalid records are rejected, removing a session removes its
+ *   reports, and concurrent updates from several processes are all kept
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { SessionStore, SESSION_SCHEMA_VERSION } = require('../../../src/session-store.cjs');
+
+describe('Session Store', () => {
+  let repoRoot;
+  let locksDir;
+
+  beforeEach(() => {
+    repoRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'devops-session-store-test-'));
+    locksDir = path.join(repoRoot, 'local_deploy', 'session-locks');
+  });
+
+  afterEach(() => {
+    fs.rmSync(repoRoot, { recursive: true, force: true });
+  });
+
+  test('Should create, update and remove validated session records', () => {
+    const store = new SessionStore(repoRoot);
+    expect(store.list()).toEqual([]);
+
+    const session = store.create({ sessionId: 'abc1-def2', agentType: 'claude', task: 'auth', branchName: 'sdd/claude/abc1-def2/auth' });
+    expect(session).toMatchObject({ source: 'session-coordinator', status: 'active', schemaVersion: SESSION_SCHEMA_VERSION });
+    expect(JSON.parse(fs.readFileSync(path.join(locksDir, 'abc1-def2.lock'), 'utf8'))).toEqual(session);
+    expect(() => store.create({ sessionId: 'abc1-def2' })).toThrow('Session already exists: abc1-def2');
+
+    store.create({ sessionId: 'wt-1', source: 'worktree-manager', status: 'waiting' });
+    expect(store.list({ source: 'worktree-manager' }).map(s => s.sessionId)).toEqual(['wt-1']);
+    expect(store.list({ status: 'active' }).map(s => s.sessionId)).toEqual(['abc1-def2']);
+
+    expect(store.update('abc1-def2', { status: 'stopped', agentPid: 42 })).toMatchObject({ status: 'stopped', agentPid: 42, task: 'auth' });
+    expect(store.update('abc1-def2', s => ({ ...s, task: `${s.task} v2` })).task).toBe('auth v2');
+    expect(() => store.update('nope', { status: 'active' })).toThrow('Session not found: nope');
+    expect(() => store.update('abc1-def2', { status: 'done' })).toThrow('status must be one of');
+    expect(() => store.create({ sessionId: '../escape' })).toThrow('sessionId must be a file name');
+    expect(() => store.create({ sessionId: 'x', source: 'cron' })).toThrow('source must be one of');
+    expect(store.get('abc1-def2').status).toBe('stopped');
+
+    fs.writeFileSync(path.join(locksDir, 'abc1-def2.coordination.json'), '{}');
+    expect(store.remove('abc1-def2')).toBe(true);
+    expect(store.remove('abc1-def2')).toBe(false);
+    expect(fs.readdirSync(locksDir).sort()).toEqual(['wt-1.lock']);
+  });
+
+  test('Should migrate old records and import the legacy registries', () => {
+    fs.mkdirSync(locksDir, { recursive: true });
+    fs.writeFileSync(path.join(locksDir, 'old1-aaaa.lock'), JSON.stringify({
+      sessionId: 'old1-aaaa', task: 'legacy', created: '2025-01-01T00:00:00.000Z', status: 'waiting'
+    }));
+    fs.writeFileSync(path.join(repoRoot, 'local_deploy', 'claude-sessions.json'), JSON.stringify({
+      'claude-1': { id: 'claude-1', task: 'docs', created: '2025-01-02T00:00:00.000Z', status: 'active', worktree: { path: '/tmp/wt', branch: 'claude/docs', name: 'wt' } }
+    }));
+    fs.mkdirSync(path.join(repoRoot, '.worktrees'));
+    fs.writeFileSync(path.join(repoRoot, '.worktrees', 'agents.json'), JSON.stringify({
+      cursor: { name: 'cursor', worktrees: [
+        { name: 'cursor-ui', path: '/tmp/ui', branch: 'agent/cursor/ui', task: 'ui', created: '2025-01-03T00:00:00.000Z', status: 'active' },
+        { name: 'cursor-old', path: '/tmp/old', branch: 'agent/cursor/old', created: '2025-01-03T00:00:00.000Z', status: 'removed' }
+      ] }
+    }));
+
+    const store = new SessionStore(repoRoot, { migrate: false });
+    expect(store.get('old1-aaaa')).toMatchObject({ source: 'session-coordinator', status: 'waiting', schemaVersion: SESSION_SCHEMA_VERSION });
+
+    expect(store.migrate()).toEqual({ upgraded: ['old1-aaaa'], imported: ['claude-1', 'cursor-ui'], skipped: [] });
+    expect(JSON.parse(fs.readFileSync(path.join(locksDir, 'old1-aaaa.lock'), 'utf8')).schemaVersion).toBe(SESSION_SCHEMA_VERSION);
+    expect(store.get('claude-1')).toMatchObject({
+      source: 'claude-session-manager', agentType: 'claude', task: 'docs', branchName: 'claude/docs', worktreePath: '/tmp/wt', worktreeName: 'wt'
+    });
+    expect(store.get('cursor-ui')).toMatchObject({ source: 'worktree-manager', agentType: 'cursor', branchName: 'agent/cursor/ui' });
+    expect(store.get('cursor-old')).toBeNull();
+    expect(store.list().map(s => s.sessionId)).toEqual(['old1-aaaa', 'claude-1', 'cursor-ui']);
+
+    expect(fs.existsSync(path.join(repoRoot, 'local_deploy', 'claude-sessions.json.migrated'))).toBe(true);
+    expect(fs.existsSync(path.join(repoRoot, '.worktrees', 'agents.json'))).toBe(false);
+    expect(new SessionStore(repoRoot).migrate()).toEqual({ upgraded: [], imported: [], skipped: [] });
+  });
+
+  test('Should keep every update made concurrently by several processes', async () => {
+    new SessionStore(repoRoot).create({ sessionId: 'busy-1234', commits: 0 });
+
+    const storeModule = path.resolve(__dirname, '../../../src/session-store.cjs');
+    const script = `
+      const { SessionStore } = require(${JSON.stringify(storeModule)});
+      const store = new SessionStore(${JSON.stringify(repoRoot)});
+      for (let i = 0; i < 20; i++) {
+        store.update('busy-1234', s => ({ ...s, commits: s.commits + 1 }));
+      }
+    `;
+    const workers = Array.from({ length: 4 }, () => new Promise((resolve, reject) => {
+      const child = spawn(process.execPath, ['-e', script], { stdio: ['ignore', 'ignore', 'pipe'] });
+      let stderr = '';
+      child.stderr.on('data', chunk => { stderr += chunk; });
+      child.on('error', reject);
+      child.on('exit', code => (code === 0 ? resolve() : reject(new Error(stderr))));
+    }));
+    await Promise.all(workers);
+
+    expect(new SessionStore(repoRoot).get('busy-1234').commits).toBe(80);
+    expect(fs.readdirSync(locksDir)).toEqual(['busy-1234.lock']);
+  }, 30000);
+});